@@ -0,0 +1,35 @@
+import { Bucket, BUCKETS } from '../../../../lib/aggregate';
+import { getEpochRepository } from '../../../../lib/backends';
+import { listOptionsFromQuery, scopeFromQuery } from '../../../../lib/epoch-query';
+import { errorStatus } from '../../../../lib/repository';
+
+export const dynamic = 'force-dynamic';
+export const runtime = 'nodejs';
+export const revalidate = 0;
+
+function json(body: any, status = 200){
+  return new Response(JSON.stringify(body), { status, headers: { 'content-type': 'application/json', 'cache-control': 'no-store, max-age=0, must-revalidate' } });
+}
+
+// ?bucket=hour|day|week|month (default day), plus the /api/epochs range filters
+export async function GET(req: Request){
+  const u = new URL(req.url);
+  const bucket = (u.searchParams.get('bucket') || 'day').toLowerCase();
+  if (!(BUCKETS as readonly string[]).includes(bucket)){
+    return json({ error: `invalid bucket: ${bucket} (expected ${BUCKETS.join(', ')})` }, 400);
+  }
+
+  try {
+    const scope = scopeFromQuery(u.searchParams);
+    const { fromEpoch, toEpoch, fromTime, toTime } = listOptionsFromQuery(u.searchParams);
+    const buckets = await getEpochRepository(scope).epochBuckets(bucket as Bucket, { fromEpoch, toEpoch, fromTime, toTime });
+    return json({
+      network: scope.network,
+      domainId: scope.domainId,
+      bucket,
+      buckets
+    });
+  } catch (e: any) {
+    return json({ error: e?.message || String(e) }, errorStatus(e));
+  }
+}
@@ -0,0 +1,25 @@
+import { getEpochRepository } from '../../../../lib/backends';
+import { blockFromQuery, scopeFromQuery } from '../../../../lib/epoch-query';
+import { errorStatus } from '../../../../lib/repository';
+
+export const dynamic = 'force-dynamic';
+export const runtime = 'nodejs';
+export const revalidate = 0;
+
+function json(body: any, status = 200){
+  return new Response(JSON.stringify(body), { status, headers: { 'content-type': 'application/json', 'cache-control': 'no-store, max-age=0, must-revalidate' } });
+}
+
+// ?block=N: the epoch a consensus block belongs to, with that epoch's boundaries
+export async function GET(req: Request){
+  const u = new URL(req.url);
+  try {
+    const scope = scopeFromQuery(u.searchParams);
+    const block = blockFromQuery(u.searchParams);
+    const boundary = await getEpochRepository(scope).epochAtBlock(block);
+    if (!boundary) return json({ error: `block ${block} is not in an indexed epoch` }, 404);
+    return json({ network: scope.network, domainId: scope.domainId, block, epoch: boundary.epoch, boundary });
+  } catch (e: any) {
+    return json({ error: e?.message || String(e) }, errorStatus(e));
+  }
+}
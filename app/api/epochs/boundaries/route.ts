@@ -0,0 +1,28 @@
+import { getEpochRepository } from '../../../../lib/backends';
+import { boundaryOptionsFromQuery, nextPage, scopeFromQuery } from '../../../../lib/epoch-query';
+import { errorStatus } from '../../../../lib/repository';
+
+export const dynamic = 'force-dynamic';
+export const runtime = 'nodejs';
+export const revalidate = 0;
+
+function json(body: any, status = 200, headers: Record<string, string> = {}){
+  return new Response(JSON.stringify(body), { status, headers: { 'content-type': 'application/json', 'cache-control': 'no-store, max-age=0, must-revalidate', ...headers } });
+}
+
+// Start/end block, hash and time of each epoch. ?fromEpoch/toEpoch and ?limit return a
+// plain array; ?pageSize=N or ?cursor=... return one page wrapped with its next link.
+export async function GET(req: Request){
+  const u = new URL(req.url);
+  try {
+    const scope = scopeFromQuery(u.searchParams);
+    const opts = boundaryOptionsFromQuery(u.searchParams);
+    const rows = await getEpochRepository(scope).epochBoundaries(opts);
+    if (!opts.paginated) return json(rows);
+
+    const { cursor, next } = nextPage(u, rows, opts.pageSize!);
+    return json({ data: rows, cursor, next }, 200, next ? { link: `<${next}>; rel="next"` } : {});
+  } catch (e: any) {
+    return json({ error: e?.message || String(e) }, errorStatus(e));
+  }
+}
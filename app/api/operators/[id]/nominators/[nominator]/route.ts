@@ -0,0 +1,144 @@
+import { getEpochRepository } from '../../../../../../lib/backends';
+import { scopeFromQuery } from '../../../../../../lib/epoch-query';
+import { Scope } from '../../../../../../lib/networks';
+import { errorStatus } from '../../../../../../lib/repository';
+import type { DepositSnapshot, OperatorSnapshot, WithdrawalSnapshot } from '../../../../../../lib/types';
+
+export const dynamic = 'force-dynamic';
+export const runtime = 'nodejs';
+export const revalidate = 0;
+
+const PERQ = 10n ** 18n;
+
+function json(body: any, status = 200){
+  return new Response(JSON.stringify(body), { status, headers: { 'content-type': 'application/json', 'cache-control': 'no-store, max-age=0, must-revalidate' } });
+}
+
+function big(v: any): bigint {
+  try { return v == null ? 0n : BigInt(String(v)); } catch { return 0n; }
+}
+
+export async function GET(req: Request, { params }: { params: { id: string; nominator: string } }){
+  const operatorId = Number(params.id);
+  if (!/^\d+$/.test(String(params.id)) || !Number.isSafeInteger(operatorId)){
+    return json({ error: `invalid operator id: ${params.id}` }, 400);
+  }
+  const nominatorId = String(params.nominator || '').toLowerCase();
+  if (!/^0x[0-9a-f]{64}$/.test(nominatorId)){
+    return json({ error: `invalid nominator id: ${params.nominator}` }, 400);
+  }
+
+  let scope: Scope;
+  let deposits: DepositSnapshot[] = [];
+  let withdrawals: WithdrawalSnapshot[] = [];
+  try {
+    scope = scopeFromQuery(new URL(req.url).searchParams);
+    ({ deposits, withdrawals } = await getEpochRepository(scope).nominatorSnapshots(operatorId, nominatorId));
+  } catch (e: any) {
+    return json({ error: e?.message || String(e) }, errorStatus(e));
+  }
+  if (!deposits.length && !withdrawals.length){
+    return json({ error: `position ${nominatorId} not found for operator ${operatorId}` }, 404);
+  }
+
+  const firstEpoch = Math.min(
+    deposits.length ? deposits[0].epoch : Infinity,
+    withdrawals.length ? withdrawals[0].epoch : Infinity
+  );
+
+  let history: OperatorSnapshot[] = [];
+  try {
+    history = await getEpochRepository(scope).operatorHistory(operatorId, { fromEpoch: firstEpoch });
+  } catch (e: any) {
+    return json({ error: e?.message || String(e) }, errorStatus(e));
+  }
+
+  // Operator share price per epoch (normalized price, else stake/shares)
+  const priceByEpoch = new Map<number, bigint>();
+  for (const r of history){
+    if (r.sharePrice != null) priceByEpoch.set(r.epoch, big(r.sharePrice));
+  }
+
+  const depositByEpoch = new Map<number, DepositSnapshot>(deposits.map(r => [r.epoch, r]));
+  const withdrawalByEpoch = new Map<number, WithdrawalSnapshot>(withdrawals.map(r => [r.epoch, r]));
+  const epochs = Array.from(new Set([
+    ...Array.from(priceByEpoch.keys()),
+    ...Array.from(depositByEpoch.keys()),
+    ...Array.from(withdrawalByEpoch.keys())
+  ])).filter(e => e >= firstEpoch).sort((a, b) => a - b);
+
+  // Stop one epoch after the position's last snapshot: that is where it was fully withdrawn
+  const lastSeen = Math.max(
+    deposits.length ? deposits[deposits.length - 1].epoch : -Infinity,
+    withdrawals.length ? withdrawals[withdrawals.length - 1].epoch : -Infinity
+  );
+  const exitIdx = epochs.findIndex(e => e > lastSeen);
+  if (exitIdx !== -1) epochs.length = exitIdx + 1;
+
+  // Average-cost P&L over known shares: new shares are bought at that epoch's share
+  // price; shares that leave the position realize (price - average cost) each.
+  let prevShares = 0n;
+  let cost = 0n;
+  let realized = 0n;
+  let price = PERQ;
+  const rows: any[] = [];
+  const events: any[] = [];
+  for (const epoch of epochs){
+    price = priceByEpoch.get(epoch) ?? price;
+    const dep = depositByEpoch.get(epoch);
+    const wd = withdrawalByEpoch.get(epoch);
+    const shares = dep ? big(dep.knownShares) : 0n;
+    const delta = shares - prevShares;
+    if (delta > 0n){
+      const amount = (delta * price) / PERQ;
+      cost += amount;
+      events.push({ epoch, type: 'deposit', shares: delta.toString(), amount: amount.toString(), sharePrice: price.toString() });
+    } else if (delta < 0n){
+      const removed = -delta;
+      const removedCost = prevShares > 0n ? (cost * removed) / prevShares : 0n;
+      const proceeds = (removed * price) / PERQ;
+      realized += proceeds - removedCost;
+      cost -= removedCost;
+      events.push({ epoch, type: 'withdrawal', shares: removed.toString(), amount: proceeds.toString(), sharePrice: price.toString(), realizedGain: (proceeds - removedCost).toString() });
+    }
+    const value = (shares * price) / PERQ;
+    rows.push({
+      epoch,
+      shares: shares.toString(),
+      sharePrice: price.toString(),
+      value: value.toString(),
+      costBasis: cost.toString(),
+      realizedGain: realized.toString(),
+      unrealizedGain: (value - cost).toString(),
+      pendingDeposit: dep?.pendingAmount ?? '0',
+      pendingStorageFee: dep?.pendingStorageFee ?? '0',
+      pendingEffectiveEpoch: dep?.pendingEffectiveEpoch ?? null,
+      storageFeeDeposit: dep?.knownStorageFee ?? '0',
+      withdrawalInShares: wd?.withdrawalInShares ?? '0',
+      totalWithdrawalAmount: wd?.totalWithdrawalAmount ?? '0',
+      pendingUnlocks: wd ? wd.pendingUnlocks : 0
+    });
+    prevShares = shares;
+  }
+
+  const last = rows[rows.length - 1];
+  const out = {
+    network: scope.network,
+    domainId: scope.domainId,
+    operatorId,
+    nominatorId,
+    summary: {
+      firstEpoch,
+      lastEpoch: last?.epoch ?? null,
+      shares: last?.shares ?? '0',
+      value: last?.value ?? '0',
+      costBasis: last?.costBasis ?? '0',
+      realizedGain: realized.toString(),
+      unrealizedGain: last?.unrealizedGain ?? '0'
+    },
+    events,
+    epochs: rows
+  };
+
+  return json(out);
+}
@@ -0,0 +1,72 @@
+import { getEpochRepository } from '../../../../../lib/backends';
+import { scopeFromQuery } from '../../../../../lib/epoch-query';
+import { Scope } from '../../../../../lib/networks';
+import { errorStatus } from '../../../../../lib/repository';
+import type { NominatorPosition, OperatorSnapshot } from '../../../../../lib/types';
+
+export const dynamic = 'force-dynamic';
+export const runtime = 'nodejs';
+export const revalidate = 0;
+
+function json(body: any, status = 200){
+  return new Response(JSON.stringify(body), { status, headers: { 'content-type': 'application/json', 'cache-control': 'no-store, max-age=0, must-revalidate' } });
+}
+
+export async function GET(req: Request, { params }: { params: { id: string } }){
+  const operatorId = Number(params.id);
+  if (!/^\d+$/.test(String(params.id)) || !Number.isSafeInteger(operatorId)){
+    return json({ error: `invalid operator id: ${params.id}` }, 400);
+  }
+
+  // One position per nominator, plus the operator's latest snapshot to value them
+  let scope: Scope;
+  let positions: NominatorPosition[] = [];
+  let latest: OperatorSnapshot | null = null;
+  try {
+    scope = scopeFromQuery(new URL(req.url).searchParams);
+    const repo = getEpochRepository(scope);
+    const [p, history] = await Promise.all([
+      repo.nominatorPositions(operatorId),
+      repo.operatorHistory(operatorId, { limit: 1 })
+    ]);
+    positions = p;
+    latest = history[history.length - 1] ?? null;
+  } catch (e: any) {
+    return json({ error: e?.message || String(e) }, errorStatus(e));
+  }
+
+  if (!positions.length && !latest){
+    return json({ error: `operator ${operatorId} not found` }, 404);
+  }
+
+  const sharePrice = latest?.sharePrice ?? null;
+  const latestEpoch = latest ? latest.epoch : null;
+
+  const out = {
+    network: scope.network,
+    domainId: scope.domainId,
+    operatorId,
+    epoch: latestEpoch,
+    sharePrice,
+    positions: positions.map((p) => {
+      // A position missing from the latest deposits snapshot has been fully withdrawn
+      const active = latestEpoch != null && p.lastEpoch >= latestEpoch;
+      const shares = active ? p.latestShares : '0';
+      let value: string | null = null;
+      try { if (sharePrice != null) value = ((BigInt(shares) * BigInt(sharePrice)) / (10n ** 18n)).toString(); } catch {}
+      return {
+        nominatorId: p.nominatorId,
+        firstEpoch: p.firstEpoch,
+        lastEpoch: p.lastEpoch,
+        epochsSeen: p.epochsSeen,
+        shares,
+        peakShares: p.peakShares,
+        pendingDeposit: active ? p.latestPendingAmount : '0',
+        value,
+        active
+      };
+    })
+  };
+
+  return json(out);
+}
@@ -0,0 +1,48 @@
+import { getEpochRepository } from '../../../../lib/backends';
+import { scopeFromQuery } from '../../../../lib/epoch-query';
+import { Scope } from '../../../../lib/networks';
+import { errorStatus } from '../../../../lib/repository';
+import type { OperatorSnapshot } from '../../../../lib/types';
+
+export const dynamic = 'force-dynamic';
+export const runtime = 'nodejs';
+export const revalidate = 0;
+
+function json(body: any, status = 200){
+  return new Response(JSON.stringify(body), { status, headers: { 'content-type': 'application/json', 'cache-control': 'no-store, max-age=0, must-revalidate' } });
+}
+
+export async function GET(req: Request, { params }: { params: { id: string } }){
+  const operatorId = Number(params.id);
+  if (!/^\d+$/.test(String(params.id)) || !Number.isSafeInteger(operatorId)){
+    return json({ error: `invalid operator id: ${params.id}` }, 400);
+  }
+
+  // Optional limit param (?limit=50|200|all) keeps only the most recent N epochs
+  const u = new URL(req.url);
+  let limit: number | null = null;
+  try {
+    const lim = u.searchParams.get('limit');
+    if (lim && lim.toLowerCase() !== 'all'){
+      const n = parseInt(lim, 10);
+      if (Number.isFinite(n) && n > 0) limit = Math.min(n, 5000);
+    }
+  } catch {}
+
+  let scope: Scope;
+  let history: OperatorSnapshot[];
+  try {
+    scope = scopeFromQuery(u.searchParams);
+    history = await getEpochRepository(scope).operatorHistory(operatorId, { limit });
+  } catch (e: any) {
+    return json({ error: e?.message || String(e) }, errorStatus(e));
+  }
+  if (!history.length) return json({ error: `operator ${operatorId} not found` }, 404);
+
+  return json({
+    network: scope.network,
+    domainId: scope.domainId,
+    operatorId,
+    epochs: history.map(({ epoch, stake, shares, sharePrice, rewards, nominationTax }) => ({ epoch, stake, shares, sharePrice, rewards, nominationTax }))
+  });
+}
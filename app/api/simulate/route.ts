@@ -0,0 +1,63 @@
+import { tokensToShannonsString } from '../../../lib/amounts';
+import { getEpochRepository } from '../../../lib/backends';
+import { scopeFromQuery } from '../../../lib/epoch-query';
+import { Scope } from '../../../lib/networks';
+import { errorStatus } from '../../../lib/repository';
+import { simulateDeposit, DEFAULT_STORAGE_FEE_PERCENT, SharePricePoint } from '../../../lib/simulate';
+
+export const dynamic = 'force-dynamic';
+export const runtime = 'nodejs';
+export const revalidate = 0;
+
+function json(body: any, status = 200){
+  return new Response(JSON.stringify(body), { status, headers: { 'content-type': 'application/json', 'cache-control': 'no-store, max-age=0, must-revalidate' } });
+}
+
+export async function GET(req: Request){
+  // ?operator=<id>&epoch=<start>&amount=<AI3>[&storageFeePercent=20]
+  const u = new URL(req.url);
+  const op = u.searchParams.get('operator') ?? '';
+  const ep = u.searchParams.get('epoch') ?? '';
+  const amt = (u.searchParams.get('amount') ?? '').trim();
+  const fee = u.searchParams.get('storageFeePercent');
+
+  if (!/^\d+$/.test(op)) return json({ error: `invalid operator: ${op}` }, 400);
+  if (!/^\d+$/.test(ep)) return json({ error: `invalid epoch: ${ep}` }, 400);
+  if (!/^\d+(\.\d+)?$/.test(amt)) return json({ error: `invalid amount: ${amt}` }, 400);
+  const operatorId = Number(op);
+  const startEpoch = Number(ep);
+  const amount = BigInt(tokensToShannonsString(amt));
+  if (amount <= 0n) return json({ error: 'amount must be greater than zero' }, 400);
+  let storageFeePercent = DEFAULT_STORAGE_FEE_PERCENT;
+  if (fee != null){
+    const n = Number(fee);
+    if (!Number.isFinite(n) || n < 0 || n >= 100) return json({ error: `invalid storageFeePercent: ${fee}` }, 400);
+    storageFeePercent = n;
+  }
+
+  // Operator share price per epoch (normalized price, else stake/shares)
+  let scope: Scope;
+  let points: SharePricePoint[];
+  try {
+    scope = scopeFromQuery(u.searchParams);
+    const history = await getEpochRepository(scope).operatorHistory(operatorId, { fromEpoch: startEpoch });
+    points = history
+      .filter(r => r.sharePrice != null)
+      .map(r => ({ epoch: r.epoch, sharePrice: r.sharePrice! }));
+  } catch (e: any) {
+    return json({ error: e?.message || String(e) }, errorStatus(e));
+  }
+
+  const result = simulateDeposit(points, amount, storageFeePercent);
+  if (!result){
+    return json({ error: `no share prices for operator ${operatorId} at or after epoch ${startEpoch}` }, 404);
+  }
+
+  return json({
+    network: scope.network,
+    domainId: scope.domainId,
+    operatorId,
+    requestedEpoch: startEpoch,
+    ...result
+  });
+}
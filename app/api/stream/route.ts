@@ -0,0 +1,72 @@
+import { scopeFromQuery } from '../../../lib/epoch-query';
+import { getLiveFeed, LiveEvent } from '../../../lib/live';
+import { errorStatus } from '../../../lib/repository';
+
+export const dynamic = 'force-dynamic';
+export const runtime = 'nodejs';
+export const revalidate = 0;
+
+// Comment lines keep proxies from closing an idle stream between blocks
+const HEARTBEAT_MS = 15_000;
+
+function json(body: any, status = 200){
+  return new Response(JSON.stringify(body), { status, headers: { 'content-type': 'application/json', 'cache-control': 'no-store, max-age=0, must-revalidate' } });
+}
+
+function frame(e: LiveEvent): string {
+  return e.type === 'epoch'
+    ? `event: epoch\ndata: ${JSON.stringify(e.row)}\n\n`
+    : `event: status\ndata: ${JSON.stringify({ status: e.status })}\n\n`;
+}
+
+// Server-sent events: `status` ({ status: connecting|live|error }) and `epoch` (one
+// /api/epochs row for the epoch in progress), all clients of a network/domain
+// sharing one live feed
+export async function GET(req: Request){
+  let feed;
+  try {
+    feed = getLiveFeed(scopeFromQuery(new URL(req.url).searchParams));
+  } catch (e: any) {
+    return json({ error: e?.message || String(e) }, errorStatus(e));
+  }
+
+  const encoder = new TextEncoder();
+  let close = () => {};
+  const stream = new ReadableStream<Uint8Array>({
+    start(controller){
+      let closed = false;
+      let unsubscribe = () => {};
+      let heartbeat: ReturnType<typeof setInterval> | undefined;
+      const send = (text: string) => {
+        if (closed) return;
+        try { controller.enqueue(encoder.encode(text)); } catch { close(); }
+      };
+      close = () => {
+        if (closed) return;
+        closed = true;
+        clearInterval(heartbeat);
+        unsubscribe();
+        try { controller.close(); } catch {}
+      };
+
+      send('retry: 5000\n\n');
+      if (closed) return;
+      heartbeat = setInterval(() => send(': keep-alive\n\n'), HEARTBEAT_MS);
+      unsubscribe = feed.subscribe(e => send(frame(e)));
+      if (closed) unsubscribe();
+      // An already aborted request never fires 'abort'
+      if (req.signal.aborted) close();
+      else req.signal.addEventListener('abort', () => close());
+    },
+    cancel(){ close(); }
+  });
+
+  return new Response(stream, {
+    headers: {
+      'content-type': 'text/event-stream; charset=utf-8',
+      'cache-control': 'no-store, no-transform',
+      'connection': 'keep-alive',
+      'x-accel-buffering': 'no'
+    }
+  });
+}
@@ -0,0 +1,54 @@
+import { getEpochRepository } from '../../../lib/backends';
+import { scopeFromQuery } from '../../../lib/epoch-query';
+import { Scope } from '../../../lib/networks';
+import { errorStatus } from '../../../lib/repository';
+import type { EpochRow } from '../../../lib/types';
+import { computeOperatorYields, DEFAULT_YIELD_WINDOWS, yieldInputsFrom } from '../../../lib/yields';
+
+export const dynamic = 'force-dynamic';
+export const runtime = 'nodejs';
+export const revalidate = 0;
+
+const MAX_WINDOW = 5000;
+
+function json(body: any, status = 200){
+  return new Response(JSON.stringify(body), { status, headers: { 'content-type': 'application/json', 'cache-control': 'no-store, max-age=0, must-revalidate' } });
+}
+
+export async function GET(req: Request){
+  const u = new URL(req.url);
+  // Optional ?windows=7,30,90 (epochs)
+  let windows: number[] = [...DEFAULT_YIELD_WINDOWS];
+  try {
+    const w = u.searchParams.get('windows');
+    if (w){
+      const parsed = w.split(',').map(s => parseInt(s.trim(), 10)).filter(n => Number.isFinite(n) && n > 0 && n <= MAX_WINDOW);
+      if (!parsed.length) return json({ error: `invalid windows: ${w}` }, 400);
+      windows = Array.from(new Set(parsed)).sort((a, b) => a - b);
+    }
+  } catch {}
+
+  const span = windows[windows.length - 1];
+
+  // Load the whole trailing span so a gap at a window boundary falls back to the previous epoch
+  let scope: Scope;
+  let rows: EpochRow[];
+  try {
+    scope = scopeFromQuery(u.searchParams);
+    rows = await getEpochRepository(scope).listEpochs({ limit: span + 1 });
+  } catch (e: any) {
+    return json({ error: e?.message || String(e) }, errorStatus(e));
+  }
+  const input = yieldInputsFrom(rows);
+  if (!input.length) return json({ network: scope.network, domainId: scope.domainId, epoch: null, timestamp: null, windows, operators: {} });
+  const latest = input[input.length - 1];
+
+  return json({
+    network: scope.network,
+    domainId: scope.domainId,
+    epoch: latest.epoch,
+    timestamp: latest.timestamp ?? null,
+    windows,
+    operators: computeOperatorYields(input, windows)
+  });
+}
@@ -0,0 +1,268 @@
+'use client';
+import React, { useEffect, useMemo, useState } from 'react';
+import { LineChart, Line, XAxis, YAxis, Tooltip, ResponsiveContainer, CartesianGrid } from 'recharts';
+import { formatTokens } from '../../lib/amounts';
+import { DEFAULT_SCOPE, Scope, scopeFromSearch, withScope } from '../../lib/networks';
+
+const fontFamily = '-apple-system, BlinkMacSystemFont, "Segoe UI", "Inter", sans-serif';
+const monoFamily = '"JetBrains Mono", "SF Mono", Monaco, Consolas, "Liberation Mono", "Courier New", monospace';
+
+const cardStyle: React.CSSProperties = {
+  background: 'linear-gradient(145deg, #ffffff 0%, #f8fafc 100%)',
+  borderRadius: '12px',
+  border: '2px solid #d1d5db',
+  boxShadow: '0 8px 16px rgba(0, 0, 0, 0.12), 0 4px 6px rgba(0, 0, 0, 0.08)',
+  padding: '20px',
+  marginBottom: '20px'
+};
+
+const thStyle: React.CSSProperties = { textAlign: 'left', padding: '8px 10px', fontSize: 12, color: '#64748b', fontWeight: 600, borderBottom: '1px solid #e5e7eb', whiteSpace: 'nowrap' };
+const tdStyle: React.CSSProperties = { padding: '8px 10px', fontSize: 13, color: '#111827', borderBottom: '1px solid #f3f4f6', whiteSpace: 'nowrap' };
+
+function tokensNumber(x?: string | null){
+  const s = formatTokens(x, 6).replace(/,/g, '');
+  return s ? parseFloat(s) : 0;
+}
+
+function shortId(id: string){
+  return id.length > 14 ? `${id.slice(0, 8)}…${id.slice(-6)}` : id;
+}
+
+function gainColor(x?: string | null){
+  try { return BigInt(x || '0') < 0n ? '#DC2626' : '#059669'; } catch { return '#111827'; }
+}
+
+function Stat({ label, value, color }: { label: string; value: string; color?: string }){
+  return (
+    <div style={{ border: '1px solid #e5e7eb', borderRadius: 10, padding: '12px 14px', background: 'white' }}>
+      <div style={{ fontSize: 11, color: '#64748b', textTransform: 'uppercase', letterSpacing: '0.04em', marginBottom: 4 }}>{label}</div>
+      <div style={{ fontSize: 16, fontWeight: 600, color: color || '#111827', fontFamily: monoFamily }}>{value}</div>
+    </div>
+  );
+}
+
+function PositionDetail({ scope, operatorId, nominatorId }: { scope: Scope; operatorId: string; nominatorId: string }){
+  const [detail, setDetail] = useState<any | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    setDetail(null);
+    setError(null);
+    fetch(withScope(`/api/operators/${encodeURIComponent(operatorId)}/nominators/${encodeURIComponent(nominatorId)}`, scope))
+      .then(r => r.json())
+      .then((d) => d?.error ? setError(d.error) : setDetail(d))
+      .catch((e) => setError(String(e?.message || e)));
+  }, [scope, operatorId, nominatorId]);
+
+  const chartData = useMemo(() => (detail?.epochs || []).map((r: any) => ({
+    epoch: r.epoch,
+    shares: tokensNumber(r.shares),
+    value: tokensNumber(r.value),
+    costBasis: tokensNumber(r.costBasis)
+  })), [detail]);
+
+  if (error) return <div style={{ ...cardStyle, color: '#EF4444', fontSize: 13 }}>{error}</div>;
+  if (!detail) return <div style={{ ...cardStyle, color: '#64748b', fontSize: 13 }}>Loading position…</div>;
+
+  const s = detail.summary || {};
+  return (
+    <div style={cardStyle}>
+      <h2 style={{ fontSize: 18, fontWeight: 600, color: '#111827', margin: '0 0 4px 0', fontFamily }}>
+        Position <span style={{ fontFamily: monoFamily, fontSize: 14 }}>{shortId(nominatorId)}</span>
+      </h2>
+      <p style={{ fontSize: 12, color: '#64748b', margin: '0 0 16px 0', fontFamily: monoFamily, wordBreak: 'break-all' }}>{nominatorId}</p>
+
+      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(160px, 1fr))', gap: 12, marginBottom: 20 }}>
+        <Stat label="Shares" value={formatTokens(s.shares)} />
+        <Stat label="Value (AI3)" value={formatTokens(s.value)} />
+        <Stat label="Cost basis (AI3)" value={formatTokens(s.costBasis)} />
+        <Stat label="Realized gain" value={formatTokens(s.realizedGain, 6)} color={gainColor(s.realizedGain)} />
+        <Stat label="Unrealized gain" value={formatTokens(s.unrealizedGain, 6)} color={gainColor(s.unrealizedGain)} />
+        <Stat label="Epochs" value={`${s.firstEpoch ?? ''} – ${s.lastEpoch ?? ''}`} />
+      </div>
+
+      <div style={{ height: 280, marginBottom: 20 }}>
+        <ResponsiveContainer width="100%" height="100%">
+          <LineChart data={chartData} margin={{ top: 8, right: 16, left: 8, bottom: 8 }}>
+            <CartesianGrid stroke="#f1f5f9" />
+            <XAxis dataKey="epoch" tick={{ fontSize: 11 }} />
+            <YAxis tick={{ fontSize: 11 }} width={80} />
+            <Tooltip formatter={(v: any, name: any) => [Number(v).toLocaleString('en-US', { maximumFractionDigits: 4 }), name]} labelFormatter={(l: any) => `Epoch ${l}`} />
+            <Line type="monotone" dataKey="shares" name="Shares" stroke="#60A5FA" dot={false} strokeWidth={2} isAnimationActive={false} />
+            <Line type="monotone" dataKey="value" name="Value (AI3)" stroke="#10B981" dot={false} strokeWidth={2} isAnimationActive={false} />
+            <Line type="stepAfter" dataKey="costBasis" name="Cost basis (AI3)" stroke="#9CA3AF" dot={false} strokeDasharray="4 4" isAnimationActive={false} />
+          </LineChart>
+        </ResponsiveContainer>
+      </div>
+
+      <h3 style={{ fontSize: 14, fontWeight: 600, color: '#111827', margin: '0 0 8px 0', fontFamily }}>Deposits &amp; withdrawals</h3>
+      {(detail.events || []).length === 0 ? (
+        <p style={{ fontSize: 13, color: '#64748b' }}>No share changes in the stored snapshots.</p>
+      ) : (
+        <div style={{ overflowX: 'auto' }}>
+          <table style={{ width: '100%', borderCollapse: 'collapse', fontFamily }}>
+            <thead>
+              <tr>
+                <th style={thStyle}>Epoch</th>
+                <th style={thStyle}>Type</th>
+                <th style={thStyle}>Shares</th>
+                <th style={thStyle}>Amount (AI3)</th>
+                <th style={thStyle}>Share price</th>
+                <th style={thStyle}>Realized gain</th>
+              </tr>
+            </thead>
+            <tbody>
+              {(detail.events || []).map((ev: any, i: number) => (
+                <tr key={`${ev.epoch}-${i}`}>
+                  <td style={tdStyle}>{ev.epoch}</td>
+                  <td style={{ ...tdStyle, color: ev.type === 'deposit' ? '#2563EB' : '#D97706', fontWeight: 600 }}>{ev.type}</td>
+                  <td style={{ ...tdStyle, fontFamily: monoFamily }}>{formatTokens(ev.shares)}</td>
+                  <td style={{ ...tdStyle, fontFamily: monoFamily }}>{formatTokens(ev.amount)}</td>
+                  <td style={{ ...tdStyle, fontFamily: monoFamily }}>{formatTokens(ev.sharePrice, 9)}</td>
+                  <td style={{ ...tdStyle, fontFamily: monoFamily, color: ev.realizedGain ? gainColor(ev.realizedGain) : '#9CA3AF' }}>
+                    {ev.realizedGain ? formatTokens(ev.realizedGain, 6) : '—'}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default function NominatorsPage(){
+  const [operatorIds, setOperatorIds] = useState<string[]>([]);
+  const [operatorId, setOperatorId] = useState<string | null>(null);
+  const [list, setList] = useState<any | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const [activeOnly, setActiveOnly] = useState(true);
+  const [selected, setSelected] = useState<string | null>(null);
+  const [scope, setScope] = useState<Scope>(DEFAULT_SCOPE);
+
+  useEffect(() => {
+    // ?operator=<id> preselects an operator; otherwise the first one from the latest summary.
+    // ?network= and ?domain= come from the dashboard link.
+    const qp = typeof window !== 'undefined' ? new URLSearchParams(window.location.search).get('operator') : null;
+    const s0 = typeof window !== 'undefined' ? scopeFromSearch(window.location.search) : DEFAULT_SCOPE;
+    setScope(s0);
+    fetch(withScope('/api/summary', s0))
+      .then(r => r.json())
+      .then((s) => {
+        const ids = Object.keys(s?.operatorStakes || {}).sort((a, b) => Number(a) - Number(b));
+        setOperatorIds(ids);
+        setOperatorId(qp && /^\d+$/.test(qp) ? qp : (ids[0] ?? null));
+      })
+      .catch(() => setOperatorId(qp && /^\d+$/.test(qp) ? qp : null));
+  }, []);
+
+  useEffect(() => {
+    if (operatorId == null) return;
+    setList(null);
+    setError(null);
+    setSelected(null);
+    fetch(withScope(`/api/operators/${encodeURIComponent(operatorId)}/nominators`, scope))
+      .then(r => r.json())
+      .then((d) => d?.error ? setError(d.error) : setList(d))
+      .catch((e) => setError(String(e?.message || e)));
+  }, [scope, operatorId]);
+
+  const positions = useMemo(() => {
+    const rows: any[] = (list?.positions || []).filter((p: any) => !activeOnly || p.active);
+    return rows.slice().sort((a, b) => {
+      try {
+        const d = BigInt(b.value || '0') - BigInt(a.value || '0');
+        return d > 0n ? 1 : d < 0n ? -1 : a.firstEpoch - b.firstEpoch;
+      } catch {
+        return a.firstEpoch - b.firstEpoch;
+      }
+    });
+  }, [list, activeOnly]);
+
+  return (
+    <div style={{ maxWidth: 1200, margin: '0 auto', padding: '24px 16px', fontFamily, background: '#f9fafb', minHeight: '100vh' }}>
+      <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', marginBottom: 20 }}>
+        <div>
+          <h1 style={{ fontSize: 24, fontWeight: 600, color: '#111827', margin: 0, lineHeight: 1.2 }}>Nominator Positions</h1>
+          <p style={{ fontSize: 14, color: '#64748b', margin: '2px 0 0 0' }}>Shares, deposits, withdrawals and P&amp;L per position</p>
+        </div>
+        <a href={withScope('/', scope)} style={{ fontSize: 13, color: '#374151', textDecoration: 'none', border: '1px solid #d1d5db', borderRadius: 6, padding: '8px 16px', background: 'white' }}>← Dashboard</a>
+      </div>
+
+      <div style={{ display: 'flex', alignItems: 'center', gap: 8, flexWrap: 'wrap', marginBottom: 16 }}>
+        <span style={{ fontSize: 13, color: '#64748b' }}>Operator</span>
+        {operatorIds.map(id => (
+          <button
+            key={id}
+            onClick={() => setOperatorId(id)}
+            style={{
+              padding: '6px 12px',
+              fontSize: 13,
+              border: '1px solid #d1d5db',
+              borderRadius: 6,
+              background: operatorId === id ? '#111827' : 'white',
+              color: operatorId === id ? 'white' : '#374151',
+              cursor: 'pointer',
+              fontWeight: 500
+            }}
+          >
+            {id}
+          </button>
+        ))}
+        <label style={{ display: 'flex', alignItems: 'center', gap: 6, fontSize: 13, color: '#374151', marginLeft: 'auto' }}>
+          <input type="checkbox" checked={activeOnly} onChange={(e) => setActiveOnly(e.target.checked)} />
+          Active positions only
+        </label>
+      </div>
+
+      {selected && operatorId != null && (
+        <PositionDetail scope={scope} operatorId={operatorId} nominatorId={selected} />
+      )}
+
+      <div style={cardStyle}>
+        {error ? (
+          <p style={{ color: '#EF4444', fontSize: 13, margin: 0 }}>{error}</p>
+        ) : !list ? (
+          <p style={{ color: '#64748b', fontSize: 13, margin: 0 }}>{operatorId == null ? 'No operators found.' : 'Loading positions…'}</p>
+        ) : (
+          <>
+            <p style={{ fontSize: 12, color: '#64748b', margin: '0 0 12px 0' }}>
+              {positions.length} of {(list.positions || []).length} positions · epoch {list.epoch ?? '—'} · share price {formatTokens(list.sharePrice, 9)}
+            </p>
+            <div style={{ overflowX: 'auto' }}>
+              <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+                <thead>
+                  <tr>
+                    <th style={thStyle}>Nominator</th>
+                    <th style={thStyle}>Shares</th>
+                    <th style={thStyle}>Value (AI3)</th>
+                    <th style={thStyle}>Pending deposit</th>
+                    <th style={thStyle}>First epoch</th>
+                    <th style={thStyle}>Last epoch</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {positions.map((p: any) => (
+                    <tr
+                      key={p.nominatorId}
+                      onClick={() => setSelected(p.nominatorId === selected ? null : p.nominatorId)}
+                      style={{ cursor: 'pointer', background: p.nominatorId === selected ? '#EFF6FF' : undefined }}
+                    >
+                      <td style={{ ...tdStyle, fontFamily: monoFamily }} title={p.nominatorId}>{shortId(p.nominatorId)}</td>
+                      <td style={{ ...tdStyle, fontFamily: monoFamily }}>{formatTokens(p.shares)}</td>
+                      <td style={{ ...tdStyle, fontFamily: monoFamily }}>{formatTokens(p.value)}</td>
+                      <td style={{ ...tdStyle, fontFamily: monoFamily }}>{formatTokens(p.pendingDeposit)}</td>
+                      <td style={tdStyle}>{p.firstEpoch}</td>
+                      <td style={{ ...tdStyle, color: p.active ? '#111827' : '#9CA3AF' }}>{p.active ? 'active' : p.lastEpoch}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -1,19 +1,43 @@
 'use client';
 import React, { useEffect, useMemo, useState } from 'react';
 import { LineChart, Line, XAxis, YAxis, Tooltip, ResponsiveContainer, CartesianGrid, ComposedChart, Bar, Brush } from 'recharts';
+import { computeOperatorYields, formatYieldPercent, DEFAULT_YIELD_WINDOWS, OperatorYields, yieldInputsFrom } from '../lib/yields';
+import { rowsFromColumnar } from '../lib/epoch-format';
+import { bucketsAsRows } from '../lib/aggregate';
+import { downsampleEpochs } from '../lib/sampling';
+import { domainName, NETWORK_IDS, NETWORKS, NetworkId, Scope, scopeFromSearch, scopeKey, scopeQuery, withScope, DEFAULT_SCOPE } from '../lib/networks';
+
+// Only the fields the charts and cards read, as parallel arrays, to keep "All" downloads small.
+// meta carries sharePriceSource, which yieldInputsFrom needs to skip placeholder prices.
+const EPOCH_QUERY = 'fields=epoch,endBlock,timestamp,totalStake,storageFees,operatorStakes,rewards,operatorSharePrices,meta&format=columnar';
+
+function epochRowsFrom(body: any): any[] {
+  return body?.format === 'columnar' ? rowsFromColumnar(body) : (Array.isArray(body) ? body : []);
+}
 
-function useEpochs(limit: '50' | '100' | '200' | 'All' = '100'){
+function useEpochs(limit: '50' | '100' | '200' | 'All' = '100', scope: Scope = DEFAULT_SCOPE){
   const [data, setData] = useState<any[]>([]);
   useEffect(() => {
     const qp = limit === 'All' ? 'all' : limit;
-    fetch(`/api/epochs?limit=${encodeURIComponent(String(qp))}`)
+    let cancelled = false;
+    fetch(withScope(`/api/epochs?limit=${encodeURIComponent(String(qp))}&${EPOCH_QUERY}`, scope))
       .then(r => r.json())
-      .then((rows) => Array.isArray(rows) ? setData(rows) : setData([]))
-      .catch(()=>setData([]));
-  }, [limit]);
+      .then((body) => { if (!cancelled) setData(epochRowsFrom(body)); })
+      .catch(() => { if (!cancelled) setData([]); });
+    return () => { cancelled = true; };
+  }, [limit, scopeKey(scope)]);
   return data;
 }
 
+// Series colors cycle by operator ID so any number of operators gets a stable color
+const OPERATOR_COLORS = ['#60A5FA', '#F59E0B', '#10B981', '#EF4444', '#8B5CF6', '#EC4899', '#14B8A6', '#F97316', '#6366F1', '#84CC16'] as const;
+
+function operatorColor(id: string){
+  const n = Number(id);
+  const idx = Number.isFinite(n) && n >= 0 ? n % OPERATOR_COLORS.length : 0;
+  return OPERATOR_COLORS[idx];
+}
+
 function formatBig(x?: string){
   if (!x) return '';
   try {
@@ -232,7 +256,23 @@ function LiveAgo({ lastLiveAt }: { lastLiveAt: number }){
   );
 }
 
-function DashboardHeader({ isLive, liveStatus, lastLiveAt, setIsLive, setLiveStatus, onDownloadCSV, isMobile }: { 
+function selectStyle(isMobile: boolean, fontFamily: string): React.CSSProperties {
+  return {
+    padding: isMobile ? '5px 8px' : '7px 10px',
+    fontSize: isMobile ? '12px' : '13px',
+    border: '1px solid #d1d5db',
+    borderRadius: '6px',
+    background: 'white',
+    color: '#374151',
+    boxShadow: '0 1px 2px rgba(0,0,0,0.05)',
+    fontWeight: 500,
+    fontFamily
+  };
+}
+
+function DashboardHeader({ scope, setScope, isLive, liveStatus, lastLiveAt, setIsLive, setLiveStatus, onDownloadCSV, isMobile }: { 
+  scope: Scope;
+  setScope: (v: Scope) => void;
   isLive: boolean; 
   liveStatus: 'idle' | 'connecting' | 'live' | 'error'; 
   lastLiveAt: number | null; 
@@ -259,7 +299,7 @@ function DashboardHeader({ isLive, liveStatus, lastLiveAt, setIsLive, setLiveSta
           lineHeight: 1.2,
           fontFamily 
         }}>
-          Auto EVM (domain 0)
+          {domainName(scope)} (domain {scope.domainId})
         </h1>
         <p style={{ 
           fontSize: isMobile ? '13px' : '14px', 
@@ -267,11 +307,33 @@ function DashboardHeader({ isLive, liveStatus, lastLiveAt, setIsLive, setLiveSta
           margin: '2px 0 0 0',
           fontFamily 
         }}>
-          Epoch Staking & Rewards
+          Epoch Staking & Rewards · {NETWORKS[scope.network].label}
         </p>
       </div>
       
       <div style={{ display: 'flex', alignItems: 'center', gap: isMobile ? '8px' : '12px' }}>
+        {/* Network & Domain */}
+        <select
+          aria-label="Network"
+          value={scope.network}
+          onChange={(e) => {
+            const network = e.target.value as NetworkId;
+            const domains = NETWORKS[network].domains;
+            setScope({ network, domainId: domains.some(d => d.id === scope.domainId) ? scope.domainId : domains[0].id });
+          }}
+          style={selectStyle(isMobile, fontFamily)}
+        >
+          {NETWORK_IDS.map(id => <option key={id} value={id}>{NETWORKS[id].label}</option>)}
+        </select>
+        <select
+          aria-label="Domain"
+          value={scope.domainId}
+          onChange={(e) => setScope({ network: scope.network, domainId: Number(e.target.value) })}
+          style={selectStyle(isMobile, fontFamily)}
+        >
+          {NETWORKS[scope.network].domains.map(d => <option key={d.id} value={d.id}>{d.id} · {d.name}</option>)}
+        </select>
+
         {/* Live Status & Toggle */}
         <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
           <span
@@ -350,6 +412,42 @@ function DashboardHeader({ isLive, liveStatus, lastLiveAt, setIsLive, setLiveSta
         >
           Download CSV
         </button>
+
+        <a
+          href={withScope('/nominators', scope)}
+          style={{
+            padding: isMobile ? '6px 12px' : '8px 16px',
+            fontSize: isMobile ? '12px' : '13px',
+            border: '1px solid #d1d5db',
+            borderRadius: '6px',
+            background: 'white',
+            color: '#374151',
+            textDecoration: 'none',
+            boxShadow: '0 1px 2px rgba(0,0,0,0.05)',
+            fontWeight: 500,
+            fontFamily
+          }}
+        >
+          Nominators
+        </a>
+
+        <a
+          href={withScope('/simulate', scope)}
+          style={{
+            padding: isMobile ? '6px 12px' : '8px 16px',
+            fontSize: isMobile ? '12px' : '13px',
+            border: '1px solid #d1d5db',
+            borderRadius: '6px',
+            background: 'white',
+            color: '#374151',
+            textDecoration: 'none',
+            boxShadow: '0 1px 2px rgba(0,0,0,0.05)',
+            fontWeight: 500,
+            fontFamily
+          }}
+        >
+          Simulator
+        </a>
       </div>
     </div>
   );
@@ -423,7 +521,7 @@ function MiniSparkline({ data, color }: { data: number[]; color: string }){
   );
 }
 
-function OperatorTable({ rows, latest, isMobile }: { rows: any[]; latest: any; isMobile: boolean }){
+function OperatorTable({ rows, latest, yields, isMobile }: { rows: any[]; latest: any; yields: OperatorYields; isMobile: boolean }){
   const opIds = (latest.latestSharePrices || []).map((r: any) => r.id);
   // Compute common prefix across all visible decimals
   const decimals: string[] = (latest.latestSharePrices || []).map((x: any) => String(x.decimal || ''));
@@ -443,14 +541,6 @@ function OperatorTable({ rows, latest, isMobile }: { rows: any[]; latest: any; i
   const fontFamily = '-apple-system, BlinkMacSystemFont, "Segoe UI", "Inter", sans-serif';
   const monoFamily = '"JetBrains Mono", "SF Mono", Monaco, Consolas, "Liberation Mono", "Courier New", monospace';
   
-  const COLORS = {
-    total: '#111827',
-    op0: '#60A5FA',
-    op1: '#F59E0B',
-    op2: '#10B981',
-    op3: '#EF4444'
-  } as const;
-  
   return (
     <div style={{ 
       background: 'linear-gradient(145deg, #ffffff 0%, #f8fafc 100%)', 
@@ -472,8 +562,7 @@ function OperatorTable({ rows, latest, isMobile }: { rows: any[]; latest: any; i
       <div>
         <div style={{ display: 'grid', gridTemplateColumns: isMobile ? '1fr' : 'repeat(auto-fit, minmax(300px, 1fr))', gap: isMobile ? 12 : 16 }}>
           {(opIds as any[]).map((id: any) => {
-            const color = id === '0' ? COLORS.op0 : id === '1' ? COLORS.op1 : id === '2' ? COLORS.op2 : COLORS.op3;
-            const colorBg = id === '0' ? '#EFF6FF' : id === '1' ? '#FEF3C7' : id === '2' ? '#ECFDF5' : '#FEE2E2';
+            const color = operatorColor(String(id));
             const stakes = rows[rows.length - 1]?.operatorStakes || {};
             const rewards = rows[rows.length - 1]?.rewards || {};
             const stakeStr = formatTokensIntegerFromShannons(stakes[id] || '0');
@@ -632,6 +721,41 @@ function OperatorTable({ rows, latest, isMobile }: { rows: any[]; latest: any; i
                     Perquintill
                   </div>
                 </div>
+
+                {/* Trailing Yield */}
+                <div style={{ 
+                  marginTop: 12,
+                  paddingTop: 12,
+                  borderTop: '1px solid #f1f5f9'
+                }}>
+                  <div style={{ 
+                    fontSize: isMobile ? 11 : 12, 
+                    color: '#64748b', 
+                    fontWeight: 500, 
+                    marginBottom: 6,
+                    textTransform: 'uppercase',
+                    letterSpacing: '0.05em',
+                    fontFamily 
+                  }}>
+                    Yield (APR / APY)
+                  </div>
+                  <div style={{ display: 'grid', gridTemplateColumns: `repeat(${DEFAULT_YIELD_WINDOWS.length}, 1fr)`, gap: 8 }}>
+                    {DEFAULT_YIELD_WINDOWS.map(w => {
+                      const y = yields?.[String(id)]?.[w] ?? null;
+                      return (
+                        <div key={w} title={y ? `Epochs ${y.fromEpoch}–${y.toEpoch} (${y.days.toFixed(1)} days)` : 'Not enough history'}>
+                          <div style={{ fontSize: isMobile ? 10 : 11, color: '#94a3b8', fontFamily }}>{w}e</div>
+                          <div style={{ fontSize: isMobile ? 12 : 13, fontFamily: monoFamily, color: '#111827', fontWeight: 600 }}>
+                            {formatYieldPercent(y?.apr)}
+                          </div>
+                          <div style={{ fontSize: isMobile ? 10 : 11, fontFamily: monoFamily, color: '#64748b' }}>
+                            {formatYieldPercent(y?.apy)}
+                          </div>
+                        </div>
+                      );
+                    })}
+                  </div>
+                </div>
               </div>
             );
           })}
@@ -643,8 +767,19 @@ function OperatorTable({ rows, latest, isMobile }: { rows: any[]; latest: any; i
 
 export default function Dashboard(){
   const [range, setRange] = useState<'50' | '100' | '200' | 'All'>('50');
-  const rows = useEpochs(range);
+  // Network and domain live in the URL (?network=taurus&domain=0) so views can be shared
+  const [scope, setScope] = useState<Scope>(DEFAULT_SCOPE);
+  useEffect(() => { setScope(scopeFromSearch(window.location.search)); }, []);
+  const changeScope = (next: Scope) => {
+    const q = scopeQuery(next);
+    window.history.replaceState(null, '', `${window.location.pathname}${q ? `?${q}` : ''}`);
+    setScope(next);
+  };
+  const rows = useEpochs(range, scope);
   const [allCache, setAllCache] = useState<any[] | null>(null);
+  // X axis: one point per epoch, or calendar rollups from /api/epochs/aggregate
+  const [axis, setAxis] = useState<'epoch' | 'day' | 'week' | 'month'>('epoch');
+  const [bucketRows, setBucketRows] = useState<any[] | null>(null);
 
   const [isLive, setIsLive] = useState(false);
   const [liveStatus, setLiveStatus] = useState<'idle' | 'connecting' | 'live' | 'error'>('idle');
@@ -654,120 +789,60 @@ export default function Dashboard(){
   useEffect(() => {
     // Prefetch all epochs in the background for instant switch later (sample to 1000 points)
     let cancelled = false;
+    setAllCache(null);
     (async () => {
       try {
-        const res = await fetch('/api/epochs?limit=all&sample=1000');
-        const data = await res.json();
-        if (!cancelled && Array.isArray(data)) setAllCache(data);
+        const res = await fetch(withScope(`/api/epochs?limit=all&sample=1000&${EPOCH_QUERY}`, scope));
+        const data = epochRowsFrom(await res.json());
+        if (!cancelled && data.length) setAllCache(data);
       } catch {}
     })();
     return () => { cancelled = true; };
-  }, []);
+  }, [scopeKey(scope)]);
 
-  // removed unused tick that caused heartbeat re-renders when live was on
+  useEffect(() => {
+    if (axis === 'epoch') { setBucketRows(null); return; }
+    let cancelled = false;
+    fetch(withScope(`/api/epochs/aggregate?bucket=${axis}`, scope))
+      .then(r => r.json())
+      .then((d) => { if (!cancelled) setBucketRows(Array.isArray(d?.buckets) ? bucketsAsRows(d.buckets) : []); })
+      .catch(() => { if (!cancelled) setBucketRows([]); });
+    return () => { cancelled = true; };
+  }, [axis, scopeKey(scope)]);
 
-  function mapToObj(m: any){
-    if (!m) return {} as Record<string, string>;
-    const out: Record<string, string> = {};
-    try {
-      if (typeof m.entries === 'function'){
-        for (const [k, v] of m.entries()){
-          const kk = (k?.toNumber?.() ?? Number(k)) as any;
-          out[String(kk)] = v?.toString?.() ?? String(v);
-        }
-        return out;
-      }
-      const j = m.toJSON?.() ?? m;
-      if (j && typeof j === 'object'){
-        for (const [k, v] of Object.entries(j as any)){
-          if (v && typeof v === 'object' && typeof (v as any).toString === 'function'){
-            out[k] = (v as any).toString();
-          } else if (typeof v === 'string' && v.startsWith('0x')){
-            try { out[k] = BigInt(v as string).toString(); } catch { out[k] = String(v); }
-          } else {
-            out[k] = String(v);
-          }
-        }
-        return out;
-      }
-    } catch {}
-    return out;
-  }
+  // removed unused tick that caused heartbeat re-renders when live was on
 
   useEffect(() => {
     if (!isLive) return;
-    let unsub: any;
-    let apiRef: any = null;
-    let disconnected = false;
-    let attempt = 0;
-    const MAX_DELAY = 30000; // 30s cap
-    const connect = async () => {
-      setLiveStatus('connecting');
-      try {
-        const mod = await import('@autonomys/auto-utils');
-        const api = await (mod as any).activate({ rpcUrl: 'wss://rpc.mainnet.subspace.foundation/ws' } as any);
-        apiRef = api;
-        if (disconnected) { try { await api.disconnect(); } catch {} return; }
-        setLiveStatus('live');
-        attempt = 0; // reset backoff on success
-        unsub = await (api as any).rpc.chain.subscribeNewHeads(async (header: any) => {
-          try {
-            const blockNumber = header.number.toNumber();
-            const hash = await (api as any).rpc.chain.getBlockHash(blockNumber);
-            const at = await (api as any).at(hash);
-            const opt = await (at as any).query.domains.domainStakingSummary(0);
-            if (!opt || opt.isNone) return;
-            const s = opt.unwrap();
-            const epochRaw = s.currentEpochIndex ?? s.epochIndex ?? s.epoch;
-            const epoch = typeof epochRaw?.toNumber === 'function' ? epochRaw.toNumber() : Number(epochRaw);
-            const totalStake = (s.currentTotalStake ?? s.totalStake)?.toString?.() ?? null;
-            const operatorStakes = mapToObj(s.currentOperators);
-            const rewards = mapToObj(s.currentEpochRewards);
-            // storage fee fallback: estimate at ~25% of total stake when not available
-            let storageFees: string | null = null;
-            try { if (totalStake) storageFees = (BigInt(totalStake) / BigInt(4)).toString(); } catch {}
-            const row = {
-              domainId: 0,
-              epoch,
-              startBlock: undefined,
-              endBlock: blockNumber,
-              startHash: undefined,
-              endHash: hash.toString(),
-              totalStake,
-              storageFees,
-              operatorStakes,
-              rewards
-            } as any;
-            setLiveRow(row);
-            setLiveBuffer(prev => {
-              if (!prev.length) return [row];
-              const last = prev[prev.length - 1];
-              if (last && last.epoch === row.epoch) {
-                const cp = prev.slice();
-                cp[cp.length - 1] = { ...last, ...row };
-                return cp;
-              }
-              const merged = [...prev, row];
-              const LIMIT = 5;
-              return merged.slice(-LIMIT);
-            });
-            setLastLiveAt(Date.now());
-          } catch {}
-        });
-      } catch (e) {
-        setLiveStatus('error');
-        attempt += 1;
-        const delay = Math.min(MAX_DELAY, 1000 * Math.pow(2, attempt));
-        if (!disconnected) setTimeout(connect, delay);
-      }
-    };
-    connect();
-    return () => {
-      disconnected = true;
-      try { if (typeof unsub === 'function') unsub(); } catch {}
-      try { if (apiRef && typeof apiRef.disconnect === 'function') apiRef.disconnect(); } catch {}
-    };
-  }, [isLive]);
+    // One shared chain subscription on the server; EventSource reconnects by itself
+    setLiveStatus('connecting');
+    setLiveRow(null);
+    setLiveBuffer([]);
+    const es = new EventSource(withScope('/api/stream', scope));
+    es.addEventListener('status', (e) => {
+      try { setLiveStatus(JSON.parse((e as MessageEvent).data).status); } catch {}
+    });
+    es.addEventListener('epoch', (e) => {
+      let row: any;
+      try { row = JSON.parse((e as MessageEvent).data); } catch { return; }
+      setLiveRow(row);
+      setLiveBuffer(prev => {
+        if (!prev.length) return [row];
+        const last = prev[prev.length - 1];
+        if (last && last.epoch === row.epoch) {
+          const cp = prev.slice();
+          cp[cp.length - 1] = { ...last, ...row };
+          return cp;
+        }
+        const merged = [...prev, row];
+        const LIMIT = 5;
+        return merged.slice(-LIMIT);
+      });
+      setLastLiveAt(Date.now());
+    });
+    es.onerror = () => setLiveStatus('error');
+    return () => es.close();
+  }, [isLive, scopeKey(scope)]);
 
   // No global 1s ticker; LiveAgo handles its own timer to avoid chart heartbeat
 
@@ -779,7 +854,8 @@ export default function Dashboard(){
       const last = out[out.length - 1];
       if (!last) { out.push(lr); continue; }
       if (lr.epoch > last.epoch) out.push(lr);
-      else if (lr.epoch === last.epoch) out[out.length - 1] = { ...last, ...lr };
+      // Live rows carry no share prices; keep the stored ones for that epoch
+      else if (lr.epoch === last.epoch) out[out.length - 1] = { ...last, ...lr, operatorSharePrices: Object.keys(lr.operatorSharePrices || {}).length ? lr.operatorSharePrices : last.operatorSharePrices };
     }
     return out;
   }, [rows, liveBuffer]);
@@ -792,6 +868,7 @@ export default function Dashboard(){
     epoch: r.epoch,
     startBlock: r.startBlock,
     endBlock: r.endBlock,
+    timestamp: r.timestamp,
     totalStake: String(r.totalStake ?? '0'),
     storageFees: String(r.storageFees ?? '0'),
     operatorStakes: r.operatorStakes ?? {},
@@ -857,10 +934,8 @@ export default function Dashboard(){
     } as const;
   }, [mergedRows, unit]);
 
-  const [showOp0, setShowOp0] = useState(true);
-  const [showOp1, setShowOp1] = useState(true);
-  const [showOp2, setShowOp2] = useState(true);
-  const [showOp3, setShowOp3] = useState(true);
+  // Operators are shown unless explicitly hidden, so newly registered ones appear by default
+  const [hiddenOps, setHiddenOps] = useState<Record<string, boolean>>({});
   const [stakeScale, setStakeScale] = useState<'auto' | 'fit' | 'log'>('auto');
   const [rewardsScale, setRewardsScale] = useState<'auto' | 'fit' | 'log'>('log');
   const [shareScale, setShareScale] = useState<'auto' | 'fit' | 'log'>('auto');
@@ -895,11 +970,7 @@ export default function Dashboard(){
   const chartPadding = isMobile ? '16px' : '24px';
 
   const COLORS = {
-    total: '#111827',
-    op0: '#60A5FA',
-    op1: '#F59E0B',
-    op2: '#10B981',
-    op3: '#EF4444'
+    total: '#111827'
   } as const;
 
   const displayRows = useMemo(() => {
@@ -908,23 +979,37 @@ export default function Dashboard(){
     return baseRows.slice(-n);
   }, [baseRows, range, allCache]);
 
+  // Trailing yields use the full-history cache plus the loaded range, so the 90-epoch
+  // window is available even when only the last 50 epochs are displayed
+  const yields = useMemo(() => {
+    const byEpoch = new Map<number, any>();
+    for (const r of [...(allCache || []), ...baseRows]) if (r) byEpoch.set(Number(r.epoch), r);
+    return computeOperatorYields(yieldInputsFrom(Array.from(byEpoch.values())));
+  }, [allCache, baseRows]);
+
   const chartRows = useMemo(() => {
+    if (axis !== 'epoch') return bucketRows ?? [];
     const arr = displayRows;
-    if (range === 'All' && arr.length > 1200) {
-      const target = 1000;
-      const step = Math.ceil(arr.length / target);
-      const sampled = arr.filter((_, i) => i % step === 0);
-      if (sampled[sampled.length - 1] !== arr[arr.length - 1]) sampled.push(arr[arr.length - 1]);
-      return sampled;
-    }
+    // Same shape-preserving downsampler as ?sample=, so spikes and dips stay visible
+    if (range === 'All' && arr.length > 1200) return downsampleEpochs(arr, 1000);
     return arr;
-  }, [displayRows, range]);
+  }, [displayRows, range, axis, bucketRows]);
+
+  // Every operator that appears anywhere in the displayed range, in numeric order
+  const opIds = useMemo(() => {
+    const ids = new Set<string>();
+    for (const r of chartRows as any[]){
+      for (const id of Object.keys(r.operatorStakes || {})) ids.add(id);
+      for (const id of Object.keys(r.rewards || {})) ids.add(id);
+      for (const id of Object.keys(r.operatorSharePrices || {})) ids.add(id);
+    }
+    return Array.from(ids).sort((a, b) => Number(a) - Number(b));
+  }, [chartRows]);
+
+  const visibleOps = useMemo(() => opIds.filter(id => !hiddenOps[id]), [opIds, hiddenOps]);
 
   const chartData = useMemo(() => {
-    let prevSP0: number | null = null;
-    let prevSP1: number | null = null;
-    let prevSP2: number | null = null;
-    let prevSP3: number | null = null;
+    const prevSP: Record<string, number | null> = {};
     const base = chartRows.map((r: any) => {
       const rewardsVals = Object.values(r.rewards || {});
       let rewardsTotalNum = 0;
@@ -936,70 +1021,58 @@ export default function Dashboard(){
       } catch {
         rewardsTotalNum = 0;
       }
-      // Convert perquintill share prices (1e18 scale) to plain numbers for display
-      const sp0Raw = r.operatorSharePrices?.['0'];
-      const sp1Raw = r.operatorSharePrices?.['1'];
-      const sp2Raw = r.operatorSharePrices?.['2'];
-      const sp3Raw = r.operatorSharePrices?.['3'];
-      let sp0 = prevSP0 ?? 1; let sp1 = prevSP1 ?? 1; let sp2 = prevSP2 ?? 1; let sp3 = prevSP3 ?? 1;
-      try { if (sp0Raw) sp0 = Number(tokensPlainFromShannons(sp0Raw, 18)); } catch {}
-      try { if (sp1Raw) sp1 = Number(tokensPlainFromShannons(sp1Raw, 18)); } catch {}
-      try { if (sp2Raw) sp2 = Number(tokensPlainFromShannons(sp2Raw, 18)); } catch {}
-      try { if (sp3Raw) sp3 = Number(tokensPlainFromShannons(sp3Raw, 18)); } catch {}
-      prevSP0 = sp0; prevSP1 = sp1; prevSP2 = sp2; prevSP3 = sp3;
-
-      return {
+      const row: Record<string, number> = {
         epoch: r.epoch,
+        x: axis === 'epoch' ? r.epoch : r.bucketStart,
         totalStake: unit === 'AI3' ? tokensNumberFromShannons((function(){ try { return (BigInt(r.totalStake||'0') + BigInt(r.storageFees||'0')).toString(); } catch { return String(r.totalStake||'0'); } })()) : Number(r.totalStake ?? '0'),
-        stake0: unit === 'AI3' ? tokensNumberFromShannons(r.operatorStakes?.['0'] ?? '0') : Number(r.operatorStakes?.['0'] ?? '0'),
-        stake1: unit === 'AI3' ? tokensNumberFromShannons(r.operatorStakes?.['1'] ?? '0') : Number(r.operatorStakes?.['1'] ?? '0'),
-        stake2: unit === 'AI3' ? tokensNumberFromShannons(r.operatorStakes?.['2'] ?? '0') : Number(r.operatorStakes?.['2'] ?? '0'),
-        stake3: unit === 'AI3' ? tokensNumberFromShannons(r.operatorStakes?.['3'] ?? '0') : Number(r.operatorStakes?.['3'] ?? '0'),
-        rewards0: unit === 'AI3' ? tokensNumberFromShannons(r.rewards?.['0'] ?? '0') : Number(r.rewards?.['0'] ?? '0'),
-        rewards1: unit === 'AI3' ? tokensNumberFromShannons(r.rewards?.['1'] ?? '0') : Number(r.rewards?.['1'] ?? '0'),
-        rewards2: unit === 'AI3' ? tokensNumberFromShannons(r.rewards?.['2'] ?? '0') : Number(r.rewards?.['2'] ?? '0'),
-        rewards3: unit === 'AI3' ? tokensNumberFromShannons(r.rewards?.['3'] ?? '0') : Number(r.rewards?.['3'] ?? '0'),
-        rewardsTotal: rewardsTotalNum,
-        share0: sp0 || (prevSP0 ?? 1) || 1,
-        share1: sp1 || (prevSP1 ?? 1) || 1,
-        share2: sp2 || (prevSP2 ?? 1) || 1,
-        share3: sp3 || (prevSP3 ?? 1) || 1
+        rewardsTotal: rewardsTotalNum
       };
+      for (const id of opIds){
+        row[`stake${id}`] = unit === 'AI3' ? tokensNumberFromShannons(r.operatorStakes?.[id] ?? '0') : Number(r.operatorStakes?.[id] ?? '0');
+        row[`rewards${id}`] = unit === 'AI3' ? tokensNumberFromShannons(r.rewards?.[id] ?? '0') : Number(r.rewards?.[id] ?? '0');
+        // Convert perquintill share prices (1e18 scale) to plain numbers for display
+        const spRaw = r.operatorSharePrices?.[id];
+        let sp = prevSP[id] ?? 1;
+        try { if (spRaw) sp = Number(tokensPlainFromShannons(spRaw, 18)); } catch {}
+        row[`share${id}`] = sp || (prevSP[id] ?? 1) || 1;
+        prevSP[id] = sp;
+      }
+      return row;
     });
     // derive deltas (bps) and indexed series
-    let first0: number | null = null;
-    let first1: number | null = null;
-    let first2: number | null = null;
-    let first3: number | null = null;
-    let prev0: number | null = null;
-    let prev1: number | null = null;
-    let prev2: number | null = null;
-    let prev3: number | null = null;
+    const first: Record<string, number | null> = {};
+    const prev: Record<string, number | null> = {};
     for (let i = 0; i < base.length; i++){
       const row: any = base[i];
-      if (first0 == null && row.share0) first0 = row.share0;
-      if (first1 == null && row.share1) first1 = row.share1;
-      if (first2 == null && row.share2) first2 = row.share2;
-      if (first3 == null && row.share3) first3 = row.share3;
-      const d0 = prev0 && prev0 !== 0 ? ((row.share0 - prev0) / prev0) * 10000 : 0;
-      const d1 = prev1 && prev1 !== 0 ? ((row.share1 - prev1) / prev1) * 10000 : 0;
-      const d2 = prev2 && prev2 !== 0 ? ((row.share2 - prev2) / prev2) * 10000 : 0;
-      const d3 = prev3 && prev3 !== 0 ? ((row.share3 - prev3) / prev3) * 10000 : 0;
-      row.share0Bps = Number.isFinite(d0) ? d0 : 0;
-      row.share1Bps = Number.isFinite(d1) ? d1 : 0;
-      row.share2Bps = Number.isFinite(d2) ? d2 : 0;
-      row.share3Bps = Number.isFinite(d3) ? d3 : 0;
-      row.share0Index = first0 && first0 !== 0 ? row.share0 / first0 : 1;
-      row.share1Index = first1 && first1 !== 0 ? row.share1 / first1 : 1;
-      row.share2Index = first2 && first2 !== 0 ? row.share2 / first2 : 1;
-      row.share3Index = first3 && first3 !== 0 ? row.share3 / first3 : 1;
-      prev0 = row.share0;
-      prev1 = row.share1;
-      prev2 = row.share2;
-      prev3 = row.share3;
+      for (const id of opIds){
+        const v = row[`share${id}`];
+        if (first[id] == null && v) first[id] = v;
+        const p = prev[id];
+        const d = p && p !== 0 ? ((v - p) / p) * 10000 : 0;
+        row[`share${id}Bps`] = Number.isFinite(d) ? d : 0;
+        row[`share${id}Index`] = first[id] && first[id] !== 0 ? v / (first[id] as number) : 1;
+        prev[id] = v;
+      }
     }
     return base;
-  }, [chartRows, unit]);
+  }, [chartRows, unit, opIds, axis]);
+
+  // Tick and tooltip labels for the current x axis (epoch number or bucket start time)
+  function xTick(v: any){
+    if (axis === 'epoch') return String(v);
+    const iso = new Date(Number(v)).toISOString();
+    return axis === 'month' ? iso.slice(0, 7) : iso.slice(5, 10);
+  }
+
+  function xLabel(l: any){
+    if (axis === 'epoch') return `Epoch ${l}`;
+    const iso = new Date(Number(l)).toISOString();
+    return axis === 'month' ? iso.slice(0, 7) : axis === 'week' ? `Week of ${iso.slice(0, 10)}` : iso.slice(0, 10);
+  }
+
+  function shareKey(id: string){
+    return shareView === 'delta' ? `share${id}Bps` : (shareView === 'index' ? `share${id}Index` : `share${id}`);
+  }
 
   function computeYDomain(
     data: any[],
@@ -1032,27 +1105,23 @@ export default function Dashboard(){
 
   const stakeYDomain = useMemo(() => computeYDomain(
     chartData,
-    [ ...(showTotals ? ['totalStake'] : []), ...(showOp0 ? ['stake0'] : []), ...(showOp1 ? ['stake1'] : []), ...(showOp2 ? ['stake2'] : []), ...(showOp3 ? ['stake3'] : [])],
+    [ ...(showTotals ? ['totalStake'] : []), ...visibleOps.map(id => `stake${id}`)],
     stakeScale
-  ), [chartData, showOp0, showOp1, showOp2, showOp3, showTotals, stakeScale]);
+  ), [chartData, visibleOps, showTotals, stakeScale]);
 
   const rewardsYDomain = useMemo(() => {
-    const keys = [ ...(showTotals ? ['rewardsTotal'] : []), ...(showOp0 ? ['rewards0'] : []), ...(showOp1 ? ['rewards1'] : []), ...(showOp2 ? ['rewards2'] : []), ...(showOp3 ? ['rewards3'] : [])];
+    const keys = [ ...(showTotals ? ['rewardsTotal'] : []), ...visibleOps.map(id => `rewards${id}`)];
     const hasPos = chartData.some((row:any)=> keys.some(k => Number((row as any)[k] ?? 0) > 0));
     const mode = rewardsScale === 'log' && !hasPos ? 'fit' : rewardsScale;
     return computeYDomain(chartData, keys, mode);
-  }, [chartData, showOp0, showOp1, showOp2, showOp3, showTotals, rewardsScale]);
+  }, [chartData, visibleOps, showTotals, rewardsScale]);
 
   const shareYDomain = useMemo(() => {
-    const keys = shareView === 'delta'
-      ? [ ...(showOp0 ? ['share0Bps'] : []), ...(showOp1 ? ['share1Bps'] : []), ...(showOp2 ? ['share2Bps'] : []), ...(showOp3 ? ['share3Bps'] : []) ]
-      : shareView === 'index'
-        ? [ ...(showOp0 ? ['share0Index'] : []), ...(showOp1 ? ['share1Index'] : []), ...(showOp2 ? ['share2Index'] : []), ...(showOp3 ? ['share3Index'] : []) ]
-        : [ ...(showOp0 ? ['share0'] : []), ...(showOp1 ? ['share1'] : []), ...(showOp2 ? ['share2'] : []), ...(showOp3 ? ['share3'] : []) ];
+    const keys = visibleOps.map(shareKey);
     // For 'abs' view, auto-scale can look flat (values near 1.0). Force 'fit' unless user explicitly selects log.
     const mode = (shareView === 'abs' && shareScale === 'auto') ? 'fit' : (shareView === 'delta' && shareScale === 'log' ? 'fit' : shareScale);
     return computeYDomain(chartData, keys, mode);
-  }, [chartData, showOp0, showOp1, showOp2, showOp3, shareScale, shareView]);
+  }, [chartData, visibleOps, shareScale, shareView]);
 
   const sharedBrushProps: any = brush ? { startIndex: brush.startIndex, endIndex: brush.endIndex } : {};
   function handleBrushChange(range: any){
@@ -1073,26 +1142,22 @@ export default function Dashboard(){
 
     const stakeYDomainFS = useMemo(() => computeYDomain(
       dataForChart,
-      [ ...(showTotals ? ['totalStake'] : []), ...(showOp0 ? ['stake0'] : []), ...(showOp1 ? ['stake1'] : []), ...(showOp2 ? ['stake2'] : []), ...(showOp3 ? ['stake3'] : [])],
+      [ ...(showTotals ? ['totalStake'] : []), ...visibleOps.map(id => `stake${id}`)],
       stakeScale
-    ), [dataForChart, showOp0, showOp1, showOp2, showOp3, showTotals, stakeScale]);
+    ), [dataForChart, visibleOps, showTotals, stakeScale]);
 
     const rewardsYDomainFS = useMemo(() => {
-      const keys = [ ...(showTotals ? ['rewardsTotal'] : []), ...(showOp0 ? ['rewards0'] : []), ...(showOp1 ? ['rewards1'] : []), ...(showOp2 ? ['rewards2'] : []), ...(showOp3 ? ['rewards3'] : [])];
+      const keys = [ ...(showTotals ? ['rewardsTotal'] : []), ...visibleOps.map(id => `rewards${id}`)];
       const hasPos = (dataForChart as any[]).some((row:any)=> keys.some(k => Number((row as any)[k] ?? 0) > 0));
       const mode = rewardsScale === 'log' && !hasPos ? 'fit' : rewardsScale;
       return computeYDomain(dataForChart, keys, mode);
-    }, [dataForChart, showOp0, showOp1, showOp2, showOp3, showTotals, rewardsScale]);
+    }, [dataForChart, visibleOps, showTotals, rewardsScale]);
 
     const shareYDomainFS = useMemo(() => {
-      const keys = shareView === 'delta'
-        ? [ ...(showOp0 ? ['share0Bps'] : []), ...(showOp1 ? ['share1Bps'] : []), ...(showOp2 ? ['share2Bps'] : []), ...(showOp3 ? ['share3Bps'] : []) ]
-        : shareView === 'index'
-          ? [ ...(showOp0 ? ['share0Index'] : []), ...(showOp1 ? ['share1Index'] : []), ...(showOp2 ? ['share2Index'] : []), ...(showOp3 ? ['share3Index'] : []) ]
-          : [ ...(showOp0 ? ['share0'] : []), ...(showOp1 ? ['share1'] : []), ...(showOp2 ? ['share2'] : []), ...(showOp3 ? ['share3'] : []) ];
+      const keys = visibleOps.map(shareKey);
       const mode = shareView === 'delta' && shareScale === 'log' ? 'fit' : shareScale;
       return computeYDomain(dataForChart, keys, mode);
-    }, [dataForChart, showOp0, showOp1, showOp2, showOp3, shareScale, shareView]);
+    }, [dataForChart, visibleOps, shareScale, shareView]);
     
     return (
       <div style={{
@@ -1161,31 +1226,25 @@ export default function Dashboard(){
                 {type === 'stake' ? (
                   <LineChart data={dataForChart} margin={{ top: 20, right: 40, left: 20, bottom: 40 }}>
                     <CartesianGrid stroke="#e5e7eb" strokeDasharray="3 3" />
-                    <XAxis dataKey="epoch" tick={{ fontSize: 12 }} />
+                    <XAxis dataKey="x" tickFormatter={xTick} tick={{ fontSize: 12 }} />
                     <YAxis tickFormatter={(v)=>formatYAxisTick(Number(v), unit)} tick={{ fontSize: 12 }} domain={stakeYDomainFS} scale={stakeScale === 'log' ? 'log' : 'auto'} allowDataOverflow />
-                    <Tooltip formatter={(v)=>`${formatTooltipNumber(Number(v), unit, 'stake')} ${unit}`} labelFormatter={(l)=>`Epoch ${l}`} />
+                    <Tooltip formatter={(v)=>`${formatTooltipNumber(Number(v), unit, 'stake')} ${unit}`} labelFormatter={xLabel} />
                     {showTotals && <Line type="monotone" dataKey="totalStake" dot={false} name="Total Stake" strokeWidth={2} stroke={COLORS.total} />}
-                    {showOp0 && <Line type="monotone" dataKey="stake0" dot={false} name="Operator 0 Stake" stroke={COLORS.op0} strokeDasharray="6 3" strokeWidth={2} />}
-                    {showOp1 && <Line type="monotone" dataKey="stake1" dot={false} name="Operator 1 Stake" stroke={COLORS.op1} strokeDasharray="6 3" strokeWidth={2} />}
-                    {showOp2 && <Line type="monotone" dataKey="stake2" dot={false} name="Operator 2 Stake" stroke={COLORS.op2} strokeDasharray="6 3" strokeWidth={2} />}
-                    {showOp3 && <Line type="monotone" dataKey="stake3" dot={false} name="Operator 3 Stake" stroke={COLORS.op3} strokeDasharray="6 3" strokeWidth={2} />}
+                    {visibleOps.map(id => <Line key={id} type="monotone" dataKey={`stake${id}`} dot={false} name={`Operator ${id} Stake`} stroke={operatorColor(id)} strokeDasharray="6 3" strokeWidth={2} />)}
                   </LineChart>
                 ) : type === 'rewards' ? (
                   <ComposedChart data={dataForChart} margin={{ top: 20, right: 40, left: 20, bottom: 40 }}>
                     <CartesianGrid stroke="#e5e7eb" strokeDasharray="3 3" />
-                    <XAxis dataKey="epoch" tick={{ fontSize: 12 }} />
+                    <XAxis dataKey="x" tickFormatter={xTick} tick={{ fontSize: 12 }} />
                     <YAxis tickFormatter={(v)=>formatYAxisTick(Number(v), unit)} tick={{ fontSize: 12 }} domain={rewardsYDomainFS} scale={rewardsScale === 'log' ? 'log' : 'auto'} allowDataOverflow />
-                    <Tooltip formatter={(v)=>`${formatTooltipNumber(Number(v), unit, 'rewards')} ${unit}`} labelFormatter={(l)=>`Epoch ${l}`} />
-                    {showOp0 && <Bar dataKey="rewards0" name="Operator 0" fill={COLORS.op0} radius={[3,3,0,0]} />}
-                    {showOp1 && <Bar dataKey="rewards1" name="Operator 1" fill={COLORS.op1} radius={[3,3,0,0]} />}
-                    {showOp2 && <Bar dataKey="rewards2" name="Operator 2" fill={COLORS.op2} radius={[3,3,0,0]} />}
-                    {showOp3 && <Bar dataKey="rewards3" name="Operator 3" fill={COLORS.op3} radius={[3,3,0,0]} />}
+                    <Tooltip formatter={(v)=>`${formatTooltipNumber(Number(v), unit, 'rewards')} ${unit}`} labelFormatter={xLabel} />
+                    {visibleOps.map(id => <Bar key={id} dataKey={`rewards${id}`} name={`Operator ${id}`} fill={operatorColor(id)} radius={[3,3,0,0]} />)}
                     {showTotals && <Line type="monotone" dataKey="rewardsTotal" name="Total Rewards" dot={false} stroke={COLORS.total} strokeWidth={3} connectNulls />}
                   </ComposedChart>
                 ) : (
                   <LineChart data={dataForChart} margin={{ top: 20, right: 40, left: 20, bottom: 40 }}>
                     <CartesianGrid stroke="#e5e7eb" strokeDasharray="3 3" />
-                    <XAxis dataKey="epoch" tick={{ fontSize: 12 }} />
+                    <XAxis dataKey="x" tickFormatter={xTick} tick={{ fontSize: 12 }} />
                     <YAxis tickFormatter={(v)=> {
                       if (shareView === 'delta') return `${Number(v).toFixed(1)} bps`;
                       if (shareView === 'index') return Number(v).toExponential(2);
@@ -1195,11 +1254,8 @@ export default function Dashboard(){
                       if (shareView === 'delta') return `${Number(v).toFixed(2)} bps`;
                       if (shareView === 'index') return `${Number(v).toExponential(6)}×`;
                       return Number(v).toExponential(8);
-                    }} labelFormatter={(l)=>`Epoch ${l}`} />
-                    {showOp0 && <Line type="monotone" dataKey={shareView === 'delta' ? 'share0Bps' : (shareView === 'index' ? 'share0Index' : 'share0')} dot={false} name="Operator 0" stroke={COLORS.op0} strokeWidth={2} />}
-                    {showOp1 && <Line type="monotone" dataKey={shareView === 'delta' ? 'share1Bps' : (shareView === 'index' ? 'share1Index' : 'share1')} dot={false} name="Operator 1" stroke={COLORS.op1} strokeWidth={2} />}
-                    {showOp2 && <Line type="monotone" dataKey={shareView === 'delta' ? 'share2Bps' : (shareView === 'index' ? 'share2Index' : 'share2')} dot={false} name="Operator 2" stroke={COLORS.op2} strokeWidth={2} />}
-                    {showOp3 && <Line type="monotone" dataKey={shareView === 'delta' ? 'share3Bps' : (shareView === 'index' ? 'share3Index' : 'share3')} dot={false} name="Operator 3" stroke={COLORS.op3} strokeWidth={2} />}
+                    }} labelFormatter={xLabel} />
+                    {visibleOps.map(id => <Line key={id} type="monotone" dataKey={shareKey(id)} dot={false} name={`Operator ${id}`} stroke={operatorColor(id)} strokeWidth={2} />)}
                   </LineChart>
                 )}
               </ResponsiveContainer>
@@ -1235,6 +1291,8 @@ export default function Dashboard(){
   return (
     <div style={{ minHeight: '100vh', padding: isMobile ? '12px' : '16px 3%', background: 'linear-gradient(135deg, #e5e7eb 0%, #f3f4f6 50%, #e5e7eb 100%)' }}>
       <DashboardHeader 
+        scope={scope}
+        setScope={changeScope}
         isLive={isLive}
         liveStatus={liveStatus}
         lastLiveAt={lastLiveAt}
@@ -1250,7 +1308,7 @@ export default function Dashboard(){
         </div>
         {Array.isArray((summary as any).latestSharePrices) && (summary as any).latestSharePrices.length > 0 && (
           <div>
-            <OperatorTable rows={displayRows} latest={summary as any} isMobile={isMobile} />
+            <OperatorTable rows={displayRows} latest={summary as any} yields={yields} isMobile={isMobile} />
           </div>
         )}
       </div>
@@ -1275,7 +1333,8 @@ export default function Dashboard(){
           <div style={{ fontSize: isMobile ? 12 : 13, color: '#374151', fontWeight: 600 }}>Chart Controls:</div>
           
           <div style={{ fontSize: microFont, color: '#6b7280' }}>Range:</div>
-          <div style={{ display: 'inline-flex', border: '1px solid #e2e8f0', borderRadius: '6px', overflow: 'hidden', boxShadow: '0 1px 2px rgba(0,0,0,0.05)' }}>
+          {/* Time-axis rollups always cover the full history, so the epoch range does not apply */}
+          <div style={{ display: 'inline-flex', border: '1px solid #e2e8f0', borderRadius: '6px', overflow: 'hidden', boxShadow: '0 1px 2px rgba(0,0,0,0.05)', opacity: axis === 'epoch' ? 1 : 0.5 }}>
             {(['50','100','200','All'] as const).map(key => (
               <button
                 key={key}
@@ -1304,6 +1363,39 @@ export default function Dashboard(){
             ))}
           </div>
           
+          <div style={{ width: '1px', height: '16px', background: '#d1d5db', margin: '0 4px' }} />
+
+          <div style={{ fontSize: microFont, color: '#6b7280' }}>Axis:</div>
+          <div style={{ display: 'inline-flex', border: '1px solid #e2e8f0', borderRadius: '6px', overflow: 'hidden', boxShadow: '0 1px 2px rgba(0,0,0,0.05)' }}>
+            {(['epoch','day','week','month'] as const).map(key => (
+              <button
+                key={key}
+                onClick={() => setAxis(key)}
+                title={key === 'epoch' ? 'One point per epoch' : `Rolled up per ${key} over the full history`}
+                style={{
+                  padding: segPad,
+                  fontSize: microFont,
+                  background: axis === key ? '#111827' : 'white',
+                  color: axis === key ? 'white' : '#111827',
+                  border: 'none',
+                  cursor: 'pointer',
+                  transition: 'all 0.15s ease-in-out',
+                  fontWeight: axis === key ? 600 : 500
+                }}
+                onMouseEnter={(e) => {
+                  if (axis !== key) {
+                    e.currentTarget.style.background = '#f3f4f6';
+                  }
+                }}
+                onMouseLeave={(e) => {
+                  if (axis !== key) {
+                    e.currentTarget.style.background = 'white';
+                  }
+                }}
+              >{key === 'epoch' ? 'Epoch' : key[0].toUpperCase() + key.slice(1)}</button>
+            ))}
+          </div>
+
           <div style={{ width: '1px', height: '16px', background: '#d1d5db', margin: '0 4px' }} />
           
           <div style={{ fontSize: microFont, color: '#6b7280' }}>Unit:</div>
@@ -1359,9 +1451,9 @@ export default function Dashboard(){
           <div style={{ width: '1px', height: '16px', background: '#d1d5db', margin: '0 4px' }} />
           <div style={{ fontSize: microFont, color: '#6b7280' }}>Operators:</div>
           <div style={{ display: 'inline-flex', gap: 6 }}>
-            {[{id:'0',color:COLORS.op0,state:showOp0,set:setShowOp0,label:'Op 0'}, {id:'1',color:COLORS.op1,state:showOp1,set:setShowOp1,label:'Op 1'}, {id:'2',color:COLORS.op2,state:showOp2,set:setShowOp2,label:'Op 2'}, {id:'3',color:COLORS.op3,state:showOp3,set:setShowOp3,label:'Op 3'}].map(op => (
+            {opIds.map(id => ({ id, color: operatorColor(id), state: !hiddenOps[id], label: `Op ${id}` })).map(op => (
               <label key={op.id} style={{ display: 'inline-flex', alignItems: 'center', gap: 6, padding: '4px 8px', borderRadius: 6, background: op.state ? '#f8fafc' : 'white', border: `1px solid ${op.state ? op.color : '#e2e8f0'}`, color: op.state ? op.color : '#64748b', cursor: 'pointer' }}>
-                <input type="checkbox" checked={op.state} onChange={(e)=>op.set(e.target.checked)} style={{ display: 'none' }} />
+                <input type="checkbox" checked={op.state} onChange={(e)=>{ const checked = e.target.checked; setHiddenOps(prev => ({ ...prev, [op.id]: !checked })); }} style={{ display: 'none' }} />
                 <span style={{ width: 8, height: 8, borderRadius: '50%', background: op.color }} />
                 <span style={{ fontSize: microFont }}>{op.label}</span>
               </label>
@@ -1428,15 +1520,12 @@ export default function Dashboard(){
             <ResponsiveContainer width="100%" height="100%">
               <LineChart data={chartData} margin={{ top: 10, right: 24, left: 8, bottom: 24 }} syncId="epochs" syncMethod="index">
                 <CartesianGrid stroke="#e5e7eb" strokeDasharray="3 3" />
-                <XAxis dataKey="epoch" tick={{ fontSize: microFont }} />
+                <XAxis dataKey="x" tickFormatter={xTick} tick={{ fontSize: microFont }} />
                 <YAxis tickFormatter={(v)=>formatYAxisTick(Number(v), unit)} tick={{ fontSize: microFont }} domain={stakeYDomain} scale={stakeScale === 'log' ? 'log' : 'auto'} allowDataOverflow />
-                <Tooltip formatter={(v)=>`${formatTooltipNumber(Number(v), unit, 'stake')} ${unit}`} labelFormatter={(l)=>`Epoch ${l}`} />
+                <Tooltip formatter={(v)=>`${formatTooltipNumber(Number(v), unit, 'stake')} ${unit}`} labelFormatter={xLabel} />
                 {showTotals && <Line type="monotone" dataKey="totalStake" dot={false} name="Total Stake" strokeWidth={2} stroke={COLORS.total} />}
-                {showOp0 && <Line type="monotone" dataKey="stake0" dot={false} name="Operator 0 Stake" stroke={COLORS.op0} strokeDasharray="4 2" />}
-                {showOp1 && <Line type="monotone" dataKey="stake1" dot={false} name="Operator 1 Stake" stroke={COLORS.op1} strokeDasharray="4 2" />}
-                {showOp2 && <Line type="monotone" dataKey="stake2" dot={false} name="Operator 2 Stake" stroke={COLORS.op2} strokeDasharray="4 2" />}
-                {showOp3 && <Line type="monotone" dataKey="stake3" dot={false} name="Operator 3 Stake" stroke={COLORS.op3} strokeDasharray="4 2" />}
-                <Brush dataKey="epoch" height={isMobile ? 12 : 14} stroke="#9CA3AF" travellerWidth={isMobile ? 6 : 8} onChange={handleBrushChange} {...sharedBrushProps} />
+                {visibleOps.map(id => <Line key={id} type="monotone" dataKey={`stake${id}`} dot={false} name={`Operator ${id} Stake`} stroke={operatorColor(id)} strokeDasharray="4 2" />)}
+                <Brush dataKey="x" tickFormatter={xTick} height={isMobile ? 12 : 14} stroke="#9CA3AF" travellerWidth={isMobile ? 6 : 8} onChange={handleBrushChange} {...sharedBrushProps} />
               </LineChart>
             </ResponsiveContainer>
             </ChartErrorBoundary>
@@ -1521,15 +1610,12 @@ export default function Dashboard(){
             <ResponsiveContainer width="100%" height="100%">
               <ComposedChart data={chartData} margin={{ top: 10, right: 24, left: 8, bottom: 24 }} syncId="epochs" syncMethod="index">
                 <CartesianGrid stroke="#e5e7eb" strokeDasharray="3 3" />
-                <XAxis dataKey="epoch" tick={{ fontSize: microFont }} />
-                <YAxis tickFormatter={(v)=>formatYAxisTick(Number(v), unit)} tick={{ fontSize: microFont }} domain={rewardsYDomain} scale={rewardsScale === 'log' && chartData.some((row:any)=> ['rewardsTotal','rewards0','rewards1','rewards2','rewards3'].some(k => Number((row as any)[k] ?? 0) > 0)) ? 'log' : 'auto'} allowDataOverflow />
-                <Tooltip formatter={(v)=>`${formatTooltipNumber(Number(v), unit, 'rewards')} ${unit}`} labelFormatter={(l)=>`Epoch ${l}`} />
-                {showOp0 && <Bar dataKey="rewards0" name="Operator 0" fill={COLORS.op0} radius={[2,2,0,0]} />}
-                {showOp1 && <Bar dataKey="rewards1" name="Operator 1" fill={COLORS.op1} radius={[2,2,0,0]} />}
-                {showOp2 && <Bar dataKey="rewards2" name="Operator 2" fill={COLORS.op2} radius={[2,2,0,0]} />}
-                {showOp3 && <Bar dataKey="rewards3" name="Operator 3" fill={COLORS.op3} radius={[2,2,0,0]} />}
+                <XAxis dataKey="x" tickFormatter={xTick} tick={{ fontSize: microFont }} />
+                <YAxis tickFormatter={(v)=>formatYAxisTick(Number(v), unit)} tick={{ fontSize: microFont }} domain={rewardsYDomain} scale={rewardsScale === 'log' && chartData.some((row:any)=> ['rewardsTotal', ...opIds.map(id => `rewards${id}`)].some(k => Number((row as any)[k] ?? 0) > 0)) ? 'log' : 'auto'} allowDataOverflow />
+                <Tooltip formatter={(v)=>`${formatTooltipNumber(Number(v), unit, 'rewards')} ${unit}`} labelFormatter={xLabel} />
+                {visibleOps.map(id => <Bar key={id} dataKey={`rewards${id}`} name={`Operator ${id}`} fill={operatorColor(id)} radius={[2,2,0,0]} />)}
                 {showTotals && <Line type="monotone" dataKey="rewardsTotal" name="Total Rewards" dot={false} stroke={COLORS.total} strokeWidth={2} connectNulls />}
-                <Brush dataKey="epoch" height={isMobile ? 12 : 14} stroke="#9CA3AF" travellerWidth={isMobile ? 6 : 8} onChange={handleBrushChange} {...sharedBrushProps} />
+                <Brush dataKey="x" tickFormatter={xTick} height={isMobile ? 12 : 14} stroke="#9CA3AF" travellerWidth={isMobile ? 6 : 8} onChange={handleBrushChange} {...sharedBrushProps} />
               </ComposedChart>
             </ResponsiveContainer>
             </ChartErrorBoundary>
@@ -1613,7 +1699,7 @@ export default function Dashboard(){
             <ResponsiveContainer width="100%" height="100%">
               <LineChart data={chartData} margin={{ top: 10, right: 24, left: 8, bottom: 24 }} syncId="epochs" syncMethod="index">
                 <CartesianGrid stroke="#e5e7eb" strokeDasharray="3 3" />
-                <XAxis dataKey="epoch" tick={{ fontSize: microFont }} />
+                <XAxis dataKey="x" tickFormatter={xTick} tick={{ fontSize: microFont }} />
                 <YAxis tickFormatter={(v)=> {
                   if (shareView === 'delta') return `${Number(v).toFixed(1)} bps`;
                   if (shareView === 'index') return Number(v).toFixed(6);
@@ -1623,12 +1709,9 @@ export default function Dashboard(){
                   if (shareView === 'delta') return `${Number(v).toFixed(2)} bps`;
                   if (shareView === 'index') return `${Number(v).toFixed(8)}×`;
                   return Number(v).toFixed(8);
-                }} labelFormatter={(l)=>`Epoch ${l}`} />
-                {showOp0 && <Line type="monotone" dataKey={shareView === 'delta' ? 'share0Bps' : (shareView === 'index' ? 'share0Index' : 'share0')} dot={false} name="Operator 0" stroke={COLORS.op0} />}
-                {showOp1 && <Line type="monotone" dataKey={shareView === 'delta' ? 'share1Bps' : (shareView === 'index' ? 'share1Index' : 'share1')} dot={false} name="Operator 1" stroke={COLORS.op1} />}
-                {showOp2 && <Line type="monotone" dataKey={shareView === 'delta' ? 'share2Bps' : (shareView === 'index' ? 'share2Index' : 'share2')} dot={false} name="Operator 2" stroke={COLORS.op2} />}
-                {showOp3 && <Line type="monotone" dataKey={shareView === 'delta' ? 'share3Bps' : (shareView === 'index' ? 'share3Index' : 'share3')} dot={false} name="Operator 3" stroke={COLORS.op3} />}
-                <Brush dataKey="epoch" height={isMobile ? 12 : 14} stroke="#9CA3AF" travellerWidth={isMobile ? 6 : 8} onChange={handleBrushChange} {...sharedBrushProps} />
+                }} labelFormatter={xLabel} />
+                {visibleOps.map(id => <Line key={id} type="monotone" dataKey={shareKey(id)} dot={false} name={`Operator ${id}`} stroke={operatorColor(id)} />)}
+                <Brush dataKey="x" tickFormatter={xTick} height={isMobile ? 12 : 14} stroke="#9CA3AF" travellerWidth={isMobile ? 6 : 8} onChange={handleBrushChange} {...sharedBrushProps} />
               </LineChart>
             </ResponsiveContainer>
             </ChartErrorBoundary>
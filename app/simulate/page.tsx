@@ -0,0 +1,166 @@
+'use client';
+import React, { useEffect, useMemo, useState } from 'react';
+import { LineChart, Line, XAxis, YAxis, Tooltip, ResponsiveContainer, CartesianGrid } from 'recharts';
+import { formatTokens } from '../../lib/amounts';
+import { DEFAULT_SCOPE, Scope, scopeFromSearch, withScope } from '../../lib/networks';
+
+const fontFamily = '-apple-system, BlinkMacSystemFont, "Segoe UI", "Inter", sans-serif';
+const monoFamily = '"JetBrains Mono", "SF Mono", Monaco, Consolas, "Liberation Mono", "Courier New", monospace';
+
+const cardStyle: React.CSSProperties = {
+  background: 'linear-gradient(145deg, #ffffff 0%, #f8fafc 100%)',
+  borderRadius: '12px',
+  border: '2px solid #d1d5db',
+  boxShadow: '0 8px 16px rgba(0, 0, 0, 0.12), 0 4px 6px rgba(0, 0, 0, 0.08)',
+  padding: '20px',
+  marginBottom: '20px'
+};
+
+const inputStyle: React.CSSProperties = {
+  padding: '8px 10px',
+  fontSize: 13,
+  border: '1px solid #d1d5db',
+  borderRadius: 6,
+  background: 'white',
+  color: '#111827',
+  fontFamily: monoFamily,
+  width: '100%',
+  boxSizing: 'border-box'
+};
+
+function tokensNumber(x?: string | null){
+  const s = formatTokens(x, 6).replace(/,/g, '');
+  return s ? parseFloat(s) : 0;
+}
+
+function Field({ label, children }: { label: string; children: React.ReactNode }){
+  return (
+    <label style={{ display: 'block' }}>
+      <div style={{ fontSize: 11, color: '#64748b', textTransform: 'uppercase', letterSpacing: '0.04em', marginBottom: 4 }}>{label}</div>
+      {children}
+    </label>
+  );
+}
+
+function Stat({ label, value, color }: { label: string; value: string; color?: string }){
+  return (
+    <div style={{ border: '1px solid #e5e7eb', borderRadius: 10, padding: '12px 14px', background: 'white' }}>
+      <div style={{ fontSize: 11, color: '#64748b', textTransform: 'uppercase', letterSpacing: '0.04em', marginBottom: 4 }}>{label}</div>
+      <div style={{ fontSize: 16, fontWeight: 600, color: color || '#111827', fontFamily: monoFamily }}>{value}</div>
+    </div>
+  );
+}
+
+export default function SimulatePage(){
+  const [operatorIds, setOperatorIds] = useState<string[]>([]);
+  const [operatorId, setOperatorId] = useState('0');
+  const [epoch, setEpoch] = useState('0');
+  const [amount, setAmount] = useState('1000');
+  const [result, setResult] = useState<any | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [scope, setScope] = useState<Scope>(DEFAULT_SCOPE);
+
+  useEffect(() => {
+    // ?network= and ?domain= come from the dashboard link
+    const s0 = scopeFromSearch(window.location.search);
+    setScope(s0);
+    fetch(withScope('/api/summary', s0))
+      .then(r => r.json())
+      .then((s) => {
+        const ids = Object.keys(s?.operatorStakes || {}).sort((a, b) => Number(a) - Number(b));
+        setOperatorIds(ids);
+        if (ids.length && !ids.includes(operatorId)) setOperatorId(ids[0]);
+      })
+      .catch(() => {});
+  }, []);
+
+  function run(e?: React.FormEvent){
+    e?.preventDefault();
+    setLoading(true);
+    setError(null);
+    const qs = new URLSearchParams({ operator: operatorId, epoch, amount: amount.trim() });
+    fetch(withScope(`/api/simulate?${qs.toString()}`, scope))
+      .then(r => r.json())
+      .then((d) => {
+        if (d?.error) { setError(d.error); setResult(null); } else setResult(d);
+      })
+      .catch((err) => setError(String(err?.message || err)))
+      .finally(() => setLoading(false));
+  }
+
+  const chartData = useMemo(() => (result?.points || []).map((p: any) => ({
+    epoch: p.epoch,
+    value: tokensNumber(p.value),
+    rewards: tokensNumber(p.rewards)
+  })), [result]);
+
+  return (
+    <div style={{ maxWidth: 1200, margin: '0 auto', padding: '24px 16px', fontFamily, background: '#f9fafb', minHeight: '100vh' }}>
+      <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', marginBottom: 20 }}>
+        <div>
+          <h1 style={{ fontSize: 24, fontWeight: 600, color: '#111827', margin: 0, lineHeight: 1.2 }}>Staking Simulator</h1>
+          <p style={{ fontSize: 14, color: '#64748b', margin: '2px 0 0 0' }}>What a deposit at a past epoch would be worth today</p>
+        </div>
+        <a href={withScope('/', scope)} style={{ fontSize: 13, color: '#374151', textDecoration: 'none', border: '1px solid #d1d5db', borderRadius: 6, padding: '8px 16px', background: 'white' }}>← Dashboard</a>
+      </div>
+
+      <form onSubmit={run} style={{ ...cardStyle, display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(180px, 1fr))', gap: 12, alignItems: 'end' }}>
+        <Field label="Operator">
+          <select value={operatorId} onChange={(e) => setOperatorId(e.target.value)} style={inputStyle}>
+            {(operatorIds.length ? operatorIds : [operatorId]).map(id => <option key={id} value={id}>Operator {id}</option>)}
+          </select>
+        </Field>
+        <Field label="Start epoch">
+          <input value={epoch} onChange={(e) => setEpoch(e.target.value.replace(/[^0-9]/g, ''))} inputMode="numeric" style={inputStyle} />
+        </Field>
+        <Field label="Amount (AI3)">
+          <input value={amount} onChange={(e) => setAmount(e.target.value.replace(/[^0-9.]/g, ''))} inputMode="decimal" style={inputStyle} />
+        </Field>
+        <button
+          type="submit"
+          disabled={loading}
+          style={{ padding: '9px 16px', fontSize: 13, border: '1px solid #111827', borderRadius: 6, background: '#111827', color: 'white', cursor: loading ? 'wait' : 'pointer', fontWeight: 600 }}
+        >
+          {loading ? 'Simulating…' : 'Simulate'}
+        </button>
+      </form>
+
+      {error && <div style={{ ...cardStyle, color: '#EF4444', fontSize: 13 }}>{error}</div>}
+
+      {result && (
+        <div style={cardStyle}>
+          <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(160px, 1fr))', gap: 12, marginBottom: 20 }}>
+            <Stat label="Deposited" value={formatTokens(result.amount)} />
+            <Stat label={`Staked (${100 - result.storageFeePercent}%)`} value={formatTokens(result.staked)} />
+            <Stat label={`Storage fee (${result.storageFeePercent}%)`} value={formatTokens(result.storageFee)} />
+            <Stat label="Rewards earned" value={formatTokens(result.rewards, 6)} color="#059669" />
+            <Stat label="Final value" value={formatTokens(result.finalValue, 6)} />
+            <Stat label="Epochs" value={`${result.startEpoch} – ${result.points[result.points.length - 1]?.epoch ?? ''}`} />
+          </div>
+          {result.startEpoch !== result.requestedEpoch && (
+            <p style={{ fontSize: 12, color: '#64748b', margin: '0 0 12px 0' }}>
+              No share price at epoch {result.requestedEpoch}; the deposit starts at the next available epoch, {result.startEpoch}.
+            </p>
+          )}
+          <div style={{ height: 300 }}>
+            <ResponsiveContainer width="100%" height="100%">
+              <LineChart data={chartData} margin={{ top: 8, right: 16, left: 8, bottom: 8 }}>
+                <CartesianGrid stroke="#f1f5f9" />
+                <XAxis dataKey="epoch" tick={{ fontSize: 11 }} />
+                <YAxis yAxisId="value" tick={{ fontSize: 11 }} width={80} domain={['auto', 'auto']} />
+                <YAxis yAxisId="rewards" orientation="right" tick={{ fontSize: 11 }} width={70} />
+                <Tooltip formatter={(v: any, name: any) => [Number(v).toLocaleString('en-US', { maximumFractionDigits: 6 }), name]} labelFormatter={(l: any) => `Epoch ${l}`} />
+                <Line yAxisId="value" type="monotone" dataKey="value" name="Value (AI3)" stroke="#60A5FA" dot={false} strokeWidth={2} isAnimationActive={false} />
+                <Line yAxisId="rewards" type="monotone" dataKey="rewards" name="Rewards (AI3)" stroke="#10B981" dot={false} strokeWidth={2} isAnimationActive={false} />
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+          <p style={{ fontSize: 11, color: '#94a3b8', margin: '12px 0 0 0' }}>
+            The storage fee portion is shown at its deposited amount; storage fund payouts are not tracked in the snapshots.
+          </p>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { aggregateEpochs, epochBucketFromSql } from './aggregate.js';
+import type { EpochRow } from './types';
+
+function row(epoch: number, datetime: string, fields: Partial<EpochRow>): EpochRow {
+  return {
+    domainId: 0,
+    epoch,
+    endBlock: epoch * 10,
+    timestamp: Date.parse(datetime),
+    datetime,
+    totalStake: '0',
+    storageFees: '0',
+    operatorStakes: {},
+    rewards: {},
+    operatorSharePrices: {},
+    meta: { rewardsHasAny: true, sharePricesHasAny: true, sampleApplied: false, sharePriceSource: 'shares' },
+    ...fields
+  } as EpochRow;
+}
+
+// Two epochs on Monday 2025-01-06 and one on the Tuesday
+const rows = [
+  row(1, '2025-01-06T10:00:00.000Z', { totalStake: '1000', operatorStakes: { 0: '600', 1: '400' }, rewards: { 0: '5', 1: '7' }, operatorSharePrices: { 0: '1200000000000000000' }, depositsCount: 3, withdrawalsCount: 1 }),
+  row(2, '2025-01-06T20:00:00.000Z', { totalStake: '1100', operatorStakes: { 0: '650', 1: '450' }, rewards: { 0: '6' }, operatorSharePrices: { 0: '1300000000000000000' }, depositsCount: 5, withdrawalsCount: 0 }),
+  row(3, '2025-01-07T01:00:00.000Z', { totalStake: '1200', operatorStakes: { 0: '700' }, rewards: { 0: '1', 2: '9' }, operatorSharePrices: { 0: '1400000000000000000' }, depositsCount: 2, withdrawalsCount: 4 })
+];
+// Operator 1 has stake but no shares, so completeOperatorMaps padded its price with 1.0
+rows[0].operatorSharePrices[1] = '1000000000000000000';
+rows[0].meta!.paddedSharePrices = ['1'];
+
+// What comprehensive_analytics_buckets('day') returns for the same epochs
+const sqlRows = [
+  {
+    bucket_start: '2025-01-06T00:00:00+00:00', first_epoch: 1, last_epoch: 2, epochs: 2,
+    total_stake: '1100', storage_fees: '0', rewards_total: '18',
+    operators: {
+      0: { stake: '650', rewards: '11', sharePrice: { avg: '1250000000000000000', min: '1200000000000000000', max: '1300000000000000000', close: '1300000000000000000' } },
+      1: { stake: '450', rewards: '7', sharePrice: null }
+    },
+    open_deposits_close: 5, open_deposits_max: 5, pending_withdrawals_close: 0, pending_withdrawals_max: 1
+  },
+  {
+    bucket_start: '2025-01-07T00:00:00+00:00', first_epoch: 3, last_epoch: 3, epochs: 1,
+    total_stake: '1200', storage_fees: '0', rewards_total: '10',
+    operators: {
+      0: { stake: '700', rewards: '1', sharePrice: { avg: '1400000000000000000', min: '1400000000000000000', max: '1400000000000000000', close: '1400000000000000000' } },
+      2: { stake: null, rewards: '9', sharePrice: null }
+    },
+    open_deposits_close: 2, open_deposits_max: 2, pending_withdrawals_close: 4, pending_withdrawals_max: 4
+  }
+];
+
+test('aggregateEpochs and the SQL rollup give the same daily buckets', () => {
+  const fromRows = aggregateEpochs(rows, 'day');
+  assert.deepEqual(sqlRows.map(r => epochBucketFromSql(r, 'day')), fromRows);
+  assert.equal(fromRows[0].end, '2025-01-07T00:00:00.000Z');
+  assert.deepEqual(fromRows[0].openDeposits, { close: 5, max: 5 });
+  assert.deepEqual(fromRows[0].pendingWithdrawals, { close: 0, max: 1 });
+});
+
+test('weeks start on Monday in UTC', () => {
+  const [week] = aggregateEpochs(rows, 'week');
+  assert.equal(week.bucket, '2025-01-06');
+  assert.equal(week.end, '2025-01-13T00:00:00.000Z');
+  assert.equal(week.epochs, 3);
+});
@@ -0,0 +1,212 @@
+// Calendar rollups of epoch rows for /api/epochs/aggregate and the dashboard's time axis.
+// Buckets are UTC and follow Postgres date_trunc(): weeks start on Monday. On Supabase
+// the rollup runs in SQL (sql/13_epoch_buckets.sql); the file backends use aggregateEpochs.
+
+import type { AmountMap, EpochRow } from './types';
+
+export const BUCKETS = ['hour', 'day', 'week', 'month'] as const;
+export type Bucket = typeof BUCKETS[number];
+
+export type SharePriceStats = { avg: string; min: string; max: string; close: string };
+
+export type BucketOperator = {
+  rewards: string;               // sum over the bucket
+  stake: string | null;          // at the bucket's last epoch
+  sharePrice: SharePriceStats | null;
+};
+
+export type EpochBucket = {
+  bucket: string;                // label: 2025-01-06, 2025-01, 2025-01-06T13:00Z
+  start: string;                 // ISO start, inclusive
+  end: string;                   // ISO end, exclusive
+  firstEpoch: number;
+  lastEpoch: number;
+  epochs: number;
+  totalStake: string;            // closing
+  storageFees: string;           // closing
+  rewardsTotal: string;
+  operators: Record<string, BucketOperator>;
+  // Sizes of the deposits / withdrawals storage maps, closing and peak within the
+  // bucket. These are open positions, not the number of deposits or withdrawals made.
+  openDeposits: MapSizeStats | null;
+  pendingWithdrawals: MapSizeStats | null;
+};
+
+export type MapSizeStats = { close: number; max: number };
+
+/** Start (inclusive) and end (exclusive) of the bucket containing `t`. */
+export function bucketBounds(t: Date, bucket: Bucket): { start: Date; end: Date } {
+  const y = t.getUTCFullYear(), m = t.getUTCMonth(), d = t.getUTCDate();
+  switch (bucket) {
+    case 'hour': {
+      const start = new Date(Date.UTC(y, m, d, t.getUTCHours()));
+      return { start, end: new Date(start.getTime() + 3600_000) };
+    }
+    case 'day': {
+      const start = new Date(Date.UTC(y, m, d));
+      return { start, end: new Date(Date.UTC(y, m, d + 1)) };
+    }
+    case 'week': {
+      const back = (t.getUTCDay() + 6) % 7; // days since Monday
+      const start = new Date(Date.UTC(y, m, d - back));
+      return { start, end: new Date(Date.UTC(y, m, d - back + 7)) };
+    }
+    case 'month':
+      return { start: new Date(Date.UTC(y, m, 1)), end: new Date(Date.UTC(y, m + 1, 1)) };
+  }
+}
+
+export function bucketLabel(start: Date, bucket: Bucket): string {
+  const iso = start.toISOString();
+  if (bucket === 'hour') return `${iso.slice(0, 13)}:00Z`;
+  if (bucket === 'month') return iso.slice(0, 7);
+  return iso.slice(0, 10);
+}
+
+function rowTime(r: EpochRow): Date | null {
+  const t = r.datetime ? Date.parse(r.datetime) : (r.timestamp != null ? Number(r.timestamp) : NaN);
+  return Number.isFinite(t) ? new Date(t) : null;
+}
+
+function big(v: any): bigint {
+  try { return v == null ? 0n : BigInt(String(v)); } catch { return 0n; }
+}
+
+function mapSizeStats(values: (number | null | undefined)[]): MapSizeStats | null {
+  const known = values.filter((v): v is number => v != null);
+  if (!known.length) return null;
+  return { close: known[known.length - 1], max: Math.max(...known) };
+}
+
+function rollup(rows: EpochRow[], start: Date, bucket: Bucket, end: Date): EpochBucket {
+  const last = rows[rows.length - 1];
+  const ids = new Set<string>();
+  for (const r of rows){
+    for (const id of Object.keys(r.operatorStakes || {})) ids.add(id);
+    for (const id of Object.keys(r.rewards || {})) ids.add(id);
+  }
+
+  let rewardsTotal = 0n;
+  const operators: Record<string, BucketOperator> = {};
+  for (const id of Array.from(ids).sort((a, b) => Number(a) - Number(b))){
+    let rewards = 0n;
+    for (const r of rows) rewards += big(r.rewards?.[id]);
+    rewardsTotal += rewards;
+
+    // Only real prices: the network/default placeholders and operators padded with 1.0
+    // would flatten min/max (comprehensive_analytics_buckets has neither)
+    const prices: bigint[] = [];
+    for (const r of rows){
+      const src = r.meta?.sharePriceSource;
+      const p = r.operatorSharePrices?.[id];
+      if (p != null && src !== 'network' && src !== 'default' && !r.meta?.paddedSharePrices?.includes(id)) prices.push(big(p));
+    }
+    let sharePrice: SharePriceStats | null = null;
+    if (prices.length){
+      let sum = 0n, min = prices[0], max = prices[0];
+      for (const p of prices){
+        sum += p;
+        if (p < min) min = p;
+        if (p > max) max = p;
+      }
+      sharePrice = {
+        avg: (sum / BigInt(prices.length)).toString(),
+        min: min.toString(),
+        max: max.toString(),
+        close: prices[prices.length - 1].toString()
+      };
+    }
+
+    let stake: string | null = null;
+    for (let i = rows.length - 1; i >= 0 && stake == null; i--) stake = rows[i].operatorStakes?.[id] ?? null;
+    operators[id] = { rewards: rewards.toString(), stake, sharePrice };
+  }
+
+  return {
+    bucket: bucketLabel(start, bucket),
+    start: start.toISOString(),
+    end: end.toISOString(),
+    firstEpoch: rows[0].epoch,
+    lastEpoch: last.epoch,
+    epochs: rows.length,
+    totalStake: last.totalStake,
+    storageFees: last.storageFees,
+    rewardsTotal: rewardsTotal.toString(),
+    operators,
+    openDeposits: mapSizeStats(rows.map(r => r.depositsCount)),
+    pendingWithdrawals: mapSizeStats(rows.map(r => r.withdrawalsCount))
+  };
+}
+
+/**
+ * Group ascending epoch rows into calendar buckets. Rows without a time are skipped.
+ * Empty buckets are not emitted.
+ */
+export function aggregateEpochs(rows: EpochRow[], bucket: Bucket): EpochBucket[] {
+  const out: EpochBucket[] = [];
+  let current: { start: Date; end: Date; rows: EpochRow[] } | null = null;
+  for (const r of rows){
+    const t = rowTime(r);
+    if (!t) continue;
+    if (current && t.getTime() >= current.start.getTime() && t.getTime() < current.end.getTime()){
+      current.rows.push(r);
+      continue;
+    }
+    if (current) out.push(rollup(current.rows, current.start, bucket, current.end));
+    const { start, end } = bucketBounds(t, bucket);
+    current = { start, end, rows: [r] };
+  }
+  if (current) out.push(rollup(current.rows, current.start, bucket, current.end));
+  return out;
+}
+
+/** Map one comprehensive_analytics_buckets() row (sql/13_epoch_buckets.sql) to an EpochBucket. */
+export function epochBucketFromSql(r: any, bucket: Bucket): EpochBucket {
+  const start = new Date(r.bucket_start);
+  const operators: Record<string, BucketOperator> = {};
+  for (const id of Object.keys(r.operators || {}).sort((a, b) => Number(a) - Number(b))){
+    const op = r.operators[id];
+    operators[id] = { rewards: op.rewards, stake: op.stake ?? null, sharePrice: op.sharePrice ?? null };
+  }
+  return {
+    bucket: bucketLabel(start, bucket),
+    start: start.toISOString(),
+    end: bucketBounds(start, bucket).end.toISOString(),
+    firstEpoch: Number(r.first_epoch),
+    lastEpoch: Number(r.last_epoch),
+    epochs: Number(r.epochs),
+    totalStake: r.total_stake,
+    storageFees: r.storage_fees,
+    rewardsTotal: r.rewards_total,
+    operators,
+    openDeposits: r.open_deposits_close != null ? { close: r.open_deposits_close, max: r.open_deposits_max } : null,
+    pendingWithdrawals: r.pending_withdrawals_close != null ? { close: r.pending_withdrawals_close, max: r.pending_withdrawals_max } : null
+  };
+}
+
+/**
+ * Flatten buckets back into EpochRow-like rows (closing stakes, summed rewards, closing
+ * share price) so charts built for epochs can plot them against bucket start time.
+ */
+export function bucketsAsRows(buckets: EpochBucket[]): (Pick<EpochRow, 'epoch' | 'totalStake' | 'storageFees' | 'operatorStakes' | 'rewards' | 'operatorSharePrices'> & { bucket: string; bucketStart: number })[] {
+  return buckets.map(b => {
+    const operatorStakes: AmountMap = {};
+    const rewards: AmountMap = {};
+    const operatorSharePrices: AmountMap = {};
+    for (const [id, op] of Object.entries(b.operators)){
+      if (op.stake != null) operatorStakes[id] = op.stake;
+      rewards[id] = op.rewards;
+      if (op.sharePrice) operatorSharePrices[id] = op.sharePrice.close;
+    }
+    return {
+      epoch: b.lastEpoch,
+      bucket: b.bucket,
+      bucketStart: Date.parse(b.start),
+      totalStake: b.totalStake,
+      storageFees: b.storageFees,
+      operatorStakes,
+      rewards,
+      operatorSharePrices
+    };
+  });
+}
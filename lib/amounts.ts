@@ -0,0 +1,40 @@
+// Exact conversions between decimal AI3 token strings and integer Shannons (1e18).
+
+export const SHANNONS_PER_TOKEN = 10n ** 18n;
+// Share prices use the same 1e18 scale (perquintill); 1.0 is the floor price
+export const PERQUINTILL_ONE = (10n ** 18n).toString();
+
+export function toStringSafe(v: any): string {
+  return v == null ? '0' : String(v);
+}
+
+export function tokensToShannonsString(val: any): string {
+  // Convert a decimal tokens value to an integer 1e18-scaled string exactly
+  if (val == null) return '0';
+  const s = String(val);
+  if (!s.includes('.')) return (BigInt(s) * (10n ** 18n)).toString();
+  const [intPart, fracPartRaw] = s.split('.');
+  const frac = (fracPartRaw || '').replace(/[^0-9]/g, '');
+  const fracPadded = (frac + '0'.repeat(18)).slice(0, 18);
+  const i = BigInt(intPart || '0') * (10n ** 18n);
+  const f = BigInt(fracPadded);
+  return (i + f).toString();
+}
+
+export function formatTokens(x?: string | null, fractionDigits = 4){
+  // Signed Shannons -> AI3 with thousands separators, rounded half away from zero
+  if (x == null || x === '') return '';
+  try {
+    let value = BigInt(x);
+    const negative = value < 0n;
+    if (negative) value = -value;
+    const base = 10n ** 18n;
+    const scale = 10n ** BigInt(fractionDigits);
+    const scaled = (value * scale + base / 2n) / base;
+    const intStr = (scaled / scale).toString().replace(/\B(?=(\d{3})+(?!\d))/g, ',');
+    const fracStr = (scaled % scale).toString().padStart(fractionDigits, '0');
+    return `${negative ? '-' : ''}${intStr}${fractionDigits > 0 ? `.${fracStr}` : ''}`;
+  } catch {
+    return '';
+  }
+}
@@ -0,0 +1,59 @@
+import path from 'path';
+import { DEFAULT_SCOPE, NetworkId, Scope, scopeKey } from '../networks';
+import { FallbackRepository, EpochRepository, UnsupportedQueryError } from '../repository';
+import { DEFAULT_JSON_PATH, JsonFileRepository } from './json-file';
+import { DEFAULT_SQLITE_PATH, SqliteRepository } from './sqlite';
+import { SupabaseRepository } from './supabase';
+
+export { JsonFileRepository, SqliteRepository, SupabaseRepository };
+
+const cached = new Map<string, EpochRepository>();
+
+/**
+ * The file for a network: the configured path holds mainnet and every other network
+ * gets a sibling, e.g. comprehensive-metrics-taurus.db. Domains share the file; rows
+ * are keyed by domain.
+ */
+export function scopedPath(base: string, network: NetworkId): string {
+  if (network === DEFAULT_SCOPE.network) return base;
+  const ext = path.extname(base);
+  return `${base.slice(0, base.length - ext.length)}-${network}${ext}`;
+}
+
+/**
+ * The repository every API route reads from, chosen by DATA_BACKEND:
+ * - `supabase`: comprehensive_analytics and the normalized tables; epoch lists fall
+ *   back to public/data/epochs.json when a query fails. Mainnet only, any domain.
+ * - `sqlite`: the backfill database at SQLITE_PATH (public/data/comprehensive-metrics.db)
+ * - `json`: public/data/epochs.json only
+ * Unset, it is `supabase` when the Supabase env vars are present and `json` otherwise.
+ * File backends read other networks from scopedPath() siblings.
+ */
+export function getEpochRepository(scope: Scope = DEFAULT_SCOPE): EpochRepository {
+  const hit = cached.get(scopeKey(scope));
+  if (hit) return hit;
+  const url = process.env.NEXT_PUBLIC_SUPABASE_URL;
+  const key = process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.NEXT_PUBLIC_SUPABASE_ANON_KEY;
+  const kind = (process.env.DATA_BACKEND || (url && key ? 'supabase' : 'json')).trim().toLowerCase();
+  const jsonPath = scopedPath(DEFAULT_JSON_PATH, scope.network);
+
+  let repo: EpochRepository;
+  switch (kind) {
+    case 'supabase':
+      if (!url || !key) throw new Error('DATA_BACKEND=supabase but Supabase env vars are missing');
+      // One Supabase project holds one network; its tables are keyed by domain
+      if (scope.network !== DEFAULT_SCOPE.network) throw new UnsupportedQueryError(kind, `Network ${scope.network}`);
+      repo = new FallbackRepository(new SupabaseRepository(url, key, scope.domainId), new JsonFileRepository(jsonPath, scope.domainId));
+      break;
+    case 'sqlite':
+      repo = new SqliteRepository(scopedPath(process.env.SQLITE_PATH || DEFAULT_SQLITE_PATH, scope.network), scope.domainId);
+      break;
+    case 'json':
+      repo = new JsonFileRepository(jsonPath, scope.domainId);
+      break;
+    default:
+      throw new Error(`unknown DATA_BACKEND: ${kind} (expected supabase, sqlite or json)`);
+  }
+  cached.set(scopeKey(scope), repo);
+  return repo;
+}
@@ -0,0 +1,143 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { aggregateEpochs, Bucket, EpochBucket } from '../aggregate';
+import { toStringSafe } from '../amounts';
+import { boundariesFromEpochs, boundaryAtBlock } from '../epoch-boundaries';
+import { completeOperatorMaps, epochRowFromRaw, isoFromMillis } from '../epoch-data';
+import { BoundaryListOptions, EpochRepository, inEpochRange, ListEpochsOptions, OperatorHistoryOptions, sliceBoundaries, UnsupportedQueryError } from '../repository';
+import { downsampleEpochs } from '../sampling';
+import type { AmountMap, EpochBoundary, EpochRow, HealthReport, OperatorSnapshot } from '../types';
+import { operatorSnapshotsOf } from '../types';
+
+export const DEFAULT_JSON_PATH = path.join('public', 'data', 'epochs.json');
+
+function amountMap(obj: any): AmountMap {
+  const out: AmountMap = {};
+  if (obj && typeof obj === 'object'){
+    for (const [k, v] of Object.entries(obj)) out[String(k)] = toStringSafe(v);
+  }
+  return out;
+}
+
+/** Normalize one epochs.json element: either an exported EpochRow or a raw backfill row with `data`. */
+export function epochRowFromJson(r: any, domainId = 0): EpochRow {
+  if (r?.data != null){
+    return epochRowFromRaw({ epoch: r.epoch, endBlock: r.endBlock ?? r.end_block, endHash: r.endHash ?? r.end_hash, timestamp: r.timestamp, data: r.data }, Number(r.domainId ?? domainId));
+  }
+  const stakes = amountMap(r?.operatorStakes);
+  const rewards = amountMap(r?.rewards);
+  const sharePrices = amountMap(r?.operatorSharePrices);
+  const { source, padded } = completeOperatorMaps(stakes, rewards, sharePrices, null, Object.keys(sharePrices).length ? 'normalized' : 'default');
+  return {
+    domainId: Number(r?.domainId ?? domainId),
+    epoch: Number(r?.epoch),
+    endBlock: r?.endBlock ?? null,
+    endHash: r?.endHash ?? undefined,
+    timestamp: r?.timestamp ?? null,
+    datetime: r?.datetime ?? isoFromMillis(r?.timestamp),
+    totalStake: toStringSafe(r?.totalStake),
+    storageFees: toStringSafe(r?.storageFees),
+    operatorStakes: stakes,
+    rewards,
+    operatorSharePrices: sharePrices,
+    operators: r?.operators ?? null,
+    depositsCount: r?.depositsCount ?? null,
+    withdrawalsCount: r?.withdrawalsCount ?? null,
+    meta: {
+      rewardsHasAny: Object.values(rewards).some(v => v !== '0'),
+      sharePricesHasAny: Object.values(sharePrices).some(v => v !== '0'),
+      sampleApplied: false,
+      sharePriceSource: source,
+      paddedSharePrices: padded
+    }
+  };
+}
+
+// The static export in public/data. Holds epoch rows only, so raw snapshots and
+// nominator positions are unavailable. One file can hold several domains; rows
+// without a domainId predate that and are domain 0.
+export class JsonFileRepository implements EpochRepository {
+  readonly kind = 'json' as const;
+
+  constructor(private readonly filename: string = DEFAULT_JSON_PATH, private readonly domainId = 0){}
+
+  private async load(): Promise<EpochRow[]> {
+    let txt: string;
+    try {
+      txt = await fs.readFile(path.resolve(process.cwd(), this.filename), 'utf-8');
+    } catch (e: any) {
+      // No export yet is an empty dataset, as the routes always treated it
+      if (e?.code === 'ENOENT') return [];
+      throw e;
+    }
+    const arr = JSON.parse(txt);
+    return (Array.isArray(arr) ? arr : [])
+      .map(r => epochRowFromJson(r))
+      .filter(r => r.domainId === this.domainId)
+      .sort((a, b) => a.epoch - b.epoch);
+  }
+
+  async listEpochs(opts: ListEpochsOptions = {}): Promise<EpochRow[]> {
+    let rows = (await this.load()).filter(r => inEpochRange(r, opts));
+    if (opts.pageSize) rows = rows.slice(0, opts.pageSize);
+    else if (opts.limit && rows.length > opts.limit) rows = rows.slice(-opts.limit);
+    const sampled = downsampleEpochs(rows, opts.sample);
+    if (sampled !== rows) for (const r of sampled) r.meta!.sampleApplied = true;
+    return sampled;
+  }
+
+  async epochBuckets(bucket: Bucket, opts: ListEpochsOptions = {}): Promise<EpochBucket[]> {
+    return aggregateEpochs(await this.listEpochs(opts), bucket);
+  }
+
+  async latestEpoch(): Promise<EpochRow | null> {
+    const rows = await this.load();
+    return rows[rows.length - 1] ?? null;
+  }
+
+  async rawEpochs(): Promise<never> {
+    throw new UnsupportedQueryError(this.kind, 'Raw epoch snapshots');
+  }
+
+  async health(): Promise<HealthReport> {
+    const rows = (await this.load()).slice(-500);
+    return {
+      backend: this.kind,
+      sample: rows.length,
+      rewardsAvailable: rows.filter(r => r.meta?.rewardsHasAny).length,
+      normalizedDataAvailable: false
+    };
+  }
+
+  // Derived from end blocks: an epoch's start is known when the previous epoch is exported.
+  // The timestamp field may predate block times, so times are left out.
+  private async boundaries(): Promise<EpochBoundary[]> {
+    return boundariesFromEpochs((await this.load()).map(r => ({ epoch: r.epoch, endBlock: r.endBlock, endHash: r.endHash ?? null })));
+  }
+
+  async epochBoundaries(opts: BoundaryListOptions = {}): Promise<EpochBoundary[]> {
+    return sliceBoundaries(await this.boundaries(), opts);
+  }
+
+  async epochAtBlock(block: number): Promise<EpochBoundary | null> {
+    return boundaryAtBlock(await this.boundaries(), block);
+  }
+
+  async operatorHistory(operatorId: number, opts: OperatorHistoryOptions = {}): Promise<OperatorSnapshot[]> {
+    const out: OperatorSnapshot[] = [];
+    for (const row of await this.load()){
+      if (opts.fromEpoch != null && row.epoch < opts.fromEpoch) continue;
+      const snap = operatorSnapshotsOf(row).find(s => s.operatorId === operatorId);
+      if (snap && snap.stake != null) out.push(snap);
+    }
+    return opts.limit ? out.slice(-opts.limit) : out;
+  }
+
+  async nominatorPositions(): Promise<never> {
+    throw new UnsupportedQueryError(this.kind, 'Nominator positions');
+  }
+
+  async nominatorSnapshots(): Promise<never> {
+    throw new UnsupportedQueryError(this.kind, 'Nominator snapshots');
+  }
+}
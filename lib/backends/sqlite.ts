@@ -0,0 +1,187 @@
+import path from 'path';
+import { aggregateEpochs, Bucket, EpochBucket } from '../aggregate';
+import { boundariesFromEpochs, boundaryAtBlock, boundaryFromRow } from '../epoch-boundaries';
+import {
+  depositSnapshotsFromRaw,
+  epochRowFromRaw,
+  nominatorPositionsFromSnapshots,
+  operatorSnapshotFromRaw,
+  withdrawalSnapshotsFromRaw
+} from '../epoch-data';
+import { BoundaryListOptions, epochRangeOf, EpochRepository, ListEpochsOptions, OperatorHistoryOptions, sliceBoundaries } from '../repository';
+import { downsampleEpochs } from '../sampling';
+import type { EpochBoundary, EpochRow, HealthReport, NominatorPosition, OperatorSnapshot, RawEpoch } from '../types';
+
+export const DEFAULT_SQLITE_PATH = path.join('public', 'data', 'comprehensive-metrics.db');
+
+// Reads the epochs table written by scripts/optimized-comprehensive-backfill.mjs,
+// one domain's rows at a time. Every derived value is parsed from the data column
+// with lib/epoch-data.
+export class SqliteRepository implements EpochRepository {
+  readonly kind = 'sqlite' as const;
+  private db: Promise<any> | null = null;
+  private domainWhere: Promise<{ sql: string; params: any[] }> | null = null;
+  private boundaryTable: Promise<boolean> | null = null;
+
+  constructor(private readonly filename: string = DEFAULT_SQLITE_PATH, private readonly domainId = 0){}
+
+  private open(){
+    if (!this.db){
+      // Loaded lazily so deployments without the native driver never import it
+      this.db = (async () => {
+        const [{ open }, sqlite3] = await Promise.all([import('sqlite'), import('sqlite3')]);
+        const driver = (sqlite3 as any).default ?? sqlite3;
+        return open({
+          filename: path.resolve(process.cwd(), this.filename),
+          driver: driver.Database,
+          mode: driver.OPEN_READONLY
+        });
+      })();
+      this.db.catch(() => { this.db = null; });
+    }
+    return this.db;
+  }
+
+  // Databases written before the domain_id column hold domain 0 only
+  private domainCondition(){
+    if (!this.domainWhere){
+      this.domainWhere = (async () => {
+        const db = await this.open();
+        const columns: any[] = await db.all('PRAGMA table_info(epochs)');
+        if (columns.some(c => c.name === 'domain_id')) return { sql: 'domain_id = ?', params: [this.domainId] };
+        return { sql: this.domainId === 0 ? '1 = 1' : '1 = 0', params: [] };
+      })();
+      this.domainWhere.catch(() => { this.domainWhere = null; });
+    }
+    return this.domainWhere;
+  }
+
+  /** Rows of this domain: `where` is the rest of the WHERE clause, `tail` the ORDER/LIMIT. */
+  private async query(cols: string, where: string[], params: any[], tail: string, tailParams: any[] = []): Promise<RawEpoch[]> {
+    const db = await this.open();
+    const domain = await this.domainCondition();
+    const sql = `SELECT ${cols} FROM epochs WHERE ${[domain.sql, ...where].join(' AND ')} ${tail}`;
+    const rows: any[] = await db.all(sql, [...domain.params, ...params, ...tailParams]);
+    return rows.map(r => ({ epoch: Number(r.epoch), endBlock: r.end_block ?? null, endHash: r.end_hash ?? null, timestamp: r.timestamp ?? null, data: r.data }));
+  }
+
+  async listEpochs(opts: ListEpochsOptions = {}): Promise<EpochRow[]> {
+    const { minEpoch, maxEpoch, fromTime, toTime } = epochRangeOf(opts);
+    const where: string[] = [];
+    const params: any[] = [];
+    if (minEpoch != null){ where.push('epoch >= ?'); params.push(minEpoch); }
+    if (maxEpoch != null){ where.push('epoch <= ?'); params.push(maxEpoch); }
+    if (fromTime != null){ where.push('timestamp >= ?'); params.push(fromTime); }
+    if (toTime != null){ where.push('timestamp <= ?'); params.push(toTime); }
+    const cols = 'epoch, end_block, end_hash, timestamp, data';
+
+    let raws: RawEpoch[];
+    if (opts.pageSize){
+      raws = await this.query(cols, where, params, 'ORDER BY epoch ASC LIMIT ?', [opts.pageSize]);
+    } else if (opts.limit){
+      raws = (await this.query(cols, where, params, 'ORDER BY epoch DESC LIMIT ?', [opts.limit])).reverse();
+    } else {
+      raws = await this.query(cols, where, params, 'ORDER BY epoch ASC');
+    }
+    // Downsampling looks at every value, so all rows in range are parsed first
+    const rows = raws.map(raw => epochRowFromRaw(raw, this.domainId));
+    const sampled = downsampleEpochs(rows, opts.sample);
+    if (sampled !== rows) for (const r of sampled) r.meta!.sampleApplied = true;
+    return sampled;
+  }
+
+  async epochBuckets(bucket: Bucket, opts: ListEpochsOptions = {}): Promise<EpochBucket[]> {
+    return aggregateEpochs(await this.listEpochs(opts), bucket);
+  }
+
+  async latestEpoch(): Promise<EpochRow | null> {
+    const rows = await this.listEpochs({ limit: 1 });
+    return rows[0] ?? null;
+  }
+
+  async rawEpochs(limit: number): Promise<RawEpoch[]> {
+    return this.query('epoch, end_block, end_hash, timestamp, data', [], [], 'ORDER BY epoch DESC LIMIT ?', [limit]);
+  }
+
+  async health(): Promise<HealthReport> {
+    const rows = await this.listEpochs({ limit: 500 });
+    return {
+      backend: this.kind,
+      sample: rows.length,
+      rewardsAvailable: rows.filter(r => r.meta?.rewardsHasAny).length,
+      normalizedDataAvailable: false
+    };
+  }
+
+  // epoch_boundaries is written by the backfill from the epoch boundary index on
+  private hasBoundaryTable(){
+    if (!this.boundaryTable){
+      this.boundaryTable = (async () => {
+        const db = await this.open();
+        return Boolean(await db.get(`SELECT 1 AS ok FROM sqlite_master WHERE type = 'table' AND name = 'epoch_boundaries'`));
+      })();
+      this.boundaryTable.catch(() => { this.boundaryTable = null; });
+    }
+    return this.boundaryTable;
+  }
+
+  private async boundaryRows(where: string[], params: any[], tail: string, tailParams: any[] = []): Promise<EpochBoundary[]> {
+    const db = await this.open();
+    const sql = `SELECT * FROM epoch_boundaries WHERE ${['domain_id = ?', ...where].join(' AND ')} ${tail}`;
+    const rows: any[] = await db.all(sql, [this.domainId, ...params, ...tailParams]);
+    return rows.map(boundaryFromRow);
+  }
+
+  // Older files: end blocks from epochs, starts from data.startBlock or the previous epoch
+  private async derivedBoundaries(): Promise<EpochBoundary[]> {
+    const cols = `epoch, end_block, end_hash, json_object(
+      'startBlock', json_extract(data, '$.startBlock'),
+      'startTimestamp', json_extract(data, '$.startTimestamp'),
+      'endTimestamp', json_extract(data, '$.endTimestamp')) AS data`;
+    const raws = await this.query(cols, [], [], 'ORDER BY epoch ASC');
+    return boundariesFromEpochs(raws.map(r => ({ ...r, data: JSON.parse(r.data) })));
+  }
+
+  async epochBoundaries(opts: BoundaryListOptions = {}): Promise<EpochBoundary[]> {
+    if (!(await this.hasBoundaryTable())) return sliceBoundaries(await this.derivedBoundaries(), opts);
+    const { minEpoch, maxEpoch } = epochRangeOf(opts);
+    const where: string[] = [];
+    const params: any[] = [];
+    if (minEpoch != null){ where.push('epoch >= ?'); params.push(minEpoch); }
+    if (maxEpoch != null){ where.push('epoch <= ?'); params.push(maxEpoch); }
+    if (opts.pageSize) return this.boundaryRows(where, params, 'ORDER BY epoch ASC LIMIT ?', [opts.pageSize]);
+    if (opts.limit) return (await this.boundaryRows(where, params, 'ORDER BY epoch DESC LIMIT ?', [opts.limit])).reverse();
+    return this.boundaryRows(where, params, 'ORDER BY epoch ASC');
+  }
+
+  async epochAtBlock(block: number): Promise<EpochBoundary | null> {
+    if (!(await this.hasBoundaryTable())) return boundaryAtBlock(await this.derivedBoundaries(), block);
+    const [b] = await this.boundaryRows(['end_block >= ?'], [block], 'ORDER BY end_block ASC LIMIT 1');
+    return boundaryAtBlock(b ? [b] : [], block);
+  }
+
+  async operatorHistory(operatorId: number, opts: OperatorHistoryOptions = {}): Promise<OperatorSnapshot[]> {
+    const raws = await this.query('epoch, data', ['epoch >= ?'], [opts.fromEpoch ?? 0], 'ORDER BY epoch ASC');
+    const out: OperatorSnapshot[] = [];
+    for (const raw of raws){
+      const snap = operatorSnapshotFromRaw(raw, operatorId);
+      if (snap) out.push(snap);
+    }
+    return opts.limit ? out.slice(-opts.limit) : out;
+  }
+
+  async nominatorPositions(operatorId: number): Promise<NominatorPosition[]> {
+    const raws = await this.query('epoch, data', [], [], 'ORDER BY epoch ASC');
+    const deposits = raws.flatMap(raw => depositSnapshotsFromRaw(raw).filter(d => d.operatorId === operatorId));
+    return nominatorPositionsFromSnapshots(deposits);
+  }
+
+  async nominatorSnapshots(operatorId: number, nominatorId: string){
+    const raws = await this.query('epoch, data', [], [], 'ORDER BY epoch ASC');
+    const mine = (s: { operatorId: number; nominatorId: string }) => s.operatorId === operatorId && s.nominatorId === nominatorId;
+    return {
+      deposits: raws.flatMap(raw => depositSnapshotsFromRaw(raw).filter(mine)),
+      withdrawals: raws.flatMap(raw => withdrawalSnapshotsFromRaw(raw).filter(mine))
+    };
+  }
+}
@@ -0,0 +1,347 @@
+import { createClient, SupabaseClient } from '@supabase/supabase-js';
+import { aggregateEpochs, Bucket, EpochBucket, epochBucketFromSql } from '../aggregate';
+import { toStringSafe, tokensToShannonsString } from '../amounts';
+import { boundaryAtBlock, boundaryFromRow } from '../epoch-boundaries';
+import { completeOperatorMaps, isoFromMillis, operatorSnapshotFromRaw, parseCommaNumber } from '../epoch-data';
+import { BoundaryListOptions, epochRangeOf, EpochRepository, ListEpochsOptions, OperatorHistoryOptions } from '../repository';
+import { downsampleEpochs } from '../sampling';
+import type { AmountMap, DepositSnapshot, EpochBoundary, EpochRow, HealthReport, NominatorPosition, OperatorSnapshot, RawEpoch, SharePriceSource, WithdrawalSnapshot } from '../types';
+
+const PAGE_SIZE = 1000;
+
+// Numeric columns are cast to text so PostgREST does not round them through a JS number
+const EPOCH_COLS = 'domain_id,epoch,end_block,timestamp,epoch_datetime,deposits_count,withdrawals_count,total_stake_raw::text,total_stake_tokens::text,total_shares_raw::text,' +
+  'storage_fee_fund_tokens::text,network_share_price_ratio::text,operator_count,' +
+  'operator_stakes_json,operator_rewards_json,operator_share_prices_json,operator_shares_json';
+
+const BOUNDARY_COLS = 'epoch,start_block,start_hash,start_timestamp,end_block,end_hash,end_timestamp';
+
+// Per-operator values keyed by operator ID. Prefer the operator_*_json maps
+// (raw Shannons, any number of operators); fall back to legacy operator_N_* token columns.
+export function operatorMapFromRow(r: any, kind: 'stake' | 'rewards'): AmountMap {
+  const out: AmountMap = {};
+  const json = kind === 'stake' ? r?.operator_stakes_json : r?.operator_rewards_json;
+  if (json && typeof json === 'object'){
+    for (const [id, v] of Object.entries(json)) out[String(id)] = toStringSafe(v);
+    return out;
+  }
+  const re = kind === 'stake' ? /^operator_(\d+)_stake(?:_tokens)?$/ : /^operator_(\d+)_rewards(?:_tokens)?$/;
+  for (const [col, v] of Object.entries(r || {})){
+    const m = re.exec(col);
+    if (!m || v == null) continue;
+    // *_tokens columns win over the unsuffixed variants when both are present
+    if (m[1] in out && !col.endsWith('_tokens')) continue;
+    out[m[1]] = tokensToShannonsString(v);
+  }
+  return out;
+}
+
+/** Map one comprehensive_analytics row to an EpochRow. */
+export function epochRowFromAnalytics(r: any): EpochRow {
+  const stakes = operatorMapFromRow(r, 'stake');
+  const rewards = operatorMapFromRow(r, 'rewards');
+  const sharePrices: AmountMap = {};
+  let source: SharePriceSource = 'shares';
+
+  // stake/shares from operator_shares first, then the normalized share price table
+  if (r.operator_shares_json && typeof r.operator_shares_json === 'object'){
+    for (const [id, v] of Object.entries<any>(r.operator_shares_json)){
+      try {
+        const shares = BigInt(v?.shares_raw ?? '0');
+        if (shares > 0n) sharePrices[id] = ((BigInt(v.stake_raw) * (10n ** 18n)) / shares).toString();
+      } catch {}
+    }
+  }
+  if (!Object.keys(sharePrices).length && r.operator_share_prices_json && typeof r.operator_share_prices_json === 'object'){
+    for (const [id, v] of Object.entries(r.operator_share_prices_json)) sharePrices[id] = toStringSafe(v);
+    source = 'normalized';
+  }
+  const networkRatio = r.network_share_price_ratio ?? null;
+  let padded: string[];
+  ({ source, padded } = completeOperatorMaps(stakes, rewards, sharePrices, networkRatio, source));
+
+  const storageFeeTokens = r.storage_fee_fund_tokens ?? r.storage_fees_tokens ?? r.storage_fee_fund ?? r.storage_fees ?? 0;
+
+  return {
+    domainId: Number(r.domain_id ?? 0),
+    epoch: Number(r.epoch),
+    endBlock: r.end_block ?? null,
+    endHash: undefined,
+    timestamp: r.timestamp ?? null,
+    datetime: r.epoch_datetime != null ? new Date(r.epoch_datetime).toISOString() : isoFromMillis(r.timestamp),
+    totalStake: r.total_stake_raw != null
+      ? toStringSafe(r.total_stake_raw).split('.')[0]
+      : tokensToShannonsString(r.total_stake_tokens ?? 0),
+    storageFees: tokensToShannonsString(storageFeeTokens),
+    operatorStakes: stakes,
+    rewards,
+    operatorSharePrices: sharePrices,
+    operators: r.operator_count ?? null,
+    depositsCount: r.deposits_count ?? null,
+    withdrawalsCount: r.withdrawals_count ?? null,
+    meta: {
+      rewardsHasAny: Object.values(rewards).some(v => v !== '0'),
+      sharePricesHasAny: Object.values(sharePrices).some(v => v !== '0'),
+      sampleApplied: false,
+      sharePriceSource: source,
+      paddedSharePrices: padded
+    },
+    debug: {
+      totalSharesRaw: r.total_shares_raw ?? null,
+      networkRatioRaw: networkRatio
+    }
+  };
+}
+
+// Every table and view is keyed by domain_id (sql/08_multi_domain.sql); each query
+// reads one domain through from().
+export class SupabaseRepository implements EpochRepository {
+  readonly kind = 'supabase' as const;
+  private readonly client: SupabaseClient;
+
+  constructor(url: string, key: string, private readonly domainId = 0){
+    this.client = createClient(url, key, { auth: { persistSession: false } });
+  }
+
+  /** `select(cols)` on a table or view, limited to this repository's domain. */
+  private from(table: string, cols: string){
+    return this.client.from(table).select<string, any>(cols).eq('domain_id', this.domainId);
+  }
+
+  /** Page through a query built by `build`, PAGE_SIZE rows at a time. */
+  private async loadPaged(build: () => any): Promise<any[]> {
+    const out: any[] = [];
+    let from = 0;
+    for (;;) {
+      const { data, error } = await build().range(from, from + PAGE_SIZE - 1);
+      if (error) throw error;
+      if (!data || data.length === 0) break;
+      out.push(...data);
+      if (data.length < PAGE_SIZE) break;
+      from += PAGE_SIZE;
+    }
+    return out;
+  }
+
+  /** Rows of an epoch-keyed table or view in range, with the listEpochs limit/paging rules. */
+  private async rangeRows(table: string, opts: ListEpochsOptions, cols: string): Promise<any[]> {
+    const { minEpoch, maxEpoch, fromTime, toTime } = epochRangeOf(opts);
+    const build = (ascending: boolean) => {
+      let q = this.from(table, cols)
+        .order('epoch', { ascending });
+      if (minEpoch != null) q = q.gte('epoch', minEpoch);
+      if (maxEpoch != null) q = q.lte('epoch', maxEpoch);
+      if (fromTime != null) q = q.gte('timestamp', fromTime);
+      if (toTime != null) q = q.lte('timestamp', toTime);
+      return q;
+    };
+    if (opts.pageSize){
+      const { data, error } = await build(true).limit(opts.pageSize);
+      if (error) throw error;
+      return data || [];
+    }
+    if (opts.limit){
+      // Fast path: only last N rows
+      const { data, error } = await build(false).limit(opts.limit);
+      if (error) throw error;
+      return (data || []).slice().reverse();
+    }
+    return this.loadPaged(() => build(true));
+  }
+
+  async listEpochs(opts: ListEpochsOptions = {}): Promise<EpochRow[]> {
+    let rows: any[];
+    try {
+      rows = await this.rangeRows('comprehensive_analytics', opts, EPOCH_COLS);
+    } catch {
+      // Older view versions lack some columns; take whatever the view has
+      rows = await this.rangeRows('comprehensive_analytics', opts, '*');
+    }
+    const all = rows.map(epochRowFromAnalytics);
+    const sampled = downsampleEpochs(all, opts.sample);
+    if (sampled !== all) for (const r of sampled) r.meta!.sampleApplied = true;
+    return sampled;
+  }
+
+  async epochBuckets(bucket: Bucket, opts: ListEpochsOptions = {}): Promise<EpochBucket[]> {
+    const { minEpoch, maxEpoch, fromTime, toTime } = epochRangeOf(opts);
+    let rows: any[];
+    try {
+      rows = await this.loadPaged(() => this.client
+        .rpc('comprehensive_analytics_buckets', {
+          p_bucket: bucket,
+          p_domain_id: this.domainId,
+          p_from_epoch: minEpoch,
+          p_to_epoch: maxEpoch,
+          p_from_time: fromTime,
+          p_to_time: toTime
+        })
+        .order('bucket_start', { ascending: true }));
+    } catch {
+      // Databases without sql/13_epoch_buckets.sql: bucket the epoch rows here
+      return aggregateEpochs(await this.listEpochs(opts), bucket);
+    }
+    return rows.map(r => epochBucketFromSql(r, bucket));
+  }
+
+  async latestEpoch(): Promise<EpochRow | null> {
+    const rows = await this.listEpochs({ limit: 1 });
+    return rows[0] ?? null;
+  }
+
+  async rawEpochs(limit: number): Promise<RawEpoch[]> {
+    const { data, error } = await this.from('epochs', 'epoch,end_block,end_hash,timestamp,data')
+      .order('epoch', { ascending: false })
+      .limit(limit);
+    if (error) throw error;
+    return (data || []).map((r: any) => ({ epoch: r.epoch, endBlock: r.end_block, endHash: r.end_hash, timestamp: r.timestamp, data: r.data }));
+  }
+
+  async health(): Promise<HealthReport> {
+    const { data, error } = await this.from('comprehensive_analytics', '*')
+      .order('epoch', { ascending: false })
+      .limit(500);
+    if (error) throw error;
+    const rows = data || [];
+    const rewardsAvailable = rows.filter(r => Object.values(operatorMapFromRow(r, 'rewards')).some(v => v !== '0')).length;
+
+    const { data: priceData } = await this.from('operator_share_prices', 'epoch')
+      .gte('epoch', Math.max(0, (rows[0]?.epoch || 0) - 500))
+      .limit(1);
+
+    return { backend: this.kind, sample: rows.length, rewardsAvailable, normalizedDataAvailable: Boolean(priceData?.length) };
+  }
+
+  // epoch_boundaries comes from sql/12
+  async epochBoundaries(opts: BoundaryListOptions = {}): Promise<EpochBoundary[]> {
+    return (await this.rangeRows('epoch_boundaries', opts, BOUNDARY_COLS)).map(boundaryFromRow);
+  }
+
+  async epochAtBlock(block: number): Promise<EpochBoundary | null> {
+    const { data, error } = await this.from('epoch_boundaries', BOUNDARY_COLS)
+      .gte('end_block', block)
+      .order('end_block', { ascending: true })
+      .limit(1);
+    if (error) throw error;
+    return boundaryAtBlock((data || []).map(boundaryFromRow), block);
+  }
+
+  async operatorHistory(operatorId: number, opts: OperatorHistoryOptions = {}): Promise<OperatorSnapshot[]> {
+    let minEpoch: number | null = opts.fromEpoch ?? null;
+    if (opts.limit){
+      const { data, error } = await this.from('operator_shares', 'epoch')
+        .eq('operator_id', operatorId)
+        .order('epoch', { ascending: false })
+        .range(opts.limit - 1, opts.limit - 1);
+      if (error) throw error;
+      if (data && data[0]) minEpoch = Math.max(minEpoch ?? 0, Number(data[0].epoch));
+    }
+
+    const forOperator = (table: string, cols: string) => () => {
+      let q = this.from(table, cols).eq('operator_id', operatorId).order('epoch', { ascending: true });
+      if (minEpoch != null) q = q.gte('epoch', minEpoch);
+      return q;
+    };
+    const [shareRows, priceRows] = await Promise.all([
+      this.loadPaged(forOperator('operator_shares', 'epoch,stake_raw::text,shares_raw::text')),
+      this.loadPaged(forOperator('operator_share_prices', 'epoch,share_price_perq::text'))
+    ]);
+
+    const byEpoch = new Map<number, OperatorSnapshot>();
+    const rowFor = (epoch: number) => {
+      let row = byEpoch.get(epoch);
+      if (!row){
+        row = { operatorId, epoch, stake: null, shares: null, sharePrice: null, rewards: '0', nominationTax: null };
+        byEpoch.set(epoch, row);
+      }
+      return row;
+    };
+    for (const r of shareRows){
+      const row = rowFor(Number(r.epoch));
+      row.stake = r.stake_raw ?? null;
+      row.shares = r.shares_raw ?? null;
+    }
+    for (const r of priceRows){
+      rowFor(Number(r.epoch)).sharePrice = r.share_price_perq ?? null;
+    }
+    if (!byEpoch.size) return [];
+
+    // Rewards and nomination tax are not normalized yet; read them from the epochs.data snapshot
+    const epochs = Array.from(byEpoch.keys()).sort((a, b) => a - b);
+    const snapshots = await this.loadPaged(() => this
+      .from('epochs', 'epoch,schemaVersion:data->schemaVersion,rewards:data->domainStakingSummary->currentEpochRewards,operators:data->operators')
+      .gte('epoch', epochs[0])
+      .lte('epoch', epochs[epochs.length - 1])
+      .order('epoch', { ascending: true }));
+    for (const r of snapshots){
+      const row = byEpoch.get(Number(r.epoch));
+      if (!row) continue;
+      row.rewards = parseCommaNumber(r.rewards?.[String(operatorId)]);
+      const fromRaw = operatorSnapshotFromRaw({ epoch: r.epoch, data: { schemaVersion: r.schemaVersion, operators: r.operators } }, operatorId);
+      if (fromRaw?.nominationTax != null) row.nominationTax = fromRaw.nominationTax;
+    }
+
+    // Fill share price from stake/shares when the normalized price row is missing
+    for (const row of byEpoch.values()){
+      if (row.sharePrice == null && row.stake && row.shares){
+        try {
+          const shares = BigInt(row.shares);
+          if (shares > 0n) row.sharePrice = ((BigInt(row.stake) * (10n ** 18n)) / shares).toString();
+        } catch {}
+      }
+    }
+    return epochs.map(e => byEpoch.get(e)!);
+  }
+
+  async nominatorPositions(operatorId: number): Promise<NominatorPosition[]> {
+    // nominator_position_summary comes from sql/07
+    const rows = await this.loadPaged(() => this
+      .from('nominator_position_summary', 'nominator_id,first_epoch,last_epoch,epochs_seen,latest_shares::text,latest_pending_amount::text,peak_shares::text')
+      .eq('operator_id', operatorId)
+      .order('first_epoch', { ascending: true })
+      .order('nominator_id', { ascending: true }));
+    return rows.map((p: any) => ({
+      operatorId,
+      nominatorId: p.nominator_id,
+      firstEpoch: Number(p.first_epoch),
+      lastEpoch: Number(p.last_epoch),
+      epochsSeen: Number(p.epochs_seen),
+      latestShares: p.latest_shares ?? '0',
+      latestPendingAmount: p.latest_pending_amount ?? '0',
+      peakShares: p.peak_shares ?? '0'
+    }));
+  }
+
+  async nominatorSnapshots(operatorId: number, nominatorId: string){
+    const forPosition = (table: string, cols: string) => () => this
+      .from(table, cols)
+      .eq('operator_id', operatorId)
+      .eq('nominator_id', nominatorId)
+      .order('epoch', { ascending: true });
+    const [deposits, withdrawals] = await Promise.all([
+      this.loadPaged(forPosition('nominator_deposit_snapshots', 'epoch,known_shares::text,known_storage_fee::text,pending_amount::text,pending_storage_fee::text,pending_effective_epoch')),
+      this.loadPaged(forPosition('nominator_withdrawal_snapshots', 'epoch,total_withdrawal_amount::text,total_storage_fee_withdrawal::text,withdrawal_in_shares::text,pending_unlocks'))
+    ]);
+    return {
+      deposits: deposits.map((d: any): DepositSnapshot => ({
+        epoch: Number(d.epoch),
+        operatorId,
+        nominatorId,
+        knownShares: d.known_shares ?? '0',
+        knownStorageFee: d.known_storage_fee ?? '0',
+        pendingAmount: d.pending_amount ?? '0',
+        pendingStorageFee: d.pending_storage_fee ?? '0',
+        pendingEffectiveEpoch: d.pending_effective_epoch ?? null
+      })),
+      withdrawals: withdrawals.map((w: any): WithdrawalSnapshot => ({
+        epoch: Number(w.epoch),
+        operatorId,
+        nominatorId,
+        totalWithdrawalAmount: w.total_withdrawal_amount ?? '0',
+        totalStorageFeeWithdrawal: w.total_storage_fee_withdrawal ?? '0',
+        withdrawalInShares: w.withdrawal_in_shares ?? '0',
+        pendingUnlocks: Number(w.pending_unlocks ?? 0)
+      }))
+    };
+  }
+}
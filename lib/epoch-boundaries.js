@@ -0,0 +1,328 @@
+// Epoch boundary index: the first and last consensus block of each epoch, with their
+// hashes and on-chain times. Plain JavaScript so the node scripts can import it without
+// a build step. The backfills fill the epoch_boundaries table as they locate epochs and
+// reuse it on later runs; the API serves it through EpochRepository.
+//
+// Locating an epoch start is a binary search over blocks by
+// domainStakingSummary.currentEpochIndex. Known boundaries of neighbouring epochs narrow
+// the search, so a run over consecutive epochs mostly reads the start of the next epoch
+// straight from the end of the previous one.
+
+/**
+ * @typedef {object} EpochBoundary
+ * @property {number} epoch
+ * @property {number | null} startBlock
+ * @property {string | null} startHash
+ * @property {number | null} startTimestamp   ms, timestamp.now at the start block
+ * @property {number | null} endBlock
+ * @property {string | null} endHash
+ * @property {number | null} endTimestamp     ms, timestamp.now at the end block
+ */
+
+/**
+ * Table written by scripts/optimized-comprehensive-backfill.mjs; sql/12_epoch_boundaries.sql
+ * is the Postgres version. Either end may be unknown while only one side was located.
+ */
+export const SQLITE_BOUNDARIES_SCHEMA = `
+CREATE TABLE IF NOT EXISTS epoch_boundaries (
+  domain_id INTEGER NOT NULL,
+  epoch INTEGER NOT NULL,
+  start_block INTEGER,
+  start_hash TEXT,
+  start_timestamp INTEGER,
+  end_block INTEGER,
+  end_hash TEXT,
+  end_timestamp INTEGER,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (domain_id, epoch)
+);
+CREATE INDEX IF NOT EXISTS idx_epoch_boundaries_domain_end ON epoch_boundaries(domain_id, end_block);
+`;
+
+const COLUMNS = ['start_block', 'start_hash', 'start_timestamp', 'end_block', 'end_hash', 'end_timestamp'];
+
+function num(v) {
+  return v == null ? null : Number(v);
+}
+
+/**
+ * A table row (snake_case) as an EpochBoundary.
+ * @returns {EpochBoundary}
+ */
+export function boundaryFromRow(r) {
+  return {
+    epoch: Number(r.epoch),
+    startBlock: num(r.start_block),
+    startHash: r.start_hash ?? null,
+    startTimestamp: num(r.start_timestamp),
+    endBlock: num(r.end_block),
+    endHash: r.end_hash ?? null,
+    endTimestamp: num(r.end_timestamp)
+  };
+}
+
+function rowValues(b) {
+  return [b.startBlock, b.startHash, b.startTimestamp, b.endBlock, b.endHash, b.endTimestamp].map(v => v ?? null);
+}
+
+/**
+ * Boundaries derived from stored epochs rows ({ epoch, endBlock, endHash, timestamp,
+ * data? }), for stores without the table: the start is the recorded startBlock, or the
+ * block after the previous epoch's end when that epoch is stored too.
+ * @returns {EpochBoundary[]}
+ */
+export function boundariesFromEpochs(rows) {
+  const sorted = rows.slice().sort((a, b) => a.epoch - b.epoch);
+  return sorted.map((r, i) => {
+    const prev = sorted[i - 1];
+    const data = r.data && typeof r.data === 'object' ? r.data : {};
+    const startBlock = data.startBlock ?? (prev && prev.epoch === r.epoch - 1 && prev.endBlock != null ? Number(prev.endBlock) + 1 : null);
+    return {
+      epoch: Number(r.epoch),
+      startBlock: num(startBlock),
+      startHash: null,
+      startTimestamp: num(data.startTimestamp),
+      endBlock: num(r.endBlock),
+      endHash: r.endHash ?? null,
+      endTimestamp: num(data.endTimestamp)
+    };
+  });
+}
+
+/**
+ * The epoch whose range holds `block`, from boundaries in ascending epoch order; null
+ * unless both ends of that range are known.
+ * @param {EpochBoundary[]} boundaries
+ * @param {number} block
+ * @returns {EpochBoundary | null}
+ */
+export function boundaryAtBlock(boundaries, block) {
+  return boundaries.find(b => b.startBlock != null && b.endBlock != null && b.startBlock <= block && block <= b.endBlock) ?? null;
+}
+
+/** Reads and writes epoch_boundaries in the backfill's SQLite database (a `sqlite` Database). */
+export function sqliteBoundaryStore(db, domainId) {
+  return {
+    async load() {
+      const rows = await db.all('SELECT * FROM epoch_boundaries WHERE domain_id = ? ORDER BY epoch', domainId);
+      return rows.map(boundaryFromRow);
+    },
+    // Known values are never overwritten with unknown ones
+    async save(b) {
+      await db.run(
+        `INSERT INTO epoch_boundaries (domain_id, epoch, ${COLUMNS.join(', ')}) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+         ON CONFLICT (domain_id, epoch) DO UPDATE SET
+           ${COLUMNS.map(c => `${c} = COALESCE(excluded.${c}, ${c})`).join(', ')},
+           updated_at = CURRENT_TIMESTAMP`,
+        [domainId, b.epoch, ...rowValues(b)]
+      );
+    },
+    async remove(epochs) {
+      if (!epochs.length) return;
+      await db.run(`DELETE FROM epoch_boundaries WHERE domain_id = ? AND epoch IN (${epochs.map(() => '?').join(', ')})`, [domainId, ...epochs]);
+    }
+  };
+}
+
+/** Reads and writes epoch_boundaries (sql/12) through a pg Pool. */
+export function postgresBoundaryStore(pool, domainId) {
+  return {
+    async load() {
+      const res = await pool.query('SELECT * FROM epoch_boundaries WHERE domain_id = $1 ORDER BY epoch', [domainId]);
+      return res.rows.map(boundaryFromRow);
+    },
+    async save(b) {
+      await pool.query(
+        `INSERT INTO epoch_boundaries (domain_id, epoch, ${COLUMNS.join(', ')}) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+         ON CONFLICT (domain_id, epoch) DO UPDATE SET
+           ${COLUMNS.map(c => `${c} = COALESCE(EXCLUDED.${c}, epoch_boundaries.${c})`).join(', ')},
+           updated_at = NOW()`,
+        [domainId, b.epoch, ...rowValues(b)]
+      );
+    },
+    async remove(epochs) {
+      if (!epochs.length) return;
+      await pool.query('DELETE FROM epoch_boundaries WHERE domain_id = $1 AND epoch = ANY($2)', [domainId, epochs]);
+    }
+  };
+}
+
+/**
+ * The epoch index at a block, or null before the domain existed.
+ * @returns {Promise<number | null>}
+ */
+export async function epochAt(api, domainId, blockNumber) {
+  const hash = await api.rpc.chain.getBlockHash(blockNumber);
+  const at = await api.at(hash);
+  const opt = await at.query.domains.domainStakingSummary(domainId);
+  if (!opt || opt.isNone) return null;
+  const s = opt.unwrap();
+  const epoch = s.currentEpochIndex ?? s.epochIndex ?? s.epoch;
+  return typeof epoch?.toNumber === 'function' ? epoch.toNumber() : Number(epoch);
+}
+
+/**
+ * Search range [lo, hi] for the start of `epoch`: above every known block of an earlier
+ * epoch and at or below the start of any later one. Epochs are at least one block long.
+ * @param {Map<number, EpochBoundary>} known
+ */
+export function searchBounds(known, epoch, tip) {
+  let lo = 1, hi = tip;
+  for (const b of known.values()) {
+    if (b.epoch < epoch) {
+      const last = b.epoch === epoch - 1 ? b.endBlock : null;
+      const floor = Math.max((b.startBlock ?? 0) + (epoch - b.epoch), (b.endBlock ?? 0) + 1);
+      lo = Math.max(lo, last != null ? last + 1 : floor);
+    } else if (b.epoch > epoch) {
+      if (b.startBlock != null) hi = Math.min(hi, b.startBlock - (b.epoch - epoch));
+      if (b.endBlock != null) hi = Math.min(hi, b.endBlock - (b.epoch - epoch));
+    } else if (b.endBlock != null) {
+      hi = Math.min(hi, b.endBlock);
+    }
+  }
+  return { lo, hi };
+}
+
+async function blockTimestamp(api, hash) {
+  const at = await api.at(hash);
+  return Number((await at.query.timestamp.now()).toString());
+}
+
+/**
+ * Known boundaries of one domain, persisted through an optional store ({ load, save, remove }).
+ * Safe to share between concurrent workers: searches for the same epoch are shared.
+ */
+export class EpochBoundaryIndex {
+  constructor(domainId, store = null) {
+    this.domainId = domainId;
+    this.store = store;
+    /** @type {Map<number, EpochBoundary>} */
+    this.known = new Map();
+    this.searches = new Map();
+    this.tip = null;
+    this.stats = { cached: 0, searched: 0, probes: 0 };
+  }
+
+  async load() {
+    if (!this.store) return this;
+    for (const b of await this.store.load()) this.known.set(b.epoch, b);
+    return this;
+  }
+
+  get size() { return this.known.size; }
+
+  get(epoch) { return this.known.get(epoch) ?? null; }
+
+  /** Merge what a caller already knows (e.g. stored epochs), without persisting it. */
+  remember(b) {
+    const prev = this.known.get(b.epoch) ?? { epoch: b.epoch };
+    const merged = { ...prev };
+    for (const [k, v] of Object.entries(b)) if (v != null) merged[k] = v;
+    for (const k of ['startBlock', 'startHash', 'startTimestamp', 'endBlock', 'endHash', 'endTimestamp']) merged[k] ??= null;
+    this.known.set(b.epoch, merged);
+    return merged;
+  }
+
+  async record(b) {
+    const merged = this.remember(b);
+    if (this.store) await this.store.save(merged);
+    return merged;
+  }
+
+  /** Drop epochs whose blocks were reorged out; the next epoch's start goes with them. */
+  async forget(epochs) {
+    const gone = Array.from(new Set(epochs.flatMap(e => [e, e + 1])));
+    for (const e of gone) this.known.delete(e);
+    if (this.store) await this.store.remove(gone);
+  }
+
+  /** First block of `epoch` at or below `tip`, from the index or a bounded search. */
+  async startOf(api, epoch, tip) {
+    const hit = this.known.get(epoch)?.startBlock ?? (this.known.get(epoch - 1)?.endBlock != null ? this.known.get(epoch - 1).endBlock + 1 : null);
+    if (hit != null && hit <= tip) { this.stats.cached++; return hit; }
+    if (!this.searches.has(epoch)) {
+      const search = this.search(api, epoch, tip).finally(() => this.searches.delete(epoch));
+      this.searches.set(epoch, search);
+    }
+    return this.searches.get(epoch);
+  }
+
+  /** Lowest block whose state boundary() may read for `epoch`: its start, or where the search would begin. */
+  oldestBlock(epoch, tip) {
+    return this.known.get(epoch)?.startBlock ?? searchBounds(this.known, epoch, tip).lo;
+  }
+
+  /** Epoch at the finalized block `tip`, read once per tip. */
+  tipEpoch(api, tip) {
+    if (this.tip?.block !== tip) {
+      const read = epochAt(api, this.domainId, tip);
+      this.stats.probes++;
+      this.tip = { block: tip, epoch: read };
+      read.catch(() => { if (this.tip?.epoch === read) this.tip = null; });
+    }
+    return this.tip.epoch;
+  }
+
+  /** Length in blocks of the closest complete epoch before `epoch`, if any is known. */
+  spanBefore(epoch) {
+    let best = null;
+    for (const b of this.known.values()) {
+      if (b.epoch < epoch && b.startBlock != null && b.endBlock != null && (!best || b.epoch > best.epoch)) best = b;
+    }
+    return best ? best.endBlock - best.startBlock + 1 : null;
+  }
+
+  async search(api, epoch, tip) {
+    let { lo, hi } = searchBounds(this.known, epoch, tip);
+    const probe = async block => {
+      this.stats.probes++;
+      return epochAt(api, this.domainId, block);
+    };
+    if (hi === tip) {
+      const cur = await this.tipEpoch(api, tip);
+      if (cur == null) throw new Error('Cannot read epoch at finalized head');
+      if (epoch > cur) throw new Error(`target epoch ${epoch} > finalized ${cur}`);
+      // Epochs run about the same number of blocks, so step forward from the previous
+      // one before bisecting the rest of the chain
+      let step = lo > 1 ? this.spanBefore(epoch) : null;
+      while (step && lo + step < hi) {
+        const e = await probe(lo + step);
+        if (e != null && e >= epoch) { hi = lo + step; break; }
+        lo += step + 1;
+        step *= 2;
+      }
+    }
+    if (lo > hi) throw new Error(`Known boundaries around epoch ${epoch} are inconsistent (${lo} > ${hi})`);
+    while (lo < hi) {
+      const mid = Math.floor((lo + hi) / 2);
+      const e = await probe(mid);
+      if (e == null || e < epoch) lo = mid + 1; else hi = mid;
+    }
+    const eLo = await probe(lo);
+    if (eLo !== epoch) throw new Error(`Failed to locate start: epoch@${lo}=${eLo}`);
+    this.stats.searched++;
+    await this.record({ epoch, startBlock: lo });
+    if (epoch > 0 && lo > 1) await this.record({ epoch: epoch - 1, endBlock: lo - 1 });
+    return lo;
+  }
+
+  /**
+   * Both ends of a complete epoch (its successor has started at or below `tip`), with
+   * block hashes and times, recorded in the index.
+   * @returns {Promise<EpochBoundary>}
+   */
+  async boundary(api, epoch, tip) {
+    const startBlock = await this.startOf(api, epoch, tip);
+    const endBlock = (await this.startOf(api, epoch + 1, tip)) - 1;
+    const b = this.known.get(epoch);
+    if (b && b.startBlock === startBlock && b.endBlock === endBlock && b.startHash && b.endHash && b.startTimestamp != null && b.endTimestamp != null) {
+      return b;
+    }
+    const [startHash, endHash] = (await Promise.all([
+      api.rpc.chain.getBlockHash(startBlock),
+      api.rpc.chain.getBlockHash(endBlock)
+    ])).map(h => h.toString());
+    const [startTimestamp, endTimestamp] = await Promise.all([blockTimestamp(api, startHash), blockTimestamp(api, endHash)]);
+    return this.record({ epoch, startBlock, startHash, startTimestamp, endBlock, endHash, endTimestamp });
+  }
+}
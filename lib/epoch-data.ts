@@ -0,0 +1,314 @@
+// Parsers for the epochs.data snapshot JSON written by the backfill.
+// The Supabase views in sql/ derive the same values in SQL; the SQLite and JSON
+// backends use these functions instead, so keep the two in step.
+
+import { tokensToShannonsString, PERQUINTILL_ONE } from './amounts';
+import { upgradeSnapshot } from './snapshot-schema';
+import type { AmountMap, DepositSnapshot, EpochRow, NominatorPosition, OperatorSnapshot, RawEpoch, SharePriceSource, WithdrawalSnapshot } from './types';
+
+export function parseCommaNumber(v: any): string {
+  // domainStakingSummary is stored via toHuman(), so amounts look like "1,234,567"
+  if (v == null) return '0';
+  const s = String(v).replace(/,/g, '').trim();
+  try { return BigInt(s || '0').toString(); } catch { return '0'; }
+}
+
+// Codec toJSON() writes small balances as numbers and large ones as 0x hex strings
+export function parseAmount(v: any): string {
+  if (v == null) return '0';
+  try {
+    if (typeof v === 'number') return BigInt(Math.trunc(v)).toString();
+    const s = String(v).trim();
+    if (s.startsWith('0x')) return BigInt(s).toString();
+    return parseCommaNumber(s);
+  } catch {
+    return '0';
+  }
+}
+
+/**
+ * The parsed snapshot of a raw epoch, upgraded to CURRENT_SNAPSHOT_VERSION so the
+ * parsers below only read the current layout (see lib/snapshot-schema.js).
+ */
+export function snapshotOf(raw: RawEpoch): any {
+  return upgradeSnapshot(raw.data ?? {});
+}
+
+/** The decoded Operator struct of one operators.entries item. */
+export function parseOperatorEntry(entry: any): any | null {
+  return entry?.operator && typeof entry.operator === 'object' ? entry.operator : null;
+}
+
+function entryKey(entry: any): string | undefined {
+  return entry?.operatorId != null ? String(entry.operatorId) : undefined;
+}
+
+/** One operatorEpochSharePrice.entries item as { operatorId, epoch, sharePrice }. */
+export function parseSharePriceEntry(entry: any): { operatorId: string; epoch: number | null; sharePrice: string } | null {
+  const operatorId = entryKey(entry);
+  if (operatorId === undefined || entry?.sharePrice == null) return null;
+  return { operatorId, epoch: entry.epoch != null ? Number(entry.epoch) : null, sharePrice: parseAmount(entry.sharePrice) };
+}
+
+function commaMap(obj: any): AmountMap {
+  const out: AmountMap = {};
+  if (obj && typeof obj === 'object'){
+    for (const [k, v] of Object.entries(obj)) out[String(k)] = parseCommaNumber(v);
+  }
+  return out;
+}
+
+/**
+ * Per-operator stake, shares and share price from operators.entries, falling back to
+ * operatorEpochSharePrice.entries when no operator has shares.
+ */
+export function extractOperatorDataFromJSON(data: any): {
+  operatorStakes: AmountMap;
+  operatorShares: AmountMap;
+  operatorSharePrices: AmountMap;
+} {
+  const operatorStakes: AmountMap = {};
+  const operatorShares: AmountMap = {};
+  const operatorSharePrices: AmountMap = {};
+
+  if (Array.isArray(data?.operators?.entries)) {
+    for (const entry of data.operators.entries) {
+      const opId = entryKey(entry);
+      const operatorData = opId === undefined ? null : parseOperatorEntry(entry);
+      if (!operatorData) continue;
+      if (operatorData.currentTotalStake) operatorStakes[opId!] = parseAmount(operatorData.currentTotalStake);
+      if (operatorData.currentTotalShares) operatorShares[opId!] = parseAmount(operatorData.currentTotalShares);
+    }
+  }
+
+  // Share price as stake/shares in perquintill scale (primary method)
+  for (const [opId, stakeStr] of Object.entries(operatorStakes)) {
+    const sharesStr = operatorShares[opId];
+    if (!sharesStr) continue;
+    try {
+      const shares = BigInt(sharesStr);
+      if (shares > 0n) operatorSharePrices[opId] = ((BigInt(stakeStr) * (10n ** 18n)) / shares).toString();
+    } catch {}
+  }
+
+  // Fallback: the recorded operatorEpochSharePrice entries, latest epoch per operator
+  if (Object.keys(operatorSharePrices).length === 0 && Array.isArray(data?.operatorEpochSharePrice?.entries)) {
+    const latestByOp = new Map<string, { epoch: number | null; sharePrice: string }>();
+    for (const entry of data.operatorEpochSharePrice.entries) {
+      const p = parseSharePriceEntry(entry);
+      if (!p) continue;
+      const prev = latestByOp.get(p.operatorId);
+      const newer = !prev
+        || (p.epoch != null && prev.epoch != null ? p.epoch > prev.epoch : BigInt(p.sharePrice) > BigInt(prev.sharePrice));
+      if (newer) latestByOp.set(p.operatorId, p);
+    }
+    for (const [opId, p] of Array.from(latestByOp)) operatorSharePrices[opId] = p.sharePrice;
+  }
+
+  return { operatorStakes, operatorShares, operatorSharePrices };
+}
+
+/**
+ * Fill every operator in the row with rewards and a share price, falling back to the
+ * network-wide ratio and finally to 1.0. Returns the ordered operator IDs and, in
+ * `padded`, the operators given 1.0 because only they had no price.
+ */
+export function completeOperatorMaps(
+  stakes: AmountMap,
+  rewards: AmountMap,
+  sharePrices: AmountMap,
+  networkRatio: any,
+  source: SharePriceSource
+): { ids: string[]; source: SharePriceSource; padded: string[] } {
+  const ids = Array.from(new Set([...Object.keys(stakes), ...Object.keys(rewards), ...Object.keys(sharePrices)]))
+    .sort((a, b) => Number(a) - Number(b));
+
+  if (Object.values(sharePrices).every(v => !v || v === '0')){
+    if (networkRatio != null){
+      const scaled = tokensToShannonsString(networkRatio);
+      for (const id of ids) sharePrices[id] = scaled;
+      source = 'network';
+    } else {
+      for (const id of ids) sharePrices[id] = PERQUINTILL_ONE;
+      source = 'default';
+    }
+  }
+  const padded: string[] = [];
+  for (const id of ids){
+    if (!(id in rewards)) rewards[id] = '0';
+    if (!(id in sharePrices)){
+      sharePrices[id] = PERQUINTILL_ONE;
+      padded.push(id);
+    }
+  }
+  return { ids, source, padded };
+}
+
+// Same conversion as TO_TIMESTAMP(timestamp / 1000) in the comprehensive_analytics view
+export function isoFromMillis(ms: any): string | null {
+  const n = Number(ms);
+  return ms != null && Number.isFinite(n) ? new Date(n).toISOString() : null;
+}
+
+/** Build an EpochRow straight from a raw snapshot (SQLite and raw JSON exports). */
+export function epochRowFromRaw(raw: RawEpoch, domainId = 0): EpochRow {
+  const data = snapshotOf(raw);
+  const dss = data.domainStakingSummary || {};
+  const extracted = extractOperatorDataFromJSON(data);
+
+  // Same sources as comprehensive_analytics: stakes/rewards from the staking summary
+  const stakes = Object.keys(commaMap(dss.currentOperators)).length ? commaMap(dss.currentOperators) : { ...extracted.operatorStakes };
+  const rewards = commaMap(dss.currentEpochRewards);
+  const sharePrices = { ...extracted.operatorSharePrices };
+  const { source, padded } = completeOperatorMaps(stakes, rewards, sharePrices, null, Object.keys(extracted.operatorShares).length ? 'shares' : 'normalized');
+
+  let storageFees = 0n;
+  for (const entry of Array.isArray(data?.operators?.entries) ? data.operators.entries : []){
+    const op = parseOperatorEntry(entry);
+    if (op?.totalStorageFeeDeposit != null) storageFees += BigInt(parseAmount(op.totalStorageFeeDeposit));
+  }
+
+  return {
+    domainId,
+    epoch: Number(raw.epoch),
+    endBlock: raw.endBlock ?? data.endBlock ?? null,
+    endHash: raw.endHash ?? data.endHash ?? undefined,
+    timestamp: raw.timestamp ?? data.timestamp ?? null,
+    datetime: isoFromMillis(raw.timestamp ?? data.timestamp),
+    totalStake: parseCommaNumber(dss.currentTotalStake),
+    storageFees: storageFees.toString(),
+    operatorStakes: stakes,
+    rewards,
+    operatorSharePrices: sharePrices,
+    operators: data?.operators?.count ?? null,
+    depositsCount: data?.deposits?.count ?? null,
+    withdrawalsCount: data?.withdrawals?.count ?? null,
+    meta: {
+      rewardsHasAny: Object.values(rewards).some(v => v !== '0'),
+      sharePricesHasAny: Object.values(sharePrices).some(v => v !== '0'),
+      sampleApplied: false,
+      sharePriceSource: source,
+      paddedSharePrices: padded
+    },
+    debug: {
+      totalSharesRaw: data.totalShares ?? null,
+      networkRatioRaw: null
+    }
+  };
+}
+
+/** One operator's snapshot from a raw epoch, or null when it is not in operators.entries. */
+export function operatorSnapshotFromRaw(raw: RawEpoch, operatorId: number): OperatorSnapshot | null {
+  const data = snapshotOf(raw);
+  const entry = Array.isArray(data?.operators?.entries)
+    ? data.operators.entries.find((e: any) => entryKey(e) === String(operatorId))
+    : null;
+  const op = entry ? parseOperatorEntry(entry) : null;
+  if (!op) return null;
+  const stake = op.currentTotalStake != null ? parseAmount(op.currentTotalStake) : null;
+  const shares = op.currentTotalShares != null ? parseAmount(op.currentTotalShares) : null;
+  let sharePrice: string | null = null;
+  if (stake != null && shares != null && BigInt(shares) > 0n) sharePrice = ((BigInt(stake) * (10n ** 18n)) / BigInt(shares)).toString();
+  return {
+    operatorId,
+    epoch: Number(raw.epoch),
+    stake,
+    shares,
+    sharePrice,
+    rewards: parseCommaNumber(data?.domainStakingSummary?.currentEpochRewards?.[String(operatorId)]),
+    nominationTax: op.nominationTax != null ? Number(op.nominationTax) : null
+  };
+}
+
+// deposits / withdrawals storage keys: 0x | 32-byte prefix | u64 operator id (LE) | 32-byte account.
+// Mirrors hex_le_to_numeric() in sql/07_nominator_position_snapshots.sql.
+function splitStorageEntry(entry: any): { operatorId: number; nominatorId: string; value: any } | null {
+  const valueStr = entry?.value;
+  if (typeof valueStr !== 'string' || !valueStr.startsWith('0x')) return null;
+  const commaIndex = valueStr.indexOf(',');
+  if (commaIndex === -1) return null;
+  const storageKey = valueStr.slice(0, commaIndex);
+  if (storageKey.length < 146) return null;
+  let value: any;
+  try { value = JSON.parse(valueStr.slice(commaIndex + 1)); } catch { return null; }
+  const le = storageKey.slice(66, 82);
+  let be = '';
+  for (let i = le.length - 2; i >= 0; i -= 2) be += le.slice(i, i + 2);
+  return {
+    operatorId: Number(BigInt('0x' + be)),
+    nominatorId: ('0x' + storageKey.slice(82, 146)).toLowerCase(),
+    value
+  };
+}
+
+export function depositSnapshotsFromRaw(raw: RawEpoch): DepositSnapshot[] {
+  const data = snapshotOf(raw);
+  const out: DepositSnapshot[] = [];
+  for (const entry of Array.isArray(data?.deposits?.entries) ? data.deposits.entries : []){
+    const parsed = splitStorageEntry(entry);
+    if (!parsed) continue;
+    const d = parsed.value || {};
+    const effective = d.pending?.effectiveDomainEpoch?.[1];
+    out.push({
+      epoch: Number(raw.epoch),
+      operatorId: parsed.operatorId,
+      nominatorId: parsed.nominatorId,
+      knownShares: parseAmount(d.known?.shares),
+      knownStorageFee: parseAmount(d.known?.storageFeeDeposit),
+      pendingAmount: parseAmount(d.pending?.amount),
+      pendingStorageFee: parseAmount(d.pending?.storageFeeDeposit),
+      pendingEffectiveEpoch: effective != null ? Number(effective) : null
+    });
+  }
+  return out;
+}
+
+export function withdrawalSnapshotsFromRaw(raw: RawEpoch): WithdrawalSnapshot[] {
+  const data = snapshotOf(raw);
+  const out: WithdrawalSnapshot[] = [];
+  for (const entry of Array.isArray(data?.withdrawals?.entries) ? data.withdrawals.entries : []){
+    const parsed = splitStorageEntry(entry);
+    if (!parsed) continue;
+    const w = parsed.value || {};
+    out.push({
+      epoch: Number(raw.epoch),
+      operatorId: parsed.operatorId,
+      nominatorId: parsed.nominatorId,
+      totalWithdrawalAmount: parseAmount(w.totalWithdrawalAmount),
+      totalStorageFeeWithdrawal: parseAmount(w.totalStorageFeeWithdrawal),
+      withdrawalInShares: parseAmount(w.withdrawalInShares?.shares),
+      pendingUnlocks: Array.isArray(w.withdrawals) ? w.withdrawals.length : 0
+    });
+  }
+  return out;
+}
+
+/** Group deposit snapshots into positions, like the nominator_position_summary view. */
+export function nominatorPositionsFromSnapshots(deposits: DepositSnapshot[]): NominatorPosition[] {
+  const byKey = new Map<string, NominatorPosition>();
+  const sorted = deposits.slice().sort((a, b) => a.epoch - b.epoch);
+  for (const d of sorted){
+    const key = `${d.operatorId}:${d.nominatorId}`;
+    const p = byKey.get(key);
+    if (!p){
+      byKey.set(key, {
+        operatorId: d.operatorId,
+        nominatorId: d.nominatorId,
+        firstEpoch: d.epoch,
+        lastEpoch: d.epoch,
+        epochsSeen: 1,
+        latestShares: d.knownShares,
+        latestPendingAmount: d.pendingAmount,
+        peakShares: d.knownShares
+      });
+      continue;
+    }
+    p.lastEpoch = d.epoch;
+    p.epochsSeen += 1;
+    p.latestShares = d.knownShares;
+    p.latestPendingAmount = d.pendingAmount;
+    if (BigInt(d.knownShares) > BigInt(p.peakShares)) p.peakShares = d.knownShares;
+  }
+  return Array.from(byKey.values())
+    .sort((a, b) => a.firstEpoch - b.firstEpoch || a.nominatorId.localeCompare(b.nominatorId));
+}
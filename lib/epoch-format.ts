@@ -0,0 +1,103 @@
+// Response shaping for the epoch APIs: ?fields= projection and ?format=columnar.
+// Pure functions, so the dashboard uses rowsFromColumnar() to decode responses.
+
+import { InvalidQueryError } from './repository';
+import type { EpochRow } from './types';
+
+export const EPOCH_FIELDS = [
+  'domainId', 'epoch', 'endBlock', 'endHash', 'timestamp', 'datetime', 'totalStake', 'storageFees',
+  'operatorStakes', 'rewards', 'operatorSharePrices', 'operators', 'depositsCount', 'withdrawalsCount',
+  'meta', 'debug'
+] as const;
+
+export type EpochField = typeof EPOCH_FIELDS[number];
+export type EpochFormat = 'rows' | 'columnar';
+
+// Column prefixes for per-operator maps, e.g. operatorStakes['0'] -> "stake.0"
+const MAP_PREFIXES: Partial<Record<EpochField, string>> = {
+  operatorStakes: 'stake',
+  rewards: 'rewards',
+  operatorSharePrices: 'sharePrice'
+};
+
+/** Columnar response: one array per column, all of `length` entries, null where a row has no value. */
+export type ColumnarEpochs = {
+  format: 'columnar';
+  length: number;
+  columns: Record<string, any[]>;
+};
+
+/** Parse ?fields=a,b,c. Returns null (all fields) when absent; throws on unknown names. */
+export function parseFields(value: string | null): EpochField[] | null {
+  if (value == null || value.trim() === '') return null;
+  const fields = Array.from(new Set(value.split(',').map(s => s.trim()).filter(Boolean)));
+  const unknown = fields.filter(f => !(EPOCH_FIELDS as readonly string[]).includes(f));
+  if (unknown.length) throw new InvalidQueryError(`unknown fields: ${unknown.join(', ')} (valid: ${EPOCH_FIELDS.join(', ')})`);
+  return fields as EpochField[];
+}
+
+export function parseFormat(value: string | null): EpochFormat {
+  if (value == null || value === '' || value === 'rows') return 'rows';
+  if (value === 'columnar') return 'columnar';
+  throw new InvalidQueryError(`unknown format: ${value} (expected rows or columnar)`);
+}
+
+export function projectRow(row: EpochRow, fields: EpochField[] | null): Partial<EpochRow> {
+  if (!fields) return row;
+  const out: any = {};
+  for (const f of fields) if (row[f] !== undefined) out[f] = row[f];
+  return out;
+}
+
+/**
+ * Parallel arrays keyed by column. Object-valued fields are flattened one level:
+ * per-operator maps become stake.<id> / rewards.<id> / sharePrice.<id>, and meta or
+ * debug become meta.<key> / debug.<key>. Columns are ordered by field, then by key.
+ */
+export function toColumnar(rows: EpochRow[], fields: EpochField[] | null): ColumnarEpochs {
+  // Without a projection meta and debug are dropped: they are per-row diagnostics
+  const selected = fields ?? EPOCH_FIELDS.filter(f => f !== 'meta' && f !== 'debug');
+  const columns: Record<string, any[]> = {};
+
+  for (const f of selected){
+    const isObject = rows.some(r => r[f] != null && typeof r[f] === 'object');
+    if (!isObject){
+      columns[f] = rows.map(r => r[f] ?? null);
+      continue;
+    }
+    const prefix = MAP_PREFIXES[f] ?? f;
+    const keys = Array.from(new Set(rows.flatMap(r => Object.keys((r[f] as any) || {}))))
+      .sort((a, b) => (Number.isFinite(Number(a)) && Number.isFinite(Number(b)) ? Number(a) - Number(b) : a.localeCompare(b)));
+    for (const k of keys) columns[`${prefix}.${k}`] = rows.map(r => (r[f] as any)?.[k] ?? null);
+  }
+
+  return { format: 'columnar', length: rows.length, columns };
+}
+
+/** Inverse of toColumnar for the fields it carries; map entries that were null are omitted. */
+export function rowsFromColumnar(data: ColumnarEpochs): Partial<EpochRow>[] {
+  const rows: any[] = Array.from({ length: data.length }, () => ({}));
+  const fieldByPrefix: Record<string, string> = {};
+  for (const [field, prefix] of Object.entries(MAP_PREFIXES)) fieldByPrefix[prefix!] = field;
+
+  for (const [name, values] of Object.entries(data.columns)){
+    const dot = name.indexOf('.');
+    if (dot === -1){
+      values.forEach((v, i) => { rows[i][name] = v; });
+      continue;
+    }
+    const prefix = name.slice(0, dot);
+    const field = fieldByPrefix[prefix] ?? prefix;
+    const key = name.slice(dot + 1);
+    values.forEach((v, i) => {
+      if (v == null) return;
+      (rows[i][field] ||= {})[key] = v;
+    });
+  }
+  return rows;
+}
+
+/** Response body for a list of epochs in the requested projection and format. */
+export function formatEpochRows(rows: EpochRow[], fields: EpochField[] | null, format: EpochFormat): Partial<EpochRow>[] | ColumnarEpochs {
+  return format === 'columnar' ? toColumnar(rows, fields) : rows.map(r => projectRow(r, fields));
+}
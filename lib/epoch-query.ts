@@ -0,0 +1,114 @@
+// Query-string handling shared by the API routes: network/domain scope, limit/sample,
+// epoch and time range filters, and opaque page cursors.
+
+import { DEFAULT_SCOPE, NETWORK_IDS, NetworkId, Scope } from './networks';
+import { BoundaryListOptions, InvalidQueryError, ListEpochsOptions } from './repository';
+
+export const MAX_LIMIT = 5000;
+export const MAX_SAMPLE = 20000;
+export const DEFAULT_PAGE_SIZE = 1000;
+
+function positiveInt(params: URLSearchParams, name: string, max: number): number | null {
+  const v = params.get(name);
+  if (!v) return null;
+  const n = parseInt(v, 10);
+  return Number.isFinite(n) && n > 0 ? Math.min(n, max) : null;
+}
+
+function epochParam(params: URLSearchParams, name: string): number | null {
+  const v = params.get(name);
+  if (v == null || v === '') return null;
+  if (!/^\d+$/.test(v)) throw new InvalidQueryError(`invalid ${name}: ${v}`);
+  return Number(v);
+}
+
+// Milliseconds since 1970 (what the epochs table stores) or any Date.parse-able string
+function timeParam(params: URLSearchParams, name: string): number | null {
+  const v = params.get(name);
+  if (v == null || v === '') return null;
+  const ms = /^\d+$/.test(v) ? Number(v) : Date.parse(v);
+  if (!Number.isFinite(ms)) throw new InvalidQueryError(`invalid ${name}: ${v}`);
+  return ms;
+}
+
+/** ?network=mainnet|taurus and ?domain=N, defaulting to mainnet domain 0. */
+export function scopeFromQuery(params: URLSearchParams): Scope {
+  const network = (params.get('network') || DEFAULT_SCOPE.network).toLowerCase();
+  if (!(NETWORK_IDS as string[]).includes(network)){
+    throw new InvalidQueryError(`unknown network: ${network} (expected ${NETWORK_IDS.join(', ')})`);
+  }
+  const domainId = epochParam(params, 'domain') ?? DEFAULT_SCOPE.domainId;
+  return { network: network as NetworkId, domainId };
+}
+
+/** Cursors are base64url JSON so clients treat them as opaque and we can change them later. */
+export function encodeCursor(lastEpoch: number): string {
+  return Buffer.from(JSON.stringify({ e: lastEpoch })).toString('base64url');
+}
+
+export function decodeCursor(cursor: string): number {
+  try {
+    const e = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf-8'))?.e;
+    if (Number.isSafeInteger(e) && e >= 0) return e;
+  } catch {}
+  throw new InvalidQueryError(`invalid cursor: ${cursor}`);
+}
+
+/**
+ * Parse ?limit=50|200|all, ?sample=N, ?fromEpoch/toEpoch/fromTime/toTime and
+ * ?pageSize/cursor. A request with pageSize or cursor is paginated.
+ */
+export function listOptionsFromQuery(params: URLSearchParams): ListEpochsOptions & { paginated: boolean } {
+  const lim = params.get('limit');
+  const cursor = params.get('cursor');
+  const paginated = params.has('pageSize') || Boolean(cursor);
+
+  const opts = {
+    limit: lim && lim.toLowerCase() !== 'all' ? positiveInt(params, 'limit', MAX_LIMIT) : null,
+    sample: positiveInt(params, 'sample', MAX_SAMPLE),
+    fromEpoch: epochParam(params, 'fromEpoch'),
+    toEpoch: epochParam(params, 'toEpoch'),
+    fromTime: timeParam(params, 'fromTime'),
+    toTime: timeParam(params, 'toTime'),
+    afterEpoch: cursor ? decodeCursor(cursor) : null,
+    pageSize: paginated ? (positiveInt(params, 'pageSize', MAX_LIMIT) ?? DEFAULT_PAGE_SIZE) : null,
+    paginated
+  };
+  if (paginated && (opts.limit || opts.sample)){
+    throw new InvalidQueryError('limit and sample cannot be combined with pageSize/cursor');
+  }
+  if (opts.fromEpoch != null && opts.toEpoch != null && opts.fromEpoch > opts.toEpoch){
+    throw new InvalidQueryError(`fromEpoch ${opts.fromEpoch} is after toEpoch ${opts.toEpoch}`);
+  }
+  return opts;
+}
+
+/** The /api/epochs/boundaries subset of listOptionsFromQuery: epoch range, limit and paging. */
+export function boundaryOptionsFromQuery(params: URLSearchParams): BoundaryListOptions & { paginated: boolean } {
+  for (const name of ['sample', 'fromTime', 'toTime']){
+    if (params.has(name)) throw new InvalidQueryError(`${name} is not supported for epoch boundaries`);
+  }
+  const { limit, fromEpoch, toEpoch, afterEpoch, pageSize, paginated } = listOptionsFromQuery(params);
+  return { limit, fromEpoch, toEpoch, afterEpoch, pageSize, paginated };
+}
+
+/** ?block=N, required. */
+export function blockFromQuery(params: URLSearchParams): number {
+  const block = epochParam(params, 'block');
+  if (block == null) throw new InvalidQueryError('block is required');
+  return block;
+}
+
+/**
+ * Cursor and next link for a page. A full page always gets a next link; the page
+ * after the last one is simply empty with next null.
+ */
+export function nextPage(u: URL, rows: { epoch: number }[], pageSize: number): { cursor: string | null; next: string | null } {
+  const last = rows[rows.length - 1];
+  if (!last || rows.length < pageSize) return { cursor: null, next: null };
+  const cursor = encodeCursor(last.epoch);
+  const params = new URLSearchParams(u.searchParams);
+  params.set('cursor', cursor);
+  params.set('pageSize', String(pageSize));
+  return { cursor, next: `${u.pathname}?${params.toString()}` };
+}
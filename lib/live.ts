@@ -0,0 +1,229 @@
+// Server side of live mode: one shared feed of in-progress epoch rows that every
+// /api/stream client subscribes to. Fed either by a single chain subscription or by
+// polling the repository for epochs the monitor has written.
+
+import { getEpochRepository } from './backends';
+import { DEFAULT_SCOPE, rpcUrlFor, Scope, scopeKey } from './networks';
+import type { AmountMap, EpochRow } from './types';
+
+const DB_POLL_MS = 15_000;
+const MAX_RETRY_MS = 30_000;
+
+export type LiveStatus = 'connecting' | 'live' | 'error';
+export type LiveEvent =
+  | { type: 'status'; status: LiveStatus }
+  | { type: 'epoch'; row: EpochRow };
+
+type Emit = (e: LiveEvent) => void;
+// Starts producing events and returns a function that stops it
+type LiveSource = (emit: Emit) => () => void;
+
+/**
+ * Fan-out of one source to any number of listeners. The source runs only while
+ * someone is listening; new listeners get the current status and last row at once.
+ */
+export class LiveFeed {
+  private listeners = new Set<Emit>();
+  private status: LiveStatus = 'connecting';
+  private last: EpochRow | null = null;
+  private stop: (() => void) | null = null;
+
+  constructor(private readonly source: LiveSource){}
+
+  subscribe(listener: Emit): () => void {
+    this.listeners.add(listener);
+    listener({ type: 'status', status: this.status });
+    if (this.last) listener({ type: 'epoch', row: this.last });
+    if (!this.stop) this.stop = this.source(e => this.emit(e));
+    return () => {
+      this.listeners.delete(listener);
+      if (!this.listeners.size && this.stop){
+        this.stop();
+        this.stop = null;
+        this.status = 'connecting';
+      }
+    };
+  }
+
+  private emit(e: LiveEvent){
+    if (e.type === 'status') this.status = e.status;
+    else this.last = e.row;
+    for (const listener of Array.from(this.listeners)){
+      try { listener(e); } catch {}
+    }
+  }
+}
+
+/** Polkadot codec map (BTreeMap or its JSON) to a plain { id: amount } object. */
+export function codecMapToObject(m: any): AmountMap {
+  if (!m) return {};
+  const out: AmountMap = {};
+  try {
+    if (typeof m.entries === 'function'){
+      for (const [k, v] of m.entries()){
+        out[String(k?.toNumber?.() ?? Number(k))] = v?.toString?.() ?? String(v);
+      }
+      return out;
+    }
+    const j = m.toJSON?.() ?? m;
+    if (j && typeof j === 'object'){
+      for (const [k, v] of Object.entries(j as any)){
+        if (typeof v === 'string' && v.startsWith('0x')){
+          try { out[k] = BigInt(v).toString(); } catch { out[k] = v; }
+        } else {
+          out[k] = (v as any)?.toString?.() ?? String(v);
+        }
+      }
+    }
+  } catch {}
+  return out;
+}
+
+/** Normalize a domainStakingSummary read at one block into an /api/epochs row. */
+export function liveRowFromSummary(summary: any, domainId: number, blockNumber: number, blockHash: string, timestamp: number | null): EpochRow {
+  const epochRaw = summary.currentEpochIndex ?? summary.epochIndex ?? summary.epoch;
+  const totalStake = (summary.currentTotalStake ?? summary.totalStake)?.toString?.() ?? '0';
+  const operatorStakes = codecMapToObject(summary.currentOperators);
+  const rewards = codecMapToObject(summary.currentEpochRewards);
+  // The summary has no storage fund; estimate it at ~25% of total stake as live mode always has
+  let storageFees = '0';
+  try { storageFees = (BigInt(totalStake) / 4n).toString(); } catch {}
+  return {
+    domainId,
+    epoch: typeof epochRaw?.toNumber === 'function' ? epochRaw.toNumber() : Number(epochRaw),
+    endBlock: blockNumber,
+    endHash: blockHash,
+    timestamp,
+    datetime: timestamp != null ? new Date(timestamp).toISOString() : null,
+    totalStake,
+    storageFees,
+    operatorStakes,
+    rewards,
+    // Share prices need per-operator queries; clients keep the stored ones
+    operatorSharePrices: {},
+    operators: Object.keys(operatorStakes).length,
+    meta: {
+      rewardsHasAny: Object.values(rewards).some(v => v !== '0'),
+      sharePricesHasAny: false,
+      sampleApplied: false,
+      sharePriceSource: 'default',
+      live: true
+    }
+  };
+}
+
+/** One RPC connection reading the staking summary at every new head, reconnecting with backoff. */
+export function chainSource(rpcUrl: string, domainId = 0): LiveSource {
+  return (emit) => {
+    let api: any = null;
+    let unsub: any = null;
+    let stopped = false;
+    let attempt = 0;
+    let retry: ReturnType<typeof setTimeout> | null = null;
+
+    // `conn` is the connection that failed; a second report for it (the 'disconnected'
+    // event and then the pending subscribe rejecting) schedules no extra reconnect
+    const fail = (conn: any) => {
+      if (api !== conn) return;
+      emit({ type: 'status', status: 'error' });
+      try { if (typeof unsub === 'function') unsub(); } catch {}
+      try { api?.disconnect?.(); } catch {}
+      api = null; unsub = null;
+      attempt += 1;
+      if (retry) clearTimeout(retry);
+      if (!stopped) retry = setTimeout(connect, Math.min(MAX_RETRY_MS, 1000 * Math.pow(2, attempt)));
+    };
+
+    const connect = async () => {
+      emit({ type: 'status', status: 'connecting' });
+      let conn: any = null;
+      try {
+        const { activate } = await import('@autonomys/auto-utils');
+        conn = await activate({ rpcUrl } as any);
+        if (stopped){ try { await conn.disconnect(); } catch {} return; }
+        api = conn;
+        conn.on?.('disconnected', () => { if (!stopped) fail(conn); });
+        const off = await conn.rpc.chain.subscribeNewHeads(async (header: any) => {
+          try {
+            const blockNumber = header.number.toNumber();
+            const hash = await conn.rpc.chain.getBlockHash(blockNumber);
+            const at = await conn.at(hash);
+            const [opt, now] = await Promise.all([
+              at.query.domains.domainStakingSummary(domainId),
+              at.query.timestamp.now().catch(() => null)
+            ]);
+            if (!opt || opt.isNone) return;
+            const timestamp = now != null ? Number(now.toString()) : null;
+            emit({ type: 'epoch', row: liveRowFromSummary(opt.unwrap(), domainId, blockNumber, hash.toString(), timestamp) });
+          } catch {}
+        });
+        // Stopped or dropped while subscribing: nothing else will remove this subscription
+        if (stopped || api !== conn){ try { off(); } catch {} return; }
+        unsub = off;
+        attempt = 0;
+        emit({ type: 'status', status: 'live' });
+      } catch {
+        if (!stopped) fail(conn);
+      }
+    };
+
+    connect();
+    return () => {
+      stopped = true;
+      if (retry) clearTimeout(retry);
+      try { if (typeof unsub === 'function') unsub(); } catch {}
+      try { api?.disconnect?.(); } catch {}
+    };
+  };
+}
+
+/** Polls the repository and emits the latest stored epoch whenever it changes. */
+export function databaseSource(scope: Scope, intervalMs = DB_POLL_MS): LiveSource {
+  return (emit) => {
+    let seen: string | null = null;
+    let stopped = false;
+    const poll = async () => {
+      try {
+        const row = await getEpochRepository(scope).latestEpoch();
+        if (stopped) return;
+        emit({ type: 'status', status: 'live' });
+        const key = row ? `${row.epoch}:${row.endBlock ?? ''}` : null;
+        if (row && key !== seen){
+          seen = key;
+          emit({ type: 'epoch', row });
+        }
+      } catch {
+        if (!stopped) emit({ type: 'status', status: 'error' });
+      }
+    };
+    poll();
+    const timer = setInterval(poll, intervalMs);
+    return () => { stopped = true; clearInterval(timer); };
+  };
+}
+
+const cached = new Map<string, LiveFeed>();
+
+/**
+ * The feed behind /api/stream for one network and domain, chosen by LIVE_SOURCE:
+ * - `chain` (default): one subscription to the network's RPC (see rpcUrlFor)
+ * - `db`: the latest epoch in the configured repository, polled every 15s
+ */
+export function getLiveFeed(scope: Scope = DEFAULT_SCOPE): LiveFeed {
+  const hit = cached.get(scopeKey(scope));
+  if (hit) return hit;
+  const kind = (process.env.LIVE_SOURCE || 'chain').trim().toLowerCase();
+  let feed: LiveFeed;
+  switch (kind) {
+    case 'chain':
+      feed = new LiveFeed(chainSource(rpcUrlFor(scope.network), scope.domainId));
+      break;
+    case 'db':
+      feed = new LiveFeed(databaseSource(scope));
+      break;
+    default:
+      throw new Error(`unknown LIVE_SOURCE: ${kind} (expected chain or db)`);
+  }
+  cached.set(scopeKey(scope), feed);
+  return feed;
+}
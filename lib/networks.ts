@@ -0,0 +1,76 @@
+// Networks and domains the app can show. Every API route takes ?network= and ?domain=
+// (default mainnet, domain 0); the dashboard passes its selection the same way.
+// Shared with the client, so nothing here reads server-only configuration at import.
+
+export type NetworkId = 'mainnet' | 'taurus';
+
+export type NetworkInfo = {
+  id: NetworkId;
+  label: string;
+  rpcUrl: string;                         // public default; RPC_URL_WS[_<NETWORK>] overrides it
+  domains: { id: number; name: string }[];
+};
+
+export const NETWORKS: Record<NetworkId, NetworkInfo> = {
+  mainnet: {
+    id: 'mainnet',
+    label: 'Mainnet',
+    rpcUrl: 'wss://rpc.mainnet.subspace.foundation/ws',
+    domains: [{ id: 0, name: 'Auto EVM' }]
+  },
+  taurus: {
+    id: 'taurus',
+    label: 'Taurus testnet',
+    rpcUrl: 'wss://rpc.taurus.autonomys.xyz/ws',
+    domains: [{ id: 0, name: 'Auto EVM' }]
+  }
+};
+
+export const NETWORK_IDS = Object.keys(NETWORKS) as NetworkId[];
+
+/** Which chain and domain a request reads. */
+export type Scope = { network: NetworkId; domainId: number };
+
+export const DEFAULT_SCOPE: Scope = { network: 'mainnet', domainId: 0 };
+
+export function isDefaultScope(scope: Scope): boolean {
+  return scope.network === DEFAULT_SCOPE.network && scope.domainId === DEFAULT_SCOPE.domainId;
+}
+
+export function scopeKey(scope: Scope): string {
+  return `${scope.network}:${scope.domainId}`;
+}
+
+/** Query string for a scope, empty for the default so existing URLs stay unchanged. */
+export function scopeQuery(scope: Scope): string {
+  if (isDefaultScope(scope)) return '';
+  return new URLSearchParams({ network: scope.network, domain: String(scope.domainId) }).toString();
+}
+
+export function domainName(scope: Scope): string {
+  const known = NETWORKS[scope.network]?.domains.find(d => d.id === scope.domainId);
+  return known ? known.name : `Domain ${scope.domainId}`;
+}
+
+/** Server-side RPC for a network: RPC_URL_WS_TAURUS etc., RPC_URL_WS for mainnet, then the public default. */
+export function rpcUrlFor(network: NetworkId): string {
+  const env = process.env[`RPC_URL_WS_${network.toUpperCase()}`] || (network === 'mainnet' ? process.env.RPC_URL_WS : undefined);
+  return env || NETWORKS[network].rpcUrl;
+}
+
+/** Append the scope's query to an app or API path, e.g. withScope('/api/summary', scope). */
+export function withScope(url: string, scope: Scope): string {
+  const q = scopeQuery(scope);
+  return q ? `${url}${url.includes('?') ? '&' : '?'}${q}` : url;
+}
+
+/** Scope from a page's location.search; unknown values fall back to the default. */
+export function scopeFromSearch(search: string): Scope {
+  const params = new URLSearchParams(search);
+  const network = params.get('network') as NetworkId | null;
+  const domain = Number(params.get('domain'));
+  return {
+    network: network && network in NETWORKS ? network : DEFAULT_SCOPE.network,
+    domainId: params.get('domain') && Number.isSafeInteger(domain) && domain >= 0 ? domain : DEFAULT_SCOPE.domainId
+  };
+}
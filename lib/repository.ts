@@ -0,0 +1,130 @@
+// Storage-agnostic read interface behind every API route.
+// Backends: Supabase (comprehensive_analytics + normalized tables), SQLite (the
+// backfill database) and a JSON file export. Routes only talk to EpochRepository.
+
+import type { Bucket, EpochBucket } from './aggregate';
+import type { DepositSnapshot, EpochBoundary, EpochRow, HealthReport, NominatorPosition, OperatorSnapshot, RawEpoch, WithdrawalSnapshot } from './types';
+
+export type ListEpochsOptions = {
+  limit?: number | null;    // most recent N epochs; null/undefined = all
+  sample?: number | null;   // downsample to ~N rows after the limit is applied
+  // Range filters, all inclusive; times are epoch timestamps in ms
+  fromEpoch?: number | null;
+  toEpoch?: number | null;
+  fromTime?: number | null;
+  toTime?: number | null;
+  afterEpoch?: number | null;  // exclusive lower bound, set from a page cursor
+  pageSize?: number | null;    // first N epochs in range (ascending), instead of limit
+};
+
+/** Inclusive epoch/time bounds for a list query, with the cursor folded into minEpoch. */
+export function epochRangeOf(opts: ListEpochsOptions): { minEpoch: number | null; maxEpoch: number | null; fromTime: number | null; toTime: number | null } {
+  const lows = [opts.fromEpoch, opts.afterEpoch != null ? opts.afterEpoch + 1 : null].filter((v): v is number => v != null);
+  return {
+    minEpoch: lows.length ? Math.max(...lows) : null,
+    maxEpoch: opts.toEpoch ?? null,
+    fromTime: opts.fromTime ?? null,
+    toTime: opts.toTime ?? null
+  };
+}
+
+/** In-memory version of epochRangeOf for backends that cannot filter in the query. */
+export function inEpochRange(row: { epoch: number; timestamp: number | null }, opts: ListEpochsOptions): boolean {
+  const { minEpoch, maxEpoch, fromTime, toTime } = epochRangeOf(opts);
+  if (minEpoch != null && row.epoch < minEpoch) return false;
+  if (maxEpoch != null && row.epoch > maxEpoch) return false;
+  if (fromTime != null && (row.timestamp == null || Number(row.timestamp) < fromTime)) return false;
+  if (toTime != null && (row.timestamp == null || Number(row.timestamp) > toTime)) return false;
+  return true;
+}
+
+/** Epoch range, limit and paging for boundary lists; boundaries have no time filters. */
+export type BoundaryListOptions = Pick<ListEpochsOptions, 'limit' | 'fromEpoch' | 'toEpoch' | 'afterEpoch' | 'pageSize'>;
+
+/** Range, pageSize and limit applied in memory, for backends that derive boundaries. */
+export function sliceBoundaries(all: EpochBoundary[], opts: BoundaryListOptions): EpochBoundary[] {
+  const { minEpoch, maxEpoch } = epochRangeOf(opts);
+  const rows = all.filter(b => (minEpoch == null || b.epoch >= minEpoch) && (maxEpoch == null || b.epoch <= maxEpoch));
+  if (opts.pageSize) return rows.slice(0, opts.pageSize);
+  return opts.limit && rows.length > opts.limit ? rows.slice(-opts.limit) : rows;
+}
+
+export type OperatorHistoryOptions = {
+  limit?: number | null;    // most recent N epochs the operator appears in
+  fromEpoch?: number | null;
+};
+
+export interface EpochRepository {
+  readonly kind: 'supabase' | 'sqlite' | 'json';
+
+  /** Epochs in ascending order. */
+  listEpochs(opts?: ListEpochsOptions): Promise<EpochRow[]>;
+  /** Non-empty calendar buckets of the epochs in range, in ascending order. */
+  epochBuckets(bucket: Bucket, opts?: ListEpochsOptions): Promise<EpochBucket[]>;
+  latestEpoch(): Promise<EpochRow | null>;
+  /** Raw epochs.data snapshots, newest first. */
+  rawEpochs(limit: number): Promise<RawEpoch[]>;
+  health(): Promise<HealthReport>;
+
+  /** Epoch start/end blocks in ascending order. */
+  epochBoundaries(opts?: BoundaryListOptions): Promise<EpochBoundary[]>;
+  /** The epoch whose blocks include `block`; null when the index does not cover it. */
+  epochAtBlock(block: number): Promise<EpochBoundary | null>;
+
+  /** One operator's per-epoch snapshots in ascending order; empty when unknown. */
+  operatorHistory(operatorId: number, opts?: OperatorHistoryOptions): Promise<OperatorSnapshot[]>;
+
+  nominatorPositions(operatorId: number): Promise<NominatorPosition[]>;
+  nominatorSnapshots(operatorId: number, nominatorId: string): Promise<{ deposits: DepositSnapshot[]; withdrawals: WithdrawalSnapshot[] }>;
+}
+
+/** Thrown when a backend cannot answer a query (e.g. nominator data in a JSON export). */
+export class UnsupportedQueryError extends Error {
+  constructor(backend: string, query: string){
+    super(`${query} is not available from the ${backend} backend`);
+    this.name = 'UnsupportedQueryError';
+  }
+}
+
+/**
+ * Wraps a primary backend and retries failed reads against a fallback, the way the
+ * routes used to fall back to public/data/epochs.json when Supabase errored.
+ */
+export class FallbackRepository implements EpochRepository {
+  constructor(private readonly primary: EpochRepository, private readonly fallback: EpochRepository){}
+
+  get kind(){ return this.primary.kind; }
+
+  private async attempt<T>(fn: (r: EpochRepository) => Promise<T>): Promise<T> {
+    try {
+      return await fn(this.primary);
+    } catch (e) {
+      try { return await fn(this.fallback); } catch { throw e; }
+    }
+  }
+
+  listEpochs(opts?: ListEpochsOptions){ return this.attempt(r => r.listEpochs(opts)); }
+  epochBuckets(bucket: Bucket, opts?: ListEpochsOptions){ return this.attempt(r => r.epochBuckets(bucket, opts)); }
+  latestEpoch(){ return this.attempt(r => r.latestEpoch()); }
+  rawEpochs(limit: number){ return this.primary.rawEpochs(limit); }
+  health(){ return this.primary.health(); }
+  epochBoundaries(opts?: BoundaryListOptions){ return this.attempt(r => r.epochBoundaries(opts)); }
+  epochAtBlock(block: number){ return this.attempt(r => r.epochAtBlock(block)); }
+  operatorHistory(operatorId: number, opts?: OperatorHistoryOptions){ return this.primary.operatorHistory(operatorId, opts); }
+  nominatorPositions(operatorId: number){ return this.primary.nominatorPositions(operatorId); }
+  nominatorSnapshots(operatorId: number, nominatorId: string){ return this.primary.nominatorSnapshots(operatorId, nominatorId); }
+}
+
+/** Thrown for malformed query parameters; routes map it to 400. */
+export class InvalidQueryError extends Error {
+  constructor(message: string){
+    super(message);
+    this.name = 'InvalidQueryError';
+  }
+}
+
+/** HTTP status for a repository failure: 400 for bad parameters, 501 for queries the backend cannot serve, else 500. */
+export function errorStatus(e: unknown): number {
+  if (e instanceof InvalidQueryError) return 400;
+  return e instanceof UnsupportedQueryError ? 501 : 500;
+}
@@ -0,0 +1,85 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { downsample, lttbIndices, minMaxIndices, type Series } from './sampling.js';
+
+type Row = { epoch: number; stake: number | null; reward: number | null };
+
+const N = 1000;
+const SPIKE = 617;
+
+// Slowly rising stake with one spike, and flat rewards with one spike at the same epoch
+function rows(): Row[] {
+  return Array.from({ length: N }, (_, i) => ({
+    epoch: i,
+    stake: i === SPIKE ? 5000 : 100 + i * 0.1,
+    reward: i === SPIKE ? 900 : 10
+  }));
+}
+
+const xs = rows().map(r => r.epoch);
+const ys = rows().map(r => r.stake as number);
+
+function assertIndices(picked: number[], n: number, size: number){
+  assert.ok(picked.length <= size, `${picked.length} points for a budget of ${size}`);
+  assert.equal(picked[0], 0);
+  assert.equal(picked[picked.length - 1], n - 1);
+  for (let i = 1; i < picked.length; i++) assert.ok(picked[i] > picked[i - 1], 'indices ascend without repeats');
+}
+
+test('lttbIndices keeps the spike and both ends within the budget', () => {
+  for (const size of [3, 10, 50, 200]){
+    const picked = lttbIndices(xs, ys, size);
+    assertIndices(picked, N, size);
+    assert.ok(picked.includes(SPIKE), `spike dropped at size ${size}`);
+  }
+});
+
+test('minMaxIndices keeps the spike and both ends within the budget', () => {
+  for (const size of [3, 4, 11, 50, 200]){
+    const picked = minMaxIndices(ys, size);
+    assertIndices(picked, N, size);
+    assert.ok(picked.includes(SPIKE), `spike dropped at size ${size}`);
+  }
+});
+
+test('index pickers return every point when the budget covers them and only the ends below three', () => {
+  assert.deepEqual(lttbIndices([0, 1, 2], [5, 6, 7], 3), [0, 1, 2]);
+  assert.deepEqual(minMaxIndices([5, 6, 7], 10), [0, 1, 2]);
+  assert.deepEqual(lttbIndices(xs, ys, 2), [0, N - 1]);
+  assert.deepEqual(minMaxIndices(ys, 2), [0, N - 1]);
+  assert.deepEqual(lttbIndices(xs, ys, 1), [0]);
+});
+
+test('downsample keeps the spike of every series and both ends within the budget', () => {
+  const series: Series<Row>[] = [
+    { kind: 'line', value: r => r.stake },
+    { kind: 'bar', value: r => r.reward }
+  ];
+  for (const size of [5, 20, 100]){
+    const out = downsample(rows(), size, r => r.epoch, series);
+    assert.ok(out.length <= size, `${out.length} rows for a budget of ${size}`);
+    assert.equal(out[0].epoch, 0);
+    assert.equal(out[out.length - 1].epoch, N - 1);
+    assert.ok(out.some(r => r.epoch === SPIKE), `spike dropped at size ${size}`);
+  }
+});
+
+test('downsample stays within the budget when there are more series than points', () => {
+  const series: Series<Row>[] = Array.from({ length: 40 }, (_, s) => ({
+    kind: 'line',
+    // Each series only has values in its own stretch of epochs
+    value: r => r.epoch >= s * 25 && r.epoch < (s + 1) * 25 ? r.stake : null
+  }));
+  for (const size of [2, 5, 10, 30]){
+    const out = downsample(rows(), size, r => r.epoch, series);
+    assert.ok(out.length <= size, `${out.length} rows for a budget of ${size}`);
+    assert.equal(out[0].epoch, 0);
+    assert.equal(out[out.length - 1].epoch, N - 1);
+  }
+});
+
+test('downsample returns the rows themselves when they already fit', () => {
+  const input = rows().slice(0, 10);
+  assert.equal(downsample(input, 10, r => r.epoch, []), input);
+  assert.equal(downsample(input, null, r => r.epoch, []), input);
+});
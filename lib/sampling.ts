@@ -0,0 +1,174 @@
+// Shape-preserving downsampling shared by the epoch backends and the dashboard.
+// Lines use Largest-Triangle-Three-Buckets; bars keep each bucket's min and max so
+// reward spikes survive. Every series picks its own points and rows are kept when
+// any series needs them.
+
+import type { EpochRow } from './types';
+
+export type SeriesKind = 'line' | 'bar';
+
+export type Series<T> = {
+  kind: SeriesKind;
+  value: (row: T) => number | null | undefined;
+};
+
+const MIN_POINTS = 3;
+
+// Indices 0..n-1, or just the ends when `size` is below MIN_POINTS
+function allOrEnds(n: number, size: number): number[] {
+  if (size >= n) return Array.from({ length: n }, (_, i) => i);
+  return size >= 2 ? [0, n - 1] : [0].slice(0, Math.max(0, size));
+}
+
+/**
+ * Largest-Triangle-Three-Buckets over points (xs[i], ys[i]). Returns at most `size`
+ * indices into the input, ascending, including the first and last point when `size`
+ * allows two.
+ */
+export function lttbIndices(xs: number[], ys: number[], size: number): number[] {
+  const n = ys.length;
+  if (size >= n || size < MIN_POINTS) return allOrEnds(n, size);
+
+  const out = [0];
+  const every = (n - 2) / (size - 2);
+  let a = 0;
+  for (let i = 0; i < size - 2; i++){
+    // Average of the next bucket is the third corner of the triangle
+    const nextStart = Math.floor((i + 1) * every) + 1;
+    const nextEnd = Math.min(Math.floor((i + 2) * every) + 1, n);
+    let avgX = 0, avgY = 0;
+    for (let j = nextStart; j < nextEnd; j++){ avgX += xs[j]; avgY += ys[j]; }
+    const count = nextEnd - nextStart || 1;
+    avgX /= count; avgY /= count;
+
+    const start = Math.floor(i * every) + 1;
+    const end = Math.floor((i + 1) * every) + 1;
+    let best = start, bestArea = -1;
+    for (let j = start; j < end; j++){
+      const area = Math.abs((xs[a] - avgX) * (ys[j] - ys[a]) - (xs[a] - xs[j]) * (avgY - ys[a]));
+      if (area > bestArea){ bestArea = area; best = j; }
+    }
+    out.push(best);
+    a = best;
+  }
+  out.push(n - 1);
+  return out;
+}
+
+/**
+ * Min/max envelope: (`size` - 2) / 2 buckets, each contributing its smallest and
+ * largest value (at `size` 3, only the one farther from the mean). Returns at most
+ * `size` ascending indices, including the first and last point when `size` allows two.
+ */
+export function minMaxIndices(ys: number[], size: number): number[] {
+  const n = ys.length;
+  if (size >= n || size < MIN_POINTS) return allOrEnds(n, size);
+
+  const picked = new Set([0, n - 1]);
+  const buckets = Math.max(1, Math.floor((size - 2) / 2));
+  const every = (n - 2) / buckets;
+  for (let b = 0; b < buckets; b++){
+    const start = Math.floor(b * every) + 1;
+    const end = Math.min(Math.floor((b + 1) * every) + 1, n - 1);
+    let lo = start, hi = start, sum = 0;
+    for (let j = start; j < end; j++){
+      if (ys[j] < ys[lo]) lo = j;
+      if (ys[j] > ys[hi]) hi = j;
+      sum += ys[j];
+    }
+    if (start >= end) continue;
+    if (size - 2 >= 2){ picked.add(lo); picked.add(hi); continue; }
+    // Room for one point only: the extreme farther from the bucket's mean
+    const mean = sum / (end - start);
+    picked.add(ys[hi] - mean >= mean - ys[lo] ? hi : lo);
+  }
+  return Array.from(picked).sort((a, b) => a - b);
+}
+
+// Indices of `rows` one series keeps at a budget of `size` points. Rows where the
+// series has no value are skipped, not treated as zero.
+function seriesIndices<T>(rows: T[], x: (row: T) => number, series: Series<T>, size: number): number[] {
+  const at: number[] = [], xs: number[] = [], ys: number[] = [];
+  rows.forEach((r, i) => {
+    const v = series.value(r);
+    if (v == null || !Number.isFinite(v)) return;
+    at.push(i); xs.push(x(r)); ys.push(v);
+  });
+  const picked = series.kind === 'bar' ? minMaxIndices(ys, size) : lttbIndices(xs, ys, size);
+  return picked.map(i => at[i]);
+}
+
+/**
+ * Downsample rows to at most `size` while preserving the shape of every series.
+ * Each series gets the same point budget, lowered until the union of their picks
+ * fits in `size`. Returns `rows` itself when nothing is dropped.
+ */
+export function downsample<T>(rows: T[], size: number | null | undefined, x: (row: T) => number, series: Series<T>[]): T[] {
+  if (!size || rows.length <= size) return rows;
+  if (!series.length) series = [{ kind: 'line', value: x }];
+
+  const keep = (budget: number) => {
+    const picked = new Set([0, rows.length - 1]);
+    for (const s of series) for (const i of seriesIndices(rows, x, s, budget)) picked.add(i);
+    return picked;
+  };
+
+  let best = keep(size);
+  if (best.size > size){
+    let lo = 1, hi = size - 1;
+    best = keep(lo);
+    while (lo < hi){
+      const mid = Math.ceil((lo + hi) / 2);
+      const picked = keep(mid);
+      if (picked.size <= size){ best = picked; lo = mid; } else hi = mid - 1;
+    }
+  }
+  if (best.size >= rows.length) return rows;
+  let indices = Array.from(best).sort((a, b) => a - b);
+  // Even one point per series can overflow when there are more series than `size`;
+  // thin the picks evenly, keeping the first and last row
+  if (indices.length > size){
+    const from = indices;
+    indices = size < 2 ? from.slice(0, size) : Array.from({ length: size }, (_, k) => from[Math.round(k * (from.length - 1) / (size - 1))]);
+  }
+  return indices.map(i => rows[i]);
+}
+
+// Amounts are BigInt strings; float precision is plenty for comparing shapes
+function num(v: string | null | undefined): number | null {
+  if (v == null || v === '') return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+type EpochSeriesRow = Pick<Partial<EpochRow>, 'totalStake' | 'storageFees' | 'operatorStakes' | 'rewards' | 'operatorSharePrices'>;
+
+/** The series the dashboard plots: stakes and share prices as lines, rewards as bars. */
+export function epochSeries<T extends EpochSeriesRow>(rows: T[]): Series<T>[] {
+  const stakeIds = new Set<string>(), rewardIds = new Set<string>(), priceIds = new Set<string>();
+  for (const r of rows){
+    for (const id of Object.keys(r.operatorStakes || {})) stakeIds.add(id);
+    for (const id of Object.keys(r.rewards || {})) rewardIds.add(id);
+    for (const id of Object.keys(r.operatorSharePrices || {})) priceIds.add(id);
+  }
+  const series: Series<T>[] = [
+    { kind: 'line', value: r => num(r.totalStake) },
+    { kind: 'line', value: r => num(r.storageFees) },
+    {
+      kind: 'bar',
+      value: r => {
+        const values = Object.values(r.rewards || {});
+        return values.length ? values.reduce((sum, v) => sum + (num(v) ?? 0), 0) : null;
+      }
+    }
+  ];
+  for (const id of Array.from(stakeIds)) series.push({ kind: 'line', value: r => num(r.operatorStakes?.[id]) });
+  for (const id of Array.from(priceIds)) series.push({ kind: 'line', value: r => num(r.operatorSharePrices?.[id]) });
+  for (const id of Array.from(rewardIds)) series.push({ kind: 'bar', value: r => num(r.rewards?.[id]) });
+  return series;
+}
+
+/** Downsample ascending epoch rows to ~`size` with epochSeries, plotted against epoch. */
+export function downsampleEpochs<T extends EpochSeriesRow & { epoch?: number }>(rows: T[], size: number | null | undefined): T[] {
+  return downsample(rows, size, r => Number(r.epoch), epochSeries(rows));
+}
@@ -0,0 +1,73 @@
+// Replays a hypothetical deposit against an operator's historical share prices.
+// Amounts are Shannons and share prices perquintill (stake / shares * 1e18), all BigInt.
+
+import { SHANNONS_PER_TOKEN } from './amounts';
+
+// pallet-domains reserves 20% of every deposit for the operator's storage fund
+export const DEFAULT_STORAGE_FEE_PERCENT = 20;
+
+export type SharePricePoint = { epoch: number; sharePrice: string };
+
+export type SimulationPoint = {
+  epoch: number;
+  sharePrice: string;
+  stakeValue: string;      // shares valued at this epoch's share price
+  storageFee: string;      // storage fund deposit, carried at par
+  value: string;           // stakeValue + storageFee
+  rewards: string;         // stakeValue - initial stake
+};
+
+export type SimulationResult = {
+  amount: string;
+  storageFeePercent: number;
+  staked: string;
+  storageFee: string;
+  shares: string;
+  startEpoch: number;
+  points: SimulationPoint[];
+  finalValue: string;
+  rewards: string;
+};
+
+/**
+ * Deposit `amount` Shannons at the first point's share price and value it at every
+ * later point. The storage fee share is not converted to shares: the snapshots do not
+ * track the storage fund balance, so it is returned at its deposited amount.
+ */
+export function simulateDeposit(points: SharePricePoint[], amount: bigint, storageFeePercent = DEFAULT_STORAGE_FEE_PERCENT): SimulationResult | null {
+  const series = points.filter(p => {
+    try { return BigInt(p.sharePrice) > 0n; } catch { return false; }
+  });
+  if (!series.length || amount <= 0n) return null;
+
+  // Percent is applied in basis points so fractional inputs like 12.5 stay exact
+  const feeBps = BigInt(Math.round(storageFeePercent * 100));
+  const storageFee = (amount * feeBps) / 10000n;
+  const staked = amount - storageFee;
+  const shares = (staked * SHANNONS_PER_TOKEN) / BigInt(series[0].sharePrice);
+
+  const out: SimulationPoint[] = series.map(p => {
+    const stakeValue = (shares * BigInt(p.sharePrice)) / SHANNONS_PER_TOKEN;
+    return {
+      epoch: p.epoch,
+      sharePrice: p.sharePrice,
+      stakeValue: stakeValue.toString(),
+      storageFee: storageFee.toString(),
+      value: (stakeValue + storageFee).toString(),
+      rewards: (stakeValue - staked).toString()
+    };
+  });
+  const last = out[out.length - 1];
+
+  return {
+    amount: amount.toString(),
+    storageFeePercent,
+    staked: staked.toString(),
+    storageFee: storageFee.toString(),
+    shares: shares.toString(),
+    startEpoch: series[0].epoch,
+    points: out,
+    finalValue: last.value,
+    rewards: last.rewards
+  };
+}
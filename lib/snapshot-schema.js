@@ -0,0 +1,143 @@
+// Versions of the snapshot JSON stored in epochs.data and the upgrades between them.
+// Plain JavaScript so the node scripts can import it without a build step:
+// lib/epoch-data.ts upgrades every snapshot it reads, the backfill stamps the current
+// version, and scripts/migrate-snapshots.mjs rewrites stored rows in SQLite and Postgres.
+//
+// Version 1: no schemaVersion field. operators.entries and operatorEpochSharePrice.entries
+//   hold codec strings ("storage_key_hex,{json}" and "storage_key_hex,decimal_value")
+//   under key [position in the .entries() array]; the ids are only in the storage key.
+//   Lightweight backfills of that era wrote no entries at all.
+// Version 2: operators.entries items are { key, operatorId, operator } with the decoded
+//   Operator struct, amounts as decimal strings; operatorEpochSharePrice.entries items
+//   are { key, operatorId, domainId, epoch, sharePrice } with the price in perquintill.
+
+export const CURRENT_SNAPSHOT_VERSION = 2;
+
+// Operator struct fields that are balances (hex or numbers in version 1 JSON)
+const OPERATOR_AMOUNT_FIELDS = [
+  'minimumNominatorStake',
+  'currentTotalStake',
+  'currentTotalShares',
+  'totalStorageFeeDeposit',
+  'depositsInEpoch',
+  'withdrawalsInEpoch'
+];
+
+/**
+ * The version of a parsed snapshot; snapshots without schemaVersion are version 1.
+ * @param {any} data
+ * @returns {number}
+ */
+export function snapshotVersion(data) {
+  const v = Number(data?.schemaVersion ?? 1);
+  return Number.isInteger(v) && v > 0 ? v : 1;
+}
+
+function decimalString(v) {
+  if (v == null) return null;
+  try {
+    if (typeof v === 'number') return BigInt(Math.trunc(v)).toString();
+    return BigInt(String(v).replace(/,/g, '').trim()).toString();
+  } catch {
+    return String(v);
+  }
+}
+
+// Version 1 JSON leaves numbers as numbers; version 2 writes every integer as a string
+function numbersToStrings(v) {
+  if (typeof v === 'number') return decimalString(v);
+  if (Array.isArray(v)) return v.map(numbersToStrings);
+  if (v && typeof v === 'object') {
+    const out = {};
+    for (const [k, x] of Object.entries(v)) out[k] = numbersToStrings(x);
+    return out;
+  }
+  return v;
+}
+
+// Little-endian unsigned integer at hex digits [from, to) of a 0x-prefixed storage key
+function leUint(storageKey, from, to) {
+  const le = storageKey.slice(from, to);
+  let be = '';
+  for (let i = le.length - 2; i >= 0; i -= 2) be += le.slice(i, i + 2);
+  return Number(BigInt('0x' + be));
+}
+
+// Storage keys are 0x | 32-byte pallet/item prefix | keys (Identity hashers, SCALE):
+//   operators                 u64 OperatorId
+//   operatorEpochSharePrice   u64 OperatorId, (u32 DomainId, u32 EpochIndex)
+// Same layout as splitStorageEntry() in lib/epoch-data.ts.
+const OPERATOR_ID_HEX = [66, 82];
+const DOMAIN_ID_HEX = [82, 90];
+const EPOCH_HEX = [90, 98];
+
+// "0x<storage key>,<value>" -> [storageKey, value], or null
+function splitV1Value(valueStr, lastComma = false) {
+  if (typeof valueStr !== 'string' || !valueStr.startsWith('0x')) return null;
+  const commaIndex = lastComma ? valueStr.lastIndexOf(',') : valueStr.indexOf(',');
+  if (commaIndex === -1) return null;
+  return [valueStr.slice(0, commaIndex), valueStr.slice(commaIndex + 1)];
+}
+
+function upgradeOperatorEntryV1(entry) {
+  if (entry?.operator && typeof entry.operator === 'object') return entry;
+  const split = splitV1Value(entry?.value);
+  if (!split || split[0].length < OPERATOR_ID_HEX[1]) return null;
+  let operator;
+  try { operator = JSON.parse(split[1]); } catch { return null; }
+  operator = numbersToStrings(operator);
+  for (const field of OPERATOR_AMOUNT_FIELDS) {
+    if (operator[field] != null) operator[field] = decimalString(operator[field]);
+  }
+  const operatorId = leUint(split[0], ...OPERATOR_ID_HEX);
+  return { key: [String(operatorId)], operatorId, operator };
+}
+
+function upgradeSharePriceEntryV1(entry) {
+  if (entry?.sharePrice != null) return entry;
+  const split = splitV1Value(entry?.value, true);
+  if (!split || split[0].length < EPOCH_HEX[1]) return null;
+  const sharePrice = decimalString(split[1]);
+  if (sharePrice == null || !/^\d+$/.test(sharePrice)) return null;
+  const operatorId = leUint(split[0], ...OPERATOR_ID_HEX);
+  const domainId = leUint(split[0], ...DOMAIN_ID_HEX);
+  const epoch = leUint(split[0], ...EPOCH_HEX);
+  return { key: [String(operatorId), `[${domainId},${epoch}]`], operatorId, domainId, epoch, sharePrice };
+}
+
+function upgradeEntries(section, upgradeEntry) {
+  if (!section || !Array.isArray(section.entries)) return section;
+  return { ...section, entries: section.entries.map(upgradeEntry).filter(Boolean) };
+}
+
+/**
+ * Upgrades from each version to the next, keyed by the version they read. Each one
+ * takes and returns a parsed snapshot and must not mutate its input.
+ * @type {Record<number, (data: any) => any>}
+ */
+export const SNAPSHOT_UPGRADES = {
+  1: (data) => ({
+    ...data,
+    operators: upgradeEntries(data.operators, upgradeOperatorEntryV1),
+    operatorEpochSharePrice: upgradeEntries(data.operatorEpochSharePrice, upgradeSharePriceEntryV1)
+  })
+};
+
+/**
+ * Parse (if needed) and upgrade a snapshot to `target`, CURRENT_SNAPSHOT_VERSION by
+ * default. Snapshots already at or past the target are returned as they are.
+ * @param {any} data snapshot object or its JSON text
+ * @param {number} [target]
+ * @returns {any}
+ */
+export function upgradeSnapshot(data, target = CURRENT_SNAPSHOT_VERSION) {
+  let out = typeof data === 'string' ? JSON.parse(data) : (data || {});
+  let version = snapshotVersion(out);
+  while (version < target) {
+    const upgrade = SNAPSHOT_UPGRADES[version];
+    if (!upgrade) throw new Error(`no snapshot upgrade from version ${version}`);
+    out = { ...upgrade(out), schemaVersion: version + 1 };
+    version += 1;
+  }
+  return out;
+}
@@ -0,0 +1,125 @@
+// Data models shared by the API routes and the storage backends.
+// All amounts are integer strings in Shannons (1e18 per AI3) and all share prices
+// are perquintill (stake / shares * 1e18), so values survive JSON without rounding.
+
+export type AmountMap = Record<string, string>;
+
+// Which input produced an epoch's operatorSharePrices
+export type SharePriceSource = 'shares' | 'normalized' | 'network' | 'default';
+
+/** One epoch in the shape served by /api/epochs and consumed by the dashboard. */
+export type EpochRow = {
+  domainId: number;
+  epoch: number;
+  endBlock: number | null;
+  endHash?: string;
+  timestamp: number | null;
+  datetime?: string | null;          // ISO UTC time of the epoch end (comprehensive_analytics.epoch_datetime)
+  totalStake: string;
+  storageFees: string;
+  operatorStakes: AmountMap;
+  rewards: AmountMap;
+  operatorSharePrices: AmountMap;
+  operators: number | null;
+  // Sizes of the deposits / withdrawals storage maps: open deposits and pending withdrawals
+  depositsCount?: number | null;
+  withdrawalsCount?: number | null;
+  meta?: {
+    rewardsHasAny: boolean;
+    sharePricesHasAny: boolean;
+    sampleApplied: boolean;
+    sharePriceSource: SharePriceSource;
+    // Operators whose share price is the 1.0 placeholder from completeOperatorMaps
+    paddedSharePrices?: string[];
+    [k: string]: any;
+  };
+  debug?: Record<string, any>;
+};
+
+/** Where one epoch starts and ends on the consensus chain (epoch_boundaries); times in ms. */
+export type EpochBoundary = {
+  epoch: number;
+  startBlock: number | null;
+  startHash: string | null;
+  startTimestamp: number | null;
+  endBlock: number | null;
+  endHash: string | null;
+  endTimestamp: number | null;
+};
+
+/** One operator at one epoch. */
+export type OperatorSnapshot = {
+  operatorId: number;
+  epoch: number;
+  stake: string | null;
+  shares: string | null;
+  sharePrice: string | null;
+  rewards: string;
+  nominationTax: number | null;
+};
+
+/** An epochs table row as written by the backfill (data is the full snapshot JSON). */
+export type RawEpoch = {
+  epoch: number;
+  endBlock?: number | null;
+  endHash?: string | null;
+  timestamp?: number | null;
+  data: any;
+};
+
+export type NominatorPosition = {
+  operatorId: number;
+  nominatorId: string;
+  firstEpoch: number;
+  lastEpoch: number;
+  epochsSeen: number;
+  latestShares: string;
+  latestPendingAmount: string;
+  peakShares: string;
+};
+
+export type DepositSnapshot = {
+  epoch: number;
+  operatorId: number;
+  nominatorId: string;
+  knownShares: string;
+  knownStorageFee: string;
+  pendingAmount: string;
+  pendingStorageFee: string;
+  pendingEffectiveEpoch: number | null;
+};
+
+export type WithdrawalSnapshot = {
+  epoch: number;
+  operatorId: number;
+  nominatorId: string;
+  totalWithdrawalAmount: string;
+  totalStorageFeeWithdrawal: string;
+  withdrawalInShares: string;
+  pendingUnlocks: number;
+};
+
+export type HealthReport = {
+  backend: string;
+  sample: number;
+  rewardsAvailable: number;
+  normalizedDataAvailable: boolean;
+};
+
+/** Flatten an EpochRow's per-operator maps into one snapshot per operator. */
+export function operatorSnapshotsOf(row: EpochRow): OperatorSnapshot[] {
+  const ids = Array.from(new Set([
+    ...Object.keys(row.operatorStakes || {}),
+    ...Object.keys(row.rewards || {}),
+    ...Object.keys(row.operatorSharePrices || {})
+  ])).sort((a, b) => Number(a) - Number(b));
+  return ids.map(id => ({
+    operatorId: Number(id),
+    epoch: row.epoch,
+    stake: row.operatorStakes?.[id] ?? null,
+    shares: null,
+    sharePrice: row.operatorSharePrices?.[id] ?? null,
+    rewards: row.rewards?.[id] ?? '0',
+    nominationTax: null
+  }));
+}
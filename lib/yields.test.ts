@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeOperatorYields, yieldInputsFrom, type YieldSourceRow } from './yields.js';
+
+const DAY = 86_400_000;
+const START = Date.UTC(2025, 0, 1);
+const ONE = 10n ** 18n;
+
+function row(epoch: number, price: bigint, sharePriceSource = 'shares'): YieldSourceRow {
+  return { epoch, timestamp: START + epoch * DAY, operatorSharePrices: { 0: price.toString() }, meta: { sharePriceSource } };
+}
+
+test('yieldInputsFrom leaves out placeholder prices and rows without a timestamp', () => {
+  const rows = [
+    row(0, ONE),
+    row(1, ONE, 'network'),
+    row(2, ONE, 'default'),
+    { ...row(3, ONE), timestamp: null },
+    row(4, ONE, 'normalized')
+  ];
+  assert.deepEqual(yieldInputsFrom(rows).map(r => r.epoch), [0, 4]);
+});
+
+test('a window that starts on a placeholder row falls back to the previous real epoch', () => {
+  const rows = [row(0, ONE), row(5, ONE, 'network'), row(10, ONE + ONE / 100n)];
+  const yields = computeOperatorYields(yieldInputsFrom(rows), [5]);
+  assert.equal(yields[0][5]?.fromEpoch, 0);
+  assert.ok(Math.abs((yields[0][5]?.growth ?? 0) - 1.01) < 1e-9);
+});
+
+test('an operator padded with 1.0 in a priced row has no yield until its real price covers the window', () => {
+  // Operator 1 registers at epoch 5 with stake but no shares; its real price appears at epoch 10
+  const rows: YieldSourceRow[] = [
+    row(0, ONE),
+    { ...row(5, ONE), operatorSharePrices: { 0: ONE.toString(), 1: ONE.toString() }, meta: { sharePriceSource: 'shares', paddedSharePrices: ['1'] } },
+    { ...row(10, ONE), operatorSharePrices: { 0: ONE.toString(), 1: (2n * ONE).toString() } },
+    { ...row(20, ONE), operatorSharePrices: { 0: ONE.toString(), 1: (2n * ONE + ONE / 50n).toString() } }
+  ];
+  const inputs = yieldInputsFrom(rows);
+  assert.deepEqual(inputs.map(r => Object.keys(r.operatorSharePrices ?? {})), [['0'], ['0'], ['0', '1'], ['0', '1']]);
+  assert.deepEqual(rows[1].operatorSharePrices, { 0: ONE.toString(), 1: ONE.toString() });
+  const yields = computeOperatorYields(inputs, [10, 15]);
+  assert.equal(yields[1][15], null);
+  assert.equal(yields[1][10]?.fromEpoch, 10);
+  assert.ok(Math.abs((yields[1][10]?.growth ?? 0) - 1.01) < 1e-9);
+});
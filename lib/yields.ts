@@ -0,0 +1,135 @@
+// Annualized staking yield derived from operator share price growth.
+// Shared by /api/yields and the dashboard so both report the same numbers.
+
+export const DEFAULT_YIELD_WINDOWS = [7, 30, 90] as const;
+
+const MS_PER_YEAR = 365.25 * 24 * 60 * 60 * 1000;
+// Growth ratios are taken with 1e12 precision before dropping to floating point
+const RATIO_SCALE = 10n ** 12n;
+
+export type YieldInputRow = {
+  epoch: number;
+  timestamp?: number | string | null;
+  operatorSharePrices?: Record<string, string> | null;
+};
+
+// An epoch row as the epoch APIs return it; meta.sharePriceSource says where its prices came
+// from and meta.paddedSharePrices which operators only have the 1.0 placeholder
+export type YieldSourceRow = YieldInputRow & { meta?: { sharePriceSource?: string; paddedSharePrices?: string[] } | null };
+
+export type WindowYield = {
+  window: number;       // requested trailing window in epochs
+  fromEpoch: number;
+  toEpoch: number;
+  days: number;         // elapsed wall-clock time between the two snapshots
+  growth: number;       // end share price / start share price
+  apr: number;          // simple annualized return, e.g. 0.052 for 5.2%
+  apy: number;          // compounded annualized return
+};
+
+export type OperatorYields = Record<string, Record<number, WindowYield | null>>;
+
+function toMillis(ts: number | string | null | undefined): number | null {
+  if (ts == null || ts === '') return null;
+  const n = typeof ts === 'number' ? ts : Number(ts);
+  if (Number.isFinite(n) && n > 0) return n;
+  const parsed = Date.parse(String(ts));
+  return Number.isFinite(parsed) ? parsed : null;
+}
+
+function priceOf(row: YieldInputRow, id: string): bigint | null {
+  const v = row.operatorSharePrices?.[id];
+  if (v == null) return null;
+  try {
+    const p = BigInt(v);
+    return p > 0n ? p : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Yield for one operator between two rows. Returns null when either share price or
+ * timestamp is missing, or when no time elapsed between the snapshots.
+ */
+export function yieldBetween(start: YieldInputRow, end: YieldInputRow, operatorId: string, window: number): WindowYield | null {
+  const p0 = priceOf(start, operatorId);
+  const p1 = priceOf(end, operatorId);
+  const t0 = toMillis(start.timestamp);
+  const t1 = toMillis(end.timestamp);
+  if (p0 == null || p1 == null || t0 == null || t1 == null || t1 <= t0) return null;
+
+  const growth = Number((p1 * RATIO_SCALE) / p0) / Number(RATIO_SCALE);
+  const years = (t1 - t0) / MS_PER_YEAR;
+  return {
+    window,
+    fromEpoch: start.epoch,
+    toEpoch: end.epoch,
+    days: (t1 - t0) / 86_400_000,
+    growth,
+    apr: (growth - 1) / years,
+    apy: Math.pow(growth, 1 / years) - 1
+  };
+}
+
+/**
+ * Yield inputs from epoch rows. Placeholder prices (sharePriceSource network or
+ * default: the network ratio or 1.0 standing in for missing operator prices) would
+ * read as zero yield, so those rows are left out, as are rows without a timestamp.
+ * Operators padded with 1.0 in an otherwise priced row are dropped from that row.
+ * A window whose start lands on one then starts at the previous real epoch.
+ */
+export function yieldInputsFrom(rows: YieldSourceRow[]): YieldInputRow[] {
+  const out: YieldInputRow[] = [];
+  for (const r of rows || []){
+    const src = r?.meta?.sharePriceSource;
+    if (!r || r.timestamp == null || src === 'network' || src === 'default') continue;
+    let prices = r.operatorSharePrices;
+    const padded = r.meta?.paddedSharePrices;
+    if (prices && padded?.length){
+      prices = { ...prices };
+      for (const id of padded) delete prices[id];
+    }
+    if (!prices || !Object.keys(prices).length) continue;
+    out.push({ epoch: Number(r.epoch), timestamp: r.timestamp, operatorSharePrices: prices });
+  }
+  return out;
+}
+
+/**
+ * Trailing-window APR/APY per operator, measured back from the latest row.
+ * Rows may be sampled: the start of each window is the newest row at or before
+ * `latest.epoch - window`. Windows longer than the available history are null.
+ */
+export function computeOperatorYields(rows: YieldInputRow[], windows: readonly number[] = DEFAULT_YIELD_WINDOWS): OperatorYields {
+  const sorted = (rows || []).filter(r => r && Number.isFinite(Number(r.epoch))).slice().sort((a, b) => a.epoch - b.epoch);
+  const out: OperatorYields = {};
+  if (sorted.length < 2) return out;
+
+  const latest = sorted[sorted.length - 1];
+  const ids = Object.keys(latest.operatorSharePrices || {}).sort((a, b) => Number(a) - Number(b));
+
+  const startFor = (window: number) => {
+    const target = latest.epoch - window;
+    let found: YieldInputRow | null = null;
+    for (const r of sorted){
+      if (r.epoch > target) break;
+      found = r;
+    }
+    return found;
+  };
+
+  for (const id of ids){
+    out[id] = {};
+    for (const w of windows){
+      const start = startFor(w);
+      out[id][w] = start ? yieldBetween(start, latest, id, w) : null;
+    }
+  }
+  return out;
+}
+
+export function formatYieldPercent(v: number | null | undefined, fractionDigits = 2): string {
+  if (v == null || !Number.isFinite(v)) return '—';
+  return `${(v * 100).toFixed(fractionDigits)}%`;
+}
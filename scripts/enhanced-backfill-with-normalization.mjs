@@ -14,6 +14,8 @@ import pg from 'pg';
 import dotenv from 'dotenv';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
+import { upgradeSnapshot } from '../lib/snapshot-schema.js';
+import { EpochBoundaryIndex, postgresBoundaryStore } from '../lib/epoch-boundaries.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -32,7 +34,7 @@ Usage: node enhanced-backfill-with-normalization.mjs [options]
 
 Options:
   --ws <url>           WebSocket RPC endpoint (default: ws://192.168.0.99:9944 for local)
-  --domain <id>        Domain ID to query (default: 0)
+  --domain <id>        Domain ID to query and write (default: 0)
   --from <epoch>       Starting epoch number (default: 0)
   --to <epoch>         Ending epoch number or 'current' (default: current)
   --batch-size <n>     Number of epochs per batch (default: 50)
@@ -40,6 +42,8 @@ Options:
   --skip-epochs        Skip updating epochs table (only update normalized tables)
   --help, -h           Show this help message
 
+Requires sql/08_multi_domain.sql (domain_id keys on every table).
+
 Environment Variables (from .env.local):
   PG_HOST, PG_PORT, PG_NAME, PG_USER, PG_PASS
 
@@ -86,6 +90,7 @@ const pgPool = new Pool(PG_CONFIG);
 
 /**
  * Extract operator share prices from operatorEpochSharePrice entries
+ * ({ operatorId, epoch, sharePrice } in the current snapshot version)
  */
 function extractSharePricesFromEntries(entries) {
   const sharePrices = [];
@@ -94,27 +99,12 @@ function extractSharePricesFromEntries(entries) {
   
   for (const entry of entries) {
     try {
-      const opId = entry.key?.[0] ?? entry.key;
-      if (opId === undefined) continue;
-      
-      const valueStr = entry.value;
-      if (typeof valueStr !== 'string') continue;
-      
-      // Parse format: "hex_data,decimal_value" 
-      // The decimal value is the share price in 1e18 scale
-      const commaIndex = valueStr.lastIndexOf(',');
-      if (commaIndex === -1) continue;
-      
-      const decimalValue = valueStr.slice(commaIndex + 1);
-      if (decimalValue && !isNaN(Number(decimalValue))) {
-        // Convert to BigInt for precise handling
-        // The value is already in 1e18 scale (perquintill)
-        const sharePrice = BigInt(decimalValue);
-        sharePrices.push({
-          operator_id: Number(opId),
-          share_price_perq: sharePrice.toString()
-        });
-      }
+      if (entry.operatorId == null || entry.sharePrice == null) continue;
+      // Already in 1e18 scale (perquintill)
+      sharePrices.push({
+        operator_id: Number(entry.operatorId),
+        share_price_perq: BigInt(entry.sharePrice).toString()
+      });
     } catch (err) {
       console.warn(`Error parsing share price entry: ${err.message}`);
     }
@@ -133,18 +123,9 @@ function extractOperatorMetrics(entries) {
   
   for (const entry of entries) {
     try {
-      const opId = entry.key?.[0] ?? entry.key;
-      if (opId === undefined) continue;
-      
-      const valueStr = entry.value;
-      if (typeof valueStr !== 'string') continue;
-      
-      // Parse the complex format: "hex_prefix,{json_data}"
-      const commaIndex = valueStr.indexOf(',');
-      if (commaIndex === -1) continue;
-      
-      const jsonPart = valueStr.slice(commaIndex + 1);
-      const operatorData = JSON.parse(jsonPart);
+      const opId = entry.operatorId;
+      const operatorData = entry.operator;
+      if (opId == null || !operatorData) continue;
       
       const result = {
         operator_id: Number(opId),
@@ -153,7 +134,7 @@ function extractOperatorMetrics(entries) {
         share_price_calculated: '0'
       };
       
-      // Extract stake and shares (both are hex values)
+      // Stake and shares are decimal strings
       if (operatorData.currentTotalStake) {
         result.stake_raw = BigInt(operatorData.currentTotalStake).toString();
       }
@@ -183,7 +164,9 @@ function extractOperatorMetrics(entries) {
  * Process a single epoch's data
  */
 async function processEpochData(epochData) {
-  const { epoch, data } = epochData;
+  const { epoch } = epochData;
+  // Older snapshots are upgraded in memory; scripts/migrate-snapshots.mjs rewrites them in place
+  const data = upgradeSnapshot(epochData.data);
   const results = {
     epoch,
     sharePrices: [],
@@ -222,13 +205,13 @@ async function saveNormalizedData(client, epochResults) {
   // Save operator share prices
   if (sharePrices.length > 0) {
     const values = sharePrices.map(sp => 
-      `(${epoch}, ${sp.operator_id}, ${sp.share_price_perq}, 'epochs_json')`
+      `(${DOMAIN_ID}, ${epoch}, ${sp.operator_id}, ${sp.share_price_perq}, 'epochs_json')`
     ).join(',');
     
     await client.query(`
-      INSERT INTO operator_share_prices (epoch, operator_id, share_price_perq, source)
+      INSERT INTO operator_share_prices (domain_id, epoch, operator_id, share_price_perq, source)
       VALUES ${values}
-      ON CONFLICT (epoch, operator_id) DO UPDATE SET
+      ON CONFLICT (domain_id, epoch, operator_id) DO UPDATE SET
         share_price_perq = EXCLUDED.share_price_perq,
         source = EXCLUDED.source,
         updated_at = NOW()
@@ -238,13 +221,13 @@ async function saveNormalizedData(client, epochResults) {
   // Save operator shares and stakes
   if (operatorMetrics.length > 0) {
     const values = operatorMetrics.map(om => 
-      `(${epoch}, ${om.operator_id}, ${om.shares_raw}, ${om.stake_raw})`
+      `(${DOMAIN_ID}, ${epoch}, ${om.operator_id}, ${om.shares_raw}, ${om.stake_raw})`
     ).join(',');
     
     await client.query(`
-      INSERT INTO operator_shares (epoch, operator_id, shares_raw, stake_raw)
+      INSERT INTO operator_shares (domain_id, epoch, operator_id, shares_raw, stake_raw)
       VALUES ${values}
-      ON CONFLICT (epoch, operator_id) DO UPDATE SET
+      ON CONFLICT (domain_id, epoch, operator_id) DO UPDATE SET
         shares_raw = EXCLUDED.shares_raw,
         stake_raw = EXCLUDED.stake_raw,
         updated_at = NOW()
@@ -254,14 +237,14 @@ async function saveNormalizedData(client, epochResults) {
   // Update operator metadata
   for (const op of operatorMetrics) {
     await client.query(`
-      INSERT INTO operators_metadata (operator_id, first_seen_epoch, last_seen_epoch, total_epochs_active)
-      VALUES ($1, $2, $2, 1)
-      ON CONFLICT (operator_id) DO UPDATE SET
+      INSERT INTO operators_metadata (domain_id, operator_id, name, display_name, first_seen_epoch, last_seen_epoch, total_epochs_active)
+      VALUES ($3, $1, 'operator_' || $1::TEXT, 'Operator ' || $1::TEXT, $2, $2, 1)
+      ON CONFLICT (domain_id, operator_id) DO UPDATE SET
         last_seen_epoch = GREATEST(operators_metadata.last_seen_epoch, EXCLUDED.last_seen_epoch),
         first_seen_epoch = LEAST(operators_metadata.first_seen_epoch, EXCLUDED.first_seen_epoch),
         total_epochs_active = operators_metadata.total_epochs_active + 1,
         updated_at = NOW()
-    `, [op.operator_id, epoch]);
+    `, [op.operator_id, epoch, DOMAIN_ID]);
   }
 }
 
@@ -282,10 +265,10 @@ async function processExistingEpochs(fromEpoch, toEpoch) {
       const result = await client.query(`
         SELECT epoch, data
         FROM epochs
-        WHERE epoch >= $1 AND epoch <= $2
+        WHERE domain_id = $1 AND epoch >= $2 AND epoch <= $3
         ORDER BY epoch
-        LIMIT $3 OFFSET $4
-      `, [fromEpoch, toEpoch, pageSize, offset]);
+        LIMIT $4 OFFSET $5
+      `, [DOMAIN_ID, fromEpoch, toEpoch, pageSize, offset]);
       
       if (result.rows.length === 0) break;
       
@@ -313,14 +296,11 @@ async function processExistingEpochs(fromEpoch, toEpoch) {
 /**
  * Get epoch data from blockchain
  */
-async function fetchEpochFromChain(api, epoch) {
+async function fetchEpochFromChain(api, epoch, index) {
   // Implementation similar to optimized-comprehensive-backfill.mjs
   // This is a simplified version - you may want to copy the full logic
-  const startBlock = await findEpochStartBlock(api, epoch);
-  const nextStart = await findEpochStartBlock(api, epoch + 1);
-  const endBlock = nextStart - 1;
-  
-  const endHash = await api.rpc.chain.getBlockHash(endBlock);
+  const finalized = await api.rpc.chain.getHeader(await api.rpc.chain.getFinalizedHead());
+  const { startBlock, endBlock, endHash, startTimestamp, endTimestamp } = await index.boundary(api, epoch, finalized.number.toNumber());
   const atEnd = await api.at(endHash);
   
   // Fetch comprehensive data
@@ -338,10 +318,13 @@ async function fetchEpochFromChain(api, epoch) {
   
   return {
     epoch,
+    startBlock,
     endBlock,
-    endHash: endHash.toString(),
-    timestamp: Date.now(),
+    endHash,
+    timestamp: endTimestamp,
     data: {
+      startTimestamp,
+      endTimestamp,
       domainStakingSummary: domainStakingSummary?.toJSON?.() || {},
       operators: { entries: mapToArray(operators) },
       operatorEpochSharePrice: { entries: mapToArray(operatorEpochSharePrice) },
@@ -365,30 +348,10 @@ function mapToArray(m) {
   return out;
 }
 
-async function epochAt(api, blockNumber) {
-  const hash = await api.rpc.chain.getBlockHash(blockNumber);
-  const at = await api.at(hash);
-  const opt = await at.query.domains.domainStakingSummary(DOMAIN_ID);
-  if (!opt || opt.isNone) return null;
-  const s = opt.unwrap();
-  const epoch = s.currentEpochIndex ?? s.epochIndex ?? s.epoch;
-  return typeof epoch?.toNumber === 'function' ? epoch.toNumber() : Number(epoch);
-}
-
-async function findEpochStartBlock(api, targetEpoch) {
-  const head = await api.rpc.chain.getHeader();
-  let lo = 1, hi = head.number.toNumber();
-  let ans = null;
-  const cur = await epochAt(api, hi);
-  if (cur == null) throw new Error('Cannot read epoch at head');
-  if (targetEpoch > cur) throw new Error(`target epoch ${targetEpoch} > current ${cur}`);
-  while (lo < hi) {
-    const mid = Math.floor((lo + hi) / 2);
-    const e = await epochAt(api, mid);
-    if (e == null) { lo = mid + 1; continue; }
-    if (e >= targetEpoch) { ans = mid; hi = mid; } else { lo = mid + 1; }
-  }
-  return lo;
+// Boundaries shared with the other backfills through epoch_boundaries (sql/12), when applied
+async function boundaryIndex() {
+  const res = await pgPool.query(`SELECT to_regclass('epoch_boundaries') IS NOT NULL AS ok`);
+  return new EpochBoundaryIndex(DOMAIN_ID, res.rows[0].ok ? postgresBoundaryStore(pgPool, DOMAIN_ID) : null).load();
 }
 
 /**
@@ -397,6 +360,7 @@ async function findEpochStartBlock(api, targetEpoch) {
 async function main() {
   console.log('🚀 Enhanced Backfill with Normalization');
   console.log(`📡 RPC: ${WS}`);
+  console.log(`🧭 Domain: ${DOMAIN_ID}`);
   console.log(`🗄️  Database: ${PG_CONFIG.host}:${PG_CONFIG.port}/${PG_CONFIG.database}`);
   
   try {
@@ -421,7 +385,7 @@ async function main() {
     
     if (SKIP_EPOCHS) {
       // Process existing epochs data only
-      const epochRange = await pgPool.query('SELECT MIN(epoch) as min, MAX(epoch) as max FROM epochs');
+      const epochRange = await pgPool.query('SELECT MIN(epoch) as min, MAX(epoch) as max FROM epochs WHERE domain_id = $1', [DOMAIN_ID]);
       const minEpoch = epochRange.rows[0].min || 0;
       const maxEpoch = epochRange.rows[0].max || 0;
       
@@ -442,14 +406,14 @@ async function main() {
     // Display statistics
     const stats = await pgPool.query(`
       SELECT 
-        (SELECT COUNT(DISTINCT epoch) FROM operator_share_prices) as share_price_epochs,
-        (SELECT COUNT(*) FROM operator_share_prices) as total_share_prices,
-        (SELECT COUNT(DISTINCT epoch) FROM operator_shares) as shares_epochs,
-        (SELECT COUNT(*) FROM operator_shares) as total_shares,
-        (SELECT COUNT(*) FROM operators_metadata WHERE total_epochs_active > 0) as active_operators
-    `);
+        (SELECT COUNT(DISTINCT epoch) FROM operator_share_prices WHERE domain_id = $1) as share_price_epochs,
+        (SELECT COUNT(*) FROM operator_share_prices WHERE domain_id = $1) as total_share_prices,
+        (SELECT COUNT(DISTINCT epoch) FROM operator_shares WHERE domain_id = $1) as shares_epochs,
+        (SELECT COUNT(*) FROM operator_shares WHERE domain_id = $1) as total_shares,
+        (SELECT COUNT(*) FROM operators_metadata WHERE domain_id = $1 AND total_epochs_active > 0) as active_operators
+    `, [DOMAIN_ID]);
     
-    console.log('\n📊 Final Statistics:');
+    console.log(`\n📊 Final Statistics (domain ${DOMAIN_ID}):`);
     console.log(`  Share Price Entries: ${stats.rows[0].total_share_prices}`);
     console.log(`  Share Price Epochs: ${stats.rows[0].share_price_epochs}`);
     console.log(`  Operator Share Entries: ${stats.rows[0].total_shares}`);
@@ -13,6 +13,7 @@ Usage: node export-db-to-json.mjs [options]
 Options:
   --db <path>          SQLite database path (default: public/data/comprehensive-metrics.db)
   --out <path>         Output JSON file path (default: public/data/comprehensive-metrics-export.json)
+  --domain <id>        Domain ID to export (default: 0)
   --from <epoch>       Starting epoch number (optional)
   --to <epoch>         Ending epoch number (optional)
   --help, -h           Show this help message
@@ -30,6 +31,9 @@ Examples:
 
   # Export to specific file
   node export-db-to-json.mjs --out public/data/my-export.json
+
+  # Export another domain from the same database
+  node export-db-to-json.mjs --domain 1 --out public/data/domain-1-export.json
 `);
   process.exit(0);
 }
@@ -42,12 +46,14 @@ const getArg = (k, d) => {
 
 const DB_PATH = getArg('db', 'public/data/comprehensive-metrics.db');
 const OUT_PATH = getArg('out', 'public/data/comprehensive-metrics-export.json');
+const DOMAIN_ID = Number(getArg('domain', '0'));
 const FROM = getArg('from');
 const TO = getArg('to');
 
 async function main() {
   console.log(`[export] Database: ${DB_PATH}`);
   console.log(`[export] Output: ${OUT_PATH}`);
+  console.log(`[export] Domain: ${DOMAIN_ID}`);
   
   if (!fs.existsSync(DB_PATH)) {
     console.error(`[error] Database file not found: ${DB_PATH}`);
@@ -61,22 +67,28 @@ async function main() {
 
   try {
     // Build query
-    let query = 'SELECT * FROM epochs';
+    const where = [];
     const params = [];
-    
-    if (FROM || TO) {
-      query += ' WHERE';
-      if (FROM) {
-        query += ' epoch >= ?';
-        params.push(Number(FROM));
-      }
-      if (TO) {
-        query += FROM ? ' AND' : '';
-        query += ' epoch <= ?';
-        params.push(Number(TO));
-      }
+
+    // Databases from before domain_id was added hold domain 0 only
+    const columns = await db.all('PRAGMA table_info(epochs)');
+    if (columns.some(c => c.name === 'domain_id')) {
+      where.push('domain_id = ?');
+      params.push(DOMAIN_ID);
+    } else if (DOMAIN_ID !== 0) {
+      where.push('1 = 0');
     }
-    
+    if (FROM) {
+      where.push('epoch >= ?');
+      params.push(Number(FROM));
+    }
+    if (TO) {
+      where.push('epoch <= ?');
+      params.push(Number(TO));
+    }
+
+    let query = 'SELECT * FROM epochs';
+    if (where.length) query += ` WHERE ${where.join(' AND ')}`;
     query += ' ORDER BY epoch';
     
     console.log(`[query] ${query} ${params.length > 0 ? `[${params.join(', ')}]` : ''}`);
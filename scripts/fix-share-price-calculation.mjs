@@ -40,7 +40,7 @@ async function fixSharePrices() {
       // First, let's understand what we're dealing with
       console.log('📊 Current State Analysis:\n');
       
-      // Check real operators (0-3) data
+      // Check real operators data
       const operatorQuery = await client.query(`
         SELECT 
           os.operator_id,
@@ -55,13 +55,12 @@ async function fixSharePrices() {
           END as correct_price
         FROM operator_shares os
         JOIN operator_share_prices osp ON os.epoch = osp.epoch AND os.operator_id = osp.operator_id
-        WHERE os.operator_id <= 3 
-        AND os.epoch IN (100, 1000, 2000, 3000)
+        WHERE os.epoch IN (100, 1000, 2000, 3000)
         ORDER BY os.epoch, os.operator_id
         LIMIT 12
       `);
       
-      console.log('Sample of Real Operators (IDs 0-3):');
+      console.log('Sample of Real Operators:');
       console.log('Epoch | Op | Current Price | Correct Price | Difference');
       console.log('------|----|--------------|--------------|-----------');
       
@@ -94,8 +93,7 @@ async function fixSharePrices() {
           updated_at = NOW()
         FROM operator_shares os
         WHERE osp.epoch = os.epoch 
-        AND osp.operator_id = os.operator_id
-        AND os.operator_id <= 3  -- Only update real operators for now
+        AND osp.operator_id = os.operator_id  -- operator_shares only holds real operators
       `);
       
       console.log(`✅ Updated ${updateResult.rowCount} operator share price records\n`);
@@ -113,7 +111,6 @@ async function fixSharePrices() {
           STDDEV(osp.share_price_perq / 1e18) as stddev_price
         FROM operator_shares os
         JOIN operator_share_prices osp ON os.epoch = osp.epoch AND os.operator_id = osp.operator_id
-        WHERE os.operator_id <= 3
         GROUP BY os.operator_id
         ORDER BY os.operator_id
       `);
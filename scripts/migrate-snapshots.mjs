@@ -0,0 +1,235 @@
+#!/usr/bin/env node
+
+// Report and upgrade the snapshot versions stored in epochs.data (see lib/snapshot-schema.js).
+//
+//   node scripts/migrate-snapshots.mjs report  [--sqlite <path> | --pg]
+//   node scripts/migrate-snapshots.mjs migrate [--sqlite <path> | --pg] [--to <version>] [--batch-size <n>] [--dry-run]
+
+import fs from 'node:fs';
+import sqlite3 from 'sqlite3';
+import { open } from 'sqlite';
+import pg from 'pg';
+import { CURRENT_SNAPSHOT_VERSION, snapshotVersion, upgradeSnapshot } from '../lib/snapshot-schema.js';
+
+const { Pool } = pg;
+
+const argv = process.argv.slice(2);
+
+function getArg(key, defaultValue) {
+  const i = argv.indexOf(`--${key}`);
+  if (i !== -1 && argv[i + 1] && !argv[i + 1].startsWith('--')) return argv[i + 1];
+  return process.env[key.toUpperCase()] ?? defaultValue;
+}
+
+if (argv.includes('--help') || argv.includes('-h') || !['report', 'migrate'].includes(argv[0])) {
+  console.log(`
+Usage: node migrate-snapshots.mjs <report|migrate> [options]
+
+Commands:
+  report               Count epochs rows per snapshot schemaVersion
+  migrate              Rewrite rows older than --to with the upgrades in lib/snapshot-schema.js
+
+Options:
+  --sqlite <path>      SQLite database (default: public/data/comprehensive-metrics.db)
+  --pg                 Use Postgres/Supabase instead of SQLite (--pg-host, --pg-port, --pg-name, --pg-user, --pg-pass)
+  --to <version>       Target version (default: ${CURRENT_SNAPSHOT_VERSION})
+  --batch-size <n>     Rows per transaction (default: 200)
+  --dry-run            Upgrade in memory and report, without writing
+  --help, -h           Show this help message
+`);
+  process.exit(argv.includes('--help') || argv.includes('-h') ? 0 : 1);
+}
+
+const COMMAND = argv[0];
+const USE_PG = argv.includes('--pg');
+const SQLITE_PATH = getArg('sqlite', 'public/data/comprehensive-metrics.db');
+const TARGET = Number(getArg('to', String(CURRENT_SNAPSHOT_VERSION)));
+const BATCH_SIZE = Math.max(1, Number(getArg('batch-size', '200')));
+const DRY_RUN = argv.includes('--dry-run');
+
+const PG_HOST = getArg('pg-host', process.env.PG_HOST || 'localhost');
+const PG_PORT = Number(getArg('pg-port', process.env.PG_PORT || '5432'));
+const PG_NAME = getArg('pg-name', process.env.PG_NAME || 'postgres');
+const PG_USER = getArg('pg-user', process.env.PG_USER || 'postgres');
+const PG_PASS = getArg('pg-pass', process.env.PG_PASS || process.env.PG_PASSWORD || '');
+
+// Both stores page through rows below a version by an opaque, increasing key
+class SqliteSnapshots {
+  constructor(dbPath) {
+    this.dbPath = dbPath;
+    this.db = null;
+  }
+
+  get label() { return `sqlite ${this.dbPath}`; }
+
+  async initialize() {
+    if (!fs.existsSync(this.dbPath)) {
+      throw new Error(`SQLite database not found: ${this.dbPath}`);
+    }
+    this.db = await open({ filename: this.dbPath, driver: sqlite3.Database });
+  }
+
+  async versionCounts() {
+    return this.db.all(
+      `SELECT COALESCE(json_extract(data, '$.schemaVersion'), 1) AS version, COUNT(*) AS count
+       FROM epochs GROUP BY version ORDER BY version`
+    );
+  }
+
+  async rowsBelow(version, after, limit) {
+    const rows = await this.db.all(
+      `SELECT rowid AS id, epoch, data FROM epochs
+       WHERE COALESCE(json_extract(data, '$.schemaVersion'), 1) < ? AND rowid > ?
+       ORDER BY rowid LIMIT ?`,
+      [version, after ?? 0, limit]
+    );
+    return rows.map(r => ({ key: r.id, epoch: r.epoch, data: r.data }));
+  }
+
+  async write(rows) {
+    await this.db.exec('BEGIN');
+    try {
+      for (const r of rows) await this.db.run('UPDATE epochs SET data = ? WHERE rowid = ?', [JSON.stringify(r.data), r.key]);
+      await this.db.exec('COMMIT');
+    } catch (e) {
+      await this.db.exec('ROLLBACK');
+      throw e;
+    }
+  }
+
+  async refresh() {}
+
+  async close() { if (this.db) await this.db.close(); }
+}
+
+class PostgresSnapshots {
+  constructor(config) {
+    this.config = config;
+    this.pool = new Pool(config);
+  }
+
+  get label() { return `postgres ${this.config.host}:${this.config.port}/${this.config.database}`; }
+
+  async initialize() {
+    const client = await this.pool.connect();
+    try {
+      const check = await client.query(
+        `SELECT 1 FROM information_schema.columns WHERE table_name = 'epochs' AND column_name = 'domain_id'`
+      );
+      if (!check.rowCount) throw new Error('epochs.domain_id is missing; apply sql/08_multi_domain.sql first');
+    } finally {
+      client.release();
+    }
+  }
+
+  async versionCounts() {
+    const res = await this.pool.query(
+      `SELECT COALESCE((data->>'schemaVersion')::int, 1) AS version, COUNT(*)::int AS count
+       FROM epochs GROUP BY 1 ORDER BY 1`
+    );
+    return res.rows;
+  }
+
+  async rowsBelow(version, after, limit) {
+    const [domainId, epoch] = after ?? [-1, -1];
+    const res = await this.pool.query(
+      `SELECT domain_id, epoch, data FROM epochs
+       WHERE COALESCE((data->>'schemaVersion')::int, 1) < $1 AND (domain_id, epoch) > ($2, $3)
+       ORDER BY domain_id, epoch LIMIT $4`,
+      [version, domainId, epoch, limit]
+    );
+    return res.rows.map(r => ({ key: [r.domain_id, r.epoch], epoch: r.epoch, data: r.data }));
+  }
+
+  async write(rows) {
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+      for (const r of rows) {
+        await client.query('UPDATE epochs SET data = $1::jsonb WHERE domain_id = $2 AND epoch = $3', [JSON.stringify(r.data), r.key[0], r.key[1]]);
+      }
+      await client.query('COMMIT');
+    } catch (e) {
+      await client.query('ROLLBACK');
+      throw e;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Materialized views that read epochs.data. comprehensive_analytics is a table kept
+  // current by triggers from sql/10 on, and views missing from this database are skipped.
+  async refresh() {
+    const res = await this.pool.query(
+      'SELECT matviewname FROM pg_matviews WHERE matviewname = ANY($1) ORDER BY matviewname',
+      [['comprehensive_analytics', 'nominator_deposit_snapshots', 'nominator_withdrawal_snapshots']]
+    );
+    for (const view of res.rows.map(r => r.matviewname)) {
+      try {
+        await this.pool.query(`REFRESH MATERIALIZED VIEW CONCURRENTLY ${view}`);
+        console.log(`[refresh] ${view} refreshed`);
+      } catch (e) {
+        console.warn(`[refresh] ${view} not refreshed: ${e.message}`);
+      }
+    }
+  }
+
+  async close() { await this.pool.end(); }
+}
+
+async function report(store) {
+  const counts = await store.versionCounts();
+  if (!counts.length) { console.log('[snapshots] No rows in epochs'); return; }
+  for (const { version, count } of counts) {
+    const v = Number(version);
+    const note = v > CURRENT_SNAPSHOT_VERSION ? ' (newer than this code)' : v < CURRENT_SNAPSHOT_VERSION ? ' (upgradable)' : '';
+    console.log(`[snapshots] version ${v}: ${count} rows${note}`);
+  }
+}
+
+async function migrate(store) {
+  if (!Number.isInteger(TARGET) || TARGET < 1 || TARGET > CURRENT_SNAPSHOT_VERSION) {
+    throw new Error(`--to must be between 1 and ${CURRENT_SNAPSHOT_VERSION}`);
+  }
+  console.log(`[snapshots] upgrading rows below version ${TARGET}${DRY_RUN ? ' (dry run)' : ''}`);
+
+  let after = null;
+  let upgraded = 0;
+  for (;;) {
+    const rows = await store.rowsBelow(TARGET, after, BATCH_SIZE);
+    if (!rows.length) break;
+    after = rows[rows.length - 1].key;
+    const out = rows.map(r => {
+      try {
+        return { key: r.key, data: upgradeSnapshot(r.data, TARGET) };
+      } catch (e) {
+        throw new Error(`epoch ${r.epoch} (version ${snapshotVersion(typeof r.data === 'string' ? JSON.parse(r.data) : r.data)}): ${e.message}`);
+      }
+    });
+    if (!DRY_RUN) await store.write(out);
+    upgraded += out.length;
+    console.log(`[snapshots] ${DRY_RUN ? 'would upgrade' : 'upgraded'} ${upgraded} rows (through epoch ${rows[rows.length - 1].epoch})`);
+  }
+
+  console.log(`[snapshots] complete upgraded=${upgraded}`);
+  if (upgraded && !DRY_RUN) await store.refresh();
+}
+
+async function main() {
+  const store = USE_PG
+    ? new PostgresSnapshots({ host: PG_HOST, port: PG_PORT, database: PG_NAME, user: PG_USER, password: PG_PASS, max: 4 })
+    : new SqliteSnapshots(SQLITE_PATH);
+  console.log(`[snapshots] ${COMMAND} ${store.label} (current version ${CURRENT_SNAPSHOT_VERSION})`);
+  try {
+    await store.initialize();
+    if (COMMAND === 'report') await report(store);
+    else await migrate(store);
+  } catch (e) {
+    console.error(`[error] ${e.message}`);
+    process.exitCode = 1;
+  } finally {
+    await store.close();
+  }
+}
+
+main().catch(e => { console.error(e); process.exit(1); });
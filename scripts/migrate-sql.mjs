@@ -0,0 +1,265 @@
+#!/usr/bin/env node
+
+// Apply the numbered migrations in sql/ to Postgres/Supabase and record them in schema_migrations.
+//
+//   node scripts/migrate-sql.mjs status
+//   node scripts/migrate-sql.mjs up       [--to <version>] [--use 05b] [--dry-run]
+//   node scripts/migrate-sql.mjs down     [--to <version>] [--dry-run]
+//   node scripts/migrate-sql.mjs baseline --to <version> [--use 05b]
+//
+// A migration is sql/NN_name.sql; sql/NNb_name.sql is an alternative for the same version,
+// applied instead with --use NNb. Rollbacks live in sql/rollback/ under the same file name.
+// Loose files without a number (consolidated_final_analytics.sql, ...) are not migrations.
+
+import fs from 'node:fs';
+import path from 'node:path';
+import crypto from 'node:crypto';
+import pg from 'pg';
+
+const { Pool } = pg;
+
+const argv = process.argv.slice(2);
+
+function getArg(key, defaultValue) {
+  const i = argv.indexOf(`--${key}`);
+  if (i !== -1 && argv[i + 1] && !argv[i + 1].startsWith('--')) return argv[i + 1];
+  return process.env[key.toUpperCase()] ?? defaultValue;
+}
+
+const COMMANDS = ['status', 'up', 'down', 'baseline'];
+
+if (argv.includes('--help') || argv.includes('-h') || !COMMANDS.includes(argv[0])) {
+  console.log(`
+Usage: node migrate-sql.mjs <status|up|down|baseline> [options]
+
+Commands:
+  status               List migrations and whether each is applied
+  up                   Apply pending migrations in order, each in its own transaction
+  down                 Roll back applied migrations newer than --to (default: the latest one)
+  baseline             Record migrations up to --to as applied without running them,
+                       for databases that were migrated by hand
+
+Options:
+  --to <version>       Last version to apply, or the version to roll back to (e.g. 05)
+  --use <ids>          Comma-separated alternative files to use, e.g. 01b,05b
+  --dir <path>         Migrations directory (default: sql)
+  --dry-run            Run everything in one transaction and roll it back
+  --pg-host <host>     Postgres host (default: localhost)
+  --pg-port <port>     Postgres port (default: 5432)
+  --pg-name <db>       Database name (default: postgres)
+  --pg-user <user>     Database user (default: postgres)
+  --pg-pass <pass>     Database password
+  --help, -h           Show this help message
+`);
+  process.exit(argv.includes('--help') || argv.includes('-h') ? 0 : 1);
+}
+
+const COMMAND = argv[0];
+const SQL_DIR = getArg('dir', 'sql');
+const TO = getArg('to');
+const USE = new Set(String(getArg('use', '')).split(',').map(s => s.trim()).filter(Boolean));
+const DRY_RUN = argv.includes('--dry-run');
+
+const PG_HOST = getArg('pg-host', process.env.PG_HOST || 'localhost');
+const PG_PORT = Number(getArg('pg-port', process.env.PG_PORT || '5432'));
+const PG_NAME = getArg('pg-name', process.env.PG_NAME || 'postgres');
+const PG_USER = getArg('pg-user', process.env.PG_USER || 'postgres');
+const PG_PASS = getArg('pg-pass', process.env.PG_PASS || process.env.PG_PASSWORD || '');
+
+// Any number guards concurrent runners, as long as every runner uses the same one
+const ADVISORY_LOCK_ID = 720311;
+
+const MIGRATIONS_TABLE = `
+CREATE TABLE IF NOT EXISTS schema_migrations (
+  version TEXT PRIMARY KEY,
+  filename TEXT NOT NULL,
+  checksum TEXT NOT NULL,
+  applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+)`;
+
+/** Migrations in version order: { version, id, filename, file, alternatives } */
+function loadMigrations(dir) {
+  if (!fs.existsSync(dir)) throw new Error(`Migrations directory not found: ${dir}`);
+  const byVersion = new Map();
+  for (const filename of fs.readdirSync(dir).sort()) {
+    const m = /^(\d+)(b?)_.+\.sql$/.exec(filename);
+    if (!m) continue;
+    const [, version, variant] = m;
+    const entry = byVersion.get(version) ?? { version, files: [] };
+    entry.files.push({ id: version + variant, filename, primary: !variant });
+    byVersion.set(version, entry);
+  }
+
+  for (const id of USE) {
+    const version = /^\d+/.exec(id)?.[0];
+    if (!byVersion.get(version)?.files.some(f => f.id === id)) throw new Error(`--use ${id}: no such migration file in ${dir}`);
+  }
+
+  return Array.from(byVersion.values())
+    .sort((a, b) => Number(a.version) - Number(b.version))
+    .map(({ version, files }) => {
+      const chosen = files.find(f => USE.has(f.id)) ?? files.find(f => f.primary) ?? files[0];
+      return {
+        version,
+        id: chosen.id,
+        filename: chosen.filename,
+        file: path.join(dir, chosen.filename),
+        alternatives: files.filter(f => f !== chosen).map(f => f.id)
+      };
+    });
+}
+
+function checksum(file) {
+  return crypto.createHash('sha256').update(fs.readFileSync(file)).digest('hex');
+}
+
+// The files carry their own top-level BEGIN; / COMMIT; so they can be pasted into the
+// Supabase SQL editor. Drop those lines and let the runner own the transaction, so the
+// schema_migrations row commits (or rolls back) together with the migration.
+function migrationBody(file) {
+  return fs.readFileSync(file, 'utf8').replace(/^(BEGIN|COMMIT);[ \t]*\r?$/gm, '');
+}
+
+function compareVersions(a, b) {
+  return Number(a) - Number(b);
+}
+
+// One transaction per migration; a dry run already holds a single outer transaction
+// (see main) that is rolled back at the end
+async function inTransaction(client, fn) {
+  if (DRY_RUN) return fn();
+  await client.query('BEGIN');
+  try {
+    await fn();
+    await client.query('COMMIT');
+  } catch (e) {
+    await client.query('ROLLBACK');
+    throw e;
+  }
+}
+
+async function appliedMigrations(client) {
+  await client.query(MIGRATIONS_TABLE);
+  const res = await client.query('SELECT version, filename, checksum, applied_at FROM schema_migrations ORDER BY version');
+  return new Map(res.rows.map(r => [r.version, r]));
+}
+
+async function status(client, migrations) {
+  const applied = await appliedMigrations(client);
+  for (const m of migrations) {
+    const row = applied.get(m.version);
+    const alternatives = m.alternatives.length ? ` (alternatives: ${m.alternatives.join(', ')})` : '';
+    if (!row) {
+      console.log(`[status] ${m.version} pending   ${m.filename}${alternatives}`);
+      continue;
+    }
+    const file = path.join(SQL_DIR, row.filename);
+    const drift = !fs.existsSync(file) ? ' (file missing)' : checksum(file) !== row.checksum ? ' (file changed since applied)' : '';
+    console.log(`[status] ${m.version} applied   ${row.filename} at ${new Date(row.applied_at).toISOString()}${drift}`);
+  }
+  for (const version of applied.keys()) {
+    if (!migrations.some(m => m.version === version)) console.log(`[status] ${version} applied   ${applied.get(version).filename} (not in ${SQL_DIR})`);
+  }
+}
+
+async function up(client, migrations) {
+  const applied = await appliedMigrations(client);
+  const pending = migrations.filter(m => !applied.has(m.version) && (TO == null || compareVersions(m.version, TO) <= 0));
+  const latest = Array.from(applied.keys()).sort(compareVersions).pop();
+  const outOfOrder = latest != null ? pending.filter(m => compareVersions(m.version, latest) < 0) : [];
+  if (outOfOrder.length) {
+    throw new Error(`${outOfOrder.map(m => m.version).join(', ')} pending below applied ${latest}; apply by hand and record with baseline`);
+  }
+  if (!pending.length) { console.log('[up] Nothing to apply'); return; }
+
+  for (const m of pending) {
+    try {
+      await inTransaction(client, async () => {
+        await client.query(migrationBody(m.file));
+        await client.query('INSERT INTO schema_migrations (version, filename, checksum) VALUES ($1, $2, $3)', [m.version, m.filename, checksum(m.file)]);
+      });
+    } catch (e) {
+      throw new Error(`${m.filename}: ${e.message} (rolled back)`);
+    }
+    console.log(`[up] ${DRY_RUN ? 'would apply' : 'applied'} ${m.filename}`);
+  }
+}
+
+async function down(client, migrations) {
+  const applied = await appliedMigrations(client);
+  const versions = Array.from(applied.keys()).sort(compareVersions).reverse();
+  const targets = TO == null ? versions.slice(0, 1) : versions.filter(v => compareVersions(v, TO) > 0);
+  if (!targets.length) { console.log('[down] Nothing to roll back'); return; }
+
+  // Check every rollback exists before running any of them
+  const steps = targets.map(version => {
+    const row = applied.get(version);
+    const rollbackFile = path.join(SQL_DIR, 'rollback', row.filename);
+    if (!fs.existsSync(rollbackFile)) {
+      throw new Error(`No rollback script for ${row.filename}; see the ROLLBACK SCRIPT notes at the end of that file`);
+    }
+    return { version, filename: row.filename, rollbackFile };
+  });
+
+  for (const s of steps) {
+    try {
+      await inTransaction(client, async () => {
+        await client.query(migrationBody(s.rollbackFile));
+        await client.query('DELETE FROM schema_migrations WHERE version = $1', [s.version]);
+      });
+    } catch (e) {
+      throw new Error(`rollback/${s.filename}: ${e.message} (rolled back)`);
+    }
+    console.log(`[down] ${DRY_RUN ? 'would roll back' : 'rolled back'} ${s.filename}`);
+  }
+}
+
+async function baseline(client, migrations) {
+  if (TO == null) throw new Error('baseline needs --to <version>');
+  const applied = await appliedMigrations(client);
+  const marked = migrations.filter(m => !applied.has(m.version) && compareVersions(m.version, TO) <= 0);
+  if (!marked.length) { console.log('[baseline] Nothing to record'); return; }
+  await inTransaction(client, async () => {
+    for (const m of marked) {
+      await client.query('INSERT INTO schema_migrations (version, filename, checksum) VALUES ($1, $2, $3)', [m.version, m.filename, checksum(m.file)]);
+    }
+  });
+  for (const m of marked) console.log(`[baseline] ${DRY_RUN ? 'would record' : 'recorded'} ${m.filename}`);
+}
+
+async function main() {
+  const migrations = loadMigrations(SQL_DIR);
+  console.log(`[migrate-sql] ${COMMAND} ${SQL_DIR} → ${PG_HOST}:${PG_PORT}/${PG_NAME} user=${PG_USER}${DRY_RUN ? ' (dry run)' : ''}`);
+
+  const pool = new Pool({ host: PG_HOST, port: PG_PORT, database: PG_NAME, user: PG_USER, password: PG_PASS, max: 1 });
+  const client = await pool.connect();
+  client.on('notice', n => console.log(`[notice] ${n.message}`));
+  try {
+    // Held for the whole command, so a second runner reads schema_migrations only
+    // after this one is done and does not repeat its steps
+    if (DRY_RUN) {
+      await client.query('BEGIN');
+      await client.query('SELECT pg_advisory_xact_lock($1)', [ADVISORY_LOCK_ID]);
+    } else {
+      await client.query('SELECT pg_advisory_lock($1)', [ADVISORY_LOCK_ID]);
+    }
+    if (COMMAND === 'status') await status(client, migrations);
+    else if (COMMAND === 'up') await up(client, migrations);
+    else if (COMMAND === 'down') await down(client, migrations);
+    else await baseline(client, migrations);
+  } catch (e) {
+    console.error(`[error] ${e.message}`);
+    process.exitCode = 1;
+  } finally {
+    if (DRY_RUN) {
+      await client.query('ROLLBACK').catch(() => {});
+      console.log('[migrate-sql] Dry run rolled back');
+    } else {
+      await client.query('SELECT pg_advisory_unlock($1)', [ADVISORY_LOCK_ID]).catch(() => {});
+    }
+    client.release();
+    await pool.end();
+  }
+}
+
+main().catch(e => { console.error(e); process.exit(1); });
@@ -5,6 +5,7 @@ import path from 'node:path';
 import sqlite3 from 'sqlite3';
 import { open } from 'sqlite';
 import pg from 'pg';
+import { boundaryFromRow, postgresBoundaryStore } from '../lib/epoch-boundaries.js';
 
 const { Pool } = pg;
 
@@ -17,6 +18,7 @@ function getArg(key, defaultValue) {
 }
 
 const SQLITE_PATH = getArg('sqlite', 'public/data/comprehensive-metrics.db');
+const DOMAIN_ID = Number(getArg('domain', '0'));
 const FROM = getArg('from');
 const TO = getArg('to', 'all');
 
@@ -30,9 +32,12 @@ const DRY_RUN = argv.includes('--dry-run');
 const VALIDATE = argv.includes('--validate');
 
 class SqliteReader {
-  constructor(dbPath) {
+  constructor(dbPath, domainId = 0) {
     this.dbPath = dbPath;
+    this.domainId = domainId;
     this.db = null;
+    this.domainFilter = '1=1';
+    this.domainParams = [];
   }
 
   async initialize() {
@@ -40,17 +45,25 @@ class SqliteReader {
       throw new Error(`SQLite database not found: ${this.dbPath}`);
     }
     this.db = await open({ filename: this.dbPath, driver: sqlite3.Database });
-    console.log(`[sqlite] Connected to ${this.dbPath}`);
+    // Files from before the backfill keyed rows by domain hold domain 0 only
+    const columns = await this.db.all('PRAGMA table_info(epochs)');
+    if (columns.some(c => c.name === 'domain_id')) {
+      this.domainFilter = 'domain_id = ?';
+      this.domainParams = [this.domainId];
+    } else if (this.domainId !== 0) {
+      this.domainFilter = '1=0';
+    }
+    console.log(`[sqlite] Connected to ${this.dbPath} (domain ${this.domainId})`);
   }
 
   async getEpochRange() {
-    const row = await this.db.get('SELECT MIN(epoch) AS min_epoch, MAX(epoch) AS max_epoch FROM epochs');
+    const row = await this.db.get(`SELECT MIN(epoch) AS min_epoch, MAX(epoch) AS max_epoch FROM epochs WHERE ${this.domainFilter}`, this.domainParams);
     return { minEpoch: row?.min_epoch ?? null, maxEpoch: row?.max_epoch ?? null };
   }
 
   async getEpochs(fromEpoch, toEpoch) {
-    const params = [];
-    let sql = 'SELECT epoch, end_block, end_hash, timestamp, data FROM epochs WHERE 1=1';
+    const params = [...this.domainParams];
+    let sql = `SELECT epoch, end_block, end_hash, timestamp, data FROM epochs WHERE ${this.domainFilter}`;
     if (fromEpoch != null) { sql += ' AND epoch >= ?'; params.push(fromEpoch); }
     if (toEpoch != null) { sql += ' AND epoch <= ?'; params.push(toEpoch); }
     sql += ' ORDER BY epoch';
@@ -58,12 +71,24 @@ class SqliteReader {
     return rows;
   }
 
+  // Empty for files written before the backfill kept an epoch_boundaries table
+  async getBoundaries(fromEpoch, toEpoch) {
+    const table = await this.db.get(`SELECT 1 AS ok FROM sqlite_master WHERE type = 'table' AND name = 'epoch_boundaries'`);
+    if (!table) return [];
+    const rows = await this.db.all(
+      'SELECT * FROM epoch_boundaries WHERE domain_id = ? AND epoch >= ? AND epoch <= ? ORDER BY epoch',
+      [this.domainId, fromEpoch, toEpoch]
+    );
+    return rows.map(boundaryFromRow);
+  }
+
   async close() { if (this.db) await this.db.close(); }
 }
 
 class SupabaseJsonWriter {
-  constructor(config) {
+  constructor(config, domainId = 0) {
     this.pool = new Pool(config);
+    this.domainId = domainId;
   }
 
   async initialize() {
@@ -76,10 +101,11 @@ class SupabaseJsonWriter {
         "SELECT column_name FROM information_schema.columns WHERE table_schema='public' AND table_name='epochs' ORDER BY ordinal_position"
       );
       const cols = check.rows.map(r => r.column_name);
-      const required = ['epoch','end_block','end_hash','timestamp','data'];
+      const required = ['domain_id','epoch','end_block','end_hash','timestamp','data'];
       for (const c of required) {
         if (!cols.includes(c)) {
-          throw new Error(`Supabase 'epochs' missing required column: ${c}`);
+          const hint = c === 'domain_id' ? ' (apply sql/08_multi_domain.sql)' : '';
+          throw new Error(`Supabase 'epochs' missing required column: ${c}${hint}`);
         }
       }
       console.log(`[schema] epochs columns OK: ${cols.join(', ')}`);
@@ -92,37 +118,86 @@ class SupabaseJsonWriter {
     const client = await this.pool.connect();
     try {
       await client.query(
-        'INSERT INTO epochs (epoch, end_block, end_hash, timestamp, data) VALUES ($1, $2, $3, $4, $5::jsonb) ON CONFLICT (epoch) DO UPDATE SET end_block = EXCLUDED.end_block, end_hash = EXCLUDED.end_hash, timestamp = EXCLUDED.timestamp, data = EXCLUDED.data',
-        [epochRow.epoch, epochRow.end_block, epochRow.end_hash, epochRow.timestamp, epochRow.data]
+        'INSERT INTO epochs (domain_id, epoch, end_block, end_hash, timestamp, data) VALUES ($1, $2, $3, $4, $5, $6::jsonb) ON CONFLICT (domain_id, epoch) DO UPDATE SET end_block = EXCLUDED.end_block, end_hash = EXCLUDED.end_hash, timestamp = EXCLUDED.timestamp, data = EXCLUDED.data',
+        [this.domainId, epochRow.epoch, epochRow.end_block, epochRow.end_hash, epochRow.timestamp, epochRow.data]
       );
     } finally {
       client.release();
     }
   }
 
+  // Upserts into epoch_boundaries (sql/12); returns false when the table is missing
+  async saveBoundaries(boundaries) {
+    const res = await this.pool.query(`SELECT to_regclass('epoch_boundaries') IS NOT NULL AS ok`);
+    if (!res.rows[0].ok) return false;
+    const store = postgresBoundaryStore(this.pool, this.domainId);
+    for (const b of boundaries) await store.save(b);
+    return true;
+  }
+
+  // epoch -> end_hash of the rows already in the target
   async getExistingEpochs(fromEpoch, toEpoch) {
     const client = await this.pool.connect();
     try {
-      const params = [];
-      let sql = 'SELECT epoch FROM epochs WHERE 1=1';
+      const params = [this.domainId];
+      let sql = 'SELECT epoch, end_hash FROM epochs WHERE domain_id = $1';
       if (fromEpoch != null) { sql += ' AND epoch >= $' + (params.push(fromEpoch)); }
       if (toEpoch != null) { sql += ' AND epoch <= $' + (params.push(toEpoch)); }
       const res = await client.query(sql, params);
-      return new Set(res.rows.map(r => r.epoch));
+      return new Map(res.rows.map(r => [Number(r.epoch), r.end_hash]));
+    } finally {
+      client.release();
+    }
+  }
+
+  // comprehensive_analytics is a trigger-maintained table from sql/10 on: check the
+  // migrated range against a fresh evaluation and repair it if it drifted. Before
+  // sql/10 it is a materialized view and gets a full refresh.
+  async refreshAnalytics(fromEpoch, toEpoch) {
+    const client = await this.pool.connect();
+    try {
+      const kind = await client.query(`SELECT relkind FROM pg_class WHERE oid = to_regclass('comprehensive_analytics')`);
+      if (kind.rows[0]?.relkind === 'r') {
+        const drift = await client.query(
+          'SELECT COUNT(*)::int AS n FROM comprehensive_analytics_drift($1, $2, $3)',
+          [this.domainId, fromEpoch, toEpoch]
+        );
+        const n = drift.rows[0].n;
+        if (n === 0) {
+          console.log(`[validate] comprehensive_analytics matches a full rebuild for epochs ${fromEpoch}..${toEpoch}`);
+        } else {
+          console.warn(`[validate] ${n} drifted comprehensive_analytics rows in ${fromEpoch}..${toEpoch}; recomputing`);
+          const res = await client.query('SELECT refresh_comprehensive_analytics($1, $2, $3) AS written', [this.domainId, fromEpoch, toEpoch]);
+          console.log(`[validate] recomputed ${res.rows[0].written} rows`);
+        }
+      } else {
+        try {
+          await client.query('REFRESH MATERIALIZED VIEW CONCURRENTLY comprehensive_analytics');
+          console.log('[refresh] comprehensive_analytics refreshed');
+        } catch (e) {
+          console.warn(`[refresh] concurrent refresh failed, retrying non-concurrent: ${e.message}`);
+          await client.query('REFRESH MATERIALIZED VIEW comprehensive_analytics');
+          console.log('[refresh] comprehensive_analytics refreshed (non-concurrent)');
+        }
+      }
     } finally {
       client.release();
     }
+    await this.refreshNominatorSnapshots();
   }
 
-  async refreshMaterializedView() {
+  // Views from sql/07; skipped with a warning when that migration has not been applied
+  async refreshNominatorSnapshots() {
     const client = await this.pool.connect();
     try {
-      await client.query('REFRESH MATERIALIZED VIEW CONCURRENTLY comprehensive_analytics');
-      console.log('[refresh] comprehensive_analytics refreshed');
-    } catch (e) {
-      console.warn(`[refresh] concurrent refresh failed, retrying non-concurrent: ${e.message}`);
-      await client.query('REFRESH MATERIALIZED VIEW comprehensive_analytics');
-      console.log('[refresh] comprehensive_analytics refreshed (non-concurrent)');
+      for (const view of ['nominator_deposit_snapshots', 'nominator_withdrawal_snapshots']) {
+        try {
+          await client.query(`REFRESH MATERIALIZED VIEW CONCURRENTLY ${view}`);
+          console.log(`[refresh] ${view} refreshed`);
+        } catch (e) {
+          console.warn(`[refresh] ${view} not refreshed: ${e.message}`);
+        }
+      }
     } finally {
       client.release();
     }
@@ -133,12 +208,12 @@ class SupabaseJsonWriter {
 
 async function main() {
   console.log('[migrate-json] SQLite → Supabase (epochs.data JSONB)');
-  console.log(`[migrate-json] sqlite=${SQLITE_PATH}`);
+  console.log(`[migrate-json] sqlite=${SQLITE_PATH} domain=${DOMAIN_ID}`);
   console.log(`[migrate-json] target=${PG_HOST}:${PG_PORT}/${PG_NAME} user=${PG_USER}`);
 
   let sqlite, writer;
   try {
-    sqlite = new SqliteReader(SQLITE_PATH);
+    sqlite = new SqliteReader(SQLITE_PATH, DOMAIN_ID);
     await sqlite.initialize();
 
     const { minEpoch, maxEpoch } = await sqlite.getEpochRange();
@@ -153,25 +228,41 @@ async function main() {
       return;
     }
 
-    writer = new SupabaseJsonWriter({ host: PG_HOST, port: PG_PORT, database: PG_NAME, user: PG_USER, password: PG_PASS, max: 10 });
+    writer = new SupabaseJsonWriter({ host: PG_HOST, port: PG_PORT, database: PG_NAME, user: PG_USER, password: PG_PASS, max: 10 }, DOMAIN_ID);
     await writer.initialize();
 
     const existing = await writer.getExistingEpochs(fromEpoch, toEpoch);
     const rows = await sqlite.getEpochs(fromEpoch, toEpoch);
     console.log(`[migrate-json] epochs to process: ${rows.length} (existing in target: ${existing.size})`);
 
-    let migrated = 0; let skipped = 0;
+    // A row already in the target is skipped unless its end block changed, i.e. the
+    // epoch was re-ingested after a reorg; then it is replaced
+    let migrated = 0; let skipped = 0; let replaced = 0;
     for (const row of rows) {
-      if (existing.has(row.epoch)) { skipped++; continue; }
+      const existingHash = existing.get(Number(row.epoch));
+      if (existingHash === row.end_hash) { skipped++; continue; }
+      if (existingHash !== undefined) {
+        console.log(`[migrate-json] epoch ${row.epoch} end_hash ${existingHash} → ${row.end_hash}; replacing`);
+        replaced++;
+      }
       await writer.insertEpoch(row);
       migrated++;
       if (migrated % 100 === 0) console.log(`[migrate-json] migrated=${migrated}`);
     }
-    console.log(`[migrate-json] complete migrated=${migrated} skipped=${skipped}`);
+    console.log(`[migrate-json] complete migrated=${migrated} replaced=${replaced} skipped=${skipped}`);
+
+    // The next epoch's row carries where the range's last epoch ends
+    const boundaries = await sqlite.getBoundaries(fromEpoch, toEpoch + 1);
+    if (boundaries.length) {
+      const saved = await writer.saveBoundaries(boundaries);
+      console.log(saved
+        ? `[migrate-json] epoch boundaries upserted=${boundaries.length}`
+        : '[migrate-json] epoch_boundaries missing in target; apply sql/12_epoch_boundaries.sql to copy boundaries');
+    }
 
     if (VALIDATE) {
-      console.log('[validate] refreshing comprehensive_analytics');
-      await writer.refreshMaterializedView();
+      console.log('[validate] checking comprehensive_analytics');
+      await writer.refreshAnalytics(fromEpoch, toEpoch);
     }
 
   } catch (e) {
@@ -1,9 +1,13 @@
 #!/usr/bin/env node
 
 import { spawnSync } from 'node:child_process';
+import fs from 'node:fs';
 import path from 'node:path';
 import pg from 'pg';
+import sqlite3 from 'sqlite3';
+import { open } from 'sqlite';
 import { activate } from '@autonomys/auto-utils';
+import { parseRpcEndpoints } from '../lib/rpc-endpoints.js';
 
 const argv = process.argv.slice(2);
 const getArg = (k, d) => {
@@ -14,8 +18,16 @@ const getArg = (k, d) => {
 
 const WS = getArg('ws', process.env.RPC_URL_WS || 'wss://rpc.anoncenomics.com/ws');
 const DOMAIN_ID = Number(getArg('domain', '0'));
+// How long an endpoint of --ws gets to connect before the next one is tried
+const CONNECT_TIMEOUT = Number(getArg('connect-timeout', '30000'));
 const CONCURRENCY = Number(getArg('concurrency', '8'));
 const BATCH_SIZE = Number(getArg('batch-size', '25'));
+// Latest stored epochs whose end hashes are re-checked against the canonical chain
+const VERIFY_DEPTH = Number(getArg('verify-depth', '100'));
+// Runs an epoch may fail (epoch_failures, sql/11) before the monitor stops retrying it
+const MAX_ATTEMPTS = Number(getArg('max-attempts', '5'));
+// Gap epochs retried per run, oldest first, so a sparse history cannot stall the run
+const GAP_LIMIT = Number(getArg('gap-limit', '200'));
 
 const SQLITE_DB = getArg('db', 'public/data/comprehensive-metrics.db');
 
@@ -32,8 +44,8 @@ function run(cmd, args, env = {}){
   }
 }
 
-async function getSupabaseMaxEpoch(){
-  const pool = new pg.Pool({
+function supabasePool(){
+  return new pg.Pool({
     host: PG_HOST,
     port: PG_PORT,
     database: PG_NAME,
@@ -44,45 +56,182 @@ async function getSupabaseMaxEpoch(){
     connectionTimeoutMillis: 2000,
     ssl: { rejectUnauthorized: false }
   });
+}
+
+// Highest stored epoch, the end blocks of the latest VERIFY_DEPTH epochs, the holes
+// below the highest epoch and, once sql/11 is applied, the failure ledger
+async function getSupabaseState(){
+  const pool = supabasePool();
   try {
-    const { rows } = await pool.query('SELECT MAX(epoch) AS max_epoch FROM epochs');
-    return Number(rows?.[0]?.max_epoch ?? -1);
+    const { rows } = await pool.query('SELECT MAX(epoch) AS max_epoch FROM epochs WHERE domain_id = $1', [DOMAIN_ID]);
+    const maxEpoch = Number(rows?.[0]?.max_epoch ?? -1);
+    const recent = VERIFY_DEPTH > 0
+      ? (await pool.query(
+          'SELECT epoch, end_block, end_hash FROM epochs WHERE domain_id = $1 ORDER BY epoch DESC LIMIT $2',
+          [DOMAIN_ID, VERIFY_DEPTH]
+        )).rows
+      : [];
+    const missing = maxEpoch > 0
+      ? (await pool.query(
+          `SELECT s.epoch FROM generate_series(0, $2::bigint) AS s(epoch)
+           LEFT JOIN epochs e ON e.domain_id = $1 AND e.epoch = s.epoch
+           WHERE e.epoch IS NULL ORDER BY s.epoch`,
+          [DOMAIN_ID, maxEpoch]
+        )).rows.map(r => Number(r.epoch))
+      : [];
+    const hasLedger = (await pool.query(`SELECT to_regclass('epoch_failures') IS NOT NULL AS ok`)).rows[0].ok;
+    const attempts = new Map();
+    if (hasLedger){
+      const ledger = await pool.query('SELECT epoch, attempts FROM epoch_failures WHERE domain_id = $1', [DOMAIN_ID]);
+      for (const r of ledger.rows) attempts.set(Number(r.epoch), Number(r.attempts));
+    }
+    return { maxEpoch, recent, missing, hasLedger, attempts };
   } finally {
     await pool.end();
   }
 }
 
-async function getFinalizedToEpoch(){
-  // Determine a safe upper bound (head epoch - 1)
-  const api = await activate({ rpcUrl: WS });
+// Errors the backfill recorded in its SQLite ledger, by epoch
+async function readBackfillErrors(){
+  if (!fs.existsSync(SQLITE_DB)) return new Map();
+  const db = await open({ filename: SQLITE_DB, driver: sqlite3.Database, mode: sqlite3.OPEN_READONLY });
+  try {
+    const rows = await db.all('SELECT epoch, last_error FROM epoch_failures WHERE domain_id = ?', DOMAIN_ID);
+    return new Map(rows.map(r => [Number(r.epoch), r.last_error]));
+  } catch {
+    return new Map();
+  } finally {
+    await db.close();
+  }
+}
+
+// After a run: bump the attempts of requested epochs that are still missing and
+// clear the ones that landed
+async function updateFailureLedger(requested){
+  if (!requested.length) return;
+  const errors = await readBackfillErrors();
+  const pool = supabasePool();
   try {
-    const head = await api.rpc.chain.getHeader();
-    const at = await api.at(head.hash);
-    const opt = await at.query.domains.domainStakingSummary(DOMAIN_ID);
-    if (!opt || opt.isNone) return null;
-    const s = opt.unwrap();
-    const epochRaw = s.currentEpochIndex ?? s.epochIndex ?? s.epoch;
-    const headEpoch = typeof epochRaw?.toNumber === 'function' ? epochRaw.toNumber() : Number(epochRaw);
-    return Math.max(0, headEpoch - 1);
+    const { rows } = await pool.query(
+      'SELECT epoch FROM epochs WHERE domain_id = $1 AND epoch = ANY($2::bigint[])',
+      [DOMAIN_ID, requested]
+    );
+    const stored = new Set(rows.map(r => Number(r.epoch)));
+    const failed = requested.filter(e => !stored.has(e));
+    await pool.query('DELETE FROM epoch_failures WHERE domain_id = $1 AND epoch = ANY($2::bigint[])', [DOMAIN_ID, Array.from(stored)]);
+    for (const epoch of failed){
+      await pool.query(
+        `INSERT INTO epoch_failures (domain_id, epoch, attempts, last_error) VALUES ($1, $2, 1, $3)
+         ON CONFLICT (domain_id, epoch) DO UPDATE SET
+           attempts = epoch_failures.attempts + 1, last_error = EXCLUDED.last_error, last_failed_at = NOW()`,
+        [DOMAIN_ID, epoch, errors.get(epoch) ?? 'not ingested']
+      );
+    }
+    console.log(`[monitor] ledger: ${stored.size} requested epochs stored, ${failed.length} failed${failed.length ? ` (${failed.join(', ')})` : ''}`);
+  } finally {
+    await pool.end();
+  }
+}
+
+// [1,2,3,7,9,10] -> "1-3,7,9-10" for the backfill's --epochs
+function epochList(epochs){
+  const parts = [];
+  for (let i = 0; i < epochs.length; i++){
+    let j = i;
+    while (j + 1 < epochs.length && epochs[j + 1] === epochs[j] + 1) j++;
+    parts.push(i === j ? String(epochs[i]) : `${epochs[i]}-${epochs[j]}`);
+    i = j;
+  }
+  return parts.join(',');
+}
+
+async function epochAt(api, hash){
+  const at = await api.at(hash);
+  const opt = await at.query.domains.domainStakingSummary(DOMAIN_ID);
+  if (!opt || opt.isNone) return null;
+  const s = opt.unwrap();
+  const epochRaw = s.currentEpochIndex ?? s.epochIndex ?? s.epoch;
+  return typeof epochRaw?.toNumber === 'function' ? epochRaw.toNumber() : Number(epochRaw);
+}
+
+// First endpoint of --ws that answers; the backfill gets the whole list. The checks
+// below only read recent state, so a fast pruned node can lead the list and the
+// backfill sends older epochs to the archive endpoints in it.
+async function connectChain(){
+  let lastError;
+  for (const endpoint of parseRpcEndpoints(WS)){
+    let timer;
+    try {
+      const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(`no connection after ${CONNECT_TIMEOUT}ms`)), CONNECT_TIMEOUT);
+      });
+      const api = await Promise.race([activate({ rpcUrl: endpoint.url, rpcUser: endpoint.user, rpcPass: endpoint.pass }), timeout]);
+      console.log(`[monitor] connected to ${endpoint.label}`);
+      return api;
+    } catch (e) {
+      console.warn(`[monitor] ${endpoint.label} unavailable: ${e.message}`);
+      lastError = e;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+  throw lastError;
+}
+
+// The last complete epoch at the finalized head (its epoch - 1), and the stored
+// epochs whose end block is no longer canonical
+async function checkChain(recent){
+  const api = await connectChain();
+  try {
+    const finalizedHash = await api.rpc.chain.getFinalizedHead();
+    const finalized = await api.rpc.chain.getHeader(finalizedHash);
+    const finalizedNumber = finalized.number.toNumber();
+    const finalizedEpoch = await epochAt(api, finalizedHash);
+    const toEpoch = finalizedEpoch == null ? null : Math.max(0, finalizedEpoch - 1);
+
+    const reorged = [];
+    for (const row of recent){
+      // Stored past finality by an older run; checked again once finalized
+      if (Number(row.end_block) > finalizedNumber) continue;
+      const canonical = (await api.rpc.chain.getBlockHash(Number(row.end_block))).toString();
+      if (canonical !== row.end_hash){
+        console.warn(`[monitor] reorg: epoch ${row.epoch} end block #${row.end_block} ${row.end_hash} is not canonical (${canonical})`);
+        reorged.push(Number(row.epoch));
+      }
+    }
+    console.log(`[monitor] finalized block #${finalizedNumber} (epoch ${finalizedEpoch}); ${recent.length} stored epochs checked, ${reorged.length} reorged`);
+    return { toEpoch, reorged };
   } finally {
     try { await api.disconnect(); } catch {}
   }
 }
 
 async function main(){
-  console.log(`[monitor] start`);
+  console.log(`[monitor] start (domain ${DOMAIN_ID})`);
+
+  // Determine from/to using Supabase (avoid reprocessing all epochs); reorged epochs
+  // pull the start back so they are fetched again and replaced by the migrate step
+  const { maxEpoch: lastSupabaseEpoch, recent, missing, hasLedger, attempts } = await getSupabaseState();
+  const { toEpoch, reorged } = await checkChain(recent);
+  const fromEpoch = Math.min(
+    Math.max(0, (Number.isFinite(lastSupabaseEpoch) ? lastSupabaseEpoch : -1) + 1),
+    ...reorged
+  );
+
+  // Holes below MAX(epoch), e.g. epochs that failed in an earlier run
+  const retryable = missing.filter(e => e < fromEpoch && (attempts.get(e) ?? 0) < MAX_ATTEMPTS);
+  const gaps = retryable.slice(0, GAP_LIMIT);
+  const givenUp = missing.length - retryable.length;
+  if (missing.length) console.log(`[monitor] ${missing.length} missing epochs below ${fromEpoch}; retrying ${gaps.length}${givenUp ? `, ${givenUp} at ${MAX_ATTEMPTS} attempts` : ''}`);
+  if (!hasLedger) console.log('[monitor] epoch_failures not found; apply sql/11_epoch_failures.sql to track retries');
 
-  // Determine from/to using Supabase (avoid reprocessing all epochs)
-  const lastSupabaseEpoch = await getSupabaseMaxEpoch();
-  const fromEpoch = Math.max(0, (Number.isFinite(lastSupabaseEpoch) ? lastSupabaseEpoch : -1) + 1);
-  const toEpoch = await getFinalizedToEpoch();
-  if (toEpoch != null && fromEpoch > toEpoch){
+  if (toEpoch != null && fromEpoch > toEpoch && !gaps.length){
     console.log(`[monitor] up-to-date (from=${fromEpoch} > to=${toEpoch})`);
     return;
   }
 
   // 1) Backfill only missing finalized epochs into SQLite
-  console.log(`[monitor] backfill → SQLite (from=${fromEpoch} to=${toEpoch ?? 'current'})`);
+  console.log(`[monitor] backfill → SQLite (from=${fromEpoch} to=${toEpoch ?? 'current'}${gaps.length ? ` + ${gaps.length} gap epochs` : ''})`);
   const backfillArgs = [
     path.join('scripts', 'optimized-comprehensive-backfill.mjs'),
     '--ws', WS,
@@ -90,9 +239,11 @@ async function main(){
     '--db', SQLITE_DB,
     '--concurrency', String(CONCURRENCY),
     '--batch-size', String(BATCH_SIZE),
+    '--verify-depth', String(VERIFY_DEPTH),
     '--from', String(fromEpoch)
   ];
   if (toEpoch != null) backfillArgs.push('--to', String(toEpoch));
+  if (gaps.length) backfillArgs.push('--epochs', epochList(gaps));
   run('node', backfillArgs);
 
   // 2) Find Supabase max epoch
@@ -100,7 +251,8 @@ async function main(){
   run('node', [
     path.join('scripts', 'migrate-sqlite-json-to-supabase.mjs'),
     '--sqlite', SQLITE_DB,
-    '--from', String(fromEpoch),
+    '--domain', String(DOMAIN_ID),
+    '--from', String(gaps.length ? Math.min(fromEpoch, gaps[0]) : fromEpoch),
     '--to', 'all',
     '--pg-host', PG_HOST,
     '--pg-port', String(PG_PORT),
@@ -110,6 +262,13 @@ async function main(){
     '--validate'
   ]);
 
+  // 3) Record what is still missing
+  if (hasLedger){
+    const requested = [...gaps];
+    for (let e = fromEpoch; toEpoch != null && e <= toEpoch; e++) requested.push(e);
+    await updateFailureLedger(Array.from(new Set(requested)));
+  }
+
   console.log(`[monitor] complete`);
 }
 
@@ -0,0 +1,285 @@
+#!/usr/bin/env node
+
+// Rewrite the timestamps of stored epochs with the on-chain block times. Backfills before
+// startTimestamp/endTimestamp were recorded stored the time they ran instead.
+//
+//   node scripts/repair-epoch-timestamps.mjs [--sqlite <path> | --pg] [--domain N] [--from N] [--to N] [--all] [--dry-run]
+
+import fs from 'node:fs';
+import sqlite3 from 'sqlite3';
+import { open } from 'sqlite';
+import pg from 'pg';
+import { activate } from '@autonomys/auto-utils';
+import { EpochBoundaryIndex, postgresBoundaryStore, sqliteBoundaryStore } from '../lib/epoch-boundaries.js';
+
+const { Pool } = pg;
+
+const argv = process.argv.slice(2);
+
+function getArg(key, defaultValue) {
+  const i = argv.indexOf(`--${key}`);
+  if (i !== -1 && argv[i + 1] && !argv[i + 1].startsWith('--')) return argv[i + 1];
+  return process.env[key.toUpperCase()] ?? defaultValue;
+}
+
+if (argv.includes('--help') || argv.includes('-h')) {
+  console.log(`
+Usage: node repair-epoch-timestamps.mjs [options]
+
+Reads timestamp.now at each stored epoch's start and end block and writes it to the
+timestamp column (epoch end) and to data.startTimestamp / data.endTimestamp.
+
+Options:
+  --sqlite <path>      SQLite database (default: public/data/comprehensive-metrics.db)
+  --pg                 Use Postgres/Supabase instead of SQLite (--pg-host, --pg-port, --pg-name, --pg-user, --pg-pass)
+  --domain <id>        Domain ID (default: 0)
+  --from <epoch>       First epoch to repair (default: 0)
+  --to <epoch>         Last epoch to repair (default: the latest stored)
+  --all                Also rewrite epochs that already carry block timestamps
+  --batch-size <n>     Epochs per transaction (default: 50)
+  --concurrency <n>    Epochs read from the chain at once (default: 4)
+  --dry-run            Read the block times and report, without writing
+  --ws <url>           WebSocket RPC endpoint (default: wss://rpc.anoncenomics.com/ws)
+  --user <username>    RPC username
+  --pass <password>    RPC password
+  --help, -h           Show this help message
+`);
+  process.exit(0);
+}
+
+const USE_PG = argv.includes('--pg');
+const SQLITE_PATH = getArg('sqlite', 'public/data/comprehensive-metrics.db');
+const DOMAIN_ID = Number(getArg('domain', '0'));
+const FROM = Number(getArg('from', '0'));
+const TO = getArg('to') != null ? Number(getArg('to')) : null;
+const ALL = argv.includes('--all');
+const BATCH_SIZE = Math.max(1, Number(getArg('batch-size', '50')));
+const CONCURRENCY = Math.max(1, Number(getArg('concurrency', '4')));
+const DRY_RUN = argv.includes('--dry-run');
+
+const WS = getArg('ws', process.env.RPC_URL_WS || 'wss://rpc.anoncenomics.com/ws');
+const RPC_USER = getArg('user', process.env.RPC_USER || '');
+const RPC_PASS = getArg('pass', process.env.RPC_PASS || '');
+
+const PG_HOST = getArg('pg-host', process.env.PG_HOST || 'localhost');
+const PG_PORT = Number(getArg('pg-port', process.env.PG_PORT || '5432'));
+const PG_NAME = getArg('pg-name', process.env.PG_NAME || 'postgres');
+const PG_USER = getArg('pg-user', process.env.PG_USER || 'postgres');
+const PG_PASS = getArg('pg-pass', process.env.PG_PASS || process.env.PG_PASSWORD || '');
+
+// Both stores list { epoch, endBlock, endHash, startBlock, repaired } in epoch order and
+// write { epoch, startBlock, startTimestamp, endTimestamp }
+class SqliteEpochs {
+  constructor(dbPath) {
+    this.dbPath = dbPath;
+    this.db = null;
+  }
+
+  get label() { return `sqlite ${this.dbPath}`; }
+
+  async initialize() {
+    if (!fs.existsSync(this.dbPath)) {
+      throw new Error(`SQLite database not found: ${this.dbPath}`);
+    }
+    this.db = await open({ filename: this.dbPath, driver: sqlite3.Database });
+    const columns = await this.db.all('PRAGMA table_info(epochs)');
+    if (!columns.some(c => c.name === 'domain_id')) {
+      throw new Error('epochs.domain_id is missing; run the backfill once to upgrade the file');
+    }
+  }
+
+  async list(from, to) {
+    const rows = await this.db.all(
+      `SELECT epoch, end_block, end_hash,
+              json_extract(data, '$.startBlock') AS start_block,
+              json_extract(data, '$.endTimestamp') AS end_timestamp
+       FROM epochs WHERE domain_id = ? AND epoch >= ? AND epoch <= ? ORDER BY epoch`,
+      [DOMAIN_ID, from, to ?? Number.MAX_SAFE_INTEGER]
+    );
+    return rows.map(r => ({
+      epoch: Number(r.epoch),
+      endBlock: Number(r.end_block),
+      endHash: r.end_hash,
+      startBlock: r.start_block != null ? Number(r.start_block) : null,
+      repaired: r.end_timestamp != null
+    }));
+  }
+
+  async write(rows) {
+    await this.db.exec('BEGIN');
+    try {
+      for (const r of rows) {
+        await this.db.run(
+          `UPDATE epochs SET timestamp = ?,
+             data = json_set(data, '$.timestamp', ?, '$.startBlock', ?, '$.startTimestamp', ?, '$.endTimestamp', ?)
+           WHERE domain_id = ? AND epoch = ?`,
+          [r.endTimestamp, r.endTimestamp, r.startBlock, r.startTimestamp, r.endTimestamp, DOMAIN_ID, r.epoch]
+        );
+      }
+      await this.db.exec('COMMIT');
+    } catch (e) {
+      await this.db.exec('ROLLBACK');
+      throw e;
+    }
+  }
+
+  async boundaryStore() {
+    const table = await this.db.get(`SELECT 1 AS ok FROM sqlite_master WHERE type = 'table' AND name = 'epoch_boundaries'`);
+    return table ? sqliteBoundaryStore(this.db, DOMAIN_ID) : null;
+  }
+
+  async refresh() {}
+
+  async close() { if (this.db) await this.db.close(); }
+}
+
+class PostgresEpochs {
+  constructor(config) {
+    this.config = config;
+    this.pool = new Pool(config);
+  }
+
+  get label() { return `postgres ${this.config.host}:${this.config.port}/${this.config.database}`; }
+
+  async initialize() {
+    const check = await this.pool.query(
+      `SELECT 1 FROM information_schema.columns WHERE table_name = 'epochs' AND column_name = 'domain_id'`
+    );
+    if (!check.rowCount) throw new Error('epochs.domain_id is missing; apply sql/08_multi_domain.sql first');
+  }
+
+  async list(from, to) {
+    const res = await this.pool.query(
+      `SELECT epoch, end_block, end_hash, (data->>'startBlock')::bigint AS start_block,
+              data ? 'endTimestamp' AS repaired
+       FROM epochs WHERE domain_id = $1 AND epoch >= $2 AND ($3::bigint IS NULL OR epoch <= $3)
+       ORDER BY epoch`,
+      [DOMAIN_ID, from, to]
+    );
+    return res.rows.map(r => ({
+      epoch: Number(r.epoch),
+      endBlock: Number(r.end_block),
+      endHash: r.end_hash,
+      startBlock: r.start_block != null ? Number(r.start_block) : null,
+      repaired: r.repaired
+    }));
+  }
+
+  // From sql/10 on, the epochs triggers bring comprehensive_analytics along with these updates
+  async write(rows) {
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+      for (const r of rows) {
+        await client.query(
+          `UPDATE epochs SET timestamp = $1,
+             data = data || jsonb_build_object('timestamp', $1::bigint, 'startBlock', $2::bigint, 'startTimestamp', $3::bigint, 'endTimestamp', $1::bigint)
+           WHERE domain_id = $4 AND epoch = $5`,
+          [r.endTimestamp, r.startBlock, r.startTimestamp, DOMAIN_ID, r.epoch]
+        );
+      }
+      await client.query('COMMIT');
+    } catch (e) {
+      await client.query('ROLLBACK');
+      throw e;
+    } finally {
+      client.release();
+    }
+  }
+
+  async boundaryStore() {
+    const res = await this.pool.query(`SELECT to_regclass('epoch_boundaries') IS NOT NULL AS ok`);
+    return res.rows[0].ok ? postgresBoundaryStore(this.pool, DOMAIN_ID) : null;
+  }
+
+  // Databases before sql/10 still have comprehensive_analytics as a materialized view
+  async refresh() {
+    const res = await this.pool.query(`SELECT 1 FROM pg_matviews WHERE matviewname = 'comprehensive_analytics'`);
+    if (!res.rowCount) return;
+    try {
+      await this.pool.query('REFRESH MATERIALIZED VIEW CONCURRENTLY comprehensive_analytics');
+      console.log('[refresh] comprehensive_analytics refreshed');
+    } catch (e) {
+      console.warn(`[refresh] comprehensive_analytics not refreshed: ${e.message}`);
+    }
+  }
+
+  async close() { await this.pool.end(); }
+}
+
+async function blockTimestamp(api, hash) {
+  const at = await api.at(hash);
+  return Number((await at.query.timestamp.now()).toString());
+}
+
+// Start block: recorded by newer backfills, else from the boundary index, which knows
+// the block after the previous stored epoch's end. The end block is read by its stored hash.
+async function readTimes(api, row, index, tip) {
+  const startBlock = row.startBlock ?? await index.startOf(api, row.epoch, tip);
+  const startHash = (await api.rpc.chain.getBlockHash(startBlock)).toString();
+  const [startTimestamp, endTimestamp] = await Promise.all([
+    blockTimestamp(api, startHash),
+    blockTimestamp(api, row.endHash)
+  ]);
+  if (!DRY_RUN) {
+    await index.record({ epoch: row.epoch, startBlock, startHash, startTimestamp, endBlock: row.endBlock, endHash: row.endHash, endTimestamp });
+  }
+  return { epoch: row.epoch, startBlock, startTimestamp, endTimestamp };
+}
+
+async function repair(store, api) {
+  // One epoch before --from, so the first epoch can take its start from it
+  const rows = await store.list(Math.max(0, FROM - 1), TO);
+  const index = await new EpochBoundaryIndex(DOMAIN_ID, DRY_RUN ? null : await store.boundaryStore()).load();
+  for (const r of rows) index.remember({ epoch: r.epoch, startBlock: r.startBlock, endBlock: r.endBlock, endHash: r.endHash });
+  const finalized = await api.rpc.chain.getHeader(await api.rpc.chain.getFinalizedHead());
+  const tip = finalized.number.toNumber();
+  const targets = rows.filter(r => r.epoch >= FROM && (ALL || !r.repaired));
+  console.log(`[repair] ${targets.length} epochs to repair${ALL ? '' : ` (${rows.filter(r => r.epoch >= FROM).length - targets.length} already have block timestamps)`}`);
+
+  let repaired = 0;
+  const failed = [];
+  for (let i = 0; i < targets.length; i += BATCH_SIZE) {
+    const batch = targets.slice(i, i + BATCH_SIZE);
+    const out = [];
+    for (let j = 0; j < batch.length; j += CONCURRENCY) {
+      const results = await Promise.allSettled(batch.slice(j, j + CONCURRENCY).map(r => readTimes(api, r, index, tip)));
+      results.forEach((res, k) => {
+        const epoch = batch[j + k].epoch;
+        if (res.status === 'fulfilled') out.push(res.value);
+        else { failed.push(epoch); console.warn(`[repair] epoch ${epoch}: ${res.reason?.message ?? res.reason}`); }
+      });
+    }
+    if (out.length && !DRY_RUN) await store.write(out);
+    repaired += out.length;
+    const last = out[out.length - 1];
+    if (last) {
+      console.log(`[repair] ${DRY_RUN ? 'would repair' : 'repaired'} ${repaired}/${targets.length} (epoch ${last.epoch} ended ${new Date(last.endTimestamp).toISOString()})`);
+    }
+  }
+
+  console.log(`[repair] complete repaired=${repaired} failed=${failed.length}${failed.length ? ` (${failed.join(',')})` : ''}`);
+  if (repaired && !DRY_RUN) await store.refresh();
+  if (failed.length) process.exitCode = 1;
+}
+
+async function main() {
+  const store = USE_PG
+    ? new PostgresEpochs({ host: PG_HOST, port: PG_PORT, database: PG_NAME, user: PG_USER, password: PG_PASS, max: 2 })
+    : new SqliteEpochs(SQLITE_PATH);
+  console.log(`[repair] ${store.label} domain ${DOMAIN_ID}${DRY_RUN ? ' (dry run)' : ''}`);
+  let api = null;
+  try {
+    await store.initialize();
+    api = await activate({ rpcUrl: WS, rpcUser: RPC_USER, rpcPass: RPC_PASS });
+    await repair(store, api);
+  } catch (e) {
+    console.error(`[error] ${e.message}`);
+    process.exitCode = 1;
+  } finally {
+    if (api) { try { await api.disconnect(); } catch {} }
+    await store.close();
+  }
+}
+
+main().catch(e => { console.error(e); process.exit(1); });
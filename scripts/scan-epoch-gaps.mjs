@@ -0,0 +1,170 @@
+#!/usr/bin/env node
+
+// Compare the epochs stored in SQLite and/or Postgres against the contiguous range
+// they should cover, and list the holes together with the failure ledger.
+//
+//   node scripts/scan-epoch-gaps.mjs [--sqlite <path>] [--pg] [--domain N] [--from N] [--to N] [--json]
+
+import fs from 'node:fs';
+import sqlite3 from 'sqlite3';
+import { open } from 'sqlite';
+import pg from 'pg';
+
+const { Pool } = pg;
+
+const argv = process.argv.slice(2);
+
+function getArg(key, defaultValue) {
+  const i = argv.indexOf(`--${key}`);
+  if (i !== -1 && argv[i + 1] && !argv[i + 1].startsWith('--')) return argv[i + 1];
+  return process.env[key.toUpperCase()] ?? defaultValue;
+}
+
+if (argv.includes('--help') || argv.includes('-h')) {
+  console.log(`
+Usage: node scan-epoch-gaps.mjs [options]
+
+Options:
+  --sqlite <path>      SQLite database (default: public/data/comprehensive-metrics.db, skipped if absent)
+  --pg                 Also scan Postgres/Supabase (--pg-host, --pg-port, --pg-name, --pg-user, --pg-pass)
+  --domain <id>        Domain ID (default: 0)
+  --from <epoch>       First expected epoch (default: 0)
+  --to <epoch>         Last expected epoch (default: the highest stored in any scanned store)
+  --json               Print the result as JSON
+  --help, -h           Show this help message
+
+Exits with code 2 when a store has gaps. Fill them with
+  node scripts/optimized-comprehensive-backfill.mjs --fill-gaps   (SQLite)
+  node scripts/monitor-once.mjs                                   (Supabase, retried each run)
+`);
+  process.exit(0);
+}
+
+const SQLITE_PATH = getArg('sqlite', 'public/data/comprehensive-metrics.db');
+const SQLITE_EXPLICIT = argv.includes('--sqlite');
+const USE_PG = argv.includes('--pg');
+const DOMAIN_ID = Number(getArg('domain', '0'));
+const FROM = Number(getArg('from', '0'));
+const TO = getArg('to');
+const JSON_OUT = argv.includes('--json');
+
+const PG_HOST = getArg('pg-host', process.env.PG_HOST || 'localhost');
+const PG_PORT = Number(getArg('pg-port', process.env.PG_PORT || '5432'));
+const PG_NAME = getArg('pg-name', process.env.PG_NAME || 'postgres');
+const PG_USER = getArg('pg-user', process.env.PG_USER || 'postgres');
+const PG_PASS = getArg('pg-pass', process.env.PG_PASS || process.env.PG_PASSWORD || '');
+
+// { epochs: number[], failures: [{ epoch, attempts, last_error }] } for one store
+async function readSqlite(dbPath) {
+  const db = await open({ filename: dbPath, driver: sqlite3.Database, mode: sqlite3.OPEN_READONLY });
+  try {
+    // Files from before the backfill keyed rows by domain hold domain 0 only
+    const columns = await db.all('PRAGMA table_info(epochs)');
+    const byDomain = columns.some(c => c.name === 'domain_id');
+    if (!byDomain && DOMAIN_ID !== 0) return { epochs: [], failures: [] };
+    const rows = byDomain
+      ? await db.all('SELECT epoch FROM epochs WHERE domain_id = ? ORDER BY epoch', DOMAIN_ID)
+      : await db.all('SELECT epoch FROM epochs ORDER BY epoch');
+    const hasLedger = await db.get(`SELECT 1 AS ok FROM sqlite_master WHERE type = 'table' AND name = 'epoch_failures'`);
+    const failures = hasLedger
+      ? await db.all('SELECT epoch, attempts, last_error FROM epoch_failures WHERE domain_id = ? ORDER BY epoch', DOMAIN_ID)
+      : [];
+    return { epochs: rows.map(r => Number(r.epoch)), failures };
+  } finally {
+    await db.close();
+  }
+}
+
+async function readPostgres() {
+  const pool = new Pool({ host: PG_HOST, port: PG_PORT, database: PG_NAME, user: PG_USER, password: PG_PASS, max: 1 });
+  try {
+    const rows = await pool.query('SELECT epoch FROM epochs WHERE domain_id = $1 ORDER BY epoch', [DOMAIN_ID]);
+    const hasLedger = (await pool.query(`SELECT to_regclass('epoch_failures') IS NOT NULL AS ok`)).rows[0].ok;
+    const failures = hasLedger
+      ? (await pool.query('SELECT epoch, attempts, last_error FROM epoch_failures WHERE domain_id = $1 ORDER BY epoch', [DOMAIN_ID])).rows
+      : [];
+    return {
+      epochs: rows.rows.map(r => Number(r.epoch)),
+      failures: failures.map(f => ({ epoch: Number(f.epoch), attempts: Number(f.attempts), last_error: f.last_error }))
+    };
+  } finally {
+    await pool.end();
+  }
+}
+
+// [1,2,3,7] -> [[1,3],[7,7]]
+function toRanges(epochs) {
+  const out = [];
+  for (const e of epochs) {
+    const last = out[out.length - 1];
+    if (last && e === last[1] + 1) last[1] = e;
+    else out.push([e, e]);
+  }
+  return out;
+}
+
+function formatRanges(ranges) {
+  return ranges.map(([a, b]) => a === b ? String(a) : `${a}-${b}`).join(',');
+}
+
+function missingIn(present, from, to) {
+  const out = [];
+  for (let e = from; e <= to; e++) if (!present.has(e)) out.push(e);
+  return out;
+}
+
+async function main() {
+  const stores = [];
+  if (fs.existsSync(SQLITE_PATH)) {
+    stores.push({ name: 'sqlite', label: SQLITE_PATH, ...(await readSqlite(SQLITE_PATH)) });
+  } else if (SQLITE_EXPLICIT || !USE_PG) {
+    throw new Error(`SQLite database not found: ${SQLITE_PATH}`);
+  }
+  if (USE_PG) {
+    stores.push({ name: 'postgres', label: `${PG_HOST}:${PG_PORT}/${PG_NAME}`, ...(await readPostgres()) });
+  }
+
+  const highest = Math.max(-1, ...stores.map(s => s.epochs[s.epochs.length - 1] ?? -1));
+  const to = TO != null ? Number(TO) : highest;
+  const sets = stores.map(s => new Set(s.epochs));
+
+  const result = {
+    domainId: DOMAIN_ID,
+    expected: { from: FROM, to },
+    stores: stores.map((s, i) => {
+      const missing = missingIn(sets[i], FROM, to);
+      return {
+        name: s.name,
+        label: s.label,
+        stored: s.epochs.filter(e => e >= FROM && e <= to).length,
+        missing: missing.length,
+        missingRanges: formatRanges(toRanges(missing)),
+        failures: s.failures
+      };
+    })
+  };
+  // Epochs one store has and the other lacks, e.g. backfilled but not migrated yet
+  if (stores.length === 2) {
+    const [a, b] = sets;
+    result.onlyInSqlite = formatRanges(toRanges(stores[0].epochs.filter(e => !b.has(e) && e >= FROM && e <= to)));
+    result.onlyInPostgres = formatRanges(toRanges(stores[1].epochs.filter(e => !a.has(e) && e >= FROM && e <= to)));
+  }
+
+  if (JSON_OUT) {
+    console.log(JSON.stringify(result, null, 2));
+  } else {
+    console.log(`[gaps] domain ${DOMAIN_ID}, expected epochs ${FROM}..${to}`);
+    for (const s of result.stores) {
+      console.log(`[gaps] ${s.name} (${s.label}): ${s.stored} stored, ${s.missing} missing${s.missing ? `: ${s.missingRanges}` : ''}`);
+      for (const f of s.failures) {
+        console.log(`[gaps]   ledger epoch ${f.epoch}: ${f.attempts} attempts, last error: ${f.last_error ?? '-'}`);
+      }
+    }
+    if (result.onlyInSqlite) console.log(`[gaps] in SQLite but not Postgres: ${result.onlyInSqlite}`);
+    if (result.onlyInPostgres) console.log(`[gaps] in Postgres but not SQLite: ${result.onlyInPostgres}`);
+  }
+
+  if (result.stores.some(s => s.missing > 0)) process.exitCode = 2;
+}
+
+main().catch(e => { console.error(`[error] ${e.message}`); process.exit(1); });
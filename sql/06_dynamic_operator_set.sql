@@ -0,0 +1,269 @@
+-- ========================================
+-- DYNAMIC OPERATOR SET
+-- Step 6: Stop assuming operators are exactly IDs 0-3
+-- ========================================
+
+-- Real operators are the IDs present in operators.entries for an epoch, which is
+-- exactly what the backfill writes into operator_shares. Everything else in
+-- operator_share_prices is a nominator position. Per-operator metrics are
+-- exposed as JSON maps keyed by operator ID so new operators show up without
+-- a schema change. The operator_0..3 columns are kept for older readers.
+
+BEGIN;
+
+-- ========================================
+-- 1. CLASSIFY BY MEMBERSHIP, NOT BY ID RANGE
+-- ========================================
+
+CREATE OR REPLACE VIEW real_operator_share_prices AS
+SELECT
+  osp.epoch,
+  osp.operator_id,
+  osp.share_price_perq,
+  osp.share_price_perq / 1e18 as share_price_decimal,
+  osp.source,
+  osp.inserted_at,
+  osp.updated_at
+FROM operator_share_prices osp
+WHERE EXISTS (
+  SELECT 1 FROM operator_shares os
+  WHERE os.epoch = osp.epoch AND os.operator_id = osp.operator_id
+)
+ORDER BY osp.epoch, osp.operator_id;
+
+CREATE OR REPLACE VIEW real_operator_stakes AS
+SELECT
+  epoch,
+  operator_id,
+  shares_raw,
+  stake_raw,
+  stake_raw / 1e18 as stake_tokens,
+  shares_raw / 1e18 as shares_tokens,
+  CASE
+    WHEN shares_raw > 0
+    THEN (stake_raw::NUMERIC / shares_raw::NUMERIC)
+    ELSE 1.0
+  END as calculated_share_price,
+  inserted_at,
+  updated_at
+FROM operator_shares
+ORDER BY epoch, operator_id;
+
+CREATE OR REPLACE VIEW nominator_positions AS
+SELECT
+  osp.epoch,
+  osp.operator_id as position_id,
+  osp.share_price_perq,
+  osp.share_price_perq / 1e18 as share_price_decimal,
+  osp.source,
+  osp.inserted_at,
+  osp.updated_at
+FROM operator_share_prices osp
+WHERE NOT EXISTS (
+  SELECT 1 FROM operator_shares os
+  WHERE os.epoch = osp.epoch AND os.operator_id = osp.operator_id
+)
+ORDER BY osp.epoch, osp.operator_id;
+
+-- Recreated rather than replaced: 05 names the P&L column price_growth_percent, 05b
+-- price_change_percent, and a view column cannot be renamed in place
+DROP VIEW IF EXISTS operator_analytics;
+
+CREATE VIEW operator_analytics AS
+SELECT
+  os.epoch,
+  os.operator_id,
+  om.display_name as operator_name,
+  os.stake_raw,
+  os.stake_raw / 1e18 as stake_tokens,
+  os.shares_raw,
+  os.shares_raw / 1e18 as shares_tokens,
+  osp.share_price_perq,
+  osp.share_price_perq / 1e18 as share_price,
+  ((osp.share_price_perq / 1e18) - 1.0) * 100 as price_change_percent,
+  CASE
+    WHEN osp.share_price_perq = 1e18 THEN 'Unchanged'
+    WHEN osp.share_price_perq > 1e18 THEN 'Appreciated'
+    WHEN osp.share_price_perq < 1e18 THEN 'Depreciated'
+  END as price_status,
+  osp.source,
+  os.updated_at
+FROM operator_shares os
+JOIN operator_share_prices osp ON os.epoch = osp.epoch AND os.operator_id = osp.operator_id
+LEFT JOIN operators_metadata om ON os.operator_id = om.operator_id
+ORDER BY os.epoch DESC, os.operator_id;
+
+COMMENT ON VIEW operator_analytics IS
+'Analytics for every operator found in operators.entries. Note: Even operators can have prices below 1.0';
+
+-- ========================================
+-- 2. COMPREHENSIVE ANALYTICS WITH OPERATOR MAPS
+-- ========================================
+
+DROP MATERIALIZED VIEW IF EXISTS comprehensive_analytics CASCADE;
+
+CREATE MATERIALIZED VIEW comprehensive_analytics AS
+SELECT
+  e.epoch,
+  e.end_block,
+  e.timestamp,
+  TO_TIMESTAMP(e.timestamp / 1000) AS epoch_datetime,
+  DATE(TO_TIMESTAMP(e.timestamp / 1000)) AS epoch_date,
+
+  -- Core metrics
+  parse_comma_number(e.data->'domainStakingSummary'->>'currentTotalStake') AS total_stake_raw,
+  parse_comma_number(e.data->'domainStakingSummary'->>'currentTotalStake') / 1e18 AS total_stake_tokens,
+  COALESCE((e.data->>'totalShares')::NUMERIC, 0) AS total_shares_raw,
+  COALESCE((e.data->>'totalShares')::NUMERIC / 1e18, 0) AS total_shares_tokens,
+
+  -- Network share price
+  CASE WHEN COALESCE((e.data->>'totalShares')::NUMERIC, 0) > 0
+       THEN parse_comma_number(e.data->'domainStakingSummary'->>'currentTotalStake') / COALESCE((e.data->>'totalShares')::NUMERIC, 1)
+       ELSE 1.0
+  END AS network_share_price_ratio,
+
+  -- Treasury and rewards
+  COALESCE((e.data->>'accumulatedTreasuryFunds')::NUMERIC / 1e18, 0) AS treasury_funds_tokens,
+  COALESCE((e.data->>'domainChainRewards')::NUMERIC / 1e18, 0) AS chain_rewards_tokens,
+
+  -- Storage fees
+  COALESCE((
+    SELECT SUM(
+      hex_to_numeric(
+        COALESCE(
+          CASE
+            WHEN position(',' in (op_entry->>'value')) > 0
+            THEN (btrim(substr(op_entry->>'value', position(',' in (op_entry->>'value')) + 1))::jsonb ->> 'totalStorageFeeDeposit')
+            ELSE NULL
+          END,
+          '0x0'
+        )
+      )
+    )
+    FROM jsonb_array_elements(e.data->'operators'->'entries') AS op_entry
+  ), 0) / 1e18 AS storage_fee_fund_tokens,
+
+  -- Per-operator maps (operator ID -> raw Shannons / perquintill as text)
+  (
+    SELECT JSONB_OBJECT_AGG(kv.key, parse_comma_number(kv.value)::TEXT)
+    FROM jsonb_each_text(e.data->'domainStakingSummary'->'currentOperators') AS kv
+  ) AS operator_stakes_json,
+  (
+    SELECT JSONB_OBJECT_AGG(kv.key, parse_comma_number(kv.value)::TEXT)
+    FROM jsonb_each_text(e.data->'domainStakingSummary'->'currentEpochRewards') AS kv
+  ) AS operator_rewards_json,
+  (
+    SELECT JSONB_OBJECT_AGG(rosp.operator_id::TEXT, rosp.share_price_perq::TEXT)
+    FROM real_operator_share_prices rosp
+    WHERE rosp.epoch = e.epoch
+  ) AS operator_share_prices_json,
+  (
+    SELECT JSONB_OBJECT_AGG(
+      os.operator_id::TEXT,
+      JSONB_BUILD_OBJECT('shares_raw', os.shares_raw::TEXT, 'stake_raw', os.stake_raw::TEXT)
+    )
+    FROM operator_shares os
+    WHERE os.epoch = e.epoch
+  ) AS operator_shares_json,
+  ARRAY(
+    -- The key is the item's position in the list; the OperatorId is the u64 (LE)
+    -- after the 32-byte prefix of the storage key in "value"
+    SELECT (
+      SELECT hex_to_numeric(string_agg(substr(op_entry->>'value', i, 2), '' ORDER BY i DESC))
+      FROM generate_series(67, 81, 2) AS i
+    )::INTEGER
+    FROM jsonb_array_elements(e.data->'operators'->'entries') AS op_entry
+    WHERE (op_entry->>'value') LIKE '0x%,%'
+    ORDER BY 1
+  ) AS operator_ids,
+
+  -- Legacy operator 0-3 columns (kept for older API versions)
+  COALESCE(parse_comma_number((e.data->'domainStakingSummary'->'currentOperators'->>'0')::TEXT) / 1e18, 0) AS operator_0_stake_tokens,
+  COALESCE(parse_comma_number((e.data->'domainStakingSummary'->'currentEpochRewards'->>'0')::TEXT) / 1e18, 0) AS operator_0_rewards_tokens,
+  COALESCE(parse_comma_number((e.data->'domainStakingSummary'->'currentOperators'->>'1')::TEXT) / 1e18, 0) AS operator_1_stake_tokens,
+  COALESCE(parse_comma_number((e.data->'domainStakingSummary'->'currentEpochRewards'->>'1')::TEXT) / 1e18, 0) AS operator_1_rewards_tokens,
+  COALESCE(parse_comma_number((e.data->'domainStakingSummary'->'currentOperators'->>'2')::TEXT) / 1e18, 0) AS operator_2_stake_tokens,
+  COALESCE(parse_comma_number((e.data->'domainStakingSummary'->'currentEpochRewards'->>'2')::TEXT) / 1e18, 0) AS operator_2_rewards_tokens,
+  COALESCE(parse_comma_number((e.data->'domainStakingSummary'->'currentOperators'->>'3')::TEXT) / 1e18, 0) AS operator_3_stake_tokens,
+  COALESCE(parse_comma_number((e.data->'domainStakingSummary'->'currentEpochRewards'->>'3')::TEXT) / 1e18, 0) AS operator_3_rewards_tokens,
+
+  -- Counts
+  COALESCE((e.data->'operators'->>'count')::INTEGER, 0) AS operator_count,
+  COALESCE((e.data->'operators'->>'count')::INTEGER, 0) AS real_operator_count,
+  COALESCE((
+    SELECT COUNT(DISTINCT position_id)
+    FROM nominator_positions np
+    WHERE np.epoch = e.epoch
+  ), 0) AS nominator_position_count,
+  COALESCE((e.data->'deposits'->>'count')::INTEGER, 0) AS deposits_count,
+  COALESCE((e.data->'withdrawals'->>'count')::INTEGER, 0) AS withdrawals_count,
+  COALESCE((e.data->'successfulBundles'->>'count')::INTEGER, 0) AS bundles_count
+
+FROM epochs e
+ORDER BY e.epoch;
+
+-- Unique index so REFRESH ... CONCURRENTLY keeps working
+CREATE UNIQUE INDEX IF NOT EXISTS idx_comprehensive_epoch_unique ON comprehensive_analytics(epoch);
+CREATE INDEX IF NOT EXISTS idx_comprehensive_datetime ON comprehensive_analytics(epoch_datetime);
+
+-- ========================================
+-- 3. RECREATE DEPENDENT VIEWS (dropped by CASCADE)
+-- ========================================
+
+CREATE VIEW network_health_metrics AS
+WITH latest_epoch AS (
+  SELECT MAX(epoch) as max_epoch FROM epochs
+)
+SELECT
+  e.epoch,
+  e.epoch_datetime,
+  -- Operator health
+  (SELECT COUNT(DISTINCT operator_id) FROM operator_shares WHERE epoch = e.epoch) as active_operators,
+  (SELECT AVG(share_price_decimal) FROM real_operator_share_prices WHERE epoch = e.epoch) as avg_operator_price,
+  -- Nominator health
+  (SELECT COUNT(DISTINCT position_id) FROM nominator_positions WHERE epoch = e.epoch) as nominator_positions,
+  (SELECT AVG(share_price_decimal) FROM nominator_positions WHERE epoch = e.epoch) as avg_nominator_price,
+  -- Network metrics
+  e.total_stake_tokens,
+  e.total_shares_tokens,
+  e.network_share_price_ratio,
+  e.deposits_count,
+  e.withdrawals_count,
+  -- Profitability
+  (SELECT COUNT(*) FROM operator_share_prices WHERE epoch = e.epoch AND share_price_perq > 1e18) as profitable_positions,
+  (SELECT COUNT(*) FROM operator_share_prices WHERE epoch = e.epoch AND share_price_perq < 1e18) as losing_positions
+FROM comprehensive_analytics e
+WHERE e.epoch >= (SELECT max_epoch - 100 FROM latest_epoch)
+ORDER BY e.epoch DESC;
+
+COMMENT ON VIEW network_health_metrics IS
+'Network-wide health metrics combining operator and nominator performance';
+
+REFRESH MATERIALIZED VIEW comprehensive_analytics;
+
+-- ========================================
+-- 4. VERIFICATION
+-- ========================================
+
+SELECT
+  'Dynamic Operator Set' as status,
+  (SELECT COUNT(DISTINCT operator_id) FROM operator_shares) as operators_seen,
+  (SELECT MAX(array_length(operator_ids, 1)) FROM comprehensive_analytics) as max_operators_per_epoch,
+  (SELECT COUNT(*) FROM comprehensive_analytics WHERE operator_stakes_json IS NOT NULL) as epochs_with_stake_map;
+
+SELECT
+  epoch,
+  operator_ids,
+  operator_stakes_json,
+  operator_share_prices_json
+FROM comprehensive_analytics
+ORDER BY epoch DESC
+LIMIT 3;
+
+COMMIT;
+
+-- ========================================
+-- ROLLBACK SCRIPT
+-- ========================================
+
+-- See sql/rollback/06_dynamic_operator_set.sql
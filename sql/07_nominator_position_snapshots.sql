@@ -0,0 +1,157 @@
+-- ========================================
+-- NOMINATOR POSITION SNAPSHOTS
+-- Step 7: Unpack deposits / withdrawals entries per epoch
+-- ========================================
+
+-- deposits.entries and withdrawals.entries are stored as
+--   { "key": ["<n>"], "value": "<storage key hex>,<json>" }
+-- Both storage maps are (Identity OperatorId u64, Identity NominatorId AccountId32),
+-- so the storage key is:
+--   0x | 32-byte pallet/item prefix | 8-byte operator id (LE) | 32-byte account
+-- One row per (epoch, operator, nominator) lets the API page a single position
+-- without pulling every epoch's snapshot JSON.
+
+BEGIN;
+
+-- ========================================
+-- 1. HELPER FUNCTIONS
+-- ========================================
+
+-- Little-endian hex (SCALE encoding) to numeric
+CREATE OR REPLACE FUNCTION hex_le_to_numeric(hex_val TEXT)
+RETURNS NUMERIC AS $$
+  SELECT COALESCE(hex_to_numeric(string_agg(substr(hex_val, i, 2), '' ORDER BY i DESC)), 0)
+  FROM generate_series(1, GREATEST(length(hex_val) - 1, 0), 2) AS i;
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Balance fields come from codec toJSON(): small values are JSON numbers,
+-- anything above 2^53 is a 0x-prefixed hex string
+CREATE OR REPLACE FUNCTION json_amount_to_numeric(val JSONB)
+RETURNS NUMERIC AS $$
+  SELECT CASE jsonb_typeof(val)
+    WHEN 'number' THEN (val #>> '{}')::NUMERIC
+    WHEN 'string' THEN
+      CASE WHEN (val #>> '{}') LIKE '0x%'
+           THEN hex_to_numeric(val #>> '{}')
+           ELSE parse_comma_number(val #>> '{}')
+      END
+    ELSE 0
+  END;
+$$ LANGUAGE sql IMMUTABLE;
+
+-- ========================================
+-- 2. DEPOSIT SNAPSHOTS
+-- ========================================
+
+DROP MATERIALIZED VIEW IF EXISTS nominator_deposit_snapshots CASCADE;
+
+CREATE MATERIALIZED VIEW nominator_deposit_snapshots AS
+WITH raw AS (
+  SELECT
+    e.epoch,
+    substr(d->>'value', 1, position(',' in (d->>'value')) - 1) AS storage_key,
+    btrim(substr(d->>'value', position(',' in (d->>'value')) + 1))::jsonb AS deposit
+  FROM epochs e
+  CROSS JOIN LATERAL jsonb_array_elements(COALESCE(e.data->'deposits'->'entries', '[]'::jsonb)) AS d
+  WHERE (d->>'value') LIKE '0x%,{%'
+)
+SELECT
+  epoch,
+  hex_le_to_numeric(substr(storage_key, 67, 16))::INTEGER AS operator_id,
+  '0x' || substr(storage_key, 83, 64) AS nominator_id,
+  json_amount_to_numeric(deposit->'known'->'shares') AS known_shares,
+  json_amount_to_numeric(deposit->'known'->'storageFeeDeposit') AS known_storage_fee,
+  json_amount_to_numeric(deposit->'pending'->'amount') AS pending_amount,
+  json_amount_to_numeric(deposit->'pending'->'storageFeeDeposit') AS pending_storage_fee,
+  (deposit->'pending'->'effectiveDomainEpoch'->>1)::INTEGER AS pending_effective_epoch
+FROM raw
+WHERE length(storage_key) >= 146
+ORDER BY epoch, operator_id, nominator_id;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_nominator_deposits_unique
+  ON nominator_deposit_snapshots(operator_id, nominator_id, epoch);
+CREATE INDEX IF NOT EXISTS idx_nominator_deposits_epoch
+  ON nominator_deposit_snapshots(epoch);
+
+-- ========================================
+-- 3. WITHDRAWAL SNAPSHOTS
+-- ========================================
+
+DROP MATERIALIZED VIEW IF EXISTS nominator_withdrawal_snapshots CASCADE;
+
+CREATE MATERIALIZED VIEW nominator_withdrawal_snapshots AS
+WITH raw AS (
+  SELECT
+    e.epoch,
+    substr(w->>'value', 1, position(',' in (w->>'value')) - 1) AS storage_key,
+    btrim(substr(w->>'value', position(',' in (w->>'value')) + 1))::jsonb AS withdrawal
+  FROM epochs e
+  CROSS JOIN LATERAL jsonb_array_elements(COALESCE(e.data->'withdrawals'->'entries', '[]'::jsonb)) AS w
+  WHERE (w->>'value') LIKE '0x%,{%'
+)
+SELECT
+  epoch,
+  hex_le_to_numeric(substr(storage_key, 67, 16))::INTEGER AS operator_id,
+  '0x' || substr(storage_key, 83, 64) AS nominator_id,
+  json_amount_to_numeric(withdrawal->'totalWithdrawalAmount') AS total_withdrawal_amount,
+  json_amount_to_numeric(withdrawal->'totalStorageFeeWithdrawal') AS total_storage_fee_withdrawal,
+  json_amount_to_numeric(withdrawal->'withdrawalInShares'->'shares') AS withdrawal_in_shares,
+  COALESCE(jsonb_array_length(
+    CASE WHEN jsonb_typeof(withdrawal->'withdrawals') = 'array' THEN withdrawal->'withdrawals' END
+  ), 0) AS pending_unlocks
+FROM raw
+WHERE length(storage_key) >= 146
+ORDER BY epoch, operator_id, nominator_id;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_nominator_withdrawals_unique
+  ON nominator_withdrawal_snapshots(operator_id, nominator_id, epoch);
+CREATE INDEX IF NOT EXISTS idx_nominator_withdrawals_epoch
+  ON nominator_withdrawal_snapshots(epoch);
+
+-- ========================================
+-- 4. POSITION SUMMARY
+-- ========================================
+
+CREATE OR REPLACE VIEW nominator_position_summary AS
+SELECT
+  operator_id,
+  nominator_id,
+  MIN(epoch) AS first_epoch,
+  MAX(epoch) AS last_epoch,
+  COUNT(*) AS epochs_seen,
+  (ARRAY_AGG(known_shares ORDER BY epoch DESC))[1] AS latest_shares,
+  (ARRAY_AGG(pending_amount ORDER BY epoch DESC))[1] AS latest_pending_amount,
+  MAX(known_shares) AS peak_shares
+FROM nominator_deposit_snapshots
+GROUP BY operator_id, nominator_id;
+
+COMMENT ON VIEW nominator_position_summary IS
+'One row per (operator, nominator) deposit position, derived from deposits.entries snapshots';
+
+-- ========================================
+-- 5. VERIFICATION
+-- ========================================
+
+SELECT
+  'Nominator Snapshots' as status,
+  (SELECT COUNT(*) FROM nominator_deposit_snapshots) as deposit_rows,
+  (SELECT COUNT(*) FROM nominator_withdrawal_snapshots) as withdrawal_rows,
+  (SELECT COUNT(*) FROM nominator_position_summary) as positions,
+  (SELECT COUNT(DISTINCT operator_id) FROM nominator_position_summary) as operators_with_positions;
+
+SELECT operator_id, COUNT(*) as positions, SUM(latest_shares) / 1e18 as latest_shares_tokens
+FROM nominator_position_summary
+GROUP BY operator_id
+ORDER BY operator_id;
+
+COMMIT;
+
+-- ========================================
+-- ROLLBACK SCRIPT (commented out, save for emergency)
+-- ========================================
+
+-- DROP VIEW IF EXISTS nominator_position_summary;
+-- DROP MATERIALIZED VIEW IF EXISTS nominator_withdrawal_snapshots;
+-- DROP MATERIALIZED VIEW IF EXISTS nominator_deposit_snapshots;
+-- DROP FUNCTION IF EXISTS json_amount_to_numeric(JSONB);
+-- DROP FUNCTION IF EXISTS hex_le_to_numeric(TEXT);
@@ -0,0 +1,184 @@
+-- ========================================
+-- TYPED SNAPSHOT FIELDS
+-- Step 9: Read decoded operator structs from version 2 snapshots
+-- ========================================
+
+-- Snapshot version 2 (epochs.data->>'schemaVersion' = '2') stores each
+-- operators.entries item as { key, operatorId, operator: { ...Operator fields } }
+-- with amounts as decimal strings, and each operatorEpochSharePrice item as
+-- { key, operatorId, domainId, epoch, sharePrice }. Version 1 stored codec strings
+-- such as "storage_key_hex,{json}" that had to be split at a comma, under a key that
+-- is only the item's position in the list; the OperatorId is in the storage key. The
+-- views below read the operator struct and id through functions that understand both.
+
+BEGIN;
+
+-- ========================================
+-- 1. HELPER FUNCTIONS
+-- ========================================
+
+-- The Operator struct of an operators.entries item, from either snapshot version
+CREATE OR REPLACE FUNCTION operator_entry_struct(entry JSONB)
+RETURNS JSONB AS $$
+  SELECT CASE
+    WHEN jsonb_typeof(entry->'operator') = 'object' THEN entry->'operator'
+    WHEN position(',' in (entry->>'value')) > 0
+      THEN btrim(substr(entry->>'value', position(',' in (entry->>'value')) + 1))::jsonb
+  END;
+$$ LANGUAGE sql IMMUTABLE;
+
+-- The OperatorId of an operators.entries item. Version 1 keys hold the list position,
+-- so the id is read from the storage key: 0x | 32-byte prefix | u64 LE OperatorId.
+CREATE OR REPLACE FUNCTION operator_entry_id(entry JSONB)
+RETURNS INTEGER AS $$
+  SELECT CASE
+    WHEN entry ? 'operatorId' THEN (entry->>'operatorId')::INTEGER
+    WHEN (entry->>'value') LIKE '0x%,%'
+      THEN hex_le_to_numeric(substr(entry->>'value', 67, 16))::INTEGER
+  END;
+$$ LANGUAGE sql IMMUTABLE;
+
+-- ========================================
+-- 2. COMPREHENSIVE ANALYTICS
+-- ========================================
+
+DROP MATERIALIZED VIEW IF EXISTS comprehensive_analytics CASCADE;
+
+CREATE MATERIALIZED VIEW comprehensive_analytics AS
+SELECT
+  e.domain_id,
+  e.epoch,
+  e.end_block,
+  e.timestamp,
+  TO_TIMESTAMP(e.timestamp / 1000) AS epoch_datetime,
+  DATE(TO_TIMESTAMP(e.timestamp / 1000)) AS epoch_date,
+
+  -- Core metrics
+  parse_comma_number(e.data->'domainStakingSummary'->>'currentTotalStake') AS total_stake_raw,
+  parse_comma_number(e.data->'domainStakingSummary'->>'currentTotalStake') / 1e18 AS total_stake_tokens,
+  COALESCE((e.data->>'totalShares')::NUMERIC, 0) AS total_shares_raw,
+  COALESCE((e.data->>'totalShares')::NUMERIC / 1e18, 0) AS total_shares_tokens,
+
+  -- Network share price
+  CASE WHEN COALESCE((e.data->>'totalShares')::NUMERIC, 0) > 0
+       THEN parse_comma_number(e.data->'domainStakingSummary'->>'currentTotalStake') / COALESCE((e.data->>'totalShares')::NUMERIC, 1)
+       ELSE 1.0
+  END AS network_share_price_ratio,
+
+  -- Treasury and rewards
+  COALESCE((e.data->>'accumulatedTreasuryFunds')::NUMERIC / 1e18, 0) AS treasury_funds_tokens,
+  COALESCE((e.data->>'domainChainRewards')::NUMERIC / 1e18, 0) AS chain_rewards_tokens,
+
+  -- Storage fees
+  COALESCE((
+    SELECT SUM(json_amount_to_numeric(operator_entry_struct(op_entry)->'totalStorageFeeDeposit'))
+    FROM jsonb_array_elements(e.data->'operators'->'entries') AS op_entry
+  ), 0) / 1e18 AS storage_fee_fund_tokens,
+
+  -- Per-operator maps (operator ID -> raw Shannons / perquintill as text)
+  (
+    SELECT JSONB_OBJECT_AGG(kv.key, parse_comma_number(kv.value)::TEXT)
+    FROM jsonb_each_text(e.data->'domainStakingSummary'->'currentOperators') AS kv
+  ) AS operator_stakes_json,
+  (
+    SELECT JSONB_OBJECT_AGG(kv.key, parse_comma_number(kv.value)::TEXT)
+    FROM jsonb_each_text(e.data->'domainStakingSummary'->'currentEpochRewards') AS kv
+  ) AS operator_rewards_json,
+  (
+    SELECT JSONB_OBJECT_AGG(rosp.operator_id::TEXT, rosp.share_price_perq::TEXT)
+    FROM real_operator_share_prices rosp
+    WHERE rosp.domain_id = e.domain_id AND rosp.epoch = e.epoch
+  ) AS operator_share_prices_json,
+  (
+    SELECT JSONB_OBJECT_AGG(
+      os.operator_id::TEXT,
+      JSONB_BUILD_OBJECT('shares_raw', os.shares_raw::TEXT, 'stake_raw', os.stake_raw::TEXT)
+    )
+    FROM operator_shares os
+    WHERE os.domain_id = e.domain_id AND os.epoch = e.epoch
+  ) AS operator_shares_json,
+  ARRAY(
+    SELECT operator_entry_id(op_entry)
+    FROM jsonb_array_elements(e.data->'operators'->'entries') AS op_entry
+    WHERE operator_entry_id(op_entry) IS NOT NULL
+    ORDER BY 1
+  ) AS operator_ids,
+
+  -- Legacy operator 0-3 columns (kept for older API versions)
+  COALESCE(parse_comma_number((e.data->'domainStakingSummary'->'currentOperators'->>'0')::TEXT) / 1e18, 0) AS operator_0_stake_tokens,
+  COALESCE(parse_comma_number((e.data->'domainStakingSummary'->'currentEpochRewards'->>'0')::TEXT) / 1e18, 0) AS operator_0_rewards_tokens,
+  COALESCE(parse_comma_number((e.data->'domainStakingSummary'->'currentOperators'->>'1')::TEXT) / 1e18, 0) AS operator_1_stake_tokens,
+  COALESCE(parse_comma_number((e.data->'domainStakingSummary'->'currentEpochRewards'->>'1')::TEXT) / 1e18, 0) AS operator_1_rewards_tokens,
+  COALESCE(parse_comma_number((e.data->'domainStakingSummary'->'currentOperators'->>'2')::TEXT) / 1e18, 0) AS operator_2_stake_tokens,
+  COALESCE(parse_comma_number((e.data->'domainStakingSummary'->'currentEpochRewards'->>'2')::TEXT) / 1e18, 0) AS operator_2_rewards_tokens,
+  COALESCE(parse_comma_number((e.data->'domainStakingSummary'->'currentOperators'->>'3')::TEXT) / 1e18, 0) AS operator_3_stake_tokens,
+  COALESCE(parse_comma_number((e.data->'domainStakingSummary'->'currentEpochRewards'->>'3')::TEXT) / 1e18, 0) AS operator_3_rewards_tokens,
+
+  -- Counts
+  COALESCE((e.data->'operators'->>'count')::INTEGER, 0) AS operator_count,
+  COALESCE((e.data->'operators'->>'count')::INTEGER, 0) AS real_operator_count,
+  COALESCE((
+    SELECT COUNT(DISTINCT position_id)
+    FROM nominator_positions np
+    WHERE np.domain_id = e.domain_id AND np.epoch = e.epoch
+  ), 0) AS nominator_position_count,
+  COALESCE((e.data->'deposits'->>'count')::INTEGER, 0) AS deposits_count,
+  COALESCE((e.data->'withdrawals'->>'count')::INTEGER, 0) AS withdrawals_count,
+  COALESCE((e.data->'successfulBundles'->>'count')::INTEGER, 0) AS bundles_count
+
+FROM epochs e
+ORDER BY e.domain_id, e.epoch;
+
+-- Unique index so REFRESH ... CONCURRENTLY keeps working
+CREATE UNIQUE INDEX IF NOT EXISTS idx_comprehensive_domain_epoch_unique ON comprehensive_analytics(domain_id, epoch);
+CREATE INDEX IF NOT EXISTS idx_comprehensive_datetime ON comprehensive_analytics(epoch_datetime);
+
+-- Last 100 epochs of each domain
+CREATE VIEW network_health_metrics AS
+WITH latest_epoch AS (
+  SELECT domain_id, MAX(epoch) as max_epoch FROM epochs GROUP BY domain_id
+)
+SELECT
+  e.domain_id,
+  e.epoch,
+  e.epoch_datetime,
+  -- Operator health
+  (SELECT COUNT(DISTINCT operator_id) FROM operator_shares WHERE domain_id = e.domain_id AND epoch = e.epoch) as active_operators,
+  (SELECT AVG(share_price_decimal) FROM real_operator_share_prices WHERE domain_id = e.domain_id AND epoch = e.epoch) as avg_operator_price,
+  -- Nominator health
+  (SELECT COUNT(DISTINCT position_id) FROM nominator_positions WHERE domain_id = e.domain_id AND epoch = e.epoch) as nominator_positions,
+  (SELECT AVG(share_price_decimal) FROM nominator_positions WHERE domain_id = e.domain_id AND epoch = e.epoch) as avg_nominator_price,
+  -- Network metrics
+  e.total_stake_tokens,
+  e.total_shares_tokens,
+  e.network_share_price_ratio,
+  e.deposits_count,
+  e.withdrawals_count,
+  -- Profitability
+  (SELECT COUNT(*) FROM operator_share_prices WHERE domain_id = e.domain_id AND epoch = e.epoch AND share_price_perq > 1e18) as profitable_positions,
+  (SELECT COUNT(*) FROM operator_share_prices WHERE domain_id = e.domain_id AND epoch = e.epoch AND share_price_perq < 1e18) as losing_positions
+FROM comprehensive_analytics e
+JOIN latest_epoch le ON le.domain_id = e.domain_id
+WHERE e.epoch >= le.max_epoch - 100
+ORDER BY e.domain_id, e.epoch DESC;
+
+COMMENT ON VIEW network_health_metrics IS
+'Network-wide health metrics per domain combining operator and nominator performance';
+
+-- ========================================
+-- 3. VERIFICATION
+-- ========================================
+
+SELECT
+  'Typed Snapshot Fields' as status,
+  (SELECT COUNT(*) FROM epochs WHERE data->>'schemaVersion' = '2') as typed_epochs,
+  (SELECT COUNT(*) FROM epochs WHERE data->>'schemaVersion' IS NULL) as legacy_epochs,
+  (SELECT COUNT(*) FROM comprehensive_analytics WHERE storage_fee_fund_tokens > 0) as epochs_with_storage_fees;
+
+COMMIT;
+
+-- ========================================
+-- ROLLBACK SCRIPT
+-- ========================================
+
+-- See sql/rollback/09_typed_snapshot_fields.sql
@@ -0,0 +1,318 @@
+-- ========================================
+-- INCREMENTAL COMPREHENSIVE ANALYTICS
+-- Step 10: Maintain comprehensive_analytics per epoch instead of rebuilding it
+-- ========================================
+
+-- comprehensive_analytics was a materialized view, so every monitor run rebuilt all
+-- epochs to pick up the few it had just inserted. Each row only depends on its own
+-- (domain_id, epoch): the epochs row plus operator_shares / operator_share_prices
+-- for that epoch. So it becomes a table with the same columns, kept current by
+-- statement-level triggers on those three tables that recompute just the epochs a
+-- statement touched.
+--
+-- comprehensive_analytics_source is the old view definition (not materialized);
+-- comprehensive_analytics_drift() compares a range of the table against it, i.e.
+-- against a full rebuild of that range, and refresh_comprehensive_analytics()
+-- recomputes a range by hand.
+
+BEGIN;
+
+-- ========================================
+-- 1. SOURCE QUERY
+-- ========================================
+
+DROP MATERIALIZED VIEW IF EXISTS comprehensive_analytics CASCADE;
+
+-- Same definition as sql/09_typed_snapshot_fields.sql, section 2
+CREATE OR REPLACE VIEW comprehensive_analytics_source AS
+SELECT
+  e.domain_id,
+  e.epoch,
+  e.end_block,
+  e.timestamp,
+  TO_TIMESTAMP(e.timestamp / 1000) AS epoch_datetime,
+  DATE(TO_TIMESTAMP(e.timestamp / 1000)) AS epoch_date,
+
+  -- Core metrics
+  parse_comma_number(e.data->'domainStakingSummary'->>'currentTotalStake') AS total_stake_raw,
+  parse_comma_number(e.data->'domainStakingSummary'->>'currentTotalStake') / 1e18 AS total_stake_tokens,
+  COALESCE((e.data->>'totalShares')::NUMERIC, 0) AS total_shares_raw,
+  COALESCE((e.data->>'totalShares')::NUMERIC / 1e18, 0) AS total_shares_tokens,
+
+  -- Network share price
+  CASE WHEN COALESCE((e.data->>'totalShares')::NUMERIC, 0) > 0
+       THEN parse_comma_number(e.data->'domainStakingSummary'->>'currentTotalStake') / COALESCE((e.data->>'totalShares')::NUMERIC, 1)
+       ELSE 1.0
+  END AS network_share_price_ratio,
+
+  -- Treasury and rewards
+  COALESCE((e.data->>'accumulatedTreasuryFunds')::NUMERIC / 1e18, 0) AS treasury_funds_tokens,
+  COALESCE((e.data->>'domainChainRewards')::NUMERIC / 1e18, 0) AS chain_rewards_tokens,
+
+  -- Storage fees
+  COALESCE((
+    SELECT SUM(json_amount_to_numeric(operator_entry_struct(op_entry)->'totalStorageFeeDeposit'))
+    FROM jsonb_array_elements(e.data->'operators'->'entries') AS op_entry
+  ), 0) / 1e18 AS storage_fee_fund_tokens,
+
+  -- Per-operator maps (operator ID -> raw Shannons / perquintill as text)
+  (
+    SELECT JSONB_OBJECT_AGG(kv.key, parse_comma_number(kv.value)::TEXT)
+    FROM jsonb_each_text(e.data->'domainStakingSummary'->'currentOperators') AS kv
+  ) AS operator_stakes_json,
+  (
+    SELECT JSONB_OBJECT_AGG(kv.key, parse_comma_number(kv.value)::TEXT)
+    FROM jsonb_each_text(e.data->'domainStakingSummary'->'currentEpochRewards') AS kv
+  ) AS operator_rewards_json,
+  (
+    SELECT JSONB_OBJECT_AGG(rosp.operator_id::TEXT, rosp.share_price_perq::TEXT)
+    FROM real_operator_share_prices rosp
+    WHERE rosp.domain_id = e.domain_id AND rosp.epoch = e.epoch
+  ) AS operator_share_prices_json,
+  (
+    SELECT JSONB_OBJECT_AGG(
+      os.operator_id::TEXT,
+      JSONB_BUILD_OBJECT('shares_raw', os.shares_raw::TEXT, 'stake_raw', os.stake_raw::TEXT)
+    )
+    FROM operator_shares os
+    WHERE os.domain_id = e.domain_id AND os.epoch = e.epoch
+  ) AS operator_shares_json,
+  ARRAY(
+    SELECT operator_entry_id(op_entry)
+    FROM jsonb_array_elements(e.data->'operators'->'entries') AS op_entry
+    WHERE operator_entry_id(op_entry) IS NOT NULL
+    ORDER BY 1
+  ) AS operator_ids,
+
+  -- Legacy operator 0-3 columns (kept for older API versions)
+  COALESCE(parse_comma_number((e.data->'domainStakingSummary'->'currentOperators'->>'0')::TEXT) / 1e18, 0) AS operator_0_stake_tokens,
+  COALESCE(parse_comma_number((e.data->'domainStakingSummary'->'currentEpochRewards'->>'0')::TEXT) / 1e18, 0) AS operator_0_rewards_tokens,
+  COALESCE(parse_comma_number((e.data->'domainStakingSummary'->'currentOperators'->>'1')::TEXT) / 1e18, 0) AS operator_1_stake_tokens,
+  COALESCE(parse_comma_number((e.data->'domainStakingSummary'->'currentEpochRewards'->>'1')::TEXT) / 1e18, 0) AS operator_1_rewards_tokens,
+  COALESCE(parse_comma_number((e.data->'domainStakingSummary'->'currentOperators'->>'2')::TEXT) / 1e18, 0) AS operator_2_stake_tokens,
+  COALESCE(parse_comma_number((e.data->'domainStakingSummary'->'currentEpochRewards'->>'2')::TEXT) / 1e18, 0) AS operator_2_rewards_tokens,
+  COALESCE(parse_comma_number((e.data->'domainStakingSummary'->'currentOperators'->>'3')::TEXT) / 1e18, 0) AS operator_3_stake_tokens,
+  COALESCE(parse_comma_number((e.data->'domainStakingSummary'->'currentEpochRewards'->>'3')::TEXT) / 1e18, 0) AS operator_3_rewards_tokens,
+
+  -- Counts
+  COALESCE((e.data->'operators'->>'count')::INTEGER, 0) AS operator_count,
+  COALESCE((e.data->'operators'->>'count')::INTEGER, 0) AS real_operator_count,
+  COALESCE((
+    SELECT COUNT(DISTINCT position_id)
+    FROM nominator_positions np
+    WHERE np.domain_id = e.domain_id AND np.epoch = e.epoch
+  ), 0) AS nominator_position_count,
+  COALESCE((e.data->'deposits'->>'count')::INTEGER, 0) AS deposits_count,
+  COALESCE((e.data->'withdrawals'->>'count')::INTEGER, 0) AS withdrawals_count,
+  COALESCE((e.data->'successfulBundles'->>'count')::INTEGER, 0) AS bundles_count
+
+FROM epochs e;
+
+-- ========================================
+-- 2. ANALYTICS TABLE
+-- ========================================
+
+-- Same columns and types as the source view
+CREATE TABLE comprehensive_analytics AS
+SELECT * FROM comprehensive_analytics_source WITH NO DATA;
+
+ALTER TABLE comprehensive_analytics ADD PRIMARY KEY (domain_id, epoch);
+CREATE INDEX IF NOT EXISTS idx_comprehensive_datetime ON comprehensive_analytics(epoch_datetime);
+
+COMMENT ON TABLE comprehensive_analytics IS
+'One row per (domain_id, epoch) from comprehensive_analytics_source, maintained by triggers on epochs, operator_shares and operator_share_prices';
+
+INSERT INTO comprehensive_analytics
+SELECT * FROM comprehensive_analytics_source;
+
+-- ========================================
+-- 3. INCREMENTAL MAINTENANCE
+-- ========================================
+
+-- Recompute one domain's epochs in [p_from_epoch, p_to_epoch] (NULL = unbounded).
+-- Returns the number of rows written.
+CREATE OR REPLACE FUNCTION refresh_comprehensive_analytics(
+  p_domain_id INTEGER DEFAULT NULL,
+  p_from_epoch BIGINT DEFAULT NULL,
+  p_to_epoch BIGINT DEFAULT NULL
+)
+RETURNS INTEGER AS $$
+DECLARE
+  written INTEGER;
+BEGIN
+  DELETE FROM comprehensive_analytics
+  WHERE (p_domain_id IS NULL OR domain_id = p_domain_id)
+    AND (p_from_epoch IS NULL OR epoch >= p_from_epoch)
+    AND (p_to_epoch IS NULL OR epoch <= p_to_epoch);
+
+  INSERT INTO comprehensive_analytics
+  SELECT * FROM comprehensive_analytics_source
+  WHERE (p_domain_id IS NULL OR domain_id = p_domain_id)
+    AND (p_from_epoch IS NULL OR epoch >= p_from_epoch)
+    AND (p_to_epoch IS NULL OR epoch <= p_to_epoch);
+
+  GET DIAGNOSTICS written = ROW_COUNT;
+  RETURN written;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Statement-level trigger body: every trigger below names its transition table
+-- changed_rows, so one function recomputes the (domain_id, epoch) pairs it holds.
+-- UPDATE triggers also get the rows as they were (old_rows), since an update that
+-- moves a row to another epoch or domain leaves its old key to recompute too.
+-- An epoch that no longer exists simply loses its row.
+CREATE OR REPLACE FUNCTION sync_comprehensive_analytics()
+RETURNS TRIGGER AS $$
+DECLARE
+  domain_ids INTEGER[];
+  epoch_ids BIGINT[];
+BEGIN
+  IF TG_OP = 'UPDATE' THEN
+    SELECT array_agg(k.domain_id), array_agg(k.epoch) INTO domain_ids, epoch_ids
+    FROM (SELECT domain_id, epoch FROM old_rows UNION SELECT domain_id, epoch FROM changed_rows) k;
+  ELSE
+    SELECT array_agg(k.domain_id), array_agg(k.epoch) INTO domain_ids, epoch_ids
+    FROM (SELECT DISTINCT domain_id, epoch FROM changed_rows) k;
+  END IF;
+
+  DELETE FROM comprehensive_analytics ca
+  USING unnest(domain_ids, epoch_ids) AS c(domain_id, epoch)
+  WHERE ca.domain_id = c.domain_id AND ca.epoch = c.epoch;
+
+  INSERT INTO comprehensive_analytics
+  SELECT s.*
+  FROM comprehensive_analytics_source s
+  JOIN unnest(domain_ids, epoch_ids) AS c(domain_id, epoch)
+    ON s.domain_id = c.domain_id AND s.epoch = c.epoch;
+
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+-- TRUNCATE has no transition table and can touch every epoch: rebuild everything,
+-- which leaves no rows at all once epochs is emptied
+CREATE OR REPLACE FUNCTION truncate_comprehensive_analytics()
+RETURNS TRIGGER AS $$
+BEGIN
+  PERFORM refresh_comprehensive_analytics();
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+-- A trigger with a transition table fires on one event, so each table gets three,
+-- plus one for TRUNCATE
+DO $$
+DECLARE
+  t TEXT;
+BEGIN
+  FOREACH t IN ARRAY ARRAY['epochs', 'operator_shares', 'operator_share_prices'] LOOP
+    EXECUTE format('DROP TRIGGER IF EXISTS %I ON %I', t || '_analytics_insert', t);
+    EXECUTE format('DROP TRIGGER IF EXISTS %I ON %I', t || '_analytics_update', t);
+    EXECUTE format('DROP TRIGGER IF EXISTS %I ON %I', t || '_analytics_delete', t);
+    EXECUTE format('DROP TRIGGER IF EXISTS %I ON %I', t || '_analytics_truncate', t);
+    EXECUTE format('CREATE TRIGGER %I AFTER INSERT ON %I REFERENCING NEW TABLE AS changed_rows
+                    FOR EACH STATEMENT EXECUTE FUNCTION sync_comprehensive_analytics()', t || '_analytics_insert', t);
+    EXECUTE format('CREATE TRIGGER %I AFTER UPDATE ON %I REFERENCING OLD TABLE AS old_rows NEW TABLE AS changed_rows
+                    FOR EACH STATEMENT EXECUTE FUNCTION sync_comprehensive_analytics()', t || '_analytics_update', t);
+    EXECUTE format('CREATE TRIGGER %I AFTER DELETE ON %I REFERENCING OLD TABLE AS changed_rows
+                    FOR EACH STATEMENT EXECUTE FUNCTION sync_comprehensive_analytics()', t || '_analytics_delete', t);
+    EXECUTE format('CREATE TRIGGER %I AFTER TRUNCATE ON %I
+                    FOR EACH STATEMENT EXECUTE FUNCTION truncate_comprehensive_analytics()', t || '_analytics_truncate', t);
+  END LOOP;
+END;
+$$;
+
+-- ========================================
+-- 4. VERIFICATION AGAINST A FULL REBUILD
+-- ========================================
+
+-- Rows of one domain's epochs in [p_from_epoch, p_to_epoch] (NULL = unbounded) where
+-- the table and a fresh evaluation of the source disagree:
+--   missing - in the source but not the table
+--   extra   - in the table but no longer in the source
+--   differs - present in both with different values
+-- Empty when the range is current. Both sides are filtered before the EXCEPTs, so
+-- only the requested epochs of the source are evaluated.
+CREATE OR REPLACE FUNCTION comprehensive_analytics_drift(
+  p_domain_id INTEGER DEFAULT NULL,
+  p_from_epoch BIGINT DEFAULT NULL,
+  p_to_epoch BIGINT DEFAULT NULL
+)
+RETURNS TABLE (domain_id INTEGER, epoch BIGINT, issue TEXT) AS $$
+  WITH src AS (
+    SELECT * FROM comprehensive_analytics_source s
+    WHERE (p_domain_id IS NULL OR s.domain_id = p_domain_id)
+      AND (p_from_epoch IS NULL OR s.epoch >= p_from_epoch)
+      AND (p_to_epoch IS NULL OR s.epoch <= p_to_epoch)
+  ), tbl AS (
+    SELECT * FROM comprehensive_analytics t
+    WHERE (p_domain_id IS NULL OR t.domain_id = p_domain_id)
+      AND (p_from_epoch IS NULL OR t.epoch >= p_from_epoch)
+      AND (p_to_epoch IS NULL OR t.epoch <= p_to_epoch)
+  ), source_only AS (
+    SELECT * FROM src EXCEPT SELECT * FROM tbl
+  ), table_only AS (
+    SELECT * FROM tbl EXCEPT SELECT * FROM src
+  )
+  SELECT
+    COALESCE(s.domain_id, t.domain_id),
+    COALESCE(s.epoch, t.epoch),
+    CASE WHEN t.epoch IS NULL THEN 'missing' WHEN s.epoch IS NULL THEN 'extra' ELSE 'differs' END
+  FROM source_only s
+  FULL JOIN table_only t ON t.domain_id = s.domain_id AND t.epoch = s.epoch;
+$$ LANGUAGE sql STABLE;
+
+-- ========================================
+-- 5. DEPENDENT VIEWS
+-- ========================================
+
+-- Last 100 epochs of each domain (unchanged; dropped with the materialized view)
+CREATE VIEW network_health_metrics AS
+WITH latest_epoch AS (
+  SELECT domain_id, MAX(epoch) as max_epoch FROM epochs GROUP BY domain_id
+)
+SELECT
+  e.domain_id,
+  e.epoch,
+  e.epoch_datetime,
+  -- Operator health
+  (SELECT COUNT(DISTINCT operator_id) FROM operator_shares WHERE domain_id = e.domain_id AND epoch = e.epoch) as active_operators,
+  (SELECT AVG(share_price_decimal) FROM real_operator_share_prices WHERE domain_id = e.domain_id AND epoch = e.epoch) as avg_operator_price,
+  -- Nominator health
+  (SELECT COUNT(DISTINCT position_id) FROM nominator_positions WHERE domain_id = e.domain_id AND epoch = e.epoch) as nominator_positions,
+  (SELECT AVG(share_price_decimal) FROM nominator_positions WHERE domain_id = e.domain_id AND epoch = e.epoch) as avg_nominator_price,
+  -- Network metrics
+  e.total_stake_tokens,
+  e.total_shares_tokens,
+  e.network_share_price_ratio,
+  e.deposits_count,
+  e.withdrawals_count,
+  -- Profitability
+  (SELECT COUNT(*) FROM operator_share_prices WHERE domain_id = e.domain_id AND epoch = e.epoch AND share_price_perq > 1e18) as profitable_positions,
+  (SELECT COUNT(*) FROM operator_share_prices WHERE domain_id = e.domain_id AND epoch = e.epoch AND share_price_perq < 1e18) as losing_positions
+FROM comprehensive_analytics e
+JOIN latest_epoch le ON le.domain_id = e.domain_id
+WHERE e.epoch >= le.max_epoch - 100
+ORDER BY e.domain_id, e.epoch DESC;
+
+COMMENT ON VIEW network_health_metrics IS
+'Network-wide health metrics per domain combining operator and nominator performance';
+
+-- ========================================
+-- 6. VERIFICATION
+-- ========================================
+
+SELECT
+  'Incremental Analytics' as status,
+  (SELECT COUNT(*) FROM epochs) as epochs,
+  (SELECT COUNT(*) FROM comprehensive_analytics) as analytics_rows,
+  (SELECT COUNT(*) FROM comprehensive_analytics_drift()) as drift_rows;
+
+COMMIT;
+
+-- ========================================
+-- ROLLBACK SCRIPT
+-- ========================================
+
+-- sql/rollback/10_incremental_comprehensive_analytics.sql turns the table back
+-- into a materialized view over comprehensive_analytics_source.
@@ -0,0 +1,64 @@
+-- ========================================
+-- EPOCH FAILURE LEDGER
+-- Step 11: Track epochs that failed to ingest, with retry counts
+-- ========================================
+
+-- scripts/monitor-once.mjs continues from MAX(epoch), so an epoch that failed in
+-- the middle of a run used to stay missing for good. The monitor now also retries
+-- the holes below MAX(epoch) and records every epoch it could not ingest here:
+-- attempts counts runs, and epochs at --max-attempts are left for a manual look.
+-- Rows are deleted once the epoch lands in epochs. The backfill keeps the same
+-- table in its SQLite database.
+
+BEGIN;
+
+-- ========================================
+-- 1. LEDGER TABLE
+-- ========================================
+
+CREATE TABLE IF NOT EXISTS epoch_failures (
+  domain_id INTEGER NOT NULL DEFAULT 0,
+  epoch BIGINT NOT NULL,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  last_error TEXT,
+  first_failed_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_failed_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (domain_id, epoch)
+);
+
+COMMENT ON TABLE epoch_failures IS
+'Epochs the monitor could not ingest, per domain, with retry counts; cleared when the epoch is stored';
+
+-- ========================================
+-- 2. GAPS
+-- ========================================
+
+-- Epochs missing between 0 and the latest stored epoch of each domain
+CREATE OR REPLACE VIEW epoch_gaps AS
+WITH bounds AS (
+  SELECT domain_id, MAX(epoch) AS max_epoch FROM epochs GROUP BY domain_id
+)
+SELECT b.domain_id, s.epoch, f.attempts, f.last_error, f.last_failed_at
+FROM bounds b
+CROSS JOIN LATERAL generate_series(0, b.max_epoch) AS s(epoch)
+LEFT JOIN epochs e ON e.domain_id = b.domain_id AND e.epoch = s.epoch
+LEFT JOIN epoch_failures f ON f.domain_id = b.domain_id AND f.epoch = s.epoch
+WHERE e.epoch IS NULL
+ORDER BY b.domain_id, s.epoch;
+
+-- ========================================
+-- 3. VERIFICATION
+-- ========================================
+
+SELECT
+  'Epoch Failure Ledger' as status,
+  (SELECT COUNT(*) FROM epoch_gaps) as missing_epochs,
+  (SELECT COUNT(*) FROM epoch_failures) as recorded_failures;
+
+COMMIT;
+
+-- ========================================
+-- ROLLBACK SCRIPT
+-- ========================================
+
+-- See sql/rollback/11_epoch_failures.sql
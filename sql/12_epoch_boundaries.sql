@@ -0,0 +1,73 @@
+-- ========================================
+-- EPOCH BOUNDARY INDEX
+-- Step 12: First/last consensus block of each epoch, with hashes and block times
+-- ========================================
+
+-- Finding where an epoch starts is a binary search over the chain, which every
+-- backfill used to repeat from genesis for each epoch. The backfills now keep the
+-- boundaries they locate in epoch_boundaries (SQLite) and migrate-sqlite-json-to-supabase
+-- copies them here, where /api/epochs/boundaries and /api/epochs/at-block read them.
+-- A row may know only one end of an epoch until its neighbour has been located.
+-- The table is seeded from the epochs already stored.
+
+BEGIN;
+
+-- ========================================
+-- 1. BOUNDARY TABLE
+-- ========================================
+
+CREATE TABLE IF NOT EXISTS epoch_boundaries (
+  domain_id INTEGER NOT NULL DEFAULT 0,
+  epoch BIGINT NOT NULL,
+  start_block BIGINT,
+  start_hash TEXT,
+  start_timestamp BIGINT,
+  end_block BIGINT,
+  end_hash TEXT,
+  end_timestamp BIGINT,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (domain_id, epoch),
+  CHECK (start_block IS NULL OR end_block IS NULL OR start_block <= end_block)
+);
+
+-- Block -> epoch lookups
+CREATE INDEX IF NOT EXISTS idx_epoch_boundaries_domain_end ON epoch_boundaries(domain_id, end_block);
+
+COMMENT ON TABLE epoch_boundaries IS
+'Start and end block, hash and on-chain time (ms) of each epoch, per domain; filled by the backfills';
+
+-- ========================================
+-- 2. SEED FROM STORED EPOCHS
+-- ========================================
+
+-- Starts come from data.startBlock (recorded since block timestamps were added) or
+-- the block after the previous stored epoch's end
+INSERT INTO epoch_boundaries (domain_id, epoch, start_block, start_timestamp, end_block, end_hash, end_timestamp)
+SELECT
+  e.domain_id,
+  e.epoch,
+  COALESCE((e.data->>'startBlock')::bigint, p.end_block + 1),
+  (e.data->>'startTimestamp')::bigint,
+  e.end_block,
+  e.end_hash,
+  (e.data->>'endTimestamp')::bigint
+FROM epochs e
+LEFT JOIN epochs p ON p.domain_id = e.domain_id AND p.epoch = e.epoch - 1
+ON CONFLICT (domain_id, epoch) DO NOTHING;
+
+-- ========================================
+-- 3. VERIFICATION
+-- ========================================
+
+SELECT
+  'Epoch Boundary Index' as status,
+  (SELECT COUNT(*) FROM epoch_boundaries) as boundaries,
+  (SELECT COUNT(*) FROM epoch_boundaries WHERE start_block IS NULL) as missing_start;
+
+COMMIT;
+
+-- ========================================
+-- ROLLBACK SCRIPT
+-- ========================================
+
+-- See sql/rollback/12_epoch_boundaries.sql
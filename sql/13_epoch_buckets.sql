@@ -0,0 +1,150 @@
+-- ========================================
+-- EPOCH BUCKETS
+-- Step 13: Calendar rollups of comprehensive_analytics in SQL
+-- ========================================
+
+-- /api/epochs/aggregate used to load every epoch of the range into the API and
+-- bucket it there. comprehensive_analytics_buckets() groups with date_trunc() in
+-- UTC (weeks start on Monday) and returns one row per non-empty bucket, with the
+-- same fields as EpochBucket in lib/aggregate.ts. Amounts are text so PostgREST
+-- does not round them through a JS number.
+
+BEGIN;
+
+-- ========================================
+-- 1. BUCKET FUNCTION
+-- ========================================
+
+-- p_bucket is hour, day, week or month; the epoch and time (ms) bounds are inclusive
+-- and NULL means unbounded
+CREATE OR REPLACE FUNCTION comprehensive_analytics_buckets(
+  p_bucket TEXT,
+  p_domain_id INTEGER DEFAULT 0,
+  p_from_epoch BIGINT DEFAULT NULL,
+  p_to_epoch BIGINT DEFAULT NULL,
+  p_from_time BIGINT DEFAULT NULL,
+  p_to_time BIGINT DEFAULT NULL
+) RETURNS TABLE (
+  bucket_start TIMESTAMPTZ,
+  first_epoch BIGINT,
+  last_epoch BIGINT,
+  epochs INTEGER,
+  total_stake TEXT,
+  storage_fees TEXT,
+  rewards_total TEXT,
+  operators JSONB,
+  open_deposits_close INTEGER,
+  open_deposits_max INTEGER,
+  pending_withdrawals_close INTEGER,
+  pending_withdrawals_max INTEGER
+) AS $$
+  WITH epoch_rows AS (
+    SELECT
+      date_trunc(p_bucket, ca.epoch_datetime, 'UTC') AS bucket_start,
+      ca.*,
+      -- Share prices the API would report, without the network/default fallbacks:
+      -- stake/shares from operator_shares first, then the normalized table
+      CASE
+        WHEN EXISTS (
+          SELECT 1 FROM jsonb_each(ca.operator_shares_json) s
+          WHERE (s.value->>'shares_raw')::NUMERIC > 0
+        )
+        THEN (
+          SELECT JSONB_OBJECT_AGG(s.key, trunc((s.value->>'stake_raw')::NUMERIC * 1e18 / (s.value->>'shares_raw')::NUMERIC)::TEXT)
+          FROM jsonb_each(ca.operator_shares_json) s
+          WHERE (s.value->>'shares_raw')::NUMERIC > 0
+        )
+        ELSE ca.operator_share_prices_json
+      END AS share_prices
+    FROM comprehensive_analytics ca
+    WHERE ca.domain_id = p_domain_id
+      AND ca.epoch_datetime IS NOT NULL
+      AND (p_from_epoch IS NULL OR ca.epoch >= p_from_epoch)
+      AND (p_to_epoch IS NULL OR ca.epoch <= p_to_epoch)
+      AND (p_from_time IS NULL OR ca.timestamp >= p_from_time)
+      AND (p_to_time IS NULL OR ca.timestamp <= p_to_time)
+  ),
+  operator_epochs AS (
+    SELECT
+      r.bucket_start,
+      r.epoch,
+      k.id,
+      (r.operator_rewards_json->>k.id)::NUMERIC AS reward,
+      r.operator_stakes_json->>k.id AS stake,
+      NULLIF((r.share_prices->>k.id)::NUMERIC, 0) AS share_price
+    FROM epoch_rows r
+    CROSS JOIN LATERAL (
+      SELECT jsonb_object_keys(COALESCE(r.operator_stakes_json, '{}'))
+      UNION SELECT jsonb_object_keys(COALESCE(r.operator_rewards_json, '{}'))
+      UNION SELECT jsonb_object_keys(COALESCE(r.share_prices, '{}'))
+    ) AS k(id)
+  ),
+  operator_buckets AS (
+    SELECT
+      bucket_start,
+      id,
+      COALESCE(SUM(reward), 0) AS rewards,
+      (ARRAY_AGG(stake ORDER BY epoch DESC) FILTER (WHERE stake IS NOT NULL))[1] AS stake,
+      COUNT(share_price) AS prices,
+      trunc(AVG(share_price)) AS price_avg,
+      MIN(share_price) AS price_min,
+      MAX(share_price) AS price_max,
+      (ARRAY_AGG(share_price ORDER BY epoch DESC) FILTER (WHERE share_price IS NOT NULL))[1] AS price_close
+    FROM operator_epochs
+    GROUP BY bucket_start, id
+  ),
+  operator_maps AS (
+    SELECT
+      bucket_start,
+      SUM(rewards) AS rewards_total,
+      JSONB_OBJECT_AGG(id, JSONB_BUILD_OBJECT(
+        'rewards', rewards::TEXT,
+        'stake', stake,
+        'sharePrice', CASE WHEN prices > 0 THEN JSONB_BUILD_OBJECT(
+          'avg', price_avg::TEXT,
+          'min', price_min::TEXT,
+          'max', price_max::TEXT,
+          'close', price_close::TEXT
+        ) END
+      )) AS operators
+    FROM operator_buckets
+    GROUP BY bucket_start
+  )
+  SELECT
+    r.bucket_start,
+    MIN(r.epoch),
+    MAX(r.epoch),
+    COUNT(*)::INTEGER,
+    trunc((ARRAY_AGG(r.total_stake_raw ORDER BY r.epoch DESC))[1])::TEXT,
+    trunc((ARRAY_AGG(r.storage_fee_fund_tokens ORDER BY r.epoch DESC))[1] * 1e18)::TEXT,
+    COALESCE(MAX(om.rewards_total), 0)::TEXT,
+    COALESCE(MAX(om.operators::TEXT)::JSONB, '{}'),
+    (ARRAY_AGG(r.deposits_count ORDER BY r.epoch DESC))[1],
+    MAX(r.deposits_count),
+    (ARRAY_AGG(r.withdrawals_count ORDER BY r.epoch DESC))[1],
+    MAX(r.withdrawals_count)
+  FROM epoch_rows r
+  LEFT JOIN operator_maps om ON om.bucket_start = r.bucket_start
+  GROUP BY r.bucket_start
+  ORDER BY r.bucket_start;
+$$ LANGUAGE sql STABLE;
+
+COMMENT ON FUNCTION comprehensive_analytics_buckets(TEXT, INTEGER, BIGINT, BIGINT, BIGINT, BIGINT) IS
+'Calendar rollups (hour, day, week, month in UTC) of one domain''s comprehensive_analytics rows for /api/epochs/aggregate';
+
+-- ========================================
+-- 2. VERIFICATION
+-- ========================================
+
+SELECT
+  'Epoch Buckets' as status,
+  (SELECT COUNT(*) FROM comprehensive_analytics_buckets('day')) as day_buckets,
+  (SELECT COUNT(*) FROM comprehensive_analytics_buckets('month')) as month_buckets;
+
+COMMIT;
+
+-- ========================================
+-- ROLLBACK SCRIPT
+-- ========================================
+
+-- See sql/rollback/13_epoch_buckets.sql
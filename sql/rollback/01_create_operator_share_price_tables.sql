@@ -0,0 +1,15 @@
+-- ========================================
+-- ROLLBACK: OPERATOR SHARE PRICE NORMALIZATION MIGRATION
+-- Undoes sql/01_create_operator_share_price_tables.sql
+-- ========================================
+
+-- parse_comma_number and hex_to_numeric are kept as they're used elsewhere
+
+BEGIN;
+
+DROP TABLE IF EXISTS operator_share_prices CASCADE;
+DROP TABLE IF EXISTS operator_shares CASCADE;
+DROP TABLE IF EXISTS operators_metadata CASCADE;
+DROP FUNCTION IF EXISTS update_updated_at_column() CASCADE;
+
+COMMIT;
@@ -0,0 +1,13 @@
+-- ========================================
+-- ROLLBACK: OPERATOR SHARE PRICE NORMALIZATION MIGRATION
+-- Undoes sql/01b_create_tables_only.sql
+-- ========================================
+
+BEGIN;
+
+DROP TABLE IF EXISTS operator_share_prices CASCADE;
+DROP TABLE IF EXISTS operator_shares CASCADE;
+DROP TABLE IF EXISTS operators_metadata CASCADE;
+DROP FUNCTION IF EXISTS update_updated_at_column() CASCADE;
+
+COMMIT;
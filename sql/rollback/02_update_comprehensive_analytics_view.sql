@@ -0,0 +1,11 @@
+-- ========================================
+-- ROLLBACK: UPDATE COMPREHENSIVE ANALYTICS VIEW
+-- Undoes sql/02_update_comprehensive_analytics_view.sql
+-- ========================================
+
+BEGIN;
+
+DROP MATERIALIZED VIEW comprehensive_analytics;
+ALTER MATERIALIZED VIEW comprehensive_analytics_old RENAME TO comprehensive_analytics;
+
+COMMIT;
@@ -0,0 +1,220 @@
+-- ========================================
+-- ROLLBACK: DYNAMIC OPERATOR SET
+-- Undoes sql/06_dynamic_operator_set.sql
+-- ========================================
+
+-- Operators go back to being IDs 0-3. The views are the ones from
+-- sql/03_restructure_for_nominators.sql and sql/05b_fix_views_no_constraints.sql,
+-- so operator_analytics keeps 05b's price_change_percent column.
+
+BEGIN;
+
+-- ========================================
+-- 1. CLASSIFY BY ID RANGE (sql/03)
+-- ========================================
+
+-- View for real operators only (IDs 0-3)
+CREATE OR REPLACE VIEW real_operator_share_prices AS
+SELECT 
+  epoch,
+  operator_id,
+  share_price_perq,
+  share_price_perq / 1e18 as share_price_decimal,
+  source,
+  inserted_at,
+  updated_at
+FROM operator_share_prices
+WHERE operator_id <= 3
+ORDER BY epoch, operator_id;
+
+-- View for real operator stakes
+CREATE OR REPLACE VIEW real_operator_stakes AS
+SELECT 
+  epoch,
+  operator_id,
+  shares_raw,
+  stake_raw,
+  stake_raw / 1e18 as stake_tokens,
+  shares_raw / 1e18 as shares_tokens,
+  CASE 
+    WHEN shares_raw > 0 
+    THEN (stake_raw::NUMERIC / shares_raw::NUMERIC)
+    ELSE 1.0
+  END as calculated_share_price,
+  inserted_at,
+  updated_at
+FROM operator_shares
+WHERE operator_id <= 3
+ORDER BY epoch, operator_id;
+
+-- View for nominator positions (IDs > 3)
+CREATE OR REPLACE VIEW nominator_positions AS
+SELECT 
+  epoch,
+  operator_id as position_id,  -- These are actually position IDs, not operator IDs
+  share_price_perq,
+  share_price_perq / 1e18 as share_price_decimal,
+  source,
+  inserted_at,
+  updated_at
+FROM operator_share_prices
+WHERE operator_id > 3
+ORDER BY epoch, operator_id;
+
+DROP VIEW IF EXISTS operator_analytics CASCADE;
+
+CREATE VIEW operator_analytics AS
+SELECT 
+  os.epoch,
+  os.operator_id,
+  om.display_name as operator_name,
+  os.stake_raw,
+  os.stake_raw / 1e18 as stake_tokens,
+  os.shares_raw,
+  os.shares_raw / 1e18 as shares_tokens,
+  osp.share_price_perq,
+  osp.share_price_perq / 1e18 as share_price,
+  -- P&L from initial 1.0 (can be negative)
+  ((osp.share_price_perq / 1e18) - 1.0) * 100 as price_change_percent,
+  CASE 
+    WHEN osp.share_price_perq = 1e18 THEN 'Unchanged'
+    WHEN osp.share_price_perq > 1e18 THEN 'Appreciated'
+    WHEN osp.share_price_perq < 1e18 THEN 'Depreciated'
+  END as price_status,
+  osp.source,
+  os.updated_at
+FROM operator_shares os
+JOIN operator_share_prices osp ON os.epoch = osp.epoch AND os.operator_id = osp.operator_id
+LEFT JOIN operators_metadata om ON os.operator_id = om.operator_id
+WHERE os.operator_id <= 3  -- Real operators only
+ORDER BY os.epoch DESC, os.operator_id;
+
+COMMENT ON VIEW operator_analytics IS 
+'Analytics for real operators (0-3). Note: Even operators can have prices below 1.0';
+
+-- ========================================
+-- 2. COMPREHENSIVE ANALYTICS (sql/03)
+-- ========================================
+
+-- Drop and recreate comprehensive_analytics with proper understanding
+DROP MATERIALIZED VIEW IF EXISTS comprehensive_analytics CASCADE;
+
+CREATE MATERIALIZED VIEW comprehensive_analytics AS
+SELECT 
+  e.epoch,
+  e.end_block,
+  e.timestamp,
+  TO_TIMESTAMP(e.timestamp / 1000) AS epoch_datetime,
+  DATE(TO_TIMESTAMP(e.timestamp / 1000)) AS epoch_date,
+
+  -- Core metrics
+  parse_comma_number(e.data->'domainStakingSummary'->>'currentTotalStake') AS total_stake_raw,
+  parse_comma_number(e.data->'domainStakingSummary'->>'currentTotalStake') / 1e18 AS total_stake_tokens,
+  COALESCE((e.data->>'totalShares')::NUMERIC, 0) AS total_shares_raw,
+  COALESCE((e.data->>'totalShares')::NUMERIC / 1e18, 0) AS total_shares_tokens,
+
+  -- Network share price
+  CASE WHEN COALESCE((e.data->>'totalShares')::NUMERIC, 0) > 0
+       THEN parse_comma_number(e.data->'domainStakingSummary'->>'currentTotalStake') / COALESCE((e.data->>'totalShares')::NUMERIC, 1)
+       ELSE 1.0
+  END AS network_share_price_ratio,
+
+  -- Treasury and rewards
+  COALESCE((e.data->>'accumulatedTreasuryFunds')::NUMERIC / 1e18, 0) AS treasury_funds_tokens,
+  COALESCE((e.data->>'domainChainRewards')::NUMERIC / 1e18, 0) AS chain_rewards_tokens,
+
+  -- Storage fees
+  COALESCE((
+    SELECT SUM(
+      hex_to_numeric(
+        COALESCE(
+          CASE 
+            WHEN position(',' in (op_entry->>'value')) > 0 
+            THEN (btrim(substr(op_entry->>'value', position(',' in (op_entry->>'value')) + 1))::jsonb ->> 'totalStorageFeeDeposit')
+            ELSE NULL
+          END,
+          '0x0'
+        )
+      )
+    )
+    FROM jsonb_array_elements(e.data->'operators'->'entries') AS op_entry
+  ), 0) / 1e18 AS storage_fee_fund_tokens,
+
+  -- Real operator metrics (0-3 only)
+  COALESCE(parse_comma_number((e.data->'domainStakingSummary'->'currentOperators'->>'0')::TEXT) / 1e18, 0) AS operator_0_stake_tokens,
+  COALESCE(parse_comma_number((e.data->'domainStakingSummary'->'currentEpochRewards'->>'0')::TEXT) / 1e18, 0) AS operator_0_rewards_tokens,
+  COALESCE(rosp0.share_price_decimal, 1.0) AS operator_0_share_price,
+  
+  COALESCE(parse_comma_number((e.data->'domainStakingSummary'->'currentOperators'->>'1')::TEXT) / 1e18, 0) AS operator_1_stake_tokens,
+  COALESCE(parse_comma_number((e.data->'domainStakingSummary'->'currentEpochRewards'->>'1')::TEXT) / 1e18, 0) AS operator_1_rewards_tokens,
+  COALESCE(rosp1.share_price_decimal, 1.0) AS operator_1_share_price,
+  
+  COALESCE(parse_comma_number((e.data->'domainStakingSummary'->'currentOperators'->>'2')::TEXT) / 1e18, 0) AS operator_2_stake_tokens,
+  COALESCE(parse_comma_number((e.data->'domainStakingSummary'->'currentEpochRewards'->>'2')::TEXT) / 1e18, 0) AS operator_2_rewards_tokens,
+  COALESCE(rosp2.share_price_decimal, 1.0) AS operator_2_share_price,
+  
+  COALESCE(parse_comma_number((e.data->'domainStakingSummary'->'currentOperators'->>'3')::TEXT) / 1e18, 0) AS operator_3_stake_tokens,
+  COALESCE(parse_comma_number((e.data->'domainStakingSummary'->'currentEpochRewards'->>'3')::TEXT) / 1e18, 0) AS operator_3_rewards_tokens,
+  COALESCE(rosp3.share_price_decimal, 1.0) AS operator_3_share_price,
+
+  -- Counts
+  COALESCE((e.data->'operators'->>'count')::INTEGER, 0) AS real_operator_count,
+  COALESCE((
+    SELECT COUNT(DISTINCT position_id) 
+    FROM nominator_positions np 
+    WHERE np.epoch = e.epoch
+  ), 0) AS nominator_position_count,
+  COALESCE((e.data->'deposits'->>'count')::INTEGER, 0) AS deposits_count,
+  COALESCE((e.data->'withdrawals'->>'count')::INTEGER, 0) AS withdrawals_count,
+  COALESCE((e.data->'successfulBundles'->>'count')::INTEGER, 0) AS bundles_count
+
+FROM epochs e
+
+-- Join real operator share prices
+LEFT JOIN real_operator_share_prices rosp0 ON rosp0.epoch = e.epoch AND rosp0.operator_id = 0
+LEFT JOIN real_operator_share_prices rosp1 ON rosp1.epoch = e.epoch AND rosp1.operator_id = 1
+LEFT JOIN real_operator_share_prices rosp2 ON rosp2.epoch = e.epoch AND rosp2.operator_id = 2
+LEFT JOIN real_operator_share_prices rosp3 ON rosp3.epoch = e.epoch AND rosp3.operator_id = 3
+
+ORDER BY e.epoch;
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_comprehensive_epoch ON comprehensive_analytics(epoch);
+CREATE INDEX IF NOT EXISTS idx_comprehensive_datetime ON comprehensive_analytics(epoch_datetime);
+
+-- ========================================
+-- 3. RECREATE DEPENDENT VIEWS (sql/05b)
+-- ========================================
+
+DROP VIEW IF EXISTS network_health_metrics CASCADE;
+
+CREATE VIEW network_health_metrics AS
+WITH latest_epoch AS (
+  SELECT MAX(epoch) as max_epoch FROM epochs
+)
+SELECT 
+  e.epoch,
+  e.epoch_datetime,
+  -- Operator health
+  (SELECT COUNT(DISTINCT operator_id) FROM operator_shares WHERE epoch = e.epoch AND operator_id <= 3) as active_operators,
+  (SELECT AVG(share_price_perq / 1e18) FROM operator_share_prices WHERE epoch = e.epoch AND operator_id <= 3) as avg_operator_price,
+  -- Nominator health  
+  (SELECT COUNT(DISTINCT operator_id) FROM operator_share_prices WHERE epoch = e.epoch AND operator_id > 3) as nominator_positions,
+  (SELECT AVG(share_price_perq / 1e18) FROM operator_share_prices WHERE epoch = e.epoch AND operator_id > 3) as avg_nominator_price,
+  -- Network metrics
+  e.total_stake_tokens,
+  e.total_shares_tokens,
+  e.network_share_price_ratio,
+  e.deposits_count,
+  e.withdrawals_count,
+  -- Profitability
+  (SELECT COUNT(*) FROM operator_share_prices WHERE epoch = e.epoch AND share_price_perq > 1e18) as profitable_positions,
+  (SELECT COUNT(*) FROM operator_share_prices WHERE epoch = e.epoch AND share_price_perq < 1e18) as losing_positions
+FROM comprehensive_analytics e
+WHERE e.epoch >= (SELECT max_epoch - 100 FROM latest_epoch)
+ORDER BY e.epoch DESC;
+
+COMMENT ON VIEW network_health_metrics IS 
+'Network-wide health metrics combining operator and nominator performance';
+
+COMMIT;
@@ -0,0 +1,14 @@
+-- ========================================
+-- ROLLBACK: NOMINATOR POSITION SNAPSHOTS
+-- Undoes sql/07_nominator_position_snapshots.sql
+-- ========================================
+
+BEGIN;
+
+DROP VIEW IF EXISTS nominator_position_summary;
+DROP MATERIALIZED VIEW IF EXISTS nominator_withdrawal_snapshots;
+DROP MATERIALIZED VIEW IF EXISTS nominator_deposit_snapshots;
+DROP FUNCTION IF EXISTS json_amount_to_numeric(JSONB);
+DROP FUNCTION IF EXISTS hex_le_to_numeric(TEXT);
+
+COMMIT;
@@ -0,0 +1,534 @@
+-- ========================================
+-- ROLLBACK: MULTI-DOMAIN KEYS
+-- Undoes sql/08_multi_domain.sql
+-- ========================================
+
+-- Dropping domain_id would merge the domains, so this refuses to run while any row
+-- belongs to a domain other than 0. The views go back to their definitions from
+-- sql/03, 05, 05b, 06 and 07. Like 08, it recreates both nominator_pnl (05) and
+-- position_pnl_analysis (05b).
+
+BEGIN;
+
+DO $$
+BEGIN
+  IF EXISTS (SELECT 1 FROM epochs WHERE domain_id <> 0)
+    OR EXISTS (SELECT 1 FROM operator_share_prices WHERE domain_id <> 0)
+    OR EXISTS (SELECT 1 FROM operator_shares WHERE domain_id <> 0)
+    OR EXISTS (SELECT 1 FROM operators_metadata WHERE domain_id <> 0)
+  THEN
+    RAISE EXCEPTION 'Rows outside domain 0 exist; delete them before rolling back 08_multi_domain.sql';
+  END IF;
+END;
+$$;
+
+-- ========================================
+-- 1. DROP VIEWS THAT READ THE DOMAIN KEYS
+-- ========================================
+
+DROP VIEW IF EXISTS nominator_position_summary CASCADE;
+DROP MATERIALIZED VIEW IF EXISTS nominator_deposit_snapshots CASCADE;
+DROP MATERIALIZED VIEW IF EXISTS nominator_withdrawal_snapshots CASCADE;
+DROP VIEW IF EXISTS network_health_metrics CASCADE;
+DROP MATERIALIZED VIEW IF EXISTS comprehensive_analytics CASCADE;
+DROP VIEW IF EXISTS operator_summary CASCADE;
+DROP VIEW IF EXISTS nominator_growth CASCADE;
+DROP VIEW IF EXISTS operator_analytics CASCADE;
+DROP VIEW IF EXISTS nominator_position_tracker CASCADE;
+DROP VIEW IF EXISTS position_pnl_analysis CASCADE;
+DROP VIEW IF EXISTS nominator_pnl CASCADE;
+DROP VIEW IF EXISTS real_operator_share_prices CASCADE;
+DROP VIEW IF EXISTS real_operator_stakes CASCADE;
+DROP VIEW IF EXISTS nominator_positions CASCADE;
+
+-- ========================================
+-- 2. DROP domain_id FROM THE KEYS
+-- ========================================
+
+-- Dropping the column also drops the indexes 08 built on it
+ALTER TABLE epochs DROP CONSTRAINT IF EXISTS epochs_pkey;
+ALTER TABLE epochs DROP COLUMN IF EXISTS domain_id;
+ALTER TABLE epochs ADD PRIMARY KEY (epoch);
+
+ALTER TABLE operator_share_prices DROP CONSTRAINT IF EXISTS operator_share_prices_pkey;
+ALTER TABLE operator_share_prices DROP COLUMN IF EXISTS domain_id;
+ALTER TABLE operator_share_prices ADD PRIMARY KEY (epoch, operator_id);
+CREATE INDEX IF NOT EXISTS idx_operator_share_prices_operator
+  ON operator_share_prices(operator_id, epoch);
+CREATE INDEX IF NOT EXISTS idx_operator_share_prices_epoch
+  ON operator_share_prices(epoch);
+
+ALTER TABLE operator_shares DROP CONSTRAINT IF EXISTS operator_shares_pkey;
+ALTER TABLE operator_shares DROP COLUMN IF EXISTS domain_id;
+ALTER TABLE operator_shares ADD PRIMARY KEY (epoch, operator_id);
+CREATE INDEX IF NOT EXISTS idx_operator_shares_operator
+  ON operator_shares(operator_id, epoch);
+CREATE INDEX IF NOT EXISTS idx_operator_shares_epoch
+  ON operator_shares(epoch);
+
+ALTER TABLE operators_metadata DROP CONSTRAINT IF EXISTS operators_metadata_pkey;
+ALTER TABLE operators_metadata DROP COLUMN IF EXISTS domain_id;
+ALTER TABLE operators_metadata ADD PRIMARY KEY (operator_id);
+
+-- ========================================
+-- 3. CLASSIFICATION VIEWS (sql/06)
+-- ========================================
+
+CREATE OR REPLACE VIEW real_operator_share_prices AS
+SELECT
+  osp.epoch,
+  osp.operator_id,
+  osp.share_price_perq,
+  osp.share_price_perq / 1e18 as share_price_decimal,
+  osp.source,
+  osp.inserted_at,
+  osp.updated_at
+FROM operator_share_prices osp
+WHERE EXISTS (
+  SELECT 1 FROM operator_shares os
+  WHERE os.epoch = osp.epoch AND os.operator_id = osp.operator_id
+)
+ORDER BY osp.epoch, osp.operator_id;
+
+CREATE OR REPLACE VIEW real_operator_stakes AS
+SELECT
+  epoch,
+  operator_id,
+  shares_raw,
+  stake_raw,
+  stake_raw / 1e18 as stake_tokens,
+  shares_raw / 1e18 as shares_tokens,
+  CASE
+    WHEN shares_raw > 0
+    THEN (stake_raw::NUMERIC / shares_raw::NUMERIC)
+    ELSE 1.0
+  END as calculated_share_price,
+  inserted_at,
+  updated_at
+FROM operator_shares
+ORDER BY epoch, operator_id;
+
+CREATE OR REPLACE VIEW nominator_positions AS
+SELECT
+  osp.epoch,
+  osp.operator_id as position_id,
+  osp.share_price_perq,
+  osp.share_price_perq / 1e18 as share_price_decimal,
+  osp.source,
+  osp.inserted_at,
+  osp.updated_at
+FROM operator_share_prices osp
+WHERE NOT EXISTS (
+  SELECT 1 FROM operator_shares os
+  WHERE os.epoch = osp.epoch AND os.operator_id = osp.operator_id
+)
+ORDER BY osp.epoch, osp.operator_id;
+
+-- Recreated rather than replaced: 05 names the P&L column price_growth_percent, 05b
+-- price_change_percent, and a view column cannot be renamed in place
+DROP VIEW IF EXISTS operator_analytics;
+
+CREATE VIEW operator_analytics AS
+SELECT
+  os.epoch,
+  os.operator_id,
+  om.display_name as operator_name,
+  os.stake_raw,
+  os.stake_raw / 1e18 as stake_tokens,
+  os.shares_raw,
+  os.shares_raw / 1e18 as shares_tokens,
+  osp.share_price_perq,
+  osp.share_price_perq / 1e18 as share_price,
+  ((osp.share_price_perq / 1e18) - 1.0) * 100 as price_change_percent,
+  CASE
+    WHEN osp.share_price_perq = 1e18 THEN 'Unchanged'
+    WHEN osp.share_price_perq > 1e18 THEN 'Appreciated'
+    WHEN osp.share_price_perq < 1e18 THEN 'Depreciated'
+  END as price_status,
+  osp.source,
+  os.updated_at
+FROM operator_shares os
+JOIN operator_share_prices osp ON os.epoch = osp.epoch AND os.operator_id = osp.operator_id
+LEFT JOIN operators_metadata om ON os.operator_id = om.operator_id
+ORDER BY os.epoch DESC, os.operator_id;
+
+COMMENT ON VIEW operator_analytics IS
+'Analytics for every operator found in operators.entries. Note: Even operators can have prices below 1.0';
+
+-- ========================================
+-- 4. ANALYSIS VIEWS (sql/03, 05 and 05b)
+-- ========================================
+
+-- Operator summary statistics
+CREATE OR REPLACE VIEW operator_summary AS
+SELECT 
+  ros.operator_id,
+  om.display_name,
+  COUNT(DISTINCT ros.epoch) as active_epochs,
+  MIN(ros.epoch) as first_epoch,
+  MAX(ros.epoch) as last_epoch,
+  AVG(rosp.share_price_perq / 1e18) as avg_share_price,
+  MIN(rosp.share_price_perq / 1e18) as min_share_price,
+  MAX(rosp.share_price_perq / 1e18) as max_share_price,
+  AVG(ros.stake_raw / 1e18) as avg_stake_tokens,
+  AVG(ros.shares_raw / 1e18) as avg_shares_tokens
+FROM real_operator_stakes ros
+LEFT JOIN real_operator_share_prices rosp 
+  ON ros.epoch = rosp.epoch AND ros.operator_id = rosp.operator_id
+LEFT JOIN operators_metadata om 
+  ON ros.operator_id = om.operator_id
+GROUP BY ros.operator_id, om.display_name
+ORDER BY ros.operator_id;
+
+-- Nominator growth over time
+CREATE OR REPLACE VIEW nominator_growth AS
+WITH epoch_counts AS (
+  SELECT 
+    epoch,
+    COUNT(DISTINCT position_id) as position_count,
+    MIN(share_price_decimal) as min_price,
+    MAX(share_price_decimal) as max_price,
+    AVG(share_price_decimal) as avg_price
+  FROM nominator_positions
+  GROUP BY epoch
+)
+SELECT 
+  epoch,
+  position_count,
+  position_count - LAG(position_count) OVER (ORDER BY epoch) as new_positions,
+  min_price,
+  max_price,
+  avg_price
+FROM epoch_counts
+ORDER BY epoch;
+
+-- Drop if exists and recreate nominator_position_tracker
+DROP VIEW IF EXISTS nominator_position_tracker CASCADE;
+
+CREATE VIEW nominator_position_tracker AS
+WITH position_stats AS (
+  SELECT 
+    epoch,
+    COUNT(*) as total_positions,
+    -- Positions at exactly 1.0 (initial/unmoved)
+    COUNT(CASE WHEN share_price_perq = 1000000000000000000 THEN 1 END) as unchanged_positions,
+    -- Positions that appreciated (>1.0)
+    COUNT(CASE WHEN share_price_perq > 1000000000000000000 THEN 1 END) as appreciated_positions,
+    -- Positions that depreciated (<1.0)
+    COUNT(CASE WHEN share_price_perq < 1000000000000000000 THEN 1 END) as depreciated_positions,
+    MIN(share_price_perq / 1e18) as min_price,
+    MAX(share_price_perq / 1e18) as max_price,
+    AVG(share_price_perq / 1e18) as avg_price,
+    STDDEV(share_price_perq / 1e18) as price_volatility
+  FROM operator_share_prices
+  WHERE operator_id > 3  -- Nominator positions only
+  GROUP BY epoch
+)
+SELECT 
+  epoch,
+  total_positions,
+  unchanged_positions,
+  appreciated_positions,
+  depreciated_positions,
+  ROUND((appreciated_positions::NUMERIC / NULLIF(total_positions, 0) * 100), 2) as appreciated_pct,
+  ROUND((depreciated_positions::NUMERIC / NULLIF(total_positions, 0) * 100), 2) as depreciated_pct,
+  ROUND(min_price::NUMERIC, 6) as min_price,
+  ROUND(max_price::NUMERIC, 6) as max_price,
+  ROUND(avg_price::NUMERIC, 6) as avg_price,
+  ROUND(price_volatility::NUMERIC, 6) as volatility
+FROM position_stats
+ORDER BY epoch DESC;
+
+COMMENT ON VIEW nominator_position_tracker IS 
+'Tracks nominator positions (IDs > 3) including appreciation and depreciation from initial 1.0 price.';
+
+DROP VIEW IF EXISTS position_pnl_analysis CASCADE;
+
+CREATE VIEW position_pnl_analysis AS
+WITH all_positions AS (
+  SELECT 
+    operator_id,
+    epoch,
+    share_price_perq / 1e18 as share_price,
+    (share_price_perq / 1e18 - 1.0) * 100 as pnl_percent,
+    CASE 
+      WHEN operator_id <= 3 THEN 'Operator'
+      ELSE 'Nominator'
+    END as position_type,
+    CASE 
+      WHEN share_price_perq = 1000000000000000000 THEN 'Unchanged'
+      WHEN share_price_perq > 1000000000000000000 THEN 'Profit'
+      WHEN share_price_perq < 1000000000000000000 THEN 'Loss'
+    END as pnl_status
+  FROM operator_share_prices
+)
+SELECT 
+  epoch,
+  position_type,
+  COUNT(*) as total_positions,
+  COUNT(CASE WHEN pnl_status = 'Profit' THEN 1 END) as profitable,
+  COUNT(CASE WHEN pnl_status = 'Loss' THEN 1 END) as losing,
+  COUNT(CASE WHEN pnl_status = 'Unchanged' THEN 1 END) as unchanged,
+  ROUND(AVG(pnl_percent)::NUMERIC, 4) as avg_pnl_pct,
+  ROUND(MIN(pnl_percent)::NUMERIC, 4) as worst_loss_pct,
+  ROUND(MAX(pnl_percent)::NUMERIC, 4) as best_gain_pct
+FROM all_positions
+GROUP BY epoch, position_type
+ORDER BY epoch DESC, position_type;
+
+COMMENT ON VIEW position_pnl_analysis IS 
+'P&L analysis for both operators and nominators showing performance vs initial 1.0 price';
+
+CREATE OR REPLACE VIEW nominator_pnl AS
+WITH position_changes AS (
+  SELECT 
+    operator_id as position_id,
+    epoch,
+    share_price_perq / 1e18 as share_price,
+    (share_price_perq / 1e18 - 1.0) * 100 as pnl_percent,
+    CASE 
+      WHEN share_price_perq = 1000000000000000000 THEN 'Unchanged'
+      WHEN share_price_perq > 1000000000000000000 THEN 'Profit'
+      WHEN share_price_perq < 1000000000000000000 THEN 'Loss'
+    END as pnl_status
+  FROM operator_share_prices
+  WHERE operator_id > 3
+)
+SELECT 
+  epoch,
+  COUNT(*) as total_positions,
+  COUNT(CASE WHEN pnl_status = 'Profit' THEN 1 END) as profitable_positions,
+  COUNT(CASE WHEN pnl_status = 'Loss' THEN 1 END) as losing_positions,
+  COUNT(CASE WHEN pnl_status = 'Unchanged' THEN 1 END) as unchanged_positions,
+  ROUND(AVG(CASE WHEN pnl_status = 'Profit' THEN pnl_percent END)::NUMERIC, 4) as avg_profit_pct,
+  ROUND(AVG(CASE WHEN pnl_status = 'Loss' THEN pnl_percent END)::NUMERIC, 4) as avg_loss_pct,
+  ROUND(MAX(pnl_percent)::NUMERIC, 4) as max_gain_pct,
+  ROUND(MIN(pnl_percent)::NUMERIC, 4) as max_loss_pct
+FROM position_changes
+GROUP BY epoch
+ORDER BY epoch DESC;
+
+COMMENT ON VIEW nominator_pnl IS 
+'Profit and Loss analysis for nominator positions showing gains and losses from initial 1.0 price.';
+
+-- ========================================
+-- 5. COMPREHENSIVE ANALYTICS (sql/06)
+-- ========================================
+
+DROP MATERIALIZED VIEW IF EXISTS comprehensive_analytics CASCADE;
+
+CREATE MATERIALIZED VIEW comprehensive_analytics AS
+SELECT
+  e.epoch,
+  e.end_block,
+  e.timestamp,
+  TO_TIMESTAMP(e.timestamp / 1000) AS epoch_datetime,
+  DATE(TO_TIMESTAMP(e.timestamp / 1000)) AS epoch_date,
+
+  -- Core metrics
+  parse_comma_number(e.data->'domainStakingSummary'->>'currentTotalStake') AS total_stake_raw,
+  parse_comma_number(e.data->'domainStakingSummary'->>'currentTotalStake') / 1e18 AS total_stake_tokens,
+  COALESCE((e.data->>'totalShares')::NUMERIC, 0) AS total_shares_raw,
+  COALESCE((e.data->>'totalShares')::NUMERIC / 1e18, 0) AS total_shares_tokens,
+
+  -- Network share price
+  CASE WHEN COALESCE((e.data->>'totalShares')::NUMERIC, 0) > 0
+       THEN parse_comma_number(e.data->'domainStakingSummary'->>'currentTotalStake') / COALESCE((e.data->>'totalShares')::NUMERIC, 1)
+       ELSE 1.0
+  END AS network_share_price_ratio,
+
+  -- Treasury and rewards
+  COALESCE((e.data->>'accumulatedTreasuryFunds')::NUMERIC / 1e18, 0) AS treasury_funds_tokens,
+  COALESCE((e.data->>'domainChainRewards')::NUMERIC / 1e18, 0) AS chain_rewards_tokens,
+
+  -- Storage fees
+  COALESCE((
+    SELECT SUM(
+      hex_to_numeric(
+        COALESCE(
+          CASE
+            WHEN position(',' in (op_entry->>'value')) > 0
+            THEN (btrim(substr(op_entry->>'value', position(',' in (op_entry->>'value')) + 1))::jsonb ->> 'totalStorageFeeDeposit')
+            ELSE NULL
+          END,
+          '0x0'
+        )
+      )
+    )
+    FROM jsonb_array_elements(e.data->'operators'->'entries') AS op_entry
+  ), 0) / 1e18 AS storage_fee_fund_tokens,
+
+  -- Per-operator maps (operator ID -> raw Shannons / perquintill as text)
+  (
+    SELECT JSONB_OBJECT_AGG(kv.key, parse_comma_number(kv.value)::TEXT)
+    FROM jsonb_each_text(e.data->'domainStakingSummary'->'currentOperators') AS kv
+  ) AS operator_stakes_json,
+  (
+    SELECT JSONB_OBJECT_AGG(kv.key, parse_comma_number(kv.value)::TEXT)
+    FROM jsonb_each_text(e.data->'domainStakingSummary'->'currentEpochRewards') AS kv
+  ) AS operator_rewards_json,
+  (
+    SELECT JSONB_OBJECT_AGG(rosp.operator_id::TEXT, rosp.share_price_perq::TEXT)
+    FROM real_operator_share_prices rosp
+    WHERE rosp.epoch = e.epoch
+  ) AS operator_share_prices_json,
+  (
+    SELECT JSONB_OBJECT_AGG(
+      os.operator_id::TEXT,
+      JSONB_BUILD_OBJECT('shares_raw', os.shares_raw::TEXT, 'stake_raw', os.stake_raw::TEXT)
+    )
+    FROM operator_shares os
+    WHERE os.epoch = e.epoch
+  ) AS operator_shares_json,
+  ARRAY(
+    -- The key is the item's position in the list; the OperatorId is the u64 (LE)
+    -- after the 32-byte prefix of the storage key in "value"
+    SELECT (
+      SELECT hex_to_numeric(string_agg(substr(op_entry->>'value', i, 2), '' ORDER BY i DESC))
+      FROM generate_series(67, 81, 2) AS i
+    )::INTEGER
+    FROM jsonb_array_elements(e.data->'operators'->'entries') AS op_entry
+    WHERE (op_entry->>'value') LIKE '0x%,%'
+    ORDER BY 1
+  ) AS operator_ids,
+
+  -- Legacy operator 0-3 columns (kept for older API versions)
+  COALESCE(parse_comma_number((e.data->'domainStakingSummary'->'currentOperators'->>'0')::TEXT) / 1e18, 0) AS operator_0_stake_tokens,
+  COALESCE(parse_comma_number((e.data->'domainStakingSummary'->'currentEpochRewards'->>'0')::TEXT) / 1e18, 0) AS operator_0_rewards_tokens,
+  COALESCE(parse_comma_number((e.data->'domainStakingSummary'->'currentOperators'->>'1')::TEXT) / 1e18, 0) AS operator_1_stake_tokens,
+  COALESCE(parse_comma_number((e.data->'domainStakingSummary'->'currentEpochRewards'->>'1')::TEXT) / 1e18, 0) AS operator_1_rewards_tokens,
+  COALESCE(parse_comma_number((e.data->'domainStakingSummary'->'currentOperators'->>'2')::TEXT) / 1e18, 0) AS operator_2_stake_tokens,
+  COALESCE(parse_comma_number((e.data->'domainStakingSummary'->'currentEpochRewards'->>'2')::TEXT) / 1e18, 0) AS operator_2_rewards_tokens,
+  COALESCE(parse_comma_number((e.data->'domainStakingSummary'->'currentOperators'->>'3')::TEXT) / 1e18, 0) AS operator_3_stake_tokens,
+  COALESCE(parse_comma_number((e.data->'domainStakingSummary'->'currentEpochRewards'->>'3')::TEXT) / 1e18, 0) AS operator_3_rewards_tokens,
+
+  -- Counts
+  COALESCE((e.data->'operators'->>'count')::INTEGER, 0) AS operator_count,
+  COALESCE((e.data->'operators'->>'count')::INTEGER, 0) AS real_operator_count,
+  COALESCE((
+    SELECT COUNT(DISTINCT position_id)
+    FROM nominator_positions np
+    WHERE np.epoch = e.epoch
+  ), 0) AS nominator_position_count,
+  COALESCE((e.data->'deposits'->>'count')::INTEGER, 0) AS deposits_count,
+  COALESCE((e.data->'withdrawals'->>'count')::INTEGER, 0) AS withdrawals_count,
+  COALESCE((e.data->'successfulBundles'->>'count')::INTEGER, 0) AS bundles_count
+
+FROM epochs e
+ORDER BY e.epoch;
+
+-- Unique index so REFRESH ... CONCURRENTLY keeps working
+CREATE UNIQUE INDEX IF NOT EXISTS idx_comprehensive_epoch_unique ON comprehensive_analytics(epoch);
+CREATE INDEX IF NOT EXISTS idx_comprehensive_datetime ON comprehensive_analytics(epoch_datetime);
+
+CREATE VIEW network_health_metrics AS
+WITH latest_epoch AS (
+  SELECT MAX(epoch) as max_epoch FROM epochs
+)
+SELECT
+  e.epoch,
+  e.epoch_datetime,
+  -- Operator health
+  (SELECT COUNT(DISTINCT operator_id) FROM operator_shares WHERE epoch = e.epoch) as active_operators,
+  (SELECT AVG(share_price_decimal) FROM real_operator_share_prices WHERE epoch = e.epoch) as avg_operator_price,
+  -- Nominator health
+  (SELECT COUNT(DISTINCT position_id) FROM nominator_positions WHERE epoch = e.epoch) as nominator_positions,
+  (SELECT AVG(share_price_decimal) FROM nominator_positions WHERE epoch = e.epoch) as avg_nominator_price,
+  -- Network metrics
+  e.total_stake_tokens,
+  e.total_shares_tokens,
+  e.network_share_price_ratio,
+  e.deposits_count,
+  e.withdrawals_count,
+  -- Profitability
+  (SELECT COUNT(*) FROM operator_share_prices WHERE epoch = e.epoch AND share_price_perq > 1e18) as profitable_positions,
+  (SELECT COUNT(*) FROM operator_share_prices WHERE epoch = e.epoch AND share_price_perq < 1e18) as losing_positions
+FROM comprehensive_analytics e
+WHERE e.epoch >= (SELECT max_epoch - 100 FROM latest_epoch)
+ORDER BY e.epoch DESC;
+
+COMMENT ON VIEW network_health_metrics IS
+'Network-wide health metrics combining operator and nominator performance';
+
+-- ========================================
+-- 6. NOMINATOR SNAPSHOTS (sql/07)
+-- ========================================
+
+DROP MATERIALIZED VIEW IF EXISTS nominator_deposit_snapshots CASCADE;
+
+CREATE MATERIALIZED VIEW nominator_deposit_snapshots AS
+WITH raw AS (
+  SELECT
+    e.epoch,
+    substr(d->>'value', 1, position(',' in (d->>'value')) - 1) AS storage_key,
+    btrim(substr(d->>'value', position(',' in (d->>'value')) + 1))::jsonb AS deposit
+  FROM epochs e
+  CROSS JOIN LATERAL jsonb_array_elements(COALESCE(e.data->'deposits'->'entries', '[]'::jsonb)) AS d
+  WHERE (d->>'value') LIKE '0x%,{%'
+)
+SELECT
+  epoch,
+  hex_le_to_numeric(substr(storage_key, 67, 16))::INTEGER AS operator_id,
+  '0x' || substr(storage_key, 83, 64) AS nominator_id,
+  json_amount_to_numeric(deposit->'known'->'shares') AS known_shares,
+  json_amount_to_numeric(deposit->'known'->'storageFeeDeposit') AS known_storage_fee,
+  json_amount_to_numeric(deposit->'pending'->'amount') AS pending_amount,
+  json_amount_to_numeric(deposit->'pending'->'storageFeeDeposit') AS pending_storage_fee,
+  (deposit->'pending'->'effectiveDomainEpoch'->>1)::INTEGER AS pending_effective_epoch
+FROM raw
+WHERE length(storage_key) >= 146
+ORDER BY epoch, operator_id, nominator_id;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_nominator_deposits_unique
+  ON nominator_deposit_snapshots(operator_id, nominator_id, epoch);
+CREATE INDEX IF NOT EXISTS idx_nominator_deposits_epoch
+  ON nominator_deposit_snapshots(epoch);
+
+DROP MATERIALIZED VIEW IF EXISTS nominator_withdrawal_snapshots CASCADE;
+
+CREATE MATERIALIZED VIEW nominator_withdrawal_snapshots AS
+WITH raw AS (
+  SELECT
+    e.epoch,
+    substr(w->>'value', 1, position(',' in (w->>'value')) - 1) AS storage_key,
+    btrim(substr(w->>'value', position(',' in (w->>'value')) + 1))::jsonb AS withdrawal
+  FROM epochs e
+  CROSS JOIN LATERAL jsonb_array_elements(COALESCE(e.data->'withdrawals'->'entries', '[]'::jsonb)) AS w
+  WHERE (w->>'value') LIKE '0x%,{%'
+)
+SELECT
+  epoch,
+  hex_le_to_numeric(substr(storage_key, 67, 16))::INTEGER AS operator_id,
+  '0x' || substr(storage_key, 83, 64) AS nominator_id,
+  json_amount_to_numeric(withdrawal->'totalWithdrawalAmount') AS total_withdrawal_amount,
+  json_amount_to_numeric(withdrawal->'totalStorageFeeWithdrawal') AS total_storage_fee_withdrawal,
+  json_amount_to_numeric(withdrawal->'withdrawalInShares'->'shares') AS withdrawal_in_shares,
+  COALESCE(jsonb_array_length(
+    CASE WHEN jsonb_typeof(withdrawal->'withdrawals') = 'array' THEN withdrawal->'withdrawals' END
+  ), 0) AS pending_unlocks
+FROM raw
+WHERE length(storage_key) >= 146
+ORDER BY epoch, operator_id, nominator_id;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_nominator_withdrawals_unique
+  ON nominator_withdrawal_snapshots(operator_id, nominator_id, epoch);
+CREATE INDEX IF NOT EXISTS idx_nominator_withdrawals_epoch
+  ON nominator_withdrawal_snapshots(epoch);
+
+CREATE OR REPLACE VIEW nominator_position_summary AS
+SELECT
+  operator_id,
+  nominator_id,
+  MIN(epoch) AS first_epoch,
+  MAX(epoch) AS last_epoch,
+  COUNT(*) AS epochs_seen,
+  (ARRAY_AGG(known_shares ORDER BY epoch DESC))[1] AS latest_shares,
+  (ARRAY_AGG(pending_amount ORDER BY epoch DESC))[1] AS latest_pending_amount,
+  MAX(known_shares) AS peak_shares
+FROM nominator_deposit_snapshots
+GROUP BY operator_id, nominator_id;
+
+COMMENT ON VIEW nominator_position_summary IS
+'One row per (operator, nominator) deposit position, derived from deposits.entries snapshots';
+
+COMMIT;
@@ -0,0 +1,70 @@
+-- ========================================
+-- ROLLBACK: INCREMENTAL COMPREHENSIVE ANALYTICS
+-- Undoes sql/10_incremental_comprehensive_analytics.sql
+-- ========================================
+
+-- comprehensive_analytics goes back to a materialized view, defined over
+-- comprehensive_analytics_source (the same query sql/09 used), which stays.
+
+BEGIN;
+
+DO $$
+DECLARE
+  t TEXT;
+BEGIN
+  FOREACH t IN ARRAY ARRAY['epochs', 'operator_shares', 'operator_share_prices'] LOOP
+    EXECUTE format('DROP TRIGGER IF EXISTS %I ON %I', t || '_analytics_insert', t);
+    EXECUTE format('DROP TRIGGER IF EXISTS %I ON %I', t || '_analytics_update', t);
+    EXECUTE format('DROP TRIGGER IF EXISTS %I ON %I', t || '_analytics_delete', t);
+    EXECUTE format('DROP TRIGGER IF EXISTS %I ON %I', t || '_analytics_truncate', t);
+  END LOOP;
+END;
+$$;
+
+DROP FUNCTION IF EXISTS sync_comprehensive_analytics();
+DROP FUNCTION IF EXISTS truncate_comprehensive_analytics();
+DROP FUNCTION IF EXISTS refresh_comprehensive_analytics(INTEGER, BIGINT, BIGINT);
+DROP FUNCTION IF EXISTS comprehensive_analytics_drift(INTEGER, BIGINT, BIGINT);
+DROP TABLE IF EXISTS comprehensive_analytics CASCADE;
+
+CREATE MATERIALIZED VIEW comprehensive_analytics AS
+SELECT * FROM comprehensive_analytics_source
+ORDER BY domain_id, epoch;
+
+-- Unique index so REFRESH ... CONCURRENTLY keeps working
+CREATE UNIQUE INDEX IF NOT EXISTS idx_comprehensive_domain_epoch_unique ON comprehensive_analytics(domain_id, epoch);
+CREATE INDEX IF NOT EXISTS idx_comprehensive_datetime ON comprehensive_analytics(epoch_datetime);
+
+-- Last 100 epochs of each domain
+CREATE VIEW network_health_metrics AS
+WITH latest_epoch AS (
+  SELECT domain_id, MAX(epoch) as max_epoch FROM epochs GROUP BY domain_id
+)
+SELECT
+  e.domain_id,
+  e.epoch,
+  e.epoch_datetime,
+  -- Operator health
+  (SELECT COUNT(DISTINCT operator_id) FROM operator_shares WHERE domain_id = e.domain_id AND epoch = e.epoch) as active_operators,
+  (SELECT AVG(share_price_decimal) FROM real_operator_share_prices WHERE domain_id = e.domain_id AND epoch = e.epoch) as avg_operator_price,
+  -- Nominator health
+  (SELECT COUNT(DISTINCT position_id) FROM nominator_positions WHERE domain_id = e.domain_id AND epoch = e.epoch) as nominator_positions,
+  (SELECT AVG(share_price_decimal) FROM nominator_positions WHERE domain_id = e.domain_id AND epoch = e.epoch) as avg_nominator_price,
+  -- Network metrics
+  e.total_stake_tokens,
+  e.total_shares_tokens,
+  e.network_share_price_ratio,
+  e.deposits_count,
+  e.withdrawals_count,
+  -- Profitability
+  (SELECT COUNT(*) FROM operator_share_prices WHERE domain_id = e.domain_id AND epoch = e.epoch AND share_price_perq > 1e18) as profitable_positions,
+  (SELECT COUNT(*) FROM operator_share_prices WHERE domain_id = e.domain_id AND epoch = e.epoch AND share_price_perq < 1e18) as losing_positions
+FROM comprehensive_analytics e
+JOIN latest_epoch le ON le.domain_id = e.domain_id
+WHERE e.epoch >= le.max_epoch - 100
+ORDER BY e.domain_id, e.epoch DESC;
+
+COMMENT ON VIEW network_health_metrics IS
+'Network-wide health metrics per domain combining operator and nominator performance';
+
+COMMIT;
@@ -0,0 +1,11 @@
+-- ========================================
+-- ROLLBACK: EPOCH FAILURE LEDGER
+-- Undoes sql/11_epoch_failures.sql
+-- ========================================
+
+BEGIN;
+
+DROP VIEW IF EXISTS epoch_gaps;
+DROP TABLE IF EXISTS epoch_failures;
+
+COMMIT;
@@ -0,0 +1,10 @@
+-- ========================================
+-- ROLLBACK: EPOCH BOUNDARY INDEX
+-- Undoes sql/12_epoch_boundaries.sql
+-- ========================================
+
+BEGIN;
+
+DROP TABLE IF EXISTS epoch_boundaries;
+
+COMMIT;
@@ -0,0 +1,10 @@
+-- ========================================
+-- ROLLBACK: EPOCH BUCKETS
+-- Undoes sql/13_epoch_buckets.sql
+-- ========================================
+
+BEGIN;
+
+DROP FUNCTION IF EXISTS comprehensive_analytics_buckets(TEXT, INTEGER, BIGINT, BIGINT, BIGINT, BIGINT);
+
+COMMIT;